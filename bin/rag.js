@@ -0,0 +1,540 @@
+#!/usr/bin/env node
+/**
+ * Work with the index from the command line, without the server: ingest
+ * files and folders, search, list, delete and re-index documents, show
+ * statistics, export and import the index and back up the database. The
+ * server may be running at the same time.
+ *
+ * Usage: rag <command> [arguments] [options]   (npm run rag -- <command> ...)
+ *
+ *   ingest <path...>      Index files, folders (recursively) and zip archives
+ *       --collection <name> --metadata <json> --on-duplicate reject|existing|version
+ *       --ocr auto|force|off --strategy <name> --chunk-size <n> --chunk-overlap <n>
+ *   search <query>        --collection <name> (repeatable) --filter <json> --mode vector|keyword|hybrid
+ *                         --limit <n> --page <n> --passages <n> --min-similarity <n>
+ *                         --diversify (MMR, --lambda <n>) --rerank (with the reranker at RERANK_URL)
+ *   list                  --collection <name> (repeatable) --filter <json> --limit <n> --page <n>
+ *   delete <id...>        --delete-file to also remove the source files from the uploads folder
+ *   reindex [id...]       Re-extract and re-embed documents; without ids, re-embed the chunks of
+ *                         every collection, or of --collection, optionally with --provider and --model
+ *   stats                 Documents, chunks and embedding models per collection, jobs and search backend
+ *   export                Documents with their metadata, chunks and vectors as JSON lines, see exportService
+ *       --collection <name> (repeatable) --filter <json> --include-files --output <file>
+ *   import <file>         Import an export (- reads stdin) --on-duplicate reject|existing|version
+ *   backup                Consistent copy of the database, into BACKUP_DIR or --output <file>
+ *
+ * --json prints results as JSON for scripts. Exit codes: 0 success, 1 failure
+ * (also when some of several files or documents failed), 2 invalid arguments.
+ *
+ * Results go to stdout, so that --json output can be parsed; messages and the
+ * services' logs go to stderr.
+ *
+ * The database is DB_PATH (from the environment or .env), db/rag.db by default;
+ * it must be migrated, see npm run migrate.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const db = require('../src/utils/database');
+const { all } = require('../src/utils/dbAsync');
+const migrations = require('../src/utils/migrations');
+const { validateMetadata } = require('../src/utils/metadata');
+const documentService = require('../src/services/documentService');
+const collectionService = require('../src/services/collectionService');
+const chunkingService = require('../src/services/chunkingService');
+const textExtractionService = require('../src/services/textExtraction');
+const archiveService = require('../src/services/archiveService');
+const ocrService = require('../src/services/ocrService');
+const reindexService = require('../src/services/reindexService');
+const jobService = require('../src/services/jobService');
+const vectorStoreService = require('../src/services/vectorStoreService');
+const exportService = require('../src/services/exportService');
+const backupService = require('../src/services/backupService');
+
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+const write = (text) => process.stdout.write(`${text}\n`);
+
+const parseJson = (value, name) => {
+  if (value === undefined) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (parseError) {
+    throw new UsageError(`--${name} must be valid JSON`);
+  }
+};
+
+const parseCount = (value, name, fallback) => {
+  if (value === undefined) return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+  return count;
+};
+
+const parseNumber = (value, name) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (value.trim() === '' || Number.isNaN(number)) {
+    throw new UsageError(`--${name} must be a number`);
+  }
+  return number;
+};
+
+const parseIds = (args) => args.map(arg => {
+  const id = Number(arg);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new UsageError(`Not a document id: ${arg}`);
+  }
+  return id;
+});
+
+// Shorten text to one line of at most `length` characters
+const excerpt = (text, length = 160) => {
+  const line = (text || '').replace(/\s+/g, ' ').trim();
+  return line.length > length ? `${line.slice(0, length - 3)}...` : line;
+};
+
+// Files to ingest from the paths given: folders are walked, skipping hidden entries and unsupported files
+const collectFiles = async (paths) => {
+  const files = [];
+  const walk = async (dir) => {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) continue;
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile() && (textExtractionService.formatForExtension(entry.name) || archiveService.accepts(entry.name))) {
+        files.push(entryPath);
+      }
+    }
+  };
+  for (const arg of paths) {
+    const stats = await fs.promises.stat(arg).catch(() => null);
+    if (!stats) {
+      throw new UsageError(`No such file or folder: ${arg}`);
+    }
+    if (stats.isDirectory()) {
+      await walk(arg);
+    } else {
+      files.push(arg);
+    }
+  }
+  return files;
+};
+
+const COMMANDS = {
+  ingest: {
+    options: {
+      collection: { type: 'string' },
+      metadata: { type: 'string' },
+      'on-duplicate': { type: 'string' },
+      ocr: { type: 'string' },
+      strategy: { type: 'string' },
+      'chunk-size': { type: 'string' },
+      'chunk-overlap': { type: 'string' }
+    },
+    async run(args, options) {
+      if (!args.length) {
+        throw new UsageError('ingest needs one or more files or folders');
+      }
+      const chunking = {
+        ...(options.strategy && { strategy: options.strategy }),
+        ...(options['chunk-size'] && { chunkSize: Number(options['chunk-size']) }),
+        ...(options['chunk-overlap'] && { chunkOverlap: Number(options['chunk-overlap']) })
+      };
+      const metadata = parseJson(options.metadata, 'metadata') || {};
+      validateMetadata(metadata);
+      chunkingService.resolveOptions(chunking);
+      documentService.resolveDuplicatePolicy(options['on-duplicate']);
+      ocrService.resolveMode(options.ocr);
+      const collection = await collectionService.getCollection(options.collection || collectionService.defaultName);
+      const files = await collectFiles(args);
+
+      // Index a file stored in the uploads folder; the stored copy goes again when it isn't needed
+      const ingestUpload = async (name, filename, extraMetadata) => {
+        try {
+          const saved = await documentService.saveDocument(filename, documentService.uploadPath(filename), {
+            collection,
+            chunking,
+            metadata: { ...extraMetadata, ...metadata },
+            onDuplicate: options['on-duplicate'],
+            ocr: options.ocr
+          });
+          if (saved.duplicate) {
+            await documentService.removeUploadIfUnused(filename);
+          }
+          return { path: name, documentId: saved.id, collection: saved.collection, chunkCount: saved.chunkCount, duplicate: saved.duplicate };
+        } catch (error) {
+          await documentService.removeUploadIfUnused(filename).catch(() => {});
+          throw error;
+        }
+      };
+
+      const results = [];
+      const report = (result) => {
+        results.push(result);
+        if (options.json) return;
+        if (result.error) {
+          write(`failed           ${result.path}: ${result.error}`);
+        } else {
+          const state = result.duplicate ? 'existing' : 'added';
+          write(`${state.padEnd(8)} ${`#${result.documentId}`.padStart(7)} ${result.path} (${result.chunkCount} chunks)`);
+        }
+      };
+      const attempt = async (name, fn) => {
+        try {
+          report(await fn());
+        } catch (error) {
+          report({ path: name, error: error.message });
+        }
+      };
+
+      for (const file of files) {
+        if (archiveService.accepts(path.basename(file)) && await archiveService.isArchive(file)) {
+          let entries;
+          try {
+            entries = await archiveService.expand(file, path.dirname(documentService.uploadPath('archive')));
+          } catch (error) {
+            report({ path: file, error: error.message });
+            continue;
+          }
+          for (const entry of entries) {
+            await attempt(`${file}/${entry.name}`, async () => {
+              if (entry.error) throw entry.error;
+              const stored = await documentService.registerUpload(entry.filename);
+              return ingestUpload(`${file}/${entry.name}`, stored.filename, { sourceArchive: path.basename(file), archivePath: entry.name });
+            });
+          }
+        } else {
+          await attempt(file, async () => {
+            if (!textExtractionService.formatForExtension(file)) {
+              throw new Error(`Unsupported file type. Supported formats: ${textExtractionService.supportedExtensions().join(', ')}`);
+            }
+            return ingestUpload(file, await documentService.copyToUploads(file));
+          });
+        }
+      }
+
+      const failed = results.filter(result => result.error).length;
+      const summary = { total: results.length, succeeded: results.length - failed, failed };
+      if (options.json) {
+        write(JSON.stringify({ results, summary }, null, 2));
+      } else {
+        write(`${summary.total} file(s): ${summary.succeeded} ingested, ${summary.failed} failed`);
+      }
+      return failed ? EXIT_FAILED : 0;
+    }
+  },
+
+  search: {
+    options: {
+      collection: { type: 'string', multiple: true },
+      filter: { type: 'string' },
+      mode: { type: 'string', default: 'vector' },
+      limit: { type: 'string' },
+      page: { type: 'string' },
+      passages: { type: 'string' },
+      'min-similarity': { type: 'string' },
+      diversify: { type: 'boolean', default: false },
+      lambda: { type: 'string' },
+      rerank: { type: 'boolean', default: false }
+    },
+    async run(args, options) {
+      const query = args.join(' ').trim();
+      if (!query) {
+        throw new UsageError('search needs a query');
+      }
+      if (!documentService.searchModes.includes(options.mode)) {
+        throw new UsageError(`--mode must be one of: ${documentService.searchModes.join(', ')}`);
+      }
+      const limit = parseCount(options.limit, 'limit', 10);
+      const page = parseCount(options.page, 'page', 1);
+      const collectionIds = await collectionService.resolveScope(options.collection);
+      const results = await documentService.searchDocuments(query, limit, (page - 1) * limit, {
+        passagesPerDocument: parseCount(options.passages, 'passages', 3),
+        mode: options.mode,
+        filter: parseJson(options.filter, 'filter'),
+        collectionIds,
+        minSimilarity: parseNumber(options['min-similarity'], 'min-similarity'),
+        diversify: (options.diversify || options.lambda !== undefined) && { lambda: parseNumber(options.lambda, 'lambda') },
+        rerank: options.rerank
+      });
+      const warnings = options.mode === 'keyword' ? [] : await reindexService.warningsFor(collectionIds);
+
+      if (options.json) {
+        write(JSON.stringify({ results, page, limit, mode: options.mode, ...(warnings.length > 0 && { warnings }) }, null, 2));
+        return 0;
+      }
+      warnings.forEach(warning => console.error(`Warning: ${warning}`));
+      results.forEach((document, i) => {
+        // Hybrid searches rank by fused score, keyword searches by BM25 and vector searches by similarity
+        const retrieval = [['score', document.score], ['similarity', document.similarity], ['bm25', document.passages[0].bm25]]
+          .find(([, number]) => typeof number === 'number');
+        const scores = [typeof document.rerankScore === 'number' && ['rerank', document.rerankScore], retrieval]
+          .filter(Boolean)
+          .map(([label, value]) => ` ${label} ${value.toFixed(4)}`)
+          .join('');
+        write(`${(page - 1) * limit + i + 1}. #${document.id} ${document.filename} [${document.collection}]${scores}`);
+        document.passages.forEach(passage => write(`   ${excerpt(passage.content)}`));
+      });
+      if (!results.length) write('No results');
+      return 0;
+    }
+  },
+
+  list: {
+    options: {
+      collection: { type: 'string', multiple: true },
+      filter: { type: 'string' },
+      limit: { type: 'string' },
+      page: { type: 'string' }
+    },
+    async run(args, options) {
+      const limit = parseCount(options.limit, 'limit', 50);
+      const page = parseCount(options.page, 'page', 1);
+      const documents = await documentService.listDocuments({
+        limit,
+        offset: (page - 1) * limit,
+        collectionIds: await collectionService.resolveScope(options.collection),
+        filter: parseJson(options.filter, 'filter')
+      });
+
+      if (options.json) {
+        write(JSON.stringify({ documents, page, limit }, null, 2));
+        return 0;
+      }
+      documents.forEach(document => write([
+        `#${document.id}`.padStart(7),
+        document.collection.padEnd(16),
+        document.uploadDate,
+        document.filename,
+        Object.keys(document.metadata).length ? JSON.stringify(document.metadata) : ''
+      ].join('  ').trimEnd()));
+      if (!documents.length) write('No documents');
+      return 0;
+    }
+  },
+
+  delete: {
+    options: {
+      'delete-file': { type: 'boolean', default: false }
+    },
+    async run(args, options) {
+      const ids = parseIds(args);
+      if (!ids.length) {
+        throw new UsageError('delete needs one or more document ids');
+      }
+      const results = [];
+      for (const id of ids) {
+        try {
+          results.push(await documentService.deleteDocument(id, { deleteFile: options['delete-file'] }));
+        } catch (error) {
+          if (!error.status) throw error;
+          results.push({ id, error: error.message });
+        }
+      }
+
+      if (options.json) {
+        write(JSON.stringify({ results }, null, 2));
+      } else {
+        results.forEach(result => write(result.error
+          ? `#${result.id}: ${result.error}`
+          : `#${result.id}: deleted with ${result.chunksDeleted} chunks${result.fileDeleted ? ' and its file' : ''}`));
+      }
+      return results.some(result => result.error) ? EXIT_FAILED : 0;
+    }
+  },
+
+  reindex: {
+    options: {
+      collection: { type: 'string' },
+      provider: { type: 'string' },
+      model: { type: 'string' }
+    },
+    async run(args, options) {
+      const ids = parseIds(args);
+      if (ids.length && (options.collection || options.provider || options.model)) {
+        throw new UsageError('reindex takes either document ids or --collection, --provider and --model');
+      }
+
+      if (!ids.length) {
+        const payload = await reindexService.planReindex({
+          collection: options.collection,
+          embeddingProvider: options.provider,
+          embeddingModel: options.model
+        });
+        const job = await jobService.runNow('reindex', payload);
+        if (options.json) {
+          write(JSON.stringify(job, null, 2));
+        } else if (job.status === 'completed') {
+          write(`Re-indexed ${payload.collections.map(target => `${target.name} (${target.provider}:${target.model})`).join(', ')}: ${job.progress.done} chunks`);
+        } else {
+          write(`Re-index failed: ${job.error}`);
+        }
+        return job.status === 'completed' ? 0 : EXIT_FAILED;
+      }
+
+      const results = [];
+      for (const id of ids) {
+        try {
+          const result = await documentService.reprocessDocument(id);
+          results.push({ id, chunkCount: result.chunkCount });
+        } catch (error) {
+          results.push({ id, error: error.message });
+        }
+      }
+      if (options.json) {
+        write(JSON.stringify({ results }, null, 2));
+      } else {
+        results.forEach(result => write(result.error ? `#${result.id}: ${result.error}` : `#${result.id}: ${result.chunkCount} chunks`));
+      }
+      return results.some(result => result.error) ? EXIT_FAILED : 0;
+    }
+  },
+
+  stats: {
+    options: {},
+    async run(args, options) {
+      const [models, jobs, size] = await Promise.all([
+        reindexService.getStatus(),
+        all('SELECT status, COUNT(*) AS count FROM jobs GROUP BY status'),
+        fs.promises.stat(db.filename).then(stats => stats.size, () => null)
+      ]);
+      const collections = (await collectionService.listCollections()).map(collection => {
+        const status = models.find(model => model.collection === collection.name);
+        return {
+          name: collection.name,
+          documents: collection.documentCount,
+          chunks: collection.chunkCount,
+          embeddingModel: status.model,
+          staleChunks: status.staleChunks
+        };
+      });
+      const stats = {
+        documents: collections.reduce((sum, collection) => sum + collection.documents, 0),
+        chunks: collections.reduce((sum, collection) => sum + collection.chunks, 0),
+        collections,
+        jobs: Object.fromEntries(jobService.statuses.map(status => [status, (jobs.find(row => row.status === status) || { count: 0 }).count])),
+        vectorSearch: vectorStoreService.getStatus(),
+        database: { path: db.filename, bytes: size }
+      };
+
+      if (options.json) {
+        write(JSON.stringify(stats, null, 2));
+        return 0;
+      }
+      write(`${stats.documents} documents, ${stats.chunks} chunks in ${collections.length} collection(s)`);
+      collections.forEach(collection => write(
+        `  ${collection.name.padEnd(16)} ${String(collection.documents).padStart(6)} documents ${String(collection.chunks).padStart(8)} chunks  ${collection.embeddingModel}` +
+        (collection.staleChunks ? `  (${collection.staleChunks} chunks need a re-index)` : '')
+      ));
+      write(`Jobs: ${Object.entries(stats.jobs).map(([status, count]) => `${count} ${status}`).join(', ')}`);
+      write(`Vector search: ${stats.vectorSearch.backend}`);
+      write(`Database: ${db.filename}${size === null ? '' : ` (${(size / 1024 / 1024).toFixed(1)} MB)`}`);
+      return 0;
+    }
+  },
+
+  export: {
+    options: {
+      collection: { type: 'string', multiple: true },
+      filter: { type: 'string' },
+      'include-files': { type: 'boolean', default: false },
+      output: { type: 'string' }
+    },
+    async run(args, options) {
+      const collectionIds = await collectionService.resolveScope(options.collection);
+      const filter = parseJson(options.filter, 'filter');
+      const out = options.output ? fs.createWriteStream(options.output, { flags: 'wx' }) : process.stdout;
+      const counts = await exportService.exportIndex(out, { collectionIds, filter, includeFiles: options['include-files'] });
+
+      if (options.output) {
+        await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+        console.error(`Exported ${counts.documents} document(s) with ${counts.chunks} chunks to ${options.output}`);
+      }
+      return 0;
+    }
+  },
+
+  import: {
+    options: {
+      'on-duplicate': { type: 'string' }
+    },
+    async run(args, options) {
+      if (args.length !== 1) {
+        throw new UsageError('import needs the export file, or - for stdin');
+      }
+      const input = args[0] === '-' ? process.stdin : fs.createReadStream(args[0]);
+      const result = await exportService.importIndex(input, { onDuplicate: options['on-duplicate'] });
+
+      if (options.json) {
+        write(JSON.stringify(result, null, 2));
+      } else {
+        const { created, existing } = result.collections;
+        const { imported, existing: kept, failed } = result.documents;
+        write(`Collections: ${created.length} created${created.length ? ` (${created.join(', ')})` : ''}, ${existing.length} existing`);
+        write(`Documents: ${imported} imported with ${result.chunks} chunks, ${kept} already there, ${failed} failed`);
+        result.errors.forEach(error => write(`  ${error.id ? `#${error.id} ${error.filename}` : error.collection || `line ${error.line}`}: ${error.error}`));
+        result.warnings.forEach(warning => console.error(`Warning: ${warning}`));
+      }
+      return result.errors.length ? EXIT_FAILED : 0;
+    }
+  },
+
+  backup: {
+    options: {
+      output: { type: 'string' }
+    },
+    async run(args, options) {
+      const backup = await backupService.createBackup(options.output);
+      write(options.json ? JSON.stringify(backup, null, 2) : `Backed up to ${backup.path} (${(backup.bytes / 1024 / 1024).toFixed(1)} MB)`);
+      return 0;
+    }
+  }
+};
+
+async function main() {
+  const [name, ...rest] = process.argv.slice(2);
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new UsageError(name
+      ? `Unknown command: ${name} (expected ${Object.keys(COMMANDS).join(', ')})`
+      : `Usage: rag <command> [arguments] [options]; commands: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: { ...command.options, json: { type: 'boolean', default: false } }, allowPositionals: true });
+  } catch (parseError) {
+    throw new UsageError(parseError.message);
+  }
+
+  try {
+    if ((await migrations.getStatus()).some(migration => !migration.appliedAt)) {
+      throw new Error('The database has pending migrations; run npm run migrate first');
+    }
+    await vectorStoreService.init();
+    return await command.run(parsed.positionals, parsed.values);
+  } finally {
+    await new Promise(resolve => db.close(resolve));
+  }
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`Failed: ${error.message}`);
+    // Invalid options caught by the services are usage errors as well
+    process.exitCode = error instanceof UsageError || error.status === 400 ? EXIT_USAGE : EXIT_FAILED;
+  });
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Create, list and revoke API keys without going through the API, e.g. to
+ * create the first admin key.
+ *
+ * Usage: npm run api-keys -- create --name <name> --scopes search,ingest [--rate-limit N] [--daily-quota N]
+ *        npm run api-keys -- list
+ *        npm run api-keys -- revoke <id>
+ *
+ * The database is DB_PATH (from the environment or .env), db/rag.db by default.
+ */
+require('dotenv').config();
+const db = require('../src/utils/database');
+const migrations = require('../src/utils/migrations');
+const apiKeyService = require('../src/services/apiKeyService');
+
+// --name value pairs after the command
+const parseOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!args[i].startsWith('--') || args[i + 1] === undefined) {
+      throw new Error(`Expected --option value, got: ${args.slice(i).join(' ')}`);
+    }
+    options[args[i].slice(2)] = args[i + 1];
+  }
+  return options;
+};
+
+const optionalInt = (value) => (value === undefined ? undefined : Number(value));
+
+const describe = (key) => [
+  String(key.id).padStart(4),
+  key.name.padEnd(24),
+  `${key.prefix}...`,
+  key.scopes.join(',').padEnd(20),
+  `rate ${key.rateLimit === null ? 'default' : key.rateLimit}/min`,
+  `quota ${key.dailyQuota === null ? 'default' : key.dailyQuota}/day`,
+  `today ${key.requestsToday}`,
+  key.revokedAt ? `revoked ${key.revokedAt}` : `last used ${key.lastUsedAt || 'never'}`
+].join('  ');
+
+const COMMANDS = {
+  async create(args) {
+    const options = parseOptions(args);
+    const key = await apiKeyService.createKey({
+      name: options.name,
+      scopes: (options.scopes || '').split(',').filter(Boolean),
+      rateLimit: optionalInt(options['rate-limit']),
+      dailyQuota: optionalInt(options['daily-quota'])
+    });
+    console.log(describe(key));
+    console.log(`\nKey: ${key.key}\nStore it now; it cannot be shown again.`);
+  },
+
+  async list() {
+    const keys = await apiKeyService.listKeys();
+    keys.forEach(key => console.log(describe(key)));
+    if (!keys.length) console.log('No API keys');
+  },
+
+  async revoke([id]) {
+    console.log(describe(await apiKeyService.revokeKey(parseInt(id, 10))));
+  }
+};
+
+async function main() {
+  const [command = 'list', ...args] = process.argv.slice(2);
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command: ${command} (expected ${Object.keys(COMMANDS).join(', ')})`);
+  }
+  try {
+    if ((await migrations.getStatus()).some(migration => !migration.appliedAt)) {
+      throw new Error('The database has pending migrations; run npm run migrate first');
+    }
+    await COMMANDS[command](args);
+  } finally {
+    await new Promise(resolve => db.close(resolve));
+  }
+}
+
+main().catch(error => {
+  console.error('Failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Compare vector search latency with and without the vec0 index on synthetic
+ * vectors: a full scan with vec_distance_cosine over BLOB rows, as without
+ * the index, against a KNN query on a vec0 table.
+ *
+ * Usage: npm run benchmark:vectors -- [--sizes 10000,100000] [--dimensions 384]
+ *          [--queries 50] [--k 50] [--extension path/to/vec0.so]
+ *
+ * The extension is found as by the server (SQLITE_VEC_PATH, the sqlite-vec
+ * package, db/vec0.*) unless --extension is given.
+ *
+ * The vectors go into a temporary database file, deleted at the end.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { toBuffer } = require('../src/utils/vector');
+const sqliteVec = require('../src/utils/sqliteVec');
+
+const parseArgs = (argv) => {
+  const args = {
+    sizes: '10000,100000',
+    dimensions: '384',
+    queries: '50',
+    k: '50',
+    extension: sqliteVec.resolvePath()
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in args) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    args[name] = argv[i + 1];
+  }
+  return {
+    sizes: args.sizes.split(',').map(Number),
+    dimensions: Number(args.dimensions),
+    queries: Number(args.queries),
+    k: Number(args.k),
+    extension: args.extension
+  };
+};
+
+const promisify = (db) => ({
+  run: (sql, params = []) => new Promise((resolve, reject) => db.run(sql, params, err => (err ? reject(err) : resolve()))),
+  all: (sql, params = []) => new Promise((resolve, reject) => db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows))))
+});
+
+// Unit-length vectors with normally distributed components
+const randomVector = (dimensions) => {
+  const vector = Array.from({ length: dimensions }, () => {
+    const u = 1 - Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+  });
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return vector.map(value => value / norm);
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+
+async function time(queries, fn) {
+  const durations = [];
+  for (const query of queries) {
+    const start = process.hrtime.bigint();
+    await fn(query);
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  durations.sort((a, b) => a - b);
+  return { p50: percentile(durations, 0.5), p95: percentile(durations, 0.95) };
+}
+
+async function benchmark(sql, size, { dimensions, queries, k }) {
+  await sql.run('DROP TABLE IF EXISTS vectors');
+  await sql.run('DROP TABLE IF EXISTS vec_vectors');
+  await sql.run('CREATE TABLE vectors (id INTEGER PRIMARY KEY, vector BLOB)');
+  await sql.run(`CREATE VIRTUAL TABLE vec_vectors USING vec0(id INTEGER PRIMARY KEY, embedding float[${dimensions}] distance_metric=cosine)`);
+
+  const insertStart = Date.now();
+  await sql.run('BEGIN');
+  for (let id = 1; id <= size; id++) {
+    const vector = toBuffer(randomVector(dimensions));
+    await sql.run('INSERT INTO vectors (id, vector) VALUES (?, ?)', [id, vector]);
+    await sql.run('INSERT INTO vec_vectors (id, embedding) VALUES (?, ?)', [id, vector]);
+  }
+  await sql.run('COMMIT');
+  const insertSeconds = (Date.now() - insertStart) / 1000;
+
+  const queryVectors = Array.from({ length: queries }, () => toBuffer(randomVector(dimensions)));
+  const scan = await time(queryVectors, vector => sql.all(
+    'SELECT id, vec_distance_cosine(vector, ?) AS distance FROM vectors ORDER BY distance LIMIT ?',
+    [vector, k]
+  ));
+  const knn = await time(queryVectors, vector => sql.all(
+    'SELECT id, distance FROM vec_vectors WHERE embedding MATCH ? AND k = ?',
+    [vector, k]
+  ));
+
+  return { size, insertSeconds, scan, knn };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.extension) {
+    throw new Error(`sqlite-vec not found (looked for ${sqliteVec.candidatePaths().join(', ')}); pass --extension`);
+  }
+  const file = path.join(os.tmpdir(), `vector-benchmark-${process.pid}.db`);
+  const db = new sqlite3.Database(file);
+  const sql = promisify(db);
+
+  try {
+    await new Promise((resolve, reject) => db.loadExtension(options.extension, err => (err ? reject(err) : resolve())));
+    console.log(`${options.queries} queries, top ${options.k} of ${options.dimensions}-dimensional vectors\n`);
+    console.log('vectors   | insert (s) | scan p50 / p95 (ms) | vec0 p50 / p95 (ms) | speedup (p50)');
+    for (const size of options.sizes) {
+      const { insertSeconds, scan, knn } = await benchmark(sql, size, options);
+      console.log([
+        String(size).padEnd(9),
+        insertSeconds.toFixed(1).padStart(10),
+        `${scan.p50.toFixed(1)} / ${scan.p95.toFixed(1)}`.padStart(19),
+        `${knn.p50.toFixed(1)} / ${knn.p95.toFixed(1)}`.padStart(19),
+        `${(scan.p50 / knn.p50).toFixed(1)}x`.padStart(13)
+      ].join(' | '));
+    }
+  } finally {
+    await new Promise(resolve => db.close(resolve));
+    fs.rmSync(file, { force: true });
+  }
+}
+
+main().catch(error => {
+  console.error('Benchmark failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Show or apply the database migrations in src/migrations. The server applies
+ * pending migrations itself at startup; this is for checking a database
+ * first, or migrating it without starting the server.
+ *
+ * Usage: npm run migrate:status   list migrations and whether they are applied
+ *        npm run migrate          apply pending migrations
+ *
+ * The database is DB_PATH (from the environment or .env), db/rag.db by default.
+ */
+require('dotenv').config();
+const db = require('../src/utils/database');
+const migrations = require('../src/utils/migrations');
+
+const COMMANDS = {
+  async status() {
+    const status = await migrations.getStatus();
+    for (const { version, name, appliedAt, unknown } of status) {
+      const state = appliedAt ? `applied ${appliedAt}` : 'pending';
+      console.log(`${String(version).padStart(3, '0')}-${name.padEnd(30)} ${state}${unknown ? ' (unknown to this version)' : ''}`);
+    }
+    const pending = status.filter(migration => !migration.appliedAt).length;
+    console.log(pending ? `\n${pending} pending migration(s); run npm run migrate to apply` : '\nDatabase is up to date');
+  },
+
+  async up() {
+    const applied = await migrations.migrate();
+    console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+  }
+};
+
+async function main() {
+  const command = process.argv[2] || 'status';
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command: ${command} (expected ${Object.keys(COMMANDS).join(' or ')})`);
+  }
+  try {
+    await COMMANDS[command]();
+  } finally {
+    await new Promise(resolve => db.close(resolve));
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+const apiKeyService = require('../services/apiKeyService');
+
+// The key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const readKey = (req) => {
+  const authorization = req.get('authorization');
+  if (authorization && /^Bearer\s/i.test(authorization)) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+};
+
+/**
+ * Authenticate a request by its API key and count it against the key's rate
+ * limit and quota; the key is set as req.apiKey. Every request passes when
+ * API_AUTH is not on.
+ */
+async function authenticate(req, res, next) {
+  if (!apiKeyService.enabled) {
+    return next();
+  }
+  try {
+    const key = readKey(req);
+    const apiKey = key && await apiKeyService.authenticate(key);
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: key ? 'Invalid API key' : 'API key required' });
+    }
+    req.apiKey = apiKey;
+
+    const rate = await apiKeyService.consume(apiKey);
+    if (rate) {
+      res.set({ 'X-RateLimit-Limit': rate.limit, 'X-RateLimit-Remaining': rate.remaining, 'X-RateLimit-Reset': rate.reset });
+    }
+    next();
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    next(error);
+  }
+}
+
+/**
+ * Only let requests through whose API key has one of the scopes (admin keys have all).
+ * @param {...string} scopes
+ * @returns {Function} Middleware, to run after authenticate
+ */
+function requireScope(...scopes) {
+  return (req, res, next) => {
+    if (!apiKeyService.enabled || scopes.some(scope => apiKeyService.hasScope(req.apiKey, scope))) {
+      return next();
+    }
+    res.status(403).json({ error: `API key lacks the ${scopes.join(' or ')} scope` });
+  };
+}
+
+module.exports = { authenticate, requireScope };
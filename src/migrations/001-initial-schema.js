@@ -0,0 +1,162 @@
+const { run, all } = require('../utils/dbAsync');
+
+// Databases created before migrations existed may lack columns added since;
+// resolves true when the column was just added, e.g. to backfill existing rows
+async function addColumnIfMissing(table, column, type) {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (columns.some(c => c.name === column)) return false;
+  await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  return true;
+}
+
+/**
+ * The schema as created by utils/database.js before versioned migrations.
+ * Everything is created if missing, so this also brings databases of any
+ * earlier release up to date: those run it as their first migration.
+ */
+module.exports = {
+  async up() {
+    // Collections table; every document belongs to exactly one collection
+    await run(`
+      CREATE TABLE IF NOT EXISTS collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        embedding_provider TEXT,
+        embedding_model TEXT,
+        chunking TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Collections from before providers were configurable were embedded by the embedding service
+    if (await addColumnIfMissing('collections', 'embedding_provider', 'TEXT')) {
+      await run(`UPDATE collections SET embedding_provider = 'service' WHERE embedding_provider IS NULL`);
+    }
+
+    await run(
+      "INSERT OR IGNORE INTO collections (name, description, embedding_provider, embedding_model) VALUES ('default', 'Documents processed without a collection', ?, ?)",
+      [process.env.EMBEDDING_PROVIDER || 'service', process.env.EMBEDDING_MODEL || null]
+    );
+
+    // Documents table
+    await run(`
+      CREATE TABLE IF NOT EXISTS documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT NOT NULL,
+        content_preview TEXT,
+        chunking TEXT,
+        metadata TEXT,
+        content_hash TEXT,
+        version INTEGER DEFAULT 1,
+        version_of INTEGER,
+        collection_id INTEGER,
+        upload_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_date DATETIME,
+        FOREIGN KEY (collection_id) REFERENCES collections (id)
+      )
+    `);
+
+    await addColumnIfMissing('documents', 'chunking', 'TEXT');
+    await addColumnIfMissing('documents', 'updated_date', 'DATETIME');
+    await addColumnIfMissing('documents', 'metadata', 'TEXT');
+    // SHA-256 of the source file; filled in for older documents by documentService.indexUploads
+    await addColumnIfMissing('documents', 'content_hash', 'TEXT');
+    await addColumnIfMissing('documents', 'version', 'INTEGER DEFAULT 1');
+    await addColumnIfMissing('documents', 'version_of', 'INTEGER');
+    // Documents from before collections existed move into the default collection
+    if (await addColumnIfMissing('documents', 'collection_id', 'INTEGER REFERENCES collections (id)')) {
+      await run("UPDATE documents SET collection_id = (SELECT id FROM collections WHERE name = 'default') WHERE collection_id IS NULL");
+    }
+
+    await run('CREATE INDEX IF NOT EXISTS idx_documents_content_hash ON documents (content_hash)');
+    await run('CREATE INDEX IF NOT EXISTS idx_documents_collection_id ON documents (collection_id)');
+
+    // Files in the uploads folder by content, so identical uploads share one copy
+    await run(`
+      CREATE TABLE IF NOT EXISTS files (
+        filename TEXT PRIMARY KEY,
+        content_hash TEXT NOT NULL,
+        size INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_files_content_hash ON files (content_hash)');
+
+    // Embeddings table, one row per chunk (vectors stored as BLOB)
+    await run(`
+      CREATE TABLE IF NOT EXISTS embeddings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        doc_id INTEGER,
+        chunk_index INTEGER,
+        start_offset INTEGER,
+        end_offset INTEGER,
+        content TEXT,
+        vector BLOB,
+        model TEXT,
+        dimensions INTEGER,
+        FOREIGN KEY (doc_id) REFERENCES documents (id)
+      )
+    `);
+
+    // Databases created before chunk-level storage only have doc_id and vector
+    await addColumnIfMissing('embeddings', 'chunk_index', 'INTEGER');
+    await addColumnIfMissing('embeddings', 'start_offset', 'INTEGER');
+    await addColumnIfMissing('embeddings', 'end_offset', 'INTEGER');
+    await addColumnIfMissing('embeddings', 'content', 'TEXT');
+    // Provider id and length of each vector; filled in for older rows by reindexService.backfillModels
+    await addColumnIfMissing('embeddings', 'model', 'TEXT');
+    await addColumnIfMissing('embeddings', 'dimensions', 'INTEGER');
+
+    await run('CREATE INDEX IF NOT EXISTS idx_embeddings_doc_id ON embeddings (doc_id)');
+    // Covers the per-collection model checks without reading the vectors
+    await run('CREATE INDEX IF NOT EXISTS idx_embeddings_doc_model ON embeddings (doc_id, model, dimensions)');
+
+    // Vectors computed by a running re-index, swapped into embeddings when it completes
+    await run(`
+      CREATE TABLE IF NOT EXISTS reindex_vectors (
+        job_id INTEGER NOT NULL,
+        embedding_id INTEGER NOT NULL,
+        vector BLOB NOT NULL,
+        PRIMARY KEY (job_id, embedding_id)
+      )
+    `);
+
+    // Ingestion jobs, persisted so queued and interrupted work survives a restart
+    await run(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        payload TEXT,
+        result TEXT,
+        error TEXT,
+        progress_done INTEGER DEFAULT 0,
+        progress_total INTEGER,
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER,
+        run_after DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME
+      )
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_jobs_status_run_after ON jobs (status, run_after)');
+
+    // Embeddings by text and model, so unchanged chunks and repeated queries skip the provider
+    await run(`
+      CREATE TABLE IF NOT EXISTS embedding_cache (
+        model TEXT NOT NULL,
+        text_hash TEXT NOT NULL,
+        vector BLOB NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used INTEGER NOT NULL,
+        PRIMARY KEY (model, text_hash)
+      )
+    `);
+
+    await run('CREATE INDEX IF NOT EXISTS idx_embedding_cache_last_used ON embedding_cache (last_used)');
+  }
+};
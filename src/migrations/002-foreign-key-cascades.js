@@ -0,0 +1,100 @@
+const { run, get, all } = require('../utils/dbAsync');
+
+/**
+ * Replace a table with one created by createSql, keeping its rows, indexes
+ * and AUTOINCREMENT counter; SQLite cannot alter the constraints of a table
+ * in place. Triggers on the table are lost and must be recreated.
+ */
+async function rebuildTable(table, createSql, indexes = []) {
+  const columns = (await all(`PRAGMA table_info(${table})`)).map(column => column.name).join(', ');
+  const sequence = await get('SELECT seq FROM sqlite_sequence WHERE name = ?', [table]);
+
+  await run(createSql.replace(table, `${table}_new`));
+  await run(`INSERT INTO ${table}_new (${columns}) SELECT ${columns} FROM ${table}`);
+  await run(`DROP TABLE ${table}`);
+  await run(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+  if (sequence) {
+    await run('UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?', [sequence.seq, table]);
+  }
+  for (const index of indexes) {
+    await run(index);
+  }
+}
+
+/**
+ * Deleting a collection deletes its documents, deleting a document its
+ * chunks, and deleting a chunk or job its staged re-index vectors. Rows that
+ * already point at nothing are cleaned up first: documents without a
+ * collection move to the default collection, orphaned chunks are deleted.
+ */
+module.exports = {
+  async up() {
+    // The full-text and vector index triggers go with the old embeddings table anyway; dropping
+    // them first keeps the cleanup below from needing sqlite-vec. Both are recreated after migrating.
+    const triggers = await all("SELECT name FROM sqlite_master WHERE type = 'trigger' AND tbl_name = 'embeddings'");
+    for (const { name } of triggers) {
+      await run(`DROP TRIGGER ${name}`);
+    }
+
+    await run(`UPDATE documents SET collection_id = (SELECT id FROM collections WHERE name = 'default')
+               WHERE collection_id IS NULL OR collection_id NOT IN (SELECT id FROM collections)`);
+    const { changes: orphans } = await run('DELETE FROM embeddings WHERE doc_id IS NULL OR doc_id NOT IN (SELECT id FROM documents)');
+    await run(`DELETE FROM reindex_vectors
+               WHERE job_id NOT IN (SELECT id FROM jobs) OR embedding_id NOT IN (SELECT id FROM embeddings)`);
+
+    await rebuildTable('documents', `
+      CREATE TABLE documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT NOT NULL,
+        content_preview TEXT,
+        chunking TEXT,
+        metadata TEXT,
+        content_hash TEXT,
+        version INTEGER DEFAULT 1,
+        version_of INTEGER,
+        collection_id INTEGER NOT NULL,
+        upload_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_date DATETIME,
+        FOREIGN KEY (collection_id) REFERENCES collections (id) ON DELETE CASCADE
+      )
+    `, [
+      'CREATE INDEX idx_documents_content_hash ON documents (content_hash)',
+      'CREATE INDEX idx_documents_collection_id ON documents (collection_id)'
+    ]);
+
+    await rebuildTable('embeddings', `
+      CREATE TABLE embeddings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        doc_id INTEGER NOT NULL,
+        chunk_index INTEGER,
+        start_offset INTEGER,
+        end_offset INTEGER,
+        content TEXT,
+        vector BLOB,
+        model TEXT,
+        dimensions INTEGER,
+        FOREIGN KEY (doc_id) REFERENCES documents (id) ON DELETE CASCADE
+      )
+    `, [
+      'CREATE INDEX idx_embeddings_doc_id ON embeddings (doc_id)',
+      'CREATE INDEX idx_embeddings_doc_model ON embeddings (doc_id, model, dimensions)'
+    ]);
+
+    await rebuildTable('reindex_vectors', `
+      CREATE TABLE reindex_vectors (
+        job_id INTEGER NOT NULL,
+        embedding_id INTEGER NOT NULL,
+        vector BLOB NOT NULL,
+        PRIMARY KEY (job_id, embedding_id),
+        FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE,
+        FOREIGN KEY (embedding_id) REFERENCES embeddings (id) ON DELETE CASCADE
+      )
+    `);
+
+    // The deleted chunks were still in the full-text index
+    const fullTextIndex = await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'embeddings_fts'");
+    if (orphans && fullTextIndex) {
+      await run("INSERT INTO embeddings_fts (embeddings_fts) VALUES ('rebuild')");
+    }
+  }
+};
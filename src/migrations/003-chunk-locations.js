@@ -0,0 +1,12 @@
+const { run } = require('../utils/dbAsync');
+
+/**
+ * Where each chunk comes from in its source file, as JSON: the page or
+ * sheet range and the heading path (see chunkingService.locate). Chunks
+ * stored before are left without one until their document is reprocessed.
+ */
+module.exports = {
+  async up() {
+    await run('ALTER TABLE embeddings ADD COLUMN location TEXT');
+  }
+};
@@ -0,0 +1,11 @@
+const { run } = require('../utils/dbAsync');
+
+/**
+ * The pages of a document that were read by OCR and Tesseract's confidence
+ * for each, as JSON [{page, confidence}]; null when no OCR was needed.
+ */
+module.exports = {
+  async up() {
+    await run('ALTER TABLE documents ADD COLUMN ocr_pages TEXT');
+  }
+};
@@ -0,0 +1,34 @@
+const { run } = require('../utils/dbAsync');
+
+/**
+ * API keys, stored as SHA-256 hashes of the key, with their scopes and
+ * limits, and the number of requests each key made per day for its quota.
+ */
+module.exports = {
+  async up() {
+    await run(`
+      CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        rate_limit INTEGER,
+        daily_quota INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        revoked_at DATETIME
+      )
+    `);
+
+    await run(`
+      CREATE TABLE api_key_usage (
+        key_id INTEGER NOT NULL,
+        day TEXT NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (key_id, day),
+        FOREIGN KEY (key_id) REFERENCES api_keys (id) ON DELETE CASCADE
+      )
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+const { run } = require('../utils/dbAsync');
+
+/**
+ * Files of the watched source folders (see syncService) and the documents
+ * they were indexed as. owns_document is 0 when the file's content was
+ * already a document in the collection, which the file then only points at.
+ */
+module.exports = {
+  async up() {
+    await run(`
+      CREATE TABLE sync_files (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        path TEXT NOT NULL,
+        size INTEGER,
+        mtime_ms INTEGER,
+        content_hash TEXT,
+        document_id INTEGER,
+        owns_document INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL,
+        error TEXT,
+        synced_at DATETIME,
+        UNIQUE (source, path),
+        FOREIGN KEY (document_id) REFERENCES documents (id) ON DELETE SET NULL
+      )
+    `);
+    await run('CREATE INDEX idx_sync_files_document ON sync_files (document_id)');
+  }
+};
@@ -0,0 +1,12 @@
+const { run } = require('../utils/dbAsync');
+
+/**
+ * The process running a job, as "<host name>:<process id>", so that a server
+ * starting up only requeues the running jobs whose process is gone, and not
+ * those the command line is running next to it.
+ */
+module.exports = {
+  async up() {
+    await run('ALTER TABLE jobs ADD COLUMN owner TEXT');
+  }
+};
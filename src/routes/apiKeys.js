@@ -0,0 +1,121 @@
+const express = require('express');
+const apiKeyService = require('../services/apiKeyService');
+const { requireScope } = require('../middleware/auth');
+
+module.exports = () => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/keys:
+   *   post:
+   *     summary: Create API Key
+   *     description: Create an API key with scopes and limits. The key is only returned in this response; the server stores its hash. Requires the admin scope.
+   *     tags: [API Keys]
+   *     parameters:
+   *       - in: body
+   *         name: keyRequest
+   *         required: true
+   *         schema:
+   *           $ref: '#/definitions/CreateApiKeyRequest'
+   *     responses:
+   *       201:
+   *         description: API key created
+   *         schema:
+   *           $ref: '#/definitions/CreatedApiKey'
+   *       400:
+   *         description: Bad request - name missing, unknown scopes or invalid limits
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/keys', requireScope('admin'), async (req, res) => {
+    try {
+      const { name, scopes, rateLimit, dailyQuota } = req.body;
+      res.status(201).json(await apiKeyService.createKey({ name, scopes, rateLimit, dailyQuota }));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Create API key error:', error);
+      res.status(500).json({ error: 'Failed to create API key' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/keys:
+   *   get:
+   *     summary: List API Keys
+   *     description: List API keys, revoked ones included, with their scopes, limits and requests today. Keys themselves are not returned, only their first characters. Requires the admin scope.
+   *     tags: [API Keys]
+   *     responses:
+   *       200:
+   *         description: API keys returned successfully
+   *         schema:
+   *           $ref: '#/definitions/ApiKeysResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/keys', requireScope('admin'), async (req, res) => {
+    try {
+      res.json({ keys: await apiKeyService.listKeys() });
+    } catch (error) {
+      console.error('List API keys error:', error);
+      res.status(500).json({ error: 'Failed to list API keys' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/keys/{id}:
+   *   delete:
+   *     summary: Revoke API Key
+   *     description: Revoke an API key; requests made with it are refused from now on. Requires the admin scope.
+   *     tags: [API Keys]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         type: integer
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: API key revoked
+   *         schema:
+   *           $ref: '#/definitions/ApiKey'
+   *       400:
+   *         description: Invalid id
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: API key not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.delete('/keys/:id', requireScope('admin'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid API key id' });
+      }
+      res.json(await apiKeyService.revokeKey(id));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Revoke API key error:', error);
+      res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+  });
+
+  return router;
+};
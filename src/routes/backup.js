@@ -0,0 +1,189 @@
+const express = require('express');
+const exportService = require('../services/exportService');
+const backupService = require('../services/backupService');
+const collectionService = require('../services/collectionService');
+const documentService = require('../services/documentService');
+const { ValidationError } = require('../utils/errors');
+const { requireScope } = require('../middleware/auth');
+
+module.exports = () => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/export:
+   *   get:
+   *     summary: Export the Index
+   *     description: Stream documents with their metadata, chunks and vectors as JSON lines (application/x-ndjson), to import into another instance with POST /api/import. The first line is a header, then come the collections, one line per document and an end line with the counts.
+   *     tags: [Backup]
+   *     produces:
+   *       - application/x-ndjson
+   *     parameters:
+   *       - in: query
+   *         name: collection
+   *         type: string
+   *         description: Only these collections, comma-separated; all when omitted
+   *       - in: query
+   *         name: filter
+   *         type: string
+   *         description: Only documents matching this metadata filter, as JSON
+   *       - in: query
+   *         name: includeFiles
+   *         type: boolean
+   *         default: false
+   *         description: Add the source files (base64), so imported documents can be reprocessed
+   *     responses:
+   *       200:
+   *         description: The export, streamed
+   *       400:
+   *         description: Bad request - invalid filter
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/export', requireScope('admin'), async (req, res) => {
+    let collectionIds;
+    let scope;
+    try {
+      let filter;
+      try {
+        filter = req.query.filter ? JSON.parse(req.query.filter) : undefined;
+      } catch (parseError) {
+        throw new ValidationError('filter must be valid JSON');
+      }
+      collectionIds = await collectionService.resolveScope(req.query.collection, req.query.collections);
+      // An invalid filter fails here, while an error status can still be sent
+      scope = documentService.scopeConditions({ collectionIds, filter });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Export error:', error);
+      return res.status(500).json({ error: 'Failed to export' });
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.set({ 'Content-Type': 'application/x-ndjson', 'Content-Disposition': `attachment; filename="rag-export-${stamp}.jsonl"` });
+    try {
+      const includeFiles = req.query.includeFiles === 'true' || req.query.includeFiles === '1';
+      await exportService.exportIndex(res, { collectionIds, scope, includeFiles });
+      res.end();
+    } catch (error) {
+      // Too late for an error status; the missing end line tells the importer
+      console.error('Export error:', error);
+      res.destroy(error);
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/import:
+   *   post:
+   *     summary: Import an Export
+   *     description: Import the JSON lines written by GET /api/export, sent as the request body (Content-Type application/x-ndjson). Missing collections are created with the exported settings; documents get new ids, mapped in the response. A document whose content is already in its collection is handled by onDuplicate. Other failures are reported per document and the import goes on.
+   *     tags: [Backup]
+   *     consumes:
+   *       - application/x-ndjson
+   *     parameters:
+   *       - in: query
+   *         name: onDuplicate
+   *         type: string
+   *         enum: [reject, existing, version]
+   *         default: existing
+   *         description: existing keeps the document already there, version imports the document as its new version, reject reports it as failed
+   *       - in: body
+   *         name: export
+   *         required: true
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Import finished
+   *         schema:
+   *           $ref: '#/definitions/ImportResult'
+   *       400:
+   *         description: Bad request - not an export, or invalid onDuplicate
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/import', requireScope('admin'), async (req, res) => {
+    try {
+      if (req.is('application/json') || req.is('multipart/form-data') || req.is('application/x-www-form-urlencoded')) {
+        throw new ValidationError('Send the export as the request body with Content-Type application/x-ndjson');
+      }
+      res.json(await exportService.importIndex(req, { onDuplicate: req.query.onDuplicate }));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Import error:', error);
+      res.status(500).json({ error: 'Failed to import' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/backups:
+   *   post:
+   *     summary: Back Up the Database
+   *     description: Copy the database into BACKUP_DIR with SQLite's online backup API. The copy is consistent even while documents are being written, and can replace rag.db as it is.
+   *     tags: [Backup]
+   *     responses:
+   *       201:
+   *         description: Backup created
+   *         schema:
+   *           $ref: '#/definitions/Backup'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/backups', requireScope('admin'), async (req, res) => {
+    try {
+      res.status(201).json(await backupService.createBackup());
+    } catch (error) {
+      console.error('Backup error:', error);
+      res.status(500).json({ error: 'Failed to back up the database' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/backups:
+   *   get:
+   *     summary: List Backups
+   *     description: The backups in BACKUP_DIR, newest first
+   *     tags: [Backup]
+   *     responses:
+   *       200:
+   *         description: Backups returned successfully
+   *         schema:
+   *           type: object
+   *           properties:
+   *             backups:
+   *               type: array
+   *               items:
+   *                 $ref: '#/definitions/Backup'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/backups', requireScope('admin'), async (req, res) => {
+    try {
+      res.json({ backups: await backupService.listBackups() });
+    } catch (error) {
+      console.error('List backups error:', error);
+      res.status(500).json({ error: 'Failed to list backups' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,171 @@
+const express = require('express');
+const collectionService = require('../services/collectionService');
+const { requireScope } = require('../middleware/auth');
+
+module.exports = () => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/collections:
+   *   post:
+   *     summary: Create Collection
+   *     description: Create a named collection to isolate a set of documents. Documents are processed into a collection and searches can be scoped to one or several collections. Each collection embeds its documents with its own embedding provider and model.
+   *     tags: [Collections]
+   *     parameters:
+   *       - in: body
+   *         name: collectionRequest
+   *         required: true
+   *         schema:
+   *           $ref: '#/definitions/CreateCollectionRequest'
+   *     responses:
+   *       201:
+   *         description: Collection created
+   *         schema:
+   *           $ref: '#/definitions/Collection'
+   *       400:
+   *         description: Bad request - invalid name, chunking options or embedding provider
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       409:
+   *         description: A collection with this name already exists
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/collections', requireScope('admin'), async (req, res) => {
+    try {
+      const { name, description, chunking, embeddingProvider, embeddingModel } = req.body;
+      const collection = await collectionService.createCollection({ name, description, chunking, embeddingProvider, embeddingModel });
+      res.status(201).json(collection);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Create collection error:', error);
+      res.status(500).json({ error: 'Failed to create collection' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/collections:
+   *   get:
+   *     summary: List Collections
+   *     description: List all collections with their document count, chunk count and embedding model
+   *     tags: [Collections]
+   *     responses:
+   *       200:
+   *         description: Collections returned successfully
+   *         schema:
+   *           $ref: '#/definitions/CollectionsResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/collections', requireScope('search', 'ingest'), async (req, res) => {
+    try {
+      const collections = await collectionService.listCollections();
+      res.json({ collections });
+    } catch (error) {
+      console.error('List collections error:', error);
+      res.status(500).json({ error: 'Failed to list collections' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/collections/{name}:
+   *   get:
+   *     summary: Get Collection
+   *     description: Get one collection with its document count, chunk count and embedding model
+   *     tags: [Collections]
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Collection returned successfully
+   *         schema:
+   *           $ref: '#/definitions/Collection'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/collections/:name', requireScope('search', 'ingest'), async (req, res) => {
+    try {
+      res.json(await collectionService.getCollection(req.params.name));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Get collection error:', error);
+      res.status(500).json({ error: 'Failed to get collection' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/collections/{name}:
+   *   delete:
+   *     summary: Delete Collection
+   *     description: Delete a collection. A collection that still has documents is only deleted with `force=true`, which deletes its documents and their chunks too. The default collection cannot be deleted.
+   *     tags: [Collections]
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         type: string
+   *         required: true
+   *       - in: query
+   *         name: force
+   *         type: boolean
+   *         default: false
+   *     responses:
+   *       200:
+   *         description: Collection deleted
+   *         schema:
+   *           $ref: '#/definitions/DeleteCollectionResponse'
+   *       400:
+   *         description: The default collection cannot be deleted
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       409:
+   *         description: Collection is not empty and force was not set
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.delete('/collections/:name', requireScope('admin'), async (req, res) => {
+    try {
+      const force = req.query.force === 'true' || req.query.force === '1';
+      const result = await collectionService.deleteCollection(req.params.name, { force });
+      res.json({ message: 'Collection deleted successfully', ...result });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Delete collection error:', error);
+      res.status(500).json({ error: 'Failed to delete collection' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,68 @@
+const express = require('express');
+const embeddingCacheService = require('../services/embeddingCacheService');
+const { requireScope } = require('../middleware/auth');
+
+module.exports = () => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/embeddings/cache:
+   *   get:
+   *     summary: Get Embedding Cache Stats
+   *     description: Size of the embedding cache per model, and cache hits, misses and evictions since the server started or the cache was last cleared
+   *     tags: [Embeddings]
+   *     responses:
+   *       200:
+   *         description: Cache stats returned successfully
+   *         schema:
+   *           $ref: '#/definitions/EmbeddingCacheStats'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/embeddings/cache', requireScope('admin'), async (req, res) => {
+    try {
+      res.json(await embeddingCacheService.getStats());
+    } catch (error) {
+      console.error('Embedding cache stats error:', error);
+      res.status(500).json({ error: 'Failed to get embedding cache stats' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/embeddings/cache:
+   *   delete:
+   *     summary: Clear Embedding Cache
+   *     description: Delete cached embeddings, of one model or all of them. Clearing the whole cache also resets the hit and miss counters.
+   *     tags: [Embeddings]
+   *     parameters:
+   *       - in: query
+   *         name: model
+   *         type: string
+   *         description: Only clear this model's entries, as listed in the cache stats (e.g. service:moka-ai/m3e-base)
+   *     responses:
+   *       200:
+   *         description: Cache cleared
+   *         schema:
+   *           $ref: '#/definitions/ClearEmbeddingCacheResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.delete('/embeddings/cache', requireScope('admin'), async (req, res) => {
+    try {
+      const { model } = req.query;
+      const entriesDeleted = await embeddingCacheService.clear(model);
+      res.json({ message: 'Embedding cache cleared', model: model || null, entriesDeleted });
+    } catch (error) {
+      console.error('Clear embedding cache error:', error);
+      res.status(500).json({ error: 'Failed to clear embedding cache' });
+    }
+  });
+
+  return router;
+};
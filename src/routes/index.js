@@ -1,9 +1,156 @@
 const express = require('express');
-const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
+const path = require('path');
 const documentService = require('../services/documentService');
-const db = require('../utils/database');
+const chunkingService = require('../services/chunkingService');
+const answerService = require('../services/answerService');
+const collectionService = require('../services/collectionService');
+const jobService = require('../services/jobService');
+const reindexService = require('../services/reindexService');
+const textExtractionService = require('../services/textExtraction');
+const ocrService = require('../services/ocrService');
+const downloadService = require('../services/downloadService');
+const archiveService = require('../services/archiveService');
+const batchService = require('../services/batchService');
+const { OpenAIError } = require('openai');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { validateMetadata, mergeMetadata, compileFilter } = require('../utils/metadata');
+const { requireScope } = require('../middleware/auth');
+
+// Form fields and query parameters carry objects as JSON strings
+const parseJsonField = (value, name) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (parseError) {
+    throw new ValidationError(`${name} must be valid JSON`);
+  }
+};
+
+// Validate a request to process a file from the uploads folder, then queue it as an ingestion job.
+// A file whose content is already in the collection resolves to the existing document instead,
+// unless onDuplicate asks for a new version.
+const queueProcessing = async (filename, { collection, chunking, metadata, onDuplicate, ocr }) => {
+  chunkingService.resolveOptions(chunking);
+  ocrService.resolveMode(ocr);
+  if (metadata !== undefined) validateMetadata(metadata);
+  const target = await collectionService.getCollection(collection || collectionService.defaultName);
+  const existing = await documentService.checkDuplicate(filename, target, onDuplicate);
+  if (existing) {
+    return { existing };
+  }
+  const job = await jobService.enqueue('process', { filename, collectionId: target.id, chunking, metadata, onDuplicate, ocr });
+  return { job };
+};
+
+// Check the options for processing a file before anything is stored, so that a bad
+// option fails the request up front rather than leaving the file behind
+const checkProcessingOptions = async ({ collection, metadata, onDuplicate, ocr }) => {
+  if (metadata !== undefined) validateMetadata(metadata);
+  documentService.resolveDuplicatePolicy(onDuplicate);
+  ocrService.resolveMode(ocr);
+  await collectionService.getCollection(collection || collectionService.defaultName);
+};
+
+// Stored uploads are checked by content; a file no extractor can read is removed again
+const checkContent = async (filePath) => {
+  if (!(await textExtractionService.detectFormat(filePath))) {
+    fs.rmSync(filePath, { force: true });
+    throw new ValidationError(`Unsupported file content. Supported formats: ${textExtractionService.supportedExtensions().join(', ')}`);
+  }
+};
+
+// 202 with the job when the file was queued, 200 with the existing document otherwise
+const queuedResponse = ({ job, existing }, message, fields = {}) => {
+  if (existing) {
+    return {
+      statusCode: 200,
+      body: {
+        message: 'Document with the same content already exists',
+        ...fields,
+        documentId: existing.id,
+        collection: existing.collection,
+        duplicate: true
+      }
+    };
+  }
+  return { statusCode: 202, body: { message, ...fields, jobId: job.id, status: job.status } };
+};
+
+const sendQueued = (res, queued, message, fields) => {
+  const { statusCode, body } = queuedResponse(queued, message, fields);
+  res.status(statusCode).json(body);
+};
+
+// Queue a file from the uploads folder, as /process does
+const processUpload = async (filename, options) => {
+  if (!filename) {
+    throw new ValidationError('filename is required');
+  }
+  if (!fs.existsSync(documentService.uploadPath(filename))) {
+    throw new NotFoundError('File not found');
+  }
+  return queuedResponse(await queueProcessing(filename, options), 'Document queued for processing');
+};
+
+// Processing options sent as form fields with an upload. Without a target collection or
+// metadata the file is only stored, to be processed later (null).
+const formProcessing = (body) => {
+  if (!body.collection && !body.metadata) {
+    return null;
+  }
+  return {
+    collection: body.collection,
+    metadata: parseJsonField(body.metadata, 'metadata'),
+    onDuplicate: body.onDuplicate,
+    ocr: body.ocr
+  };
+};
+
+// Check and record a file stored in the uploads folder, and queue it when processing options are given.
+// A file with the same content as one already stored resolves to the stored file.
+const storeUpload = async (filePath, filename, processing) => {
+  await checkContent(filePath);
+  const stored = await documentService.registerUpload(filename);
+  const fields = {
+    fileUrl: `/uploads/${stored.filename}`,
+    filename: stored.filename,
+    contentHash: stored.contentHash,
+    duplicateUpload: stored.duplicate
+  };
+  if (!processing) {
+    return { statusCode: 200, body: { message: 'File uploaded successfully', ...fields } };
+  }
+  return queuedResponse(await queueProcessing(stored.filename, processing), 'File uploaded and queued for processing', fields);
+};
+
+// Each file of an uploaded archive is stored like an upload of its own, named by
+// its path in the archive; the archive itself is not kept
+const storeArchive = async (file, processing) => {
+  try {
+    const entries = await archiveService.expand(file.path, path.dirname(file.path));
+    const results = [];
+    for (const entry of entries) {
+      const entryProcessing = processing && {
+        ...processing,
+        metadata: { sourceArchive: file.originalname, archivePath: entry.name, ...processing.metadata }
+      };
+      results.push(await batchService.settle(
+        `${file.originalname}/${entry.name}`,
+        async () => {
+          if (entry.error) throw entry.error;
+          return storeUpload(entry.filePath, entry.filename, entryProcessing);
+        },
+        'Failed to upload file'
+      ));
+    }
+    return results;
+  } catch (error) {
+    return [await batchService.settle(file.originalname, async () => { throw error; }, 'Failed to expand archive')];
+  } finally {
+    fs.rmSync(file.path, { force: true });
+  }
+};
 
 module.exports = (upload) => {
   const router = express.Router();
@@ -36,7 +183,7 @@ module.exports = (upload) => {
    * /api/upload:
    *   post:
    *     summary: Upload Document File
-   *     description: Upload a document file and get a file URL for later processing. Supported formats - .txt, .pdf, .docx, .xlsx, .csv
+   *     description: Upload a document file and get a file URL for later processing. Supported formats - .txt, .md, .csv, .json, .html, .pdf, .docx, .pptx, .xlsx, .xls, .odt, .epub, .rtf and .png, .jpg or .tiff images (read by OCR); the format is recognised from the file content. When a target collection or metadata is given the file is also queued for processing right away.
    *     tags: [Documents]
    *     consumes:
    *       - multipart/form-data
@@ -46,13 +193,47 @@ module.exports = (upload) => {
    *         type: file
    *         description: The document file to upload
    *         required: true
+   *       - in: formData
+   *         name: collection
+   *         type: string
+   *         description: Queue the file for processing into this collection
+   *       - in: formData
+   *         name: metadata
+   *         type: string
+   *         description: Document metadata as a JSON object string; the file is queued for processing
+   *       - in: formData
+   *         name: onDuplicate
+   *         type: string
+   *         enum: [reject, existing, version]
+   *         description: What to do when the collection already has a document with the same content (defaults to DUPLICATE_POLICY)
+   *       - in: formData
+   *         name: ocr
+   *         type: string
+   *         enum: [auto, force, off]
+   *         description: OCR of images and scanned PDF pages when the file is queued for processing (defaults to OCR_MODE)
    *     responses:
    *       200:
-   *         description: File uploaded successfully
+   *         description: File uploaded successfully, or its content is already a document in the collection
+   *         schema:
+   *           $ref: '#/definitions/UploadFileResponse'
+   *       202:
+   *         description: File uploaded and queued for processing (when a collection or metadata was given)
    *         schema:
    *           $ref: '#/definitions/UploadFileResponse'
    *       400:
-   *         description: Bad request - no file uploaded or invalid file type
+   *         description: Bad request - no file uploaded, unsupported file type or content, invalid metadata, onDuplicate or ocr
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       409:
+   *         description: The collection already has a document with the same content (onDuplicate reject)
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       413:
+   *         description: The file is larger than the upload limit
    *         schema:
    *           $ref: '#/definitions/ErrorResponse'
    *       500:
@@ -60,33 +241,127 @@ module.exports = (upload) => {
    *         schema:
    *           $ref: '#/definitions/ErrorResponse'
    */
-  router.post('/upload', upload.single('file'), async (req, res) => {
+  router.post('/upload', requireScope('ingest'), upload.single('file'), async (req, res) => {
     try {
       if (!req.file) {
         return res.status(400).json({ error: 'No file uploaded' });
       }
-
-      const { filename, path: filePath } = req.file;
-      // Return the file URL instead of processing immediately
-      const fileUrl = `/uploads/${filename}`;
-
-      res.json({
-        message: 'File uploaded successfully',
-        fileUrl: fileUrl,
-        filename: filename
-      });
+      const { statusCode, body } = await storeUpload(req.file.path, req.file.filename, formProcessing(req.body));
+      res.status(statusCode).json(body);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Upload error:', error);
       res.status(500).json({ error: 'Failed to upload file' });
     }
   });
 
+  /**
+   * @swagger
+   * /api/upload/batch:
+   *   post:
+   *     summary: Upload Several Files
+   *     description: Upload several document files, and zip archives whose files are expanded server-side, in one request (at most BATCH_MAX_FILES files). Each file is stored, checked and, when a target collection or metadata is given, queued for processing as by /api/upload. Files of an archive are named by their path in it and get `sourceArchive` and `archivePath` metadata when queued; archives are limited to ARCHIVE_MAX_FILES files, ARCHIVE_MAX_BYTES in total and ARCHIVE_MAX_FILE_BYTES per file. A file that fails doesn't fail the others - every file gets a result with the status code and body /api/upload would have answered with.
+   *     tags: [Documents]
+   *     consumes:
+   *       - multipart/form-data
+   *     parameters:
+   *       - in: formData
+   *         name: files
+   *         type: array
+   *         items:
+   *           type: file
+   *         collectionFormat: multi
+   *         description: Document files and zip archives
+   *         required: true
+   *       - in: formData
+   *         name: collection
+   *         type: string
+   *         description: Queue the files for processing into this collection
+   *       - in: formData
+   *         name: metadata
+   *         type: string
+   *         description: Metadata for every document as a JSON object string; the files are queued for processing
+   *       - in: formData
+   *         name: onDuplicate
+   *         type: string
+   *         enum: [reject, existing, version]
+   *         description: What to do when the collection already has a document with the same content (defaults to DUPLICATE_POLICY)
+   *       - in: formData
+   *         name: ocr
+   *         type: string
+   *         enum: [auto, force, off]
+   *         description: OCR of images and scanned PDF pages when the files are queued for processing (defaults to OCR_MODE)
+   *     responses:
+   *       200:
+   *         description: Files handled; see each result for its outcome
+   *         schema:
+   *           $ref: '#/definitions/BatchUploadResponse'
+   *       400:
+   *         description: Bad request - no files uploaded, too many files, or invalid metadata, onDuplicate or ocr
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       413:
+   *         description: A file is larger than the upload limit
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/upload/batch', requireScope('ingest'), upload.array('files', batchService.maxFiles), async (req, res) => {
+    try {
+      const files = req.files || [];
+      if (files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
+      }
+      let processing;
+      try {
+        processing = formProcessing(req.body);
+        if (processing) await checkProcessingOptions(processing);
+      } catch (error) {
+        // Nothing is kept when the request itself is refused
+        files.forEach(file => fs.rmSync(file.path, { force: true }));
+        throw error;
+      }
+
+      const results = [];
+      for (const file of files) {
+        if (archiveService.accepts(file.originalname, file.mimetype) && await archiveService.isArchive(file.path)) {
+          results.push(...await storeArchive(file, processing));
+        } else {
+          results.push(await batchService.settle(file.originalname, async () => {
+            // What the upload filter refuses for single uploads
+            if (!textExtractionService.accepts(file.originalname, file.mimetype)) {
+              fs.rmSync(file.path, { force: true });
+              throw new ValidationError(`Invalid file type. Supported formats: ${textExtractionService.supportedExtensions().join(', ')}`);
+            }
+            return storeUpload(file.path, file.filename, processing);
+          }, 'Failed to upload file'));
+        }
+      }
+      res.json({ ...batchService.summarize(results), results });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Batch upload error:', error);
+      res.status(500).json({ error: 'Failed to upload files' });
+    }
+  });
+
   /**
    * @swagger
    * /api/download:
    *   post:
    *     summary: Download File from URL
-   *     description: Download a file from a given URL and save it to the uploads folder
+   *     description: Download a file from a given http(s) URL and save it to the uploads folder. Hosts can be restricted with DOWNLOAD_ALLOWED_HOSTS and DOWNLOAD_DENIED_HOSTS, and private network addresses are refused, also when reached by a redirect or through DNS, unless DOWNLOAD_ALLOW_PRIVATE_NETWORKS is set. Downloads are limited to DOWNLOAD_MAX_BYTES and DOWNLOAD_TIMEOUT_MS. When a target collection or metadata is given the file is also queued for processing, with the URL recorded as the `sourceUrl` metadata.
    *     tags: [Documents]
    *     parameters:
    *       - in: body
@@ -97,51 +372,77 @@ module.exports = (upload) => {
    *           $ref: '#/definitions/DownloadFileRequest'
    *     responses:
    *       200:
-   *         description: File downloaded and saved successfully
+   *         description: File downloaded and saved successfully, or its content is already a document in the collection
+   *         schema:
+   *           $ref: '#/definitions/DownloadFileResponse'
+   *       202:
+   *         description: File downloaded and queued for processing (when a collection or metadata was given)
    *         schema:
    *           $ref: '#/definitions/DownloadFileResponse'
    *       400:
-   *         description: Bad request - fileUrl is required
+   *         description: Bad request - fileUrl is missing, invalid or not allowed, the content type or downloaded file is not a supported format, or metadata, onDuplicate or ocr is invalid
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       409:
+   *         description: The collection already has a document with the same content (onDuplicate reject)
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       413:
+   *         description: The file is larger than DOWNLOAD_MAX_BYTES
    *         schema:
    *           $ref: '#/definitions/ErrorResponse'
    *       500:
    *         description: Internal server error
    *         schema:
    *           $ref: '#/definitions/ErrorResponse'
+   *       502:
+   *         description: The remote server failed, answered with an error status, redirected too often or did not answer in time
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
    */
-  router.post('/download', async (req, res) => {
+  router.post('/download', requireScope('ingest'), async (req, res) => {
     try {
-      const { fileUrl } = req.body;
+      const { fileUrl, collection: collectionName, metadata, onDuplicate, ocr } = req.body;
       if (!fileUrl) {
         return res.status(400).json({ error: 'fileUrl is required' });
       }
+      const processNow = Boolean(collectionName || metadata);
+      if (processNow) {
+        // Fail before downloading anything
+        await checkProcessingOptions({ collection: collectionName, metadata, onDuplicate, ocr });
+      }
 
-      // Download the file
-      const response = await axios.get(fileUrl, { responseType: 'stream' });
-      
-      // Generate filename with timestamp
-      const urlParts = fileUrl.split('/');
-      const originalFilename = urlParts[urlParts.length - 1] || 'downloaded_file';
-      const extension = path.extname(originalFilename) || '.txt';
-      const timestamp = Date.now();
-      const filename = `${timestamp}-${originalFilename}`;
-      const filePath = path.join('./uploads', filename);
-
-      // Save the file
-      const writer = fs.createWriteStream(filePath);
-      response.data.pipe(writer);
-
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-      });
+      const { filename, filePath } = await downloadService.download(fileUrl);
+      await checkContent(filePath);
 
-      res.json({
-        message: 'File downloaded and saved successfully',
-        filename: filename,
-        fileUrl: `/uploads/${filename}`
+      const stored = await documentService.registerUpload(filename);
+      const fields = {
+        filename: stored.filename,
+        fileUrl: `/uploads/${stored.filename}`,
+        contentHash: stored.contentHash,
+        duplicateUpload: stored.duplicate
+      };
+
+      if (!processNow) {
+        return res.json({ message: 'File downloaded and saved successfully', ...fields });
+      }
+
+      const queued = await queueProcessing(stored.filename, {
+        collection: collectionName,
+        metadata: { sourceUrl: fileUrl, ...metadata },
+        onDuplicate,
+        ocr
       });
+
+      sendQueued(res, queued, 'File downloaded and queued for processing', fields);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Download error:', error);
       res.status(500).json({ error: 'Failed to download file' });
     }
@@ -152,7 +453,7 @@ module.exports = (upload) => {
    * /api/process:
    *   post:
    *     summary: Process Document
-   *     description: Process a document file from the uploads folder and add it to the search index
+   *     description: Queue a document file from the uploads folder for processing into the search index and return the ingestion job. The text is split into chunks using the requested chunking strategy before embedding. Poll `/api/jobs/{jobId}` for progress and the resulting document id. A file whose content is already a document in the collection is not processed again - the existing document is returned, unless `onDuplicate` says otherwise.
    *     tags: [Documents]
    *     parameters:
    *       - in: body
@@ -163,15 +464,23 @@ module.exports = (upload) => {
    *           $ref: '#/definitions/ProcessDocumentRequest'
    *     responses:
    *       200:
-   *         description: Document processed and indexed successfully
+   *         description: The collection already has a document with the same content; it is returned instead of queueing a job
    *         schema:
-   *           $ref: '#/definitions/ProcessDocumentResponse'
+   *           $ref: '#/definitions/ProcessJobResponse'
+   *       202:
+   *         description: Document queued for processing
+   *         schema:
+   *           $ref: '#/definitions/ProcessJobResponse'
    *       400:
-   *         description: Bad request - filename is required
+   *         description: Bad request - filename is missing or not the name of a file in the uploads folder, or chunking options, metadata, onDuplicate or ocr are invalid
    *         schema:
    *           $ref: '#/definitions/ErrorResponse'
    *       404:
-   *         description: File not found
+   *         description: File or collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       409:
+   *         description: The collection already has a document with the same content (onDuplicate reject)
    *         schema:
    *           $ref: '#/definitions/ErrorResponse'
    *       500:
@@ -179,32 +488,72 @@ module.exports = (upload) => {
    *         schema:
    *           $ref: '#/definitions/ErrorResponse'
    */
-  router.post('/process', async (req, res) => {
+  router.post('/process', requireScope('ingest'), async (req, res) => {
     try {
-      const { filename } = req.body;
-      if (!filename) {
-        return res.status(400).json({ error: 'filename is required' });
+      const { filename, chunking, metadata, collection, onDuplicate, ocr } = req.body;
+      const { statusCode, body } = await processUpload(filename, { collection, chunking, metadata, onDuplicate, ocr });
+      res.status(statusCode).json(body);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
       }
+      console.error('Process error:', error);
+      res.status(500).json({ error: 'Failed to process document' });
+    }
+  });
 
-      const filePath = path.join('./uploads', filename);
-
-      console.log(__dirname, filePath);
+  /**
+   * @swagger
+   * /api/process/batch:
+   *   post:
+   *     summary: Process Several Documents
+   *     description: Queue several files from the uploads folder for processing in one request (at most BATCH_MAX_FILES files). Options given next to `files` apply to every file; a file given as an object can override them, its metadata being merged into the shared metadata as by PATCH /api/documents/{id}. Invalid shared options fail every file. A file that fails doesn't fail the others - every file gets a result with the status code and body /api/process would have answered with.
+   *     tags: [Documents]
+   *     parameters:
+   *       - in: body
+   *         name: batchProcessRequest
+   *         description: Files to process and shared options
+   *         required: true
+   *         schema:
+   *           $ref: '#/definitions/BatchProcessRequest'
+   *     responses:
+   *       200:
+   *         description: Files handled; see each result for its outcome
+   *         schema:
+   *           $ref: '#/definitions/BatchProcessResponse'
+   *       400:
+   *         description: Bad request - files is missing, empty or too long, or the shared metadata is invalid
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/process/batch', requireScope('ingest'), async (req, res) => {
+    try {
+      const { files, collection, chunking, metadata, onDuplicate, ocr } = req.body;
+      batchService.checkItems(files, 'files', batchService.maxFiles);
+      if (metadata !== undefined) validateMetadata(metadata);
 
-      // Check if file exists
-      if (!fs.existsSync(filePath)) {
-        return res.status(404).json({ error: 'File not found' });
+      const results = [];
+      for (const file of files) {
+        const { filename, ...own } = typeof file === 'string' ? { filename: file } : file || {};
+        const options = { collection, chunking, metadata, onDuplicate, ocr, ...own };
+        results.push(await batchService.settle(filename, async () => {
+          if (metadata !== undefined && own.metadata !== undefined) {
+            options.metadata = mergeMetadata(metadata, validateMetadata(own.metadata));
+          }
+          return processUpload(filename, options);
+        }, 'Failed to process document'));
       }
-
-      const result = await documentService.saveDocument(filename, filePath);
-
-      res.json({
-        message: 'Document processed and indexed successfully',
-        documentId: result.id,
-        preview: result.content.substring(0, 200) + '...'
-      });
+      res.json({ ...batchService.summarize(results), results });
     } catch (error) {
-      console.error('Process error:', error);
-      res.status(500).json({ error: 'Failed to process document' });
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Batch process error:', error);
+      res.status(500).json({ error: 'Failed to process documents' });
     }
   });
 
@@ -213,7 +562,7 @@ module.exports = (upload) => {
    * /api/search:
    *   post:
    *     summary: Search Documents
-   *     description: Perform semantic search across all uploaded documents using natural language queries
+   *     description: Search document chunks by meaning (vector), by exact terms (keyword, SQLite FTS5 BM25) or both fused with reciprocal-rank fusion (hybrid). Matching passages are returned grouped under their parent document. A metadata `filter` restricts the search to matching documents. Optionally, passages below `minSimilarity` are dropped, a cross-encoder reranker rescores the passages of the top documents (`rerank`, reported as rerankScore next to the retrieval scores) and `diversify` reorders them by maximal marginal relevance, so near-identical documents don't fill the page.
    *     tags: [Search]
    *     parameters:
    *       - in: body
@@ -228,30 +577,227 @@ module.exports = (upload) => {
    *         schema:
    *           $ref: '#/definitions/SearchResponse'
    *       400:
-   *         description: Bad request - query is required
+   *         description: Bad request - query is required, limit, page or passagesPerDocument is not a positive integer, or mode, filter, hybrid, minSimilarity, diversify or rerank is invalid
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       409:
+   *         description: Reranking is disabled (RERANK_URL is not set)
    *         schema:
    *           $ref: '#/definitions/ErrorResponse'
    *       500:
    *         description: Internal server error
    *         schema:
    *           $ref: '#/definitions/ErrorResponse'
+   *       502:
+   *         description: The reranker failed
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
    */
-  router.post('/search', async (req, res) => {
+  router.post('/search', requireScope('search'), async (req, res) => {
     try {
-      const { query, limit = 10, page = 1 } = req.body;
+      const { query, mode = 'vector', hybrid, filter, collection, collections, minSimilarity, diversify, rerank } = req.body;
       if (!query) {
         return res.status(400).json({ error: 'Query is required' });
       }
+      if (!documentService.searchModes.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of: ${documentService.searchModes.join(', ')}` });
+      }
+      const { limit, page, offset, passagesPerDocument } = documentService.resolvePaging(req.body);
 
-      const offset = (page - 1) * limit;
-      const results = await documentService.searchDocuments(query, limit, offset);
-      res.json({ results, page, limit });
+      const collectionIds = await collectionService.resolveScope(collection, collections);
+      const results = await documentService.searchDocuments(query, limit, offset, {
+        passagesPerDocument, mode, hybrid, filter, collectionIds, minSimilarity, diversify, rerank
+      });
+      // Keyword search reads the chunk text, which doesn't depend on the model
+      const warnings = mode === 'keyword' ? [] : await reindexService.warningsFor(collectionIds);
+      res.json({ results, page, limit, mode, ...(warnings.length > 0 && { warnings }) });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Search error:', error);
       res.status(500).json({ error: 'Failed to perform search' });
     }
   });
 
+  /**
+   * @swagger
+   * /api/search/batch:
+   *   post:
+   *     summary: Search with Several Queries
+   *     description: Run several searches with the same options in one request (at most BATCH_MAX_QUERIES queries). For vector and hybrid searches all queries are embedded together, in one batched call per embedding model. Results are returned per query, in the order of the queries, each as /api/search would return them.
+   *     tags: [Search]
+   *     parameters:
+   *       - in: body
+   *         name: batchSearchRequest
+   *         description: Queries and search parameters
+   *         required: true
+   *         schema:
+   *           $ref: '#/definitions/BatchSearchRequest'
+   *     responses:
+   *       200:
+   *         description: Search results returned successfully
+   *         schema:
+   *           $ref: '#/definitions/BatchSearchResponse'
+   *       400:
+   *         description: Bad request - queries is missing, empty, too long or not all strings, limit, page or passagesPerDocument is not a positive integer, or mode, filter, hybrid, minSimilarity, diversify or rerank is invalid
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       409:
+   *         description: Reranking is disabled (RERANK_URL is not set)
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       502:
+   *         description: The reranker failed
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/search/batch', requireScope('search'), async (req, res) => {
+    try {
+      const { queries, mode = 'vector', hybrid, filter, collection, collections, minSimilarity, diversify, rerank } = req.body;
+      batchService.checkItems(queries, 'queries', batchService.maxQueries);
+      if (!queries.every(query => typeof query === 'string' && query.trim())) {
+        return res.status(400).json({ error: 'queries must be non-empty strings' });
+      }
+      if (!documentService.searchModes.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of: ${documentService.searchModes.join(', ')}` });
+      }
+      const { limit, page, offset, passagesPerDocument } = documentService.resolvePaging(req.body);
+
+      const collectionIds = await collectionService.resolveScope(collection, collections);
+      const results = await documentService.searchMany(queries, limit, offset, {
+        passagesPerDocument, mode, hybrid, filter, collectionIds, minSimilarity, diversify, rerank
+      });
+      const warnings = mode === 'keyword' ? [] : await reindexService.warningsFor(collectionIds);
+      res.json({
+        results: queries.map((query, i) => ({ query, results: results[i] })),
+        page,
+        limit,
+        mode,
+        ...(warnings.length > 0 && { warnings })
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Batch search error:', error);
+      res.status(500).json({ error: 'Failed to perform search' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/ask:
+   *   post:
+   *     summary: Ask a Question
+   *     description: Retrieve the most relevant passages, have the configured chat model answer from them, and return the answer with numbered citations. Set `stream` to true (or send `Accept - text/event-stream`) to receive Server-Sent Events - one `citations` event, `delta` events with answer text, then `done` (or `error`).
+   *     tags: [Search]
+   *     parameters:
+   *       - in: body
+   *         name: askRequest
+   *         description: Question and generation parameters
+   *         required: true
+   *         schema:
+   *           $ref: '#/definitions/AskRequest'
+   *     produces:
+   *       - application/json
+   *       - text/event-stream
+   *     responses:
+   *       200:
+   *         description: Answer generated successfully
+   *         schema:
+   *           $ref: '#/definitions/AskResponse'
+   *       400:
+   *         description: Bad request - question is required, topK is not an integer from 1 to 50, or mode, filter, hybrid, temperature or maxTokens is invalid
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       502:
+   *         description: The chat model endpoint failed
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/ask', requireScope('search'), async (req, res) => {
+    const { question, topK, stream = false, mode = 'vector', hybrid, filter, collection, collections, model, temperature, maxTokens } = req.body;
+    if (!question) {
+      return res.status(400).json({ error: 'Question is required' });
+    }
+    if (!documentService.searchModes.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${documentService.searchModes.join(', ')}` });
+    }
+
+    // Reject invalid options before the response (possibly a stream) starts
+    let options;
+    try {
+      const checked = answerService.resolveOptions({ topK, hybrid, temperature, maxTokens });
+      const collectionIds = await collectionService.resolveScope(collection, collections);
+      if (filter) compileFilter(filter);
+      options = { ...checked, mode, filter, collectionIds, model };
+    } catch (error) {
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    const wantsStream = stream || (req.get('Accept') || '').includes('text/event-stream');
+
+    if (!wantsStream) {
+      try {
+        res.json(await answerService.answer(question, options));
+      } catch (error) {
+        if (error.status && !(error instanceof OpenAIError)) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Ask error:', error);
+        if (error instanceof OpenAIError) {
+          return res.status(502).json({ error: 'Failed to generate answer' });
+        }
+        res.status(500).json({ error: 'Failed to answer question' });
+      }
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // Stop generating if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    try {
+      for await (const { event, data } of answerService.streamAnswer(question, { ...options, signal: controller.signal })) {
+        send(event, data);
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        console.error('Ask stream error:', error);
+        send('error', { error: 'Failed to generate answer' });
+      }
+    }
+    res.end();
+  });
+
   /**
    * @swagger
    * /api/documents:
@@ -272,47 +818,349 @@ module.exports = (upload) => {
    *         default: 1
    *         minimum: 1
    *         description: Page number for pagination
+   *       - in: query
+   *         name: collection
+   *         type: string
+   *         description: Only list documents in these collections (comma-separated names)
+   *       - in: query
+   *         name: filter
+   *         type: string
+   *         description: Metadata filter as a JSON string, as for /api/search
    *     responses:
    *       200:
    *         description: Documents list returned successfully
    *         schema:
    *           $ref: '#/definitions/DocumentsResponse'
+   *       400:
+   *         description: Bad request - invalid filter
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
    *       500:
    *         description: Internal server error
    *         schema:
    *           $ref: '#/definitions/ErrorResponse'
    */
-  router.get('/documents', async (req, res) => {
+  router.get('/documents', requireScope('search', 'ingest'), async (req, res) => {
     try {
-      const { limit = 50, page = 1 } = req.query;
+      const { limit = 50, page = 1, collection, collections } = req.query;
       const offset = (page - 1) * parseInt(limit);
 
-      const documents = await new Promise((resolve, reject) => {
-        db.all(
-          'SELECT id, filename, content_preview, upload_date FROM documents ORDER BY upload_date DESC LIMIT ? OFFSET ?',
-          [parseInt(limit), offset],
-          (err, rows) => {
-            if (err) reject(err);
-            else resolve(rows);
-          }
-        );
-      });
+      const filter = parseJsonField(req.query.filter, 'filter');
+      const collectionIds = await collectionService.resolveScope(collection, collections);
+      const documents = await documentService.listDocuments({ limit: parseInt(limit), offset, collectionIds, filter });
 
       res.json({
-        documents: documents.map(doc => ({
-          id: doc.id,
-          filename: doc.filename,
-          preview: doc.content_preview,
-          uploadDate: doc.upload_date
-        })),
+        documents,
         page: parseInt(page),
         limit: parseInt(limit)
       });
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('List documents error:', error);
       res.status(500).json({ error: 'Failed to list documents' });
     }
   });
 
+  /**
+   * @swagger
+   * /api/documents/{id}:
+   *   delete:
+   *     summary: Delete Document
+   *     description: Delete a document together with all of its chunks and vectors, optionally removing its source file from the uploads folder
+   *     tags: [Documents]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         type: integer
+   *         required: true
+   *       - in: query
+   *         name: deleteFile
+   *         type: boolean
+   *         default: false
+   *         description: Also delete the source file, unless another document was processed from it
+   *     responses:
+   *       200:
+   *         description: Document deleted
+   *         schema:
+   *           $ref: '#/definitions/DeleteDocumentResponse'
+   *       400:
+   *         description: Bad request - invalid id
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Document not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.delete('/documents/:id', requireScope('ingest'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid document id' });
+      }
+
+      const deleteFile = req.query.deleteFile === 'true' || req.query.deleteFile === '1';
+      const result = await documentService.deleteDocument(id, { deleteFile });
+
+      res.json({
+        message: 'Document deleted successfully',
+        documentId: result.id,
+        chunksDeleted: result.chunksDeleted,
+        fileDeleted: result.fileDeleted
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Delete document error:', error);
+      res.status(500).json({ error: 'Failed to delete document' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/documents/{id}/reprocess:
+   *   post:
+   *     summary: Reprocess Document
+   *     description: Re-extract, re-chunk and re-embed a document from its source file, keeping its id. The stored chunking settings are reused unless new ones are given. Old vectors are only replaced once the new ones are ready.
+   *     tags: [Documents]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         type: integer
+   *         required: true
+   *       - in: body
+   *         name: reprocessRequest
+   *         required: false
+   *         schema:
+   *           $ref: '#/definitions/ReprocessDocumentRequest'
+   *     responses:
+   *       200:
+   *         description: Document reprocessed
+   *         schema:
+   *           $ref: '#/definitions/ProcessDocumentResponse'
+   *       400:
+   *         description: Bad request - invalid id, chunking options or ocr
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Document or source file not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/documents/:id/reprocess', requireScope('ingest'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid document id' });
+      }
+
+      const { chunking, ocr } = req.body || {};
+      const result = await documentService.reprocessDocument(id, { chunking, ocr });
+
+      res.json({
+        message: 'Document reprocessed successfully',
+        documentId: result.id,
+        chunkCount: result.chunkCount,
+        chunking: result.chunking,
+        ocrPages: result.ocrPages,
+        preview: result.content.substring(0, 200) + '...'
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Reprocess document error:', error);
+      res.status(500).json({ error: 'Failed to reprocess document' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/documents/{id}:
+   *   put:
+   *     summary: Replace Document
+   *     description: Replace a document's contents with a new file while keeping its id. Send the new file as multipart `file`, or the `filename` of a file already in the uploads folder. The previous source file is removed once the new contents are indexed; if processing fails the document is left unchanged.
+   *     tags: [Documents]
+   *     consumes:
+   *       - multipart/form-data
+   *       - application/json
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         type: integer
+   *         required: true
+   *       - in: formData
+   *         name: file
+   *         type: file
+   *         description: The new document file
+   *       - in: formData
+   *         name: filename
+   *         type: string
+   *         description: Name of an already uploaded file to use instead of `file`
+   *       - in: formData
+   *         name: chunking
+   *         type: string
+   *         description: Chunking options as a JSON string
+   *       - in: formData
+   *         name: ocr
+   *         type: string
+   *         enum: [auto, force, off]
+   *         description: OCR of images and scanned PDF pages (defaults to OCR_MODE)
+   *     responses:
+   *       200:
+   *         description: Document replaced
+   *         schema:
+   *           $ref: '#/definitions/ProcessDocumentResponse'
+   *       400:
+   *         description: Bad request - invalid id, no file given, an invalid filename, unsupported file content, or invalid chunking options or ocr
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Document or file not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.put('/documents/:id', requireScope('ingest'), upload.single('file'), async (req, res) => {
+    // The uploaded file as stored, see storeUpload
+    let stored = null;
+
+    // Remove a file uploaded with this request if it never makes it into the index,
+    // but not a stored file with the same content it resolved to
+    const discardUpload = () => {
+      if (!req.file) return;
+      if (!stored) {
+        fs.promises.unlink(req.file.path).catch(() => {});
+      } else if (!stored.duplicateUpload) {
+        documentService.removeUploadIfUnused(stored.filename).catch(() => {});
+      }
+    };
+
+    try {
+      const id = parseInt(req.params.id);
+      if (Number.isNaN(id)) {
+        discardUpload();
+        return res.status(400).json({ error: 'Invalid document id' });
+      }
+
+      const chunking = parseJsonField(req.body.chunking, 'chunking');
+
+      let filename;
+      let filePath;
+      if (req.file) {
+        // Checked and recorded like any upload
+        ({ body: stored } = await storeUpload(req.file.path, req.file.filename, null));
+        filename = stored.filename;
+        filePath = documentService.uploadPath(filename);
+      } else if (req.body.filename) {
+        filename = req.body.filename;
+        filePath = documentService.uploadPath(filename);
+        if (!fs.existsSync(filePath)) {
+          return res.status(404).json({ error: 'File not found' });
+        }
+      } else {
+        return res.status(400).json({ error: 'A file upload or filename is required' });
+      }
+
+      const result = await documentService.replaceDocument(id, filename, filePath, { chunking, ocr: req.body.ocr });
+
+      res.json({
+        message: 'Document replaced successfully',
+        documentId: result.id,
+        filename,
+        chunkCount: result.chunkCount,
+        chunking: result.chunking,
+        ocrPages: result.ocrPages,
+        preview: result.content.substring(0, 200) + '...'
+      });
+    } catch (error) {
+      discardUpload();
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Replace document error:', error);
+      res.status(500).json({ error: 'Failed to replace document' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/documents/{id}:
+   *   patch:
+   *     summary: Update Document Metadata
+   *     description: Change a document's metadata without reprocessing it. The metadata is applied as a JSON merge patch - given keys are set, keys set to null are removed and nested objects are merged. Set `replace` to true to replace the metadata as a whole.
+   *     tags: [Documents]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         type: integer
+   *         required: true
+   *       - in: body
+   *         name: metadataRequest
+   *         required: true
+   *         schema:
+   *           $ref: '#/definitions/UpdateMetadataRequest'
+   *     responses:
+   *       200:
+   *         description: Metadata updated
+   *         schema:
+   *           $ref: '#/definitions/Document'
+   *       400:
+   *         description: Bad request - invalid id or metadata
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Document not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.patch('/documents/:id', requireScope('ingest'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid document id' });
+      }
+
+      const { metadata, replace = false } = req.body;
+      res.json(await documentService.updateMetadata(id, metadata, { replace }));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Update metadata error:', error);
+      res.status(500).json({ error: 'Failed to update document metadata' });
+    }
+  });
+
+  router.use(require('./collections')());
+  router.use(require('./jobs')());
+  router.use(require('./embeddings')());
+  router.use(require('./reindex')());
+  router.use(require('./apiKeys')());
+  router.use(require('./sync')());
+  router.use(require('./backup')());
+
   return router;
 };
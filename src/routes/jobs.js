@@ -0,0 +1,111 @@
+const express = require('express');
+const jobService = require('../services/jobService');
+const { requireScope } = require('../middleware/auth');
+
+module.exports = () => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/jobs:
+   *   get:
+   *     summary: List Jobs
+   *     description: List ingestion and re-index jobs, newest first
+   *     tags: [Jobs]
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         type: string
+   *         enum: [queued, running, completed, failed]
+   *         description: Only jobs in this state
+   *       - in: query
+   *         name: limit
+   *         type: integer
+   *         default: 50
+   *         maximum: 100
+   *       - in: query
+   *         name: page
+   *         type: integer
+   *         default: 1
+   *         minimum: 1
+   *     responses:
+   *       200:
+   *         description: Jobs returned successfully
+   *         schema:
+   *           $ref: '#/definitions/JobsResponse'
+   *       400:
+   *         description: Bad request - invalid status
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/jobs', requireScope('ingest'), async (req, res) => {
+    try {
+      const { status, limit = 50, page = 1 } = req.query;
+      if (status && !jobService.statuses.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${jobService.statuses.join(', ')}` });
+      }
+
+      const pageSize = Math.min(parseInt(limit), 100);
+      const offset = (parseInt(page) - 1) * pageSize;
+      const jobs = await jobService.listJobs({ status, limit: pageSize, offset });
+
+      res.json({ jobs, page: parseInt(page), limit: pageSize });
+    } catch (error) {
+      console.error('List jobs error:', error);
+      res.status(500).json({ error: 'Failed to list jobs' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/jobs/{id}:
+   *   get:
+   *     summary: Get Job
+   *     description: Get the state of an ingestion job - its status, chunk progress, attempts, last error and, once completed, the resulting document
+   *     tags: [Jobs]
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         type: integer
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Job returned successfully
+   *         schema:
+   *           $ref: '#/definitions/Job'
+   *       400:
+   *         description: Bad request - invalid id
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Job not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/jobs/:id', requireScope('ingest'), async (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      if (Number.isNaN(id)) {
+        return res.status(400).json({ error: 'Invalid job id' });
+      }
+
+      res.json(await jobService.getJob(id));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Get job error:', error);
+      res.status(500).json({ error: 'Failed to get job' });
+    }
+  });
+
+  return router;
+};
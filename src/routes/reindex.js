@@ -0,0 +1,96 @@
+const express = require('express');
+const jobService = require('../services/jobService');
+const reindexService = require('../services/reindexService');
+const { requireScope } = require('../middleware/auth');
+
+module.exports = () => {
+  const router = express.Router();
+
+  /**
+   * @swagger
+   * /api/reindex:
+   *   get:
+   *     summary: Get Embedding Model Status
+   *     description: The embedding model of each collection and how many of its chunks were embedded with another model or vector length. Those chunks are left out of vector search until the collection is re-indexed.
+   *     tags: [Embeddings]
+   *     responses:
+   *       200:
+   *         description: Status returned successfully
+   *         schema:
+   *           type: object
+   *           properties:
+   *             collections:
+   *               type: array
+   *               items:
+   *                 $ref: '#/definitions/EmbeddingModelStatus'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/reindex', requireScope('admin'), async (req, res) => {
+    try {
+      res.json({ collections: await reindexService.getStatus() });
+    } catch (error) {
+      console.error('Embedding model status error:', error);
+      res.status(500).json({ error: 'Failed to get embedding model status' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/reindex:
+   *   post:
+   *     summary: Re-index Collections
+   *     description: Queue a background job that embeds every chunk of a collection (or of all collections) again, optionally with another embedding provider or model. Follow its progress with GET /api/jobs/{id}. Searches keep using the old vectors until all chunks are embedded, then vectors and the collection's model switch over at once.
+   *     tags: [Embeddings]
+   *     parameters:
+   *       - in: body
+   *         name: reindexRequest
+   *         schema:
+   *           $ref: '#/definitions/ReindexRequest'
+   *     responses:
+   *       202:
+   *         description: Re-index queued
+   *         schema:
+   *           $ref: '#/definitions/ReindexResponse'
+   *       400:
+   *         description: Bad request - unknown provider or empty model
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       404:
+   *         description: Collection not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       409:
+   *         description: A re-index of one of the collections is already queued or running
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/reindex', requireScope('admin'), async (req, res) => {
+    try {
+      const { collection, embeddingProvider, embeddingModel } = req.body || {};
+      const payload = await reindexService.planReindex({ collection, embeddingProvider, embeddingModel });
+      const job = await jobService.enqueue('reindex', payload);
+
+      res.status(202).json({
+        message: 'Re-index queued',
+        jobId: job.id,
+        status: job.status,
+        collections: payload.collections.map(target => ({ name: target.name, embeddingProvider: target.provider, embeddingModel: target.model }))
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Re-index error:', error);
+      res.status(500).json({ error: 'Failed to queue re-index' });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,153 @@
+const express = require('express');
+const syncService = require('../services/syncService');
+const { requireScope } = require('../middleware/auth');
+
+module.exports = () => {
+  const router = express.Router();
+
+  // Scans run in the background; their outcome shows up in the sync status
+  const startSync = (name) => {
+    const sync = name ? syncService.syncSource(name, { retryFailed: true }) : syncService.syncAll({ retryFailed: true });
+    sync.catch(error => console.error(`Sync of ${name || 'all sources'} failed:`, error));
+  };
+
+  /**
+   * @swagger
+   * /api/sync:
+   *   get:
+   *     summary: Get Folder Sync Status
+   *     description: The source folders set in SYNC_SOURCES, whether they are watched, their last scan and how many of their files are indexed or failed
+   *     tags: [Sync]
+   *     responses:
+   *       200:
+   *         description: Status returned successfully
+   *         schema:
+   *           $ref: '#/definitions/SyncStatus'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/sync', requireScope('ingest'), async (req, res) => {
+    try {
+      res.json(await syncService.getStatus());
+    } catch (error) {
+      console.error('Sync status error:', error);
+      res.status(500).json({ error: 'Failed to get sync status' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/sync/{name}:
+   *   get:
+   *     summary: Get Source Folder Status
+   *     description: The state of one source folder, with the files that failed to index and why
+   *     tags: [Sync]
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         type: string
+   *         required: true
+   *     responses:
+   *       200:
+   *         description: Status returned successfully
+   *         schema:
+   *           $ref: '#/definitions/SyncSourceDetail'
+   *       404:
+   *         description: Sync source not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.get('/sync/:name', requireScope('ingest'), async (req, res) => {
+    try {
+      res.json(await syncService.getSourceStatus(req.params.name));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Sync status error:', error);
+      res.status(500).json({ error: 'Failed to get sync status' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/sync:
+   *   post:
+   *     summary: Resync All Source Folders
+   *     description: Scan every source folder now instead of waiting for a change or the next periodic scan. Files that failed before are tried again. Follow the scans with GET /api/sync.
+   *     tags: [Sync]
+   *     responses:
+   *       202:
+   *         description: Scans queued
+   *         schema:
+   *           $ref: '#/definitions/SyncStatus'
+   *       409:
+   *         description: SYNC_SOURCES is invalid
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/sync', requireScope('ingest'), async (req, res) => {
+    try {
+      if (syncService.configError) {
+        return res.status(409).json({ error: `Folder sync is disabled: ${syncService.configError}` });
+      }
+      startSync();
+      res.status(202).json(await syncService.getStatus());
+    } catch (error) {
+      console.error('Resync error:', error);
+      res.status(500).json({ error: 'Failed to start sync' });
+    }
+  });
+
+  /**
+   * @swagger
+   * /api/sync/{name}:
+   *   post:
+   *     summary: Resync a Source Folder
+   *     description: Scan one source folder now. Files that failed before are tried again. Follow the scan with GET /api/sync/{name}.
+   *     tags: [Sync]
+   *     parameters:
+   *       - in: path
+   *         name: name
+   *         type: string
+   *         required: true
+   *     responses:
+   *       202:
+   *         description: Scan queued
+   *         schema:
+   *           $ref: '#/definitions/SyncSourceDetail'
+   *       404:
+   *         description: Sync source not found
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   *       500:
+   *         description: Internal server error
+   *         schema:
+   *           $ref: '#/definitions/ErrorResponse'
+   */
+  router.post('/sync/:name', requireScope('ingest'), async (req, res) => {
+    try {
+      syncService.getSource(req.params.name);
+      startSync(req.params.name);
+      res.status(202).json(await syncService.getSourceStatus(req.params.name));
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      console.error('Resync error:', error);
+      res.status(500).json({ error: 'Failed to start sync' });
+    }
+  });
+
+  return router;
+};
@@ -1,14 +1,26 @@
+// Load environment variables before the services read them
+require('dotenv').config();
+
 const express = require('express');
-const dotenv = require('dotenv');
 const winston = require('winston');
 const multer = require('multer');
+const fs = require('fs');
 const path = require('path');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const cors = require('cors');
-
-// Load environment variables
-dotenv.config();
+const jobService = require('./services/jobService');
+const documentService = require('./services/documentService');
+const reindexService = require('./services/reindexService');
+const syncService = require('./services/syncService');
+const vectorStoreService = require('./services/vectorStoreService');
+const textExtractionService = require('./services/textExtraction');
+const apiKeyService = require('./services/apiKeyService');
+const batchService = require('./services/batchService');
+const migrations = require('./utils/migrations');
+const { ValidationError } = require('./utils/errors');
+const { safeFilename } = require('./utils/files');
+const { authenticate, requireScope } = require('./middleware/auth');
 
 // Initialize logger
 const logger = winston.createLogger({
@@ -28,6 +40,7 @@ const logger = winston.createLogger({
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 13301;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
 
 // Swagger configuration
 const swaggerOptions = {
@@ -35,7 +48,7 @@ const swaggerOptions = {
     swagger: '2.0',
     info: {
       title: 'Local RAG Endpoint API',
-      description: 'A Node.js RAG endpoint with SQLite and vector embeddings for document upload, search, and retrieval',
+      description: 'A Node.js RAG endpoint with SQLite and vector embeddings for document upload, search, and retrieval. API keys are only enforced when the server runs with `API_AUTH=on` (off by default, leaving the API open); then requests to /api and /uploads need a key, sent as `X-API-Key` or `Authorization: Bearer`. Keys have scopes: `search` (search, ask, list documents and collections, read uploads), `ingest` (upload, download, process, change and delete documents, jobs) and `admin` (everything, including collections, re-indexing, the embedding cache and API keys). Missing or invalid keys get 401, keys without the scope 403, and keys over their rate limit or daily quota 429 with Retry-After.',
       version: '1.0.0',
       contact: {
         name: 'Local RAG Endpoint Support'
@@ -46,6 +59,20 @@ const swaggerOptions = {
     schemes: ['http'],
     consumes: ['application/json'],
     produces: ['application/json'],
+    securityDefinitions: {
+      ApiKeyHeader: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key'
+      },
+      BearerToken: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'Authorization',
+        description: 'The API key as "Bearer <key>"'
+      }
+    },
+    security: [{ ApiKeyHeader: [] }, { BearerToken: [] }],
     definitions: {
       HealthResponse: {
         type: 'object',
@@ -57,6 +84,34 @@ const swaggerOptions = {
           message: {
             type: 'string',
             example: 'Local RAG Endpoint is running'
+          },
+          vectorSearch: {
+            type: 'object',
+            description: 'Backend answering vector searches',
+            properties: {
+              backend: {
+                type: 'string',
+                enum: ['sqlite-vec', 'javascript'],
+                description: 'javascript when the sqlite-vec extension could not be loaded',
+                example: 'sqlite-vec'
+              },
+              extension: {
+                type: 'object',
+                description: 'The loaded sqlite-vec build; null without one',
+                properties: {
+                  path: { type: 'string', example: '/app/node_modules/sqlite-vec-linux-x64/vec0.so' },
+                  version: { type: 'string', example: 'v0.1.9' }
+                }
+              },
+              index: {
+                type: 'object',
+                description: 'vec0 index; null without sqlite-vec',
+                properties: {
+                  ready: { type: 'boolean', description: 'Stored vectors are indexed and searches use the index', example: true },
+                  dimensions: { type: 'array', items: { type: 'integer' }, description: 'Vector lengths with an index table', example: [768] }
+                }
+              }
+            }
           }
         }
       },
@@ -97,6 +152,196 @@ const swaggerOptions = {
             description: 'Page number for pagination',
             default: 1,
             example: 1
+          },
+          passagesPerDocument: {
+            type: 'integer',
+            description: 'Maximum number of matching passages returned per document',
+            default: 3,
+            example: 3
+          },
+          mode: {
+            $ref: '#/definitions/SearchMode'
+          },
+          hybrid: {
+            $ref: '#/definitions/HybridOptions'
+          },
+          minSimilarity: {
+            type: 'number',
+            format: 'float',
+            description: 'Drop passages with a lower cosine similarity to the query, and documents left without passages (vector and hybrid modes)',
+            example: 0.4
+          },
+          diversify: {
+            $ref: '#/definitions/DiversifyOptions'
+          },
+          rerank: {
+            type: 'boolean',
+            description: 'Rescore the passages of the top RERANK_CANDIDATES documents with the cross-encoder reranker at RERANK_URL and order by its scores',
+            default: false,
+            example: true
+          },
+          filter: {
+            $ref: '#/definitions/MetadataFilter'
+          },
+          collection: {
+            type: 'string',
+            description: 'Restrict to one collection',
+            example: 'hr'
+          },
+          collections: {
+            type: 'array',
+            description: 'Restrict to several collections; all collections when neither is given',
+            items: {
+              type: 'string'
+            },
+            example: ['hr', 'legal']
+          }
+        }
+      },
+      SearchMode: {
+        type: 'string',
+        enum: ['vector', 'keyword', 'hybrid'],
+        description: 'vector - embedding similarity; keyword - SQLite FTS5 BM25 over exact terms; hybrid - both, fused with reciprocal-rank fusion',
+        default: 'vector',
+        example: 'hybrid'
+      },
+      OcrMode: {
+        type: 'string',
+        enum: ['auto', 'force', 'off'],
+        description: 'auto - OCR images and PDF pages without a text layer; force - OCR the images of every PDF page and prefer their text; off - no OCR, so images and scans fail with no text. Defaults to OCR_MODE',
+        default: 'auto',
+        example: 'auto'
+      },
+      OcrPage: {
+        type: 'object',
+        properties: {
+          page: {
+            type: 'integer',
+            example: 3
+          },
+          confidence: {
+            type: 'number',
+            format: 'float',
+            description: 'Tesseract mean word confidence, 0-100',
+            example: 87.5
+          }
+        }
+      },
+      HybridOptions: {
+        type: 'object',
+        description: 'Reciprocal-rank fusion tuning, score = vectorWeight / (k + vector rank) + keywordWeight / (k + keyword rank)',
+        properties: {
+          vectorWeight: {
+            type: 'number',
+            default: 1,
+            example: 1
+          },
+          keywordWeight: {
+            type: 'number',
+            default: 1,
+            example: 1.5
+          },
+          k: {
+            type: 'number',
+            default: 60,
+            example: 60
+          }
+        }
+      },
+      DiversifyOptions: {
+        type: 'object',
+        description: 'Reorder the top documents by maximal marginal relevance, so near-identical documents do not fill the page; true uses the default lambda. Each next document maximises lambda * relevance - (1 - lambda) * its highest similarity to the documents ranked before it',
+        properties: {
+          lambda: {
+            type: 'number',
+            format: 'float',
+            description: '1 ranks by relevance only, 0 by novelty only',
+            default: 0.5,
+            example: 0.7
+          }
+        }
+      },
+      ChunkLocation: {
+        type: 'object',
+        description: 'Where a passage is in its source file; null for chunks stored before locations were recorded',
+        properties: {
+          page: {
+            type: 'integer',
+            description: 'First PDF page the passage is on',
+            example: 14
+          },
+          pageEnd: {
+            type: 'integer',
+            description: 'Last PDF page, when the passage spans several',
+            example: 15
+          },
+          sheet: {
+            type: 'string',
+            description: 'Spreadsheet sheet the rows are on',
+            example: 'Sheet2'
+          },
+          range: {
+            type: 'string',
+            description: 'Cell range of the rows in the sheet',
+            example: 'A40:D60'
+          },
+          section: {
+            type: 'string',
+            description: 'Heading path, for documents chunked by headings (Word, HTML, Markdown, ...)',
+            example: 'Benefits > Home office'
+          }
+        }
+      },
+      SearchPassage: {
+        type: 'object',
+        properties: {
+          chunkId: {
+            type: 'integer',
+            example: 456
+          },
+          chunkIndex: {
+            type: 'integer',
+            example: 2
+          },
+          start: {
+            type: 'integer',
+            description: 'Character offset of the passage in the extracted text',
+            example: 4000
+          },
+          end: {
+            type: 'integer',
+            example: 6000
+          },
+          location: {
+            $ref: '#/definitions/ChunkLocation'
+          },
+          content: {
+            type: 'string',
+            example: 'Relevant passage text...'
+          },
+          similarity: {
+            type: 'number',
+            format: 'float',
+            description: 'Cosine similarity to the query (vector and hybrid modes)',
+            example: 0.95
+          },
+          bm25: {
+            type: 'number',
+            format: 'float',
+            description: 'BM25 keyword score, higher is better (keyword and hybrid modes; null when no term matched)',
+            example: 7.42
+          },
+          score: {
+            type: 'number',
+            format: 'float',
+            description: 'Score the passage was retrieved by - similarity, bm25 or the fused score in hybrid mode',
+            example: 0.0325
+          },
+          rerankScore: {
+            type: 'number',
+            format: 'float',
+            description: 'Reranker score, higher is more relevant (only with rerank)',
+            example: 0.982
           }
         }
       },
@@ -111,19 +356,45 @@ const swaggerOptions = {
             type: 'string',
             example: 'document.pdf'
           },
-          content: {
+          collection: {
+            type: 'string',
+            example: 'hr'
+          },
+          metadata: {
+            $ref: '#/definitions/DocumentMetadata'
+          },
+          preview: {
             type: 'string',
-            example: 'Relevant content snippet...'
+            example: 'Content preview text...'
           },
           similarity: {
             type: 'number',
             format: 'float',
+            description: 'Similarity of the best matching passage',
             example: 0.95
           },
+          score: {
+            type: 'number',
+            format: 'float',
+            description: 'Retrieval score of the best matching passage',
+            example: 0.0325
+          },
+          rerankScore: {
+            type: 'number',
+            format: 'float',
+            description: 'Reranker score of the best passage, which results are ordered by (only with rerank)',
+            example: 0.982
+          },
           uploadDate: {
             type: 'string',
             format: 'date-time',
             example: '2024-01-15T10:30:00.000Z'
+          },
+          passages: {
+            type: 'array',
+            items: {
+              $ref: '#/definitions/SearchPassage'
+            }
           }
         }
       },
@@ -143,38 +414,103 @@ const swaggerOptions = {
           limit: {
             type: 'integer',
             example: 10
+          },
+          mode: {
+            $ref: '#/definitions/SearchMode'
+          },
+          warnings: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Present when searched collections hold chunks embedded with another model than the collection\'s; those chunks were left out until the collection is re-indexed',
+            example: ['Collection default: 120 of 480 chunks were embedded with another model than openai:text-embedding-3-small and were not searched; re-index the collection to include them']
           }
         }
       },
-      Document: {
+      BatchSearchRequest: {
         type: 'object',
+        required: ['queries'],
         properties: {
-          id: {
+          queries: {
+            type: 'array',
+            description: 'Search queries, each searched with the other parameters',
+            items: {
+              type: 'string'
+            },
+            example: ['remote work policy', 'annual leave days']
+          },
+          limit: {
             type: 'integer',
-            example: 123
+            description: 'Number of results to return per query',
+            default: 10,
+            example: 5
           },
-          filename: {
-            type: 'string',
-            example: 'document.pdf'
+          page: {
+            type: 'integer',
+            default: 1,
+            example: 1
           },
-          preview: {
-            type: 'string',
-            example: 'Content preview text...'
+          passagesPerDocument: {
+            type: 'integer',
+            default: 3,
+            example: 3
           },
-          uploadDate: {
+          mode: {
+            $ref: '#/definitions/SearchMode'
+          },
+          hybrid: {
+            $ref: '#/definitions/HybridOptions'
+          },
+          minSimilarity: {
+            type: 'number',
+            format: 'float',
+            description: 'Drop passages with a lower cosine similarity to the query, and documents left without passages (vector and hybrid modes)',
+            example: 0.4
+          },
+          diversify: {
+            $ref: '#/definitions/DiversifyOptions'
+          },
+          rerank: {
+            type: 'boolean',
+            description: 'Rescore the passages of the top RERANK_CANDIDATES documents with the cross-encoder reranker at RERANK_URL and order by its scores',
+            default: false,
+            example: true
+          },
+          filter: {
+            $ref: '#/definitions/MetadataFilter'
+          },
+          collection: {
             type: 'string',
-            format: 'date-time',
-            example: '2024-01-15T10:30:00.000Z'
+            example: 'hr'
+          },
+          collections: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            example: ['hr', 'legal']
           }
         }
       },
-      DocumentsResponse: {
+      BatchSearchResponse: {
         type: 'object',
         properties: {
-          documents: {
+          results: {
             type: 'array',
+            description: 'One entry per query, in the order of the queries',
             items: {
-              $ref: '#/definitions/Document'
+              type: 'object',
+              properties: {
+                query: {
+                  type: 'string',
+                  example: 'remote work policy'
+                },
+                results: {
+                  type: 'array',
+                  items: {
+                    $ref: '#/definitions/SearchResult'
+                  }
+                }
+              }
             }
           },
           page: {
@@ -183,93 +519,1287 @@ const swaggerOptions = {
           },
           limit: {
             type: 'integer',
-            example: 50
-          }
-        }
-      },
-      ErrorResponse: {
-        type: 'object',
-        properties: {
-          error: {
-            type: 'string',
-            example: 'Error message description'
+            example: 5
+          },
+          mode: {
+            $ref: '#/definitions/SearchMode'
+          },
+          warnings: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'As for /api/search'
           }
         }
       },
-      UploadFileResponse: {
+      AskRequest: {
         type: 'object',
+        required: ['question'],
         properties: {
-          message: {
+          question: {
             type: 'string',
-            example: 'File uploaded successfully'
+            example: 'How many days of annual leave do employees get?'
           },
-          fileUrl: {
-            type: 'string',
-            example: '/uploads/document.pdf'
+          topK: {
+            type: 'integer',
+            description: 'Number of passages given to the model as sources',
+            default: 5,
+            example: 5
           },
-          filename: {
+          stream: {
+            type: 'boolean',
+            description: 'Stream the answer as Server-Sent Events',
+            default: false
+          },
+          mode: {
+            $ref: '#/definitions/SearchMode'
+          },
+          hybrid: {
+            $ref: '#/definitions/HybridOptions'
+          },
+          filter: {
+            $ref: '#/definitions/MetadataFilter'
+          },
+          collection: {
             type: 'string',
-            example: 'document.pdf'
-          }
-        }
-      },
-      ProcessDocumentRequest: {
-        type: 'object',
-        required: ['filename'],
-        properties: {
-          filename: {
+            description: 'Restrict to one collection',
+            example: 'hr'
+          },
+          collections: {
+            type: 'array',
+            description: 'Restrict to several collections; all collections when neither is given',
+            items: {
+              type: 'string'
+            },
+            example: ['hr', 'legal']
+          },
+          model: {
             type: 'string',
-            description: 'Name of the file in uploads folder to process',
-            example: '1758765824314-document.pdf'
+            description: 'Chat model to use instead of LLM_MODEL',
+            example: 'llama3.1'
+          },
+          temperature: {
+            type: 'number',
+            default: 0.2
+          },
+          maxTokens: {
+            type: 'integer',
+            default: 512
           }
         }
       },
-      ProcessDocumentResponse: {
+      Citation: {
         type: 'object',
         properties: {
-          message: {
-            type: 'string',
-            example: 'Document processed and indexed successfully'
+          number: {
+            type: 'integer',
+            description: 'Source number used as [n] in the answer',
+            example: 1
           },
           documentId: {
             type: 'integer',
             example: 123
           },
-          preview: {
+          filename: {
             type: 'string',
-            example: 'Document content preview text...'
+            example: 'remote_work_policy.txt'
+          },
+          chunkId: {
+            type: 'integer',
+            example: 456
+          },
+          chunkIndex: {
+            type: 'integer',
+            example: 0
+          },
+          start: {
+            type: 'integer',
+            example: 0
+          },
+          end: {
+            type: 'integer',
+            example: 1450
+          },
+          location: {
+            $ref: '#/definitions/ChunkLocation'
+          },
+          content: {
+            type: 'string',
+            example: 'Passage text the answer is grounded on...'
+          },
+          similarity: {
+            type: 'number',
+            format: 'float',
+            example: 0.87
+          },
+          score: {
+            type: 'number',
+            format: 'float',
+            example: 0.87
           }
         }
       },
-      DownloadFileRequest: {
+      AskResponse: {
         type: 'object',
-        required: ['fileUrl'],
         properties: {
-          fileUrl: {
+          answer: {
             type: 'string',
-            description: 'URL of the file to download',
-            example: 'https://pdfobject.com/pdf/sample.pdf'
+            example: 'Employees receive a home office stipend of $500 annually [1].'
+          },
+          citations: {
+            type: 'array',
+            items: {
+              $ref: '#/definitions/Citation'
+            }
+          },
+          cited: {
+            type: 'array',
+            description: 'Citation numbers referenced in the answer',
+            items: {
+              type: 'integer'
+            },
+            example: [1]
+          },
+          model: {
+            type: 'string',
+            example: 'llama3.1'
+          },
+          usage: {
+            type: 'object',
+            description: 'Token usage reported by the chat endpoint, if any'
           }
         }
       },
-      DownloadFileResponse: {
+      Document: {
         type: 'object',
         properties: {
-          message: {
-            type: 'string',
-            example: 'File downloaded and saved successfully'
+          id: {
+            type: 'integer',
+            example: 123
           },
           filename: {
             type: 'string',
-            example: '1758765824314-document.pdf'
+            example: 'document.pdf'
           },
-          fileUrl: {
+          collection: {
             type: 'string',
-            example: '/uploads/1758765824314-document.pdf'
-          }
-        }
-      }
-    }
+            example: 'default'
+          },
+          metadata: {
+            $ref: '#/definitions/DocumentMetadata'
+          },
+          contentHash: {
+            type: 'string',
+            description: 'SHA-256 of the source file',
+            example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+          },
+          version: {
+            type: 'integer',
+            description: 'Version number, counting up as new versions of the same document are added',
+            example: 1
+          },
+          versionOf: {
+            type: 'integer',
+            description: 'Id of the first version; null for a first version',
+            example: null
+          },
+          preview: {
+            type: 'string',
+            example: 'Content preview text...'
+          },
+          ocrPages: {
+            type: 'array',
+            description: 'Pages read by OCR, e.g. of a scanned PDF or an image; null when none were',
+            items: {
+              $ref: '#/definitions/OcrPage'
+            }
+          },
+          uploadDate: {
+            type: 'string',
+            format: 'date-time',
+            example: '2024-01-15T10:30:00.000Z'
+          },
+          updatedDate: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the document was last reprocessed or replaced',
+            example: '2024-02-01T08:00:00.000Z'
+          }
+        }
+      },
+      DocumentsResponse: {
+        type: 'object',
+        properties: {
+          documents: {
+            type: 'array',
+            items: {
+              $ref: '#/definitions/Document'
+            }
+          },
+          page: {
+            type: 'integer',
+            example: 1
+          },
+          limit: {
+            type: 'integer',
+            example: 50
+          }
+        }
+      },
+      ErrorResponse: {
+        type: 'object',
+        properties: {
+          error: {
+            type: 'string',
+            example: 'Error message description'
+          }
+        }
+      },
+      UploadFileResponse: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'string',
+            example: 'File uploaded successfully'
+          },
+          fileUrl: {
+            type: 'string',
+            example: '/uploads/document.pdf'
+          },
+          filename: {
+            type: 'string',
+            example: 'document.pdf'
+          },
+          contentHash: {
+            type: 'string',
+            description: 'SHA-256 of the file content',
+            example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+          },
+          duplicateUpload: {
+            type: 'boolean',
+            description: 'The same content was already stored; filename is the stored file and no new copy was kept',
+            example: false
+          },
+          documentId: {
+            type: 'integer',
+            description: 'Existing document with the same content, only when nothing was queued',
+            example: 123
+          },
+          duplicate: {
+            type: 'boolean',
+            description: 'Only when the collection already has a document with the same content',
+            example: true
+          },
+          jobId: {
+            type: 'integer',
+            description: 'Ingestion job, only when the file was queued for processing',
+            example: 42
+          },
+          status: {
+            type: 'string',
+            description: 'Only when the file was queued for processing',
+            example: 'queued'
+          }
+        }
+      },
+      BatchResult: {
+        type: 'object',
+        description: 'Outcome of one item of a batch request',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'The file name as uploaded or requested; files from an archive as "archive.zip/path/in/archive"',
+            example: 'policies.zip/hr/remote-work.pdf'
+          },
+          statusCode: {
+            type: 'integer',
+            description: 'The status code the single-file endpoint would have answered with',
+            example: 202
+          },
+          error: {
+            type: 'string',
+            description: 'Only for items that failed (statusCode 400 or more)',
+            example: 'Unsupported file content. Supported formats: .txt, .md, .pdf'
+          }
+        }
+      },
+      BatchUploadResponse: {
+        type: 'object',
+        properties: {
+          total: {
+            type: 'integer',
+            description: 'Number of results; the files of an archive count one each',
+            example: 3
+          },
+          succeeded: {
+            type: 'integer',
+            example: 2
+          },
+          failed: {
+            type: 'integer',
+            example: 1
+          },
+          results: {
+            type: 'array',
+            items: {
+              allOf: [{ $ref: '#/definitions/BatchResult' }, { $ref: '#/definitions/UploadFileResponse' }]
+            }
+          }
+        }
+      },
+      BatchProcessFile: {
+        type: 'object',
+        description: 'A file to process with its own options, which override the shared ones; a string is taken as the filename',
+        required: ['filename'],
+        properties: {
+          filename: {
+            type: 'string',
+            example: '1758765824314-document.pdf'
+          },
+          collection: {
+            type: 'string',
+            example: 'hr'
+          },
+          metadata: {
+            $ref: '#/definitions/DocumentMetadata'
+          },
+          chunking: {
+            $ref: '#/definitions/ChunkingOptions'
+          },
+          onDuplicate: {
+            type: 'string',
+            enum: ['reject', 'existing', 'version']
+          },
+          ocr: {
+            $ref: '#/definitions/OcrMode'
+          }
+        }
+      },
+      BatchProcessRequest: {
+        type: 'object',
+        required: ['files'],
+        properties: {
+          files: {
+            type: 'array',
+            description: 'Files in the uploads folder, as names or objects with their own options',
+            items: {
+              $ref: '#/definitions/BatchProcessFile'
+            },
+            example: ['1758765824314-handbook.pdf', { filename: '1758765824315-policy.docx', metadata: { department: 'HR' } }]
+          },
+          collection: {
+            type: 'string',
+            description: 'Collection to add the documents to',
+            default: 'default',
+            example: 'hr'
+          },
+          metadata: {
+            $ref: '#/definitions/DocumentMetadata'
+          },
+          chunking: {
+            $ref: '#/definitions/ChunkingOptions'
+          },
+          onDuplicate: {
+            type: 'string',
+            enum: ['reject', 'existing', 'version'],
+            description: 'Defaults to DUPLICATE_POLICY',
+            example: 'existing'
+          },
+          ocr: {
+            $ref: '#/definitions/OcrMode'
+          }
+        }
+      },
+      BatchProcessResponse: {
+        type: 'object',
+        properties: {
+          total: {
+            type: 'integer',
+            example: 2
+          },
+          succeeded: {
+            type: 'integer',
+            example: 2
+          },
+          failed: {
+            type: 'integer',
+            example: 0
+          },
+          results: {
+            type: 'array',
+            items: {
+              allOf: [{ $ref: '#/definitions/BatchResult' }, { $ref: '#/definitions/ProcessJobResponse' }]
+            }
+          }
+        }
+      },
+      ProcessDocumentRequest: {
+        type: 'object',
+        required: ['filename'],
+        properties: {
+          filename: {
+            type: 'string',
+            description: 'Name of the file in uploads folder to process',
+            example: '1758765824314-document.pdf'
+          },
+          collection: {
+            type: 'string',
+            description: 'Collection to add the document to; its chunking settings are the defaults',
+            default: 'default',
+            example: 'hr'
+          },
+          metadata: {
+            $ref: '#/definitions/DocumentMetadata'
+          },
+          chunking: {
+            $ref: '#/definitions/ChunkingOptions'
+          },
+          onDuplicate: {
+            type: 'string',
+            enum: ['reject', 'existing', 'version'],
+            description: 'What to do when the collection already has a document with the same content - reject it with 409, return the existing document, or add a new version. Defaults to DUPLICATE_POLICY',
+            example: 'existing'
+          },
+          ocr: {
+            $ref: '#/definitions/OcrMode'
+          }
+        }
+      },
+      DocumentMetadata: {
+        type: 'object',
+        description: 'Arbitrary JSON metadata attached to a document',
+        additionalProperties: true,
+        example: {
+          author: 'Jane Doe',
+          department: 'HR',
+          tags: ['policy', 'remote'],
+          effectiveDate: '2024-03-01',
+          sourceUrl: 'https://intranet.example.com/remote-work.pdf'
+        }
+      },
+      MetadataFilter: {
+        type: 'object',
+        description: 'Only documents whose metadata matches. Fields map to a value (equality) or to operators - $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $contains (array field holds the value) and $exists. Fields are ANDed; $and and $or take arrays of filters. Dotted fields reach nested objects. Range operators only match values of the same type, so compare ISO dates as strings.',
+        additionalProperties: true,
+        example: {
+          department: 'HR',
+          tags: { $contains: 'policy' },
+          effectiveDate: { $gte: '2024-01-01' }
+        }
+      },
+      UpdateMetadataRequest: {
+        type: 'object',
+        required: ['metadata'],
+        properties: {
+          metadata: {
+            $ref: '#/definitions/DocumentMetadata'
+          },
+          replace: {
+            type: 'boolean',
+            description: 'Replace the metadata instead of merging into it (keys set to null are removed when merging)',
+            default: false
+          }
+        }
+      },
+      ChunkingOptions: {
+        type: 'object',
+        description: 'How the extracted text is split before embedding. Omitted fields fall back to the server defaults',
+        properties: {
+          strategy: {
+            type: 'string',
+            enum: ['auto', 'fixed', 'sentence', 'recursive', 'markdown', 'rows'],
+            description: 'auto picks markdown for .md files, rows for .csv/.xlsx/.xls and recursive otherwise',
+            default: 'auto',
+            example: 'sentence'
+          },
+          chunkSize: {
+            type: 'integer',
+            description: 'Approximate maximum tokens per chunk',
+            default: 400,
+            example: 400
+          },
+          chunkOverlap: {
+            type: 'integer',
+            description: 'Approximate tokens shared by consecutive chunks',
+            default: 50,
+            example: 50
+          }
+        }
+      },
+      ProcessDocumentResponse: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'string',
+            example: 'Document reprocessed successfully'
+          },
+          documentId: {
+            type: 'integer',
+            example: 123
+          },
+          chunkCount: {
+            type: 'integer',
+            example: 4
+          },
+          chunking: {
+            $ref: '#/definitions/ChunkingOptions'
+          },
+          ocrPages: {
+            type: 'array',
+            description: 'Pages read by OCR; null when none were',
+            items: {
+              $ref: '#/definitions/OcrPage'
+            }
+          },
+          preview: {
+            type: 'string',
+            example: 'Document content preview text...'
+          }
+        }
+      },
+      ReprocessDocumentRequest: {
+        type: 'object',
+        properties: {
+          chunking: {
+            $ref: '#/definitions/ChunkingOptions'
+          },
+          ocr: {
+            $ref: '#/definitions/OcrMode'
+          }
+        }
+      },
+      DeleteDocumentResponse: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'string',
+            example: 'Document deleted successfully'
+          },
+          documentId: {
+            type: 'integer',
+            example: 123
+          },
+          chunksDeleted: {
+            type: 'integer',
+            example: 4
+          },
+          fileDeleted: {
+            type: 'boolean',
+            example: true
+          }
+        }
+      },
+      CreateCollectionRequest: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Letters, digits, "_" and "-", up to 64 characters',
+            example: 'hr'
+          },
+          description: {
+            type: 'string',
+            example: 'HR policies for the HR bot'
+          },
+          chunking: {
+            $ref: '#/definitions/ChunkingOptions'
+          },
+          embeddingProvider: {
+            type: 'string',
+            enum: ['service', 'openai', 'ollama', 'hash'],
+            description: 'Provider embedding the documents of this collection (default EMBEDDING_PROVIDER)',
+            example: 'ollama'
+          },
+          embeddingModel: {
+            type: 'string',
+            description: 'Model of the provider to use; the provider default when omitted',
+            example: 'nomic-embed-text'
+          }
+        }
+      },
+      Collection: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            example: 2
+          },
+          name: {
+            type: 'string',
+            example: 'hr'
+          },
+          description: {
+            type: 'string',
+            example: 'HR policies for the HR bot'
+          },
+          embeddingProvider: {
+            type: 'string',
+            example: 'service'
+          },
+          embeddingModel: {
+            type: 'string',
+            example: 'moka-ai/m3e-base'
+          },
+          chunking: {
+            $ref: '#/definitions/ChunkingOptions'
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2024-01-15T10:30:00.000Z'
+          },
+          documentCount: {
+            type: 'integer',
+            example: 12
+          },
+          chunkCount: {
+            type: 'integer',
+            example: 87
+          }
+        }
+      },
+      CollectionsResponse: {
+        type: 'object',
+        properties: {
+          collections: {
+            type: 'array',
+            items: {
+              $ref: '#/definitions/Collection'
+            }
+          }
+        }
+      },
+      DeleteCollectionResponse: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'string',
+            example: 'Collection deleted successfully'
+          },
+          name: {
+            type: 'string',
+            example: 'hr'
+          },
+          documentsDeleted: {
+            type: 'integer',
+            example: 12
+          },
+          chunksDeleted: {
+            type: 'integer',
+            example: 87
+          }
+        }
+      },
+      ProcessJobResponse: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'string',
+            example: 'Document queued for processing'
+          },
+          jobId: {
+            type: 'integer',
+            description: 'Only when the document was queued',
+            example: 42
+          },
+          status: {
+            type: 'string',
+            example: 'queued'
+          },
+          documentId: {
+            type: 'integer',
+            description: 'Existing document with the same content, only when nothing was queued',
+            example: 123
+          },
+          collection: {
+            type: 'string',
+            example: 'default'
+          },
+          duplicate: {
+            type: 'boolean',
+            description: 'Only when the collection already has a document with the same content',
+            example: true
+          }
+        }
+      },
+      Job: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'integer',
+            example: 42
+          },
+          type: {
+            type: 'string',
+            enum: ['process', 'reindex'],
+            example: 'process'
+          },
+          status: {
+            type: 'string',
+            enum: ['queued', 'running', 'completed', 'failed'],
+            description: 'A job waiting for a retry is queued again, with error set to the last failure',
+            example: 'running'
+          },
+          payload: {
+            type: 'object',
+            description: 'What the job processes',
+            example: { filename: '1758765824314-document.pdf', collectionId: 1 }
+          },
+          progress: {
+            type: 'object',
+            properties: {
+              done: {
+                type: 'integer',
+                description: 'Chunks embedded so far (staged, for a re-index)',
+                example: 12
+              },
+              total: {
+                type: 'integer',
+                description: 'Chunks to embed; null until the text is extracted',
+                example: 40
+              }
+            }
+          },
+          attempts: {
+            type: 'integer',
+            example: 1
+          },
+          maxAttempts: {
+            type: 'integer',
+            example: 3
+          },
+          error: {
+            type: 'string',
+            description: 'Error of the last failed attempt',
+            example: 'Failed to generate embedding'
+          },
+          result: {
+            type: 'object',
+            description: 'Set once completed',
+            example: { documentId: 123, collection: 'default', chunkCount: 40, duplicate: false, chunking: { strategy: 'recursive', chunkSize: 400, chunkOverlap: 50 }, ocrPages: null }
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2024-01-15 10:30:00'
+          },
+          startedAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2024-01-15 10:30:01'
+          },
+          finishedAt: {
+            type: 'string',
+            format: 'date-time',
+            example: null
+          },
+          nextAttemptAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When a queued job becomes due',
+            example: null
+          }
+        }
+      },
+      EmbeddingCacheStats: {
+        type: 'object',
+        properties: {
+          enabled: {
+            type: 'boolean',
+            description: 'False when EMBEDDING_CACHE_MAX_ENTRIES is 0',
+            example: true
+          },
+          maxEntries: {
+            type: 'integer',
+            description: 'Least recently used entries beyond this are evicted',
+            example: 100000
+          },
+          entries: {
+            type: 'integer',
+            example: 5210
+          },
+          bytes: {
+            type: 'integer',
+            description: 'Size of the cached vectors',
+            example: 16005120
+          },
+          models: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                model: {
+                  type: 'string',
+                  example: 'service:moka-ai/m3e-base'
+                },
+                entries: {
+                  type: 'integer',
+                  example: 5210
+                },
+                bytes: {
+                  type: 'integer',
+                  example: 16005120
+                }
+              }
+            }
+          },
+          hits: {
+            type: 'integer',
+            example: 830
+          },
+          misses: {
+            type: 'integer',
+            example: 5210
+          },
+          hitRate: {
+            type: 'number',
+            description: 'null before the first lookup',
+            example: 0.137
+          },
+          evictions: {
+            type: 'integer',
+            example: 0
+          },
+          since: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the counters started',
+            example: '2024-01-15T10:30:00.000Z'
+          }
+        }
+      },
+      ClearEmbeddingCacheResponse: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'string',
+            example: 'Embedding cache cleared'
+          },
+          model: {
+            type: 'string',
+            description: 'null when every model was cleared',
+            example: null
+          },
+          entriesDeleted: {
+            type: 'integer',
+            example: 5210
+          }
+        }
+      },
+      ReindexRequest: {
+        type: 'object',
+        properties: {
+          collection: {
+            type: 'string',
+            description: 'Collection to re-index; every collection when omitted',
+            example: 'default'
+          },
+          embeddingProvider: {
+            type: 'string',
+            enum: ['service', 'openai', 'ollama', 'hash'],
+            description: 'Provider to switch to; each collection keeps its own when omitted'
+          },
+          embeddingModel: {
+            type: 'string',
+            description: 'Model to switch to; the provider\'s default when only embeddingProvider is given, each collection\'s own when neither is',
+            example: 'text-embedding-3-small'
+          }
+        }
+      },
+      ReindexResponse: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'string',
+            example: 'Re-index queued'
+          },
+          jobId: {
+            type: 'integer',
+            example: 43
+          },
+          status: {
+            type: 'string',
+            example: 'queued'
+          },
+          collections: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', example: 'default' },
+                embeddingProvider: { type: 'string', example: 'openai' },
+                embeddingModel: { type: 'string', example: 'text-embedding-3-small' }
+              }
+            }
+          }
+        }
+      },
+      EmbeddingModelStatus: {
+        type: 'object',
+        properties: {
+          collection: {
+            type: 'string',
+            example: 'default'
+          },
+          embeddingProvider: {
+            type: 'string',
+            example: 'openai'
+          },
+          embeddingModel: {
+            type: 'string',
+            example: 'text-embedding-3-small'
+          },
+          model: {
+            type: 'string',
+            description: 'Id of the provider and model the collection\'s chunks should be embedded with',
+            example: 'openai:text-embedding-3-small'
+          },
+          dimensions: {
+            type: 'integer',
+            description: 'Expected vector length; null until known',
+            example: 1536
+          },
+          chunkCount: {
+            type: 'integer',
+            example: 480
+          },
+          staleChunks: {
+            type: 'integer',
+            description: 'Chunks embedded with another model or vector length, left out of vector search',
+            example: 120
+          },
+          models: {
+            type: 'array',
+            description: 'Chunk counts by the model and vector length they were embedded with',
+            items: {
+              type: 'object',
+              properties: {
+                model: { type: 'string', example: 'service:moka-ai/m3e-base' },
+                dimensions: { type: 'integer', example: 768 },
+                chunks: { type: 'integer', example: 120 }
+              }
+            }
+          }
+        }
+      },
+      JobsResponse: {
+        type: 'object',
+        properties: {
+          jobs: {
+            type: 'array',
+            items: {
+              $ref: '#/definitions/Job'
+            }
+          },
+          page: {
+            type: 'integer',
+            example: 1
+          },
+          limit: {
+            type: 'integer',
+            example: 50
+          }
+        }
+      },
+      DownloadFileRequest: {
+        type: 'object',
+        required: ['fileUrl'],
+        properties: {
+          fileUrl: {
+            type: 'string',
+            description: 'http or https URL of the file to download; hosts must pass the download policy (DOWNLOAD_ALLOWED_HOSTS, DOWNLOAD_DENIED_HOSTS, no private network addresses)',
+            example: 'https://pdfobject.com/pdf/sample.pdf'
+          },
+          collection: {
+            type: 'string',
+            description: 'Queue the file for processing into this collection',
+            example: 'hr'
+          },
+          metadata: {
+            $ref: '#/definitions/DocumentMetadata'
+          },
+          onDuplicate: {
+            type: 'string',
+            enum: ['reject', 'existing', 'version'],
+            description: 'What to do when the collection already has a document with the same content - reject it with 409, return the existing document, or add a new version. Defaults to DUPLICATE_POLICY',
+            example: 'existing'
+          },
+          ocr: {
+            $ref: '#/definitions/OcrMode'
+          }
+        }
+      },
+      DownloadFileResponse: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'string',
+            example: 'File downloaded and saved successfully'
+          },
+          filename: {
+            type: 'string',
+            example: '1758765824314-document.pdf'
+          },
+          fileUrl: {
+            type: 'string',
+            example: '/uploads/1758765824314-document.pdf'
+          },
+          contentHash: {
+            type: 'string',
+            description: 'SHA-256 of the file content',
+            example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+          },
+          duplicateUpload: {
+            type: 'boolean',
+            description: 'The same content was already stored; filename is the stored file and no new copy was kept',
+            example: false
+          },
+          documentId: {
+            type: 'integer',
+            description: 'Existing document with the same content, only when nothing was queued',
+            example: 123
+          },
+          duplicate: {
+            type: 'boolean',
+            description: 'Only when the collection already has a document with the same content',
+            example: true
+          },
+          jobId: {
+            type: 'integer',
+            description: 'Ingestion job, only when the file was queued for processing',
+            example: 42
+          },
+          status: {
+            type: 'string',
+            description: 'Only when the file was queued for processing',
+            example: 'queued'
+          }
+        }
+      },
+      ApiKeyScope: {
+        type: 'string',
+        enum: ['search', 'ingest', 'admin'],
+        description: 'search - search, ask, list documents and collections; ingest - add, change and delete documents, follow jobs; admin - everything'
+      },
+      CreateApiKeyRequest: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+          name: {
+            type: 'string',
+            description: 'What the key is for',
+            example: 'dify-search'
+          },
+          scopes: {
+            type: 'array',
+            items: { $ref: '#/definitions/ApiKeyScope' },
+            example: ['search']
+          },
+          rateLimit: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Requests per minute, 0 for unlimited. Defaults to API_KEY_RATE_LIMIT',
+            example: 60
+          },
+          dailyQuota: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Requests per UTC day, 0 for unlimited. Defaults to API_KEY_DAILY_QUOTA',
+            example: 10000
+          }
+        }
+      },
+      ApiKey: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer', example: 3 },
+          name: { type: 'string', example: 'dify-search' },
+          prefix: {
+            type: 'string',
+            description: 'First characters of the key, to tell keys apart',
+            example: 'rag_Xk3pQ9'
+          },
+          scopes: {
+            type: 'array',
+            items: { $ref: '#/definitions/ApiKeyScope' }
+          },
+          rateLimit: {
+            type: 'integer',
+            description: 'Requests per minute; null for the server default, 0 for unlimited',
+            example: 60
+          },
+          dailyQuota: {
+            type: 'integer',
+            description: 'Requests per UTC day; null for the server default, 0 for unlimited',
+            example: 10000
+          },
+          requestsToday: { type: 'integer', example: 412 },
+          createdAt: { type: 'string', example: '2024-01-15 10:30:00' },
+          lastUsedAt: { type: 'string', description: 'Updated at most once a minute', example: '2024-01-16 08:12:40' },
+          revokedAt: { type: 'string', example: null }
+        }
+      },
+      CreatedApiKey: {
+        allOf: [
+          { $ref: '#/definitions/ApiKey' },
+          {
+            type: 'object',
+            properties: {
+              key: {
+                type: 'string',
+                description: 'The key; it is not shown again',
+                example: 'rag_Xk3pQ9vN2cH7tLw5YbR8mJ4dF6sA1eZ0'
+              }
+            }
+          }
+        ]
+      },
+      ApiKeysResponse: {
+        type: 'object',
+        properties: {
+          keys: {
+            type: 'array',
+            items: { $ref: '#/definitions/ApiKey' }
+          }
+        }
+      },
+      ImportResult: {
+        type: 'object',
+        properties: {
+          collections: {
+            type: 'object',
+            properties: {
+              created: { type: 'array', items: { type: 'string' }, example: ['hr'] },
+              existing: { type: 'array', items: { type: 'string' }, example: ['default'] }
+            }
+          },
+          documents: {
+            type: 'object',
+            properties: {
+              imported: { type: 'integer', example: 40 },
+              existing: { type: 'integer', example: 2 },
+              failed: { type: 'integer', example: 0 }
+            }
+          },
+          chunks: { type: 'integer', description: 'Chunks imported', example: 812 },
+          ids: {
+            type: 'object',
+            description: 'New document id by exported id',
+            additionalProperties: { type: 'integer' },
+            example: { 12: 57, 13: 58 }
+          },
+          errors: {
+            type: 'array',
+            description: 'Documents, collections or lines that could not be imported',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', description: 'Exported document id' },
+                filename: { type: 'string' },
+                collection: { type: 'string' },
+                line: { type: 'integer' },
+                error: { type: 'string' }
+              }
+            }
+          },
+          warnings: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['Collection hr: 812 of 812 chunks were embedded with another model than ollama:nomic-embed-text; re-index the collection to search them']
+          }
+        }
+      },
+      Backup: {
+        type: 'object',
+        properties: {
+          filename: { type: 'string', example: 'rag-2024-01-15T10-30-00-000Z.db' },
+          path: { type: 'string', example: '/srv/rag/db/backups/rag-2024-01-15T10-30-00-000Z.db' },
+          bytes: { type: 'integer', example: 52428800 },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      SyncScan: {
+        type: 'object',
+        description: 'Outcome of a source folder scan, by file',
+        properties: {
+          startedAt: { type: 'string', format: 'date-time' },
+          finishedAt: { type: 'string', format: 'date-time' },
+          added: { type: 'integer', example: 3 },
+          updated: { type: 'integer', example: 1 },
+          removed: { type: 'integer', example: 0 },
+          unchanged: { type: 'integer', example: 120 },
+          failed: { type: 'integer', example: 1 },
+          pending: {
+            type: 'integer',
+            description: 'Files changed moments ago, possibly still being written; they are indexed by a scan shortly after',
+            example: 0
+          }
+        }
+      },
+      SyncSource: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', example: 'policies' },
+          path: { type: 'string', example: '/mnt/share/policies' },
+          collection: { type: 'string', example: 'default' },
+          include: { type: 'array', items: { type: 'string' }, example: ['**'] },
+          exclude: { type: 'array', items: { type: 'string' }, example: ['drafts/**'] },
+          watching: {
+            type: 'boolean',
+            description: 'Whether changes are picked up as they happen; otherwise only by periodic scans'
+          },
+          scanning: { type: 'boolean' },
+          queued: { type: 'boolean', description: 'Whether a scan waits for the ones before it' },
+          lastScan: { $ref: '#/definitions/SyncScan' },
+          error: {
+            type: 'string',
+            description: 'Why the last scan failed, e.g. the folder is missing; nothing is removed then',
+            example: null
+          },
+          files: {
+            type: 'object',
+            properties: {
+              synced: { type: 'integer', example: 124 },
+              failed: { type: 'integer', example: 1 }
+            }
+          }
+        }
+      },
+      SyncSourceDetail: {
+        allOf: [
+          { $ref: '#/definitions/SyncSource' },
+          {
+            type: 'object',
+            properties: {
+              failures: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    path: { type: 'string', example: 'scans/contract.pdf' },
+                    error: { type: 'string', example: 'No text could be extracted' },
+                    failedAt: { type: 'string', example: '2024-01-15 10:30:00' }
+                  }
+                }
+              }
+            }
+          }
+        ]
+      },
+      SyncStatus: {
+        type: 'object',
+        properties: {
+          enabled: { type: 'boolean', description: 'Whether SYNC_SOURCES sets any source folders' },
+          error: { type: 'string', description: 'Why SYNC_SOURCES is invalid; sync is off then', example: null },
+          watch: { type: 'boolean' },
+          intervalMs: { type: 'integer', example: 300000 },
+          sources: {
+            type: 'array',
+            items: { $ref: '#/definitions/SyncSource' }
+          }
+        }
+      }
+    }
   },
   apis: ['./src/routes/*.js', './src/server.js'] // Path to the API routes and server
 };
@@ -282,23 +1812,27 @@ const storage = multer.diskStorage({
     cb(null, path.join(__dirname, '../uploads'));
   },
   filename: (req, file, cb) => {
-    cb(null, Date.now() + '-' + file.originalname);
+    const name = safeFilename(file.originalname);
+    const stamp = Date.now();
+    let filename = `${stamp}-${name}`;
+    // Files of the same name in one batch upload arrive within the same millisecond
+    for (let n = 2; fs.existsSync(path.join(__dirname, '../uploads', filename)); n++) {
+      filename = `${stamp}-${n}-${name}`;
+    }
+    cb(null, filename);
   }
 });
 
 const upload = multer({
   storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+  // Only names and MIME types of registered formats; the content is checked once stored.
+  // Batch uploads take archives too, and report unsupported files per file instead.
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /txt|pdf|docx|xlsx|csv/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    // Accept based on extension, or if mimetype is text/plain for txt files
-    const mimetype = file.mimetype === 'text/plain' || allowedTypes.test(file.mimetype);
-    if (extname && (mimetype || path.extname(file.originalname).toLowerCase() === '.txt')) {
+    if (file.fieldname === 'files' || textExtractionService.accepts(file.originalname, file.mimetype)) {
       return cb(null, true);
-    } else {
-      cb(new Error(`Invalid file type. Only txt, pdf, docx, xlsx, csv are allowed. Got: ${file.mimetype}, ext: ${path.extname(file.originalname)}`));
     }
+    cb(new ValidationError(`Invalid file type. Supported formats: ${textExtractionService.supportedExtensions().join(', ')}. Got: ${file.mimetype}, ext: ${path.extname(file.originalname)}`));
   }
 });
 
@@ -308,7 +1842,7 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+app.use('/uploads', authenticate, requireScope('search', 'ingest'), express.static(path.join(__dirname, '../uploads')));
 
 /**
  * @swagger
@@ -317,6 +1851,7 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
  *     summary: Health Check
  *     description: Check if the service is running and operational
  *     tags: [Health]
+ *     security: []
  *     responses:
  *       200:
  *         description: Service is healthy
@@ -324,7 +1859,7 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
  *           $ref: '#/definitions/HealthResponse'
  */
 app.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Local RAG Endpoint is running' });
+  res.json({ status: 'OK', message: 'Local RAG Endpoint is running', vectorSearch: vectorStoreService.getStatus() });
 });
 
 // Swagger API documentation endpoints
@@ -336,17 +1871,65 @@ app.get('/swagger.json', (req, res) => {
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 // Placeholder for routes (to be added later)
-app.use('/api', require('./routes')(upload));
+app.use('/api', authenticate, require('./routes')(upload));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: `File is larger than ${MAX_UPLOAD_BYTES} bytes` });
+  }
+  if (err instanceof multer.MulterError) {
+    // Files in another field, or more than a batch upload takes
+    const message = err.code === 'LIMIT_UNEXPECTED_FILE'
+      ? `Unexpected file in field ${err.field}: uploads take one file as "file", batch uploads at most ${batchService.maxFiles} as "files"`
+      : err.message;
+    return res.status(400).json({ error: message });
+  }
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ error: err.message });
+  }
   logger.error(err.stack);
   res.status(500).json({ error: 'Internal Server Error' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`http://localhost:${PORT} Server running on port ${PORT}`);
-});
+// Start server once the database schema is up to date
+migrations.migrate()
+  .then(applied => {
+    if (applied.length) logger.info(`Applied ${applied.length} database migration(s)`);
+    app.listen(PORT, () => {
+      logger.info(`http://localhost:${PORT} Server running on port ${PORT}`);
+      if (!apiKeyService.enabled) {
+        logger.warn('API_AUTH is not on: the API is open to anyone who can reach this port');
+      }
+      // Keys only matter when they are enforced
+      if (apiKeyService.enabled && !apiKeyService.adminKey) {
+        apiKeyService.countActiveKeys()
+          .then(count => count || logger.warn('No API keys yet: create one with npm run api-keys -- create --name admin --scopes admin, or set ADMIN_API_KEY'))
+          .catch(error => logger.error(`Failed to count API keys: ${error.stack}`));
+      }
+      // Hash files stored before content hashing so new uploads are matched against them
+      documentService.indexUploads()
+        .then(count => count && logger.info(`Hashed ${count} previously uploaded file(s)`))
+        .catch(error => logger.error(`Failed to index uploads: ${error.stack}`));
+      // Pick the vector backend first: without sqlite-vec its index triggers must go before chunks are written.
+      // Then record the model of chunks embedded before models were tracked, index their vectors and
+      // warn about collections needing a re-index, before picking up queued and interrupted jobs.
+      vectorStoreService.init()
+        .then(status => logger.info(`Vector search backend: ${status.backend}`))
+        .then(() => reindexService.backfillModels())
+        .then(count => count && logger.info(`Recorded the embedding model of ${count} chunk(s)`))
+        .then(() => vectorStoreService.buildIndex())
+        .then(() => reindexService.checkModels())
+        .catch(error => logger.error(`Failed to prepare vector search: ${error.stack}`))
+        .then(() => jobService.start())
+        .catch(error => logger.error(`Failed to start job worker: ${error.stack}`))
+        // Scan and watch source folders once documents can be stored
+        .then(() => syncService.start());
+    });
+  })
+  .catch(error => {
+    logger.error(`Failed to migrate database: ${error.stack}`);
+    process.exit(1);
+  });
 
 module.exports = app;
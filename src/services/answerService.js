@@ -0,0 +1,190 @@
+const { OpenAI } = require('openai');
+const documentService = require('./documentService');
+const { describeLocation } = require('../utils/locations');
+const { ValidationError } = require('../utils/errors');
+
+const SYSTEM_PROMPT = [
+  'You answer questions using only the numbered sources provided.',
+  'Cite every statement with the number of the source it comes from, like [1] or [2][3].',
+  'If the sources do not contain the answer, say that you could not find it in the documents.',
+  'Answer in the language of the question.'
+].join(' ');
+
+const NO_SOURCES_ANSWER = 'I could not find any relevant information in the indexed documents.';
+
+// Passages put into one prompt at most; each document searched for may bring as many
+const MAX_TOP_K = 50;
+
+class AnswerService {
+  constructor() {
+    // Any OpenAI-compatible chat endpoint works: llama.cpp server, Ollama, vLLM or OpenAI itself
+    this.baseURL = process.env.LLM_BASE_URL || 'http://localhost:11434/v1';
+    this.apiKey = process.env.LLM_API_KEY || 'not-needed';
+    this.model = process.env.LLM_MODEL || 'llama3.1';
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client || this.client.baseURL !== this.baseURL) {
+      this.client = new OpenAI({ baseURL: this.baseURL, apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  /**
+   * Check a question's retrieval and generation options, so that invalid ones
+   * are rejected before an answer (possibly a stream) starts.
+   * @param {Object} [options]
+   * @param {number|string} [options.topK=5] - A positive integer up to 50
+   * @param {Object} [options.hybrid] - See documentService.resolveHybrid
+   * @param {number} [options.temperature] - From 0 to 2
+   * @param {number} [options.maxTokens] - A positive integer
+   * @returns {{topK: number, hybrid: Object, temperature: (number|undefined), maxTokens: (number|undefined)}}
+   * @throws {ValidationError} For invalid options
+   */
+  resolveOptions({ topK = 5, hybrid, temperature, maxTokens } = {}) {
+    const count = typeof topK === 'string' && topK.trim() ? Number(topK) : topK;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_TOP_K) {
+      throw new ValidationError(`topK must be an integer from 1 to ${MAX_TOP_K}`);
+    }
+    if (temperature !== undefined && (typeof temperature !== 'number' || !(temperature >= 0 && temperature <= 2))) {
+      throw new ValidationError('temperature must be a number from 0 to 2');
+    }
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+      throw new ValidationError('maxTokens must be a positive integer');
+    }
+    return { topK: count, hybrid: documentService.resolveHybrid(hybrid), temperature, maxTokens };
+  }
+
+  /**
+   * Retrieve the passages to ground an answer on and number them as citations.
+   * @param {string} question
+   * @param {Object} [options]
+   * @param {number} [options.topK=5] - Number of passages put into the prompt
+   * @param {string} [options.mode] - Search mode, see documentService.searchDocuments
+   * @param {Object} [options.hybrid] - Fusion weights for hybrid mode
+   * @param {number[]} [options.collectionIds] - Only retrieve from these collections
+   * @param {Object} [options.filter] - Only retrieve from documents whose metadata matches
+   * @returns {Promise<Array<Object>>} Citations, best match first
+   */
+  async retrieve(question, options = {}) {
+    const { topK = 5, mode, hybrid, collectionIds, filter } = options;
+
+    // Ask for topK documents with up to topK passages each, then keep the best passages overall
+    const documents = await documentService.searchDocuments(question, topK, 0, { passagesPerDocument: topK, mode, hybrid, collectionIds, filter });
+
+    return documents
+      .flatMap(document => document.passages.map(passage => ({
+        documentId: document.id,
+        filename: document.filename,
+        chunkId: passage.chunkId,
+        chunkIndex: passage.chunkIndex,
+        start: passage.start,
+        end: passage.end,
+        location: passage.location,
+        content: passage.content,
+        similarity: passage.similarity,
+        score: passage.score
+      })))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map((citation, i) => ({ number: i + 1, ...citation }));
+  }
+
+  buildMessages(question, citations) {
+    const sources = citations
+      .map(citation => {
+        const source = [citation.filename, describeLocation(citation.location)].filter(Boolean).join(', ');
+        return `[${citation.number}] (${source})\n${citation.content}`;
+      })
+      .join('\n\n');
+
+    return [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: `Sources:\n\n${sources}\n\nQuestion: ${question}` }
+    ];
+  }
+
+  // Source numbers referenced as [n] in the answer text
+  citedNumbers(answer, citations) {
+    const cited = new Set();
+    for (const match of answer.matchAll(/\[(\d+)\]/g)) {
+      const number = parseInt(match[1], 10);
+      if (number >= 1 && number <= citations.length) cited.add(number);
+    }
+    return Array.from(cited).sort((a, b) => a - b);
+  }
+
+  completionParams(messages, options) {
+    const { temperature = 0.2, maxTokens = 512 } = options;
+    return {
+      model: options.model || this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+  }
+
+  /**
+   * Answer a question from the indexed documents.
+   * @param {string} question
+   * @param {Object} [options] - topK, model, temperature, maxTokens
+   * @returns {Promise<{answer: string, citations: Array<Object>, cited: number[], model: string, usage: Object|null}>}
+   */
+  async answer(question, options = {}) {
+    const citations = await this.retrieve(question, options);
+    if (citations.length === 0) {
+      return { answer: NO_SOURCES_ANSWER, citations, cited: [], model: null, usage: null };
+    }
+
+    const completion = await this.getClient().chat.completions.create(
+      this.completionParams(this.buildMessages(question, citations), options)
+    );
+    const answer = completion.choices[0]?.message?.content || '';
+
+    return {
+      answer,
+      citations,
+      cited: this.citedNumbers(answer, citations),
+      model: completion.model,
+      usage: completion.usage || null
+    };
+  }
+
+  /**
+   * Streaming variant of answer().
+   * Yields a `citations` event, then `delta` events with answer text, then `done`.
+   * @param {string} question
+   * @param {Object} [options] - Same as answer(), plus an AbortSignal as `signal`
+   */
+  async *streamAnswer(question, options = {}) {
+    const citations = await this.retrieve(question, options);
+    yield { event: 'citations', data: { citations } };
+
+    if (citations.length === 0) {
+      yield { event: 'delta', data: { content: NO_SOURCES_ANSWER } };
+      yield { event: 'done', data: { answer: NO_SOURCES_ANSWER, cited: [], model: null } };
+      return;
+    }
+
+    const stream = await this.getClient().chat.completions.create(
+      { ...this.completionParams(this.buildMessages(question, citations), options), stream: true },
+      { signal: options.signal }
+    );
+
+    let answer = '';
+    let model = null;
+    for await (const chunk of stream) {
+      model = chunk.model || model;
+      const content = chunk.choices[0]?.delta?.content;
+      if (content) {
+        answer += content;
+        yield { event: 'delta', data: { content } };
+      }
+    }
+
+    yield { event: 'done', data: { answer, cited: this.citedNumbers(answer, citations), model } };
+  }
+}
+
+module.exports = new AnswerService();
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const { run, get, all } = require('../utils/dbAsync');
+const { ValidationError, NotFoundError, TooManyRequestsError } = require('../utils/errors');
+const { envInt } = require('../utils/env');
+
+// search: search, ask and read documents; ingest: add, change and delete documents;
+// admin: everything, including collections, re-indexing and API keys
+const SCOPES = ['search', 'ingest', 'admin'];
+
+const KEY_PREFIX = 'rag_';
+const RATE_WINDOW_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const toApiKey = (row) => ({
+  id: row.id,
+  name: row.name,
+  prefix: row.prefix,
+  scopes: JSON.parse(row.scopes),
+  rateLimit: row.rate_limit,
+  dailyQuota: row.daily_quota,
+  requestsToday: row.requests_today || 0,
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at,
+  revokedAt: row.revoked_at
+});
+
+// null keeps the server default, 0 means unlimited
+const validateLimit = (value, name) => {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 0) {
+    throw new ValidationError(`${name} must be a non-negative integer`);
+  }
+  return value;
+};
+
+const secondsUntilMidnightUtc = (now) => {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - now) / 1000);
+};
+
+/**
+ * API keys for the /api routes. Keys are random and shown once when created;
+ * only their SHA-256 hash is stored. Each key has scopes, a rate limit in
+ * requests per minute (counted in memory, per server process) and a daily
+ * request quota (counted in the database, per UTC day).
+ */
+class ApiKeyService {
+  constructor() {
+    // Keys are only required with API_AUTH=on; otherwise the API is open, as before keys existed
+    this.enabled = process.env.API_AUTH === 'on';
+    // Admin key from the environment, e.g. to create the first stored keys; not rate limited
+    this.adminKey = process.env.ADMIN_API_KEY || null;
+    this.defaultRateLimit = envInt('API_KEY_RATE_LIMIT', 120);
+    this.defaultDailyQuota = envInt('API_KEY_DAILY_QUOTA', 0);
+
+    // Key id -> {start, count} of the current rate limit window
+    this.windows = new Map();
+  }
+
+  get scopes() {
+    return SCOPES;
+  }
+
+  /**
+   * Create a key.
+   * @param {Object} params
+   * @param {string} params.name - What the key is for, e.g. the client using it
+   * @param {string[]} params.scopes - search, ingest and/or admin
+   * @param {number} [params.rateLimit] - Requests per minute, 0 for unlimited; API_KEY_RATE_LIMIT when omitted
+   * @param {number} [params.dailyQuota] - Requests per UTC day, 0 for unlimited; API_KEY_DAILY_QUOTA when omitted
+   * @returns {Promise<Object>} The stored key, with the key itself as `key`; it cannot be retrieved later
+   */
+  async createKey({ name, scopes, rateLimit, dailyQuota }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ValidationError('name is required');
+    }
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !SCOPES.includes(scope))) {
+      throw new ValidationError(`scopes must be a list of: ${SCOPES.join(', ')}`);
+    }
+    rateLimit = validateLimit(rateLimit, 'rateLimit');
+    dailyQuota = validateLimit(dailyQuota, 'dailyQuota');
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const { lastID } = await run(
+      'INSERT INTO api_keys (name, key_hash, prefix, scopes, rate_limit, daily_quota, created_at) VALUES (?, ?, ?, ?, ?, ?, datetime("now"))',
+      [name.trim(), hashKey(key), key.slice(0, KEY_PREFIX.length + 6), JSON.stringify([...new Set(scopes)]), rateLimit, dailyQuota]
+    );
+    return { ...(await this.getKey(lastID)), key };
+  }
+
+  // Keys with their requests today, newest first; revoked keys included
+  async listKeys() {
+    const rows = await all(
+      `SELECT k.*, u.requests AS requests_today
+       FROM api_keys k
+       LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.day = date('now')
+       ORDER BY k.id DESC`
+    );
+    return rows.map(toApiKey);
+  }
+
+  async getKey(id) {
+    const row = await get(
+      `SELECT k.*, u.requests AS requests_today
+       FROM api_keys k
+       LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.day = date('now')
+       WHERE k.id = ?`,
+      [id]
+    );
+    if (!row) {
+      throw new NotFoundError('API key not found');
+    }
+    return toApiKey(row);
+  }
+
+  async countActiveKeys() {
+    const { count } = await get('SELECT COUNT(*) AS count FROM api_keys WHERE revoked_at IS NULL');
+    return count;
+  }
+
+  // Revoked keys stay listed; revoking one again changes nothing
+  async revokeKey(id) {
+    await run('UPDATE api_keys SET revoked_at = datetime("now") WHERE id = ? AND revoked_at IS NULL', [id]);
+    this.windows.delete(id);
+    return this.getKey(id);
+  }
+
+  /**
+   * Look up the key a request was made with.
+   * @param {string} key
+   * @returns {Promise<?Object>} The key, null when it is unknown or revoked
+   */
+  async authenticate(key) {
+    if (this.adminKey && crypto.timingSafeEqual(Buffer.from(hashKey(key), 'hex'), Buffer.from(hashKey(this.adminKey), 'hex'))) {
+      return { id: null, name: 'ADMIN_API_KEY', scopes: ['admin'], rateLimit: 0, dailyQuota: 0 };
+    }
+    const row = await get('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [hashKey(key)]);
+    if (!row) {
+      return null;
+    }
+    // Recorded at most once a minute, so requests don't all write
+    await run(
+      `UPDATE api_keys SET last_used_at = datetime('now')
+       WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute'))`,
+      [row.id]
+    );
+    return toApiKey(row);
+  }
+
+  // admin includes the other scopes
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+  }
+
+  /**
+   * Count a request against a key's rate limit and daily quota.
+   * @param {Object} apiKey - From authenticate
+   * @param {number} [now=Date.now()]
+   * @returns {Promise<?{limit: number, remaining: number, reset: number}>} The rate limit, requests
+   *   left in the current minute and seconds until it resets; null for unlimited keys
+   * @throws {TooManyRequestsError} When either is used up
+   */
+  async consume(apiKey, now = Date.now()) {
+    let rate = null;
+    let window = null;
+    const rateLimit = apiKey.rateLimit === null ? this.defaultRateLimit : apiKey.rateLimit;
+    if (rateLimit > 0) {
+      window = this.windows.get(apiKey.id);
+      if (!window || now - window.start >= RATE_WINDOW_MS) {
+        window = { start: now, count: 0 };
+        this.windows.set(apiKey.id, window);
+      }
+      const reset = Math.ceil((window.start + RATE_WINDOW_MS - now) / 1000);
+      if (window.count >= rateLimit) {
+        throw new TooManyRequestsError(`Rate limit of ${rateLimit} requests per minute exceeded`, reset);
+      }
+      window.count++;
+      rate = { limit: rateLimit, remaining: rateLimit - window.count, reset };
+    }
+
+    // The ADMIN_API_KEY is not stored, so has no usage
+    if (apiKey.id !== null) {
+      const quota = apiKey.dailyQuota === null ? this.defaultDailyQuota : apiKey.dailyQuota;
+      // The count only goes up while under the quota, in one statement
+      const { changes } = await run(
+        `INSERT INTO api_key_usage (key_id, day, requests) VALUES (?, date('now'), 1)
+         ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + 1 WHERE ? = 0 OR requests < ?`,
+        [apiKey.id, quota, quota]
+      );
+      if (!changes) {
+        // A rejected request doesn't use up the minute either
+        if (window) window.count--;
+        throw new TooManyRequestsError(`Daily quota of ${quota} requests exceeded`, secondsUntilMidnightUtc(now));
+      }
+    }
+    return rate;
+  }
+}
+
+module.exports = new ApiKeyService();
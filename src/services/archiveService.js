@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { ValidationError, PayloadTooLargeError } = require('../utils/errors');
+const { envInt } = require('../utils/env');
+const { safeFilename, saveStream } = require('../utils/files');
+const textExtractionService = require('./textExtraction');
+
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+
+// Local file header, or the end record of an empty archive
+const ZIP_SIGNATURES = ['504b0304', '504b0506'];
+
+// Folders and files archivers add next to the content: __MACOSX, .DS_Store and other dot files
+const isJunk = (name) => name.split('/').some(part => part === '__MACOSX' || part.startsWith('.'));
+
+/**
+ * Expands zip archives uploaded to /api/upload/batch into the uploads folder.
+ * Entries are streamed out one by one against a size limit per file and for
+ * the whole archive, so a small archive cannot expand into a full disk.
+ * Folders inside the archive are flattened; only the file names are kept.
+ */
+class ArchiveService {
+  constructor() {
+    this.maxFiles = envInt('ARCHIVE_MAX_FILES', 500);
+    this.maxBytes = envInt('ARCHIVE_MAX_BYTES', 200 * 1024 * 1024);
+    this.maxFileBytes = envInt('ARCHIVE_MAX_FILE_BYTES', 10 * 1024 * 1024);
+  }
+
+  // By the name or MIME type of an upload; the content is checked by isArchive. Office
+  // documents are zip files too, so a zip MIME type only counts without a known extension.
+  accepts(filename, mimeType) {
+    return path.extname(filename || '').toLowerCase() === '.zip'
+      || (ZIP_TYPES.includes(mimeType) && !textExtractionService.formatForExtension(filename));
+  }
+
+  async isArchive(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+      return bytesRead === 4 && ZIP_SIGNATURES.includes(buffer.toString('hex'));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Extract the files of a zip archive into a folder under timestamped names.
+   * Entries that are not of a supported format or too large are reported
+   * with an error instead of being extracted.
+   * @param {string} filePath
+   * @param {string} dir - Folder to extract into
+   * @returns {Promise<Array<{name: string, filename?: string, filePath?: string, error?: Error}>>} One per
+   *   file entry in archive order, name being its path inside the archive
+   * @throws {ValidationError} For files that are not zip archives
+   * @throws {PayloadTooLargeError} For archives with more than maxFiles files or expanding to more than
+   *   maxBytes; nothing is kept then
+   */
+  async expand(filePath, dir) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+    } catch (loadError) {
+      throw new ValidationError('Invalid zip archive');
+    }
+
+    const entries = Object.values(zip.files).filter(entry => !entry.dir && !isJunk(entry.name));
+    if (entries.length > this.maxFiles) {
+      throw new PayloadTooLargeError(`Archive has ${entries.length} files; at most ${this.maxFiles} are allowed`);
+    }
+
+    const stamp = Date.now();
+    const used = new Set();
+    const results = [];
+    let totalBytes = 0;
+    try {
+      for (const entry of entries) {
+        const name = entry.name;
+        if (!textExtractionService.formatForExtension(name)) {
+          results.push({ name, error: new ValidationError(`Unsupported file type. Supported formats: ${textExtractionService.supportedExtensions().join(', ')}`) });
+          continue;
+        }
+
+        // Files of the same name from different folders get a counter
+        let filename = `${stamp}-${safeFilename(name)}`;
+        for (let n = 2; used.has(filename) || fs.existsSync(path.join(dir, filename)); n++) {
+          filename = `${stamp}-${n}-${safeFilename(name)}`;
+        }
+        used.add(filename);
+
+        const target = path.join(dir, filename);
+        const limit = Math.min(this.maxFileBytes, this.maxBytes - totalBytes);
+        try {
+          totalBytes += await saveStream(entry.nodeStream('nodebuffer'), target, limit);
+          results.push({ name, filename, filePath: target });
+        } catch (error) {
+          if (error.status === 413 && limit < this.maxFileBytes) {
+            throw new PayloadTooLargeError(`Archive expands to more than ${this.maxBytes} bytes`);
+          }
+          results.push({ name, error: error.status ? error : new ValidationError(`Could not extract ${name}: ${error.message}`) });
+        }
+      }
+    } catch (error) {
+      await Promise.all(results.filter(result => result.filePath).map(result => fs.promises.rm(result.filePath, { force: true })));
+      throw error;
+    }
+    return results;
+  }
+}
+
+module.exports = new ArchiveService();
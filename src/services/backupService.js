@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../utils/database');
+const { outsideTransaction } = require('../utils/dbAsync');
+const { envInt } = require('../utils/env');
+const { ValidationError } = require('../utils/errors');
+
+const BACKUP_PATTERN = /^rag-[\dT-]+Z\.db$/;
+
+/**
+ * Copies the live database with SQLite's online backup API. The copy is a
+ * consistent snapshot even while documents are written: every query shares
+ * one connection, and SQLite carries that connection's writes made during
+ * the backup over into the copy.
+ */
+class BackupService {
+  constructor() {
+    this.dir = process.env.BACKUP_DIR || path.join(__dirname, '../../db/backups');
+    // Pages copied per step; the database stays usable between steps
+    this.pagesPerStep = envInt('BACKUP_PAGES_PER_STEP', 1000);
+  }
+
+  /**
+   * Back up the database.
+   * @param {string} [filePath] - Where to write the copy; a timestamped file in BACKUP_DIR by default
+   * @returns {Promise<{filename: string, path: string, bytes: number, createdAt: string}>}
+   * @throws {ValidationError} If filePath exists already
+   */
+  async createBackup(filePath) {
+    const createdAt = new Date().toISOString();
+    const target = filePath ? path.resolve(filePath) : path.join(this.dir, `rag-${createdAt.replace(/[:.]/g, '-')}.db`);
+    if (fs.existsSync(target)) {
+      throw new ValidationError(`Backup file already exists: ${target}`);
+    }
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    // Written next to the target and renamed once complete, so a backup file is never partial
+    const partPath = path.join(path.dirname(target), `.${path.basename(target)}.part`);
+    try {
+      await this.copyTo(partPath);
+      await fs.promises.rename(partPath, target);
+    } finally {
+      await fs.promises.rm(partPath, { force: true });
+    }
+
+    const { size } = await fs.promises.stat(target);
+    return { filename: path.basename(target), path: target, bytes: size, createdAt };
+  }
+
+  // Steps wait for open transactions, whose uncommitted pages the connection would otherwise copy
+  async copyTo(filePath) {
+    const backup = await outsideTransaction(() => new Promise((resolve, reject) => {
+      const opened = db.backup(filePath, (openError) => (openError ? reject(openError) : resolve(opened)));
+    }));
+    const finish = () => new Promise((resolve, reject) => backup.finish((finishError) => (finishError ? reject(finishError) : resolve())));
+    try {
+      while (!backup.completed) {
+        await outsideTransaction(() => new Promise((resolve, reject) => {
+          backup.step(this.pagesPerStep, (stepError) => (stepError ? reject(stepError) : resolve()));
+        }));
+        // The database stays usable between steps
+        if (!backup.completed) await new Promise(resolve => setImmediate(resolve));
+      }
+    } catch (error) {
+      await finish().catch(() => {});
+      throw error;
+    }
+    await finish();
+  }
+
+  /**
+   * Backups in BACKUP_DIR, newest first.
+   * @returns {Promise<Array<{filename: string, path: string, bytes: number, createdAt: string}>>}
+   */
+  async listBackups() {
+    const entries = await fs.promises.readdir(this.dir).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+    const backups = await Promise.all(entries.filter(name => BACKUP_PATTERN.test(name)).map(async name => {
+      const filePath = path.join(this.dir, name);
+      const stats = await fs.promises.stat(filePath);
+      return { filename: name, path: filePath, bytes: stats.size, createdAt: stats.mtime.toISOString() };
+    }));
+    return backups.sort((a, b) => b.filename.localeCompare(a.filename));
+  }
+}
+
+module.exports = new BackupService();
@@ -0,0 +1,61 @@
+const { envInt } = require('../utils/env');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Limits and per-item error handling of the batch endpoints
+ * (/api/upload/batch, /api/process/batch and /api/search/batch).
+ */
+class BatchService {
+  constructor() {
+    // Files per upload or process request; an archive counts as one upload
+    this.maxFiles = envInt('BATCH_MAX_FILES', 100);
+    this.maxQueries = envInt('BATCH_MAX_QUERIES', 50);
+  }
+
+  /**
+   * Check the list of items of a batch request.
+   * @param {*} items
+   * @param {string} field - Request field, for the error message
+   * @param {number} max
+   * @returns {Array}
+   * @throws {ValidationError} For anything but a non-empty array of at most max items
+   */
+  checkItems(items, field, max) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError(`${field} must be a non-empty array`);
+    }
+    if (items.length > max) {
+      throw new ValidationError(`${field} may have at most ${max} items, got ${items.length}`);
+    }
+    return items;
+  }
+
+  /**
+   * Run one item of a batch, turning its errors into a result so that one bad
+   * item doesn't fail the others.
+   * @param {string} name - Identifies the item in the result, e.g. its file name
+   * @param {Function} fn - Resolves to {statusCode, body}, what the single-item endpoint would answer
+   * @param {string} failure - Error message for unexpected errors, which are logged
+   * @returns {Promise<Object>} {name, statusCode, ...body}, or {name, statusCode, error}
+   */
+  async settle(name, fn, failure) {
+    try {
+      const { statusCode, body } = await fn();
+      return { name, statusCode, ...body };
+    } catch (error) {
+      if (error.status) {
+        return { name, statusCode: error.status, error: error.message };
+      }
+      console.error(`${failure} (${name}):`, error);
+      return { name, statusCode: 500, error: failure };
+    }
+  }
+
+  // Counts of the results of a batch, by whether they succeeded
+  summarize(results) {
+    const failed = results.filter(result => result.statusCode >= 400).length;
+    return { total: results.length, succeeded: results.length - failed, failed };
+  }
+}
+
+module.exports = new BatchService();
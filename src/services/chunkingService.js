@@ -0,0 +1,438 @@
+const path = require('path');
+const { ValidationError } = require('../utils/errors');
+const { envInt } = require('../utils/env');
+const { mergeLocations } = require('../utils/locations');
+
+const STRATEGIES = ['fixed', 'sentence', 'recursive', 'markdown', 'rows'];
+
+// Separators tried in order by the recursive strategy; pieces that are still
+// too large after the last one are cut at fixed token positions
+const RECURSIVE_SEPARATORS = ['\n\n', '\n', '. ', ' '];
+
+// Sentence ends: western punctuation followed by whitespace, CJK punctuation,
+// or a line break (list items and headings are their own units)
+const SENTENCE_BOUNDARY = /[.!?]+["'\u201d\u2019)\]]*(?:\s+|$)|[\u3002\uff01\uff1f]+[\u201d\u2019\u300d\u300f\uff09]*\s*|\s*\n\s*/g;
+
+const MARKDOWN_HEADING = /^(#{1,6})[ \t]+(.+?)[ \t#]*$/gm;
+
+// CJK characters are roughly one token each; other text averages ~4 chars per token
+const CJK_CHAR = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/;
+
+/**
+ * Precomputed token costs for a text, so the token count of any span is a
+ * subtraction instead of a rescan.
+ */
+class TokenIndex {
+  constructor(text) {
+    this.text = text;
+    this.prefix = new Float64Array(text.length + 1);
+    for (let i = 0; i < text.length; i++) {
+      this.prefix[i + 1] = this.prefix[i] + (CJK_CHAR.test(text[i]) ? 1 : 0.25);
+    }
+  }
+
+  tokens(start, end) {
+    return this.prefix[end] - this.prefix[start];
+  }
+
+  // Largest end in [start, limit] whose span from start fits in maxTokens
+  advance(start, maxTokens, limit) {
+    let lo = start;
+    let hi = limit;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (this.tokens(start, mid) <= maxTokens) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  // Smallest start in [floor, end] whose span up to end fits in maxTokens
+  retreat(end, maxTokens, floor) {
+    let lo = floor;
+    let hi = end;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (this.tokens(mid, end) <= maxTokens) hi = mid;
+      else lo = mid + 1;
+    }
+    return lo;
+  }
+}
+
+class ChunkingService {
+  constructor() {
+    this.defaults = {
+      strategy: process.env.CHUNK_STRATEGY || 'auto',
+      chunkSize: envInt('CHUNK_SIZE', 400),
+      chunkOverlap: envInt('CHUNK_OVERLAP', 50)
+    };
+  }
+
+  get strategies() {
+    return STRATEGIES;
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(new TokenIndex(text).tokens(0, text.length));
+  }
+
+  // Longest prefix of text that fits in maxTokens
+  truncate(text, maxTokens) {
+    return text.slice(0, new TokenIndex(text).advance(0, maxTokens, text.length));
+  }
+
+  /**
+   * Validate chunking options and fill in defaults.
+   * An `auto` strategy is resolved from `options.filename` when given.
+   * @param {Object} [options]
+   * @param {string} [options.strategy] - auto, fixed, sentence, recursive, markdown or rows
+   * @param {number} [options.chunkSize] - Approximate maximum tokens per chunk
+   * @param {number} [options.chunkOverlap] - Approximate tokens shared by consecutive chunks
+   * @param {string} [options.filename] - Used to pick a strategy for `auto`
+   * @returns {{strategy: string, chunkSize: number, chunkOverlap: number}}
+   */
+  resolveOptions(options = {}) {
+    let strategy = options.strategy || this.defaults.strategy;
+    const chunkSize = options.chunkSize !== undefined ? Number(options.chunkSize) : this.defaults.chunkSize;
+    const chunkOverlap = options.chunkOverlap !== undefined ? Number(options.chunkOverlap) : this.defaults.chunkOverlap;
+
+    if (strategy !== 'auto' && !STRATEGIES.includes(strategy)) {
+      throw new ValidationError(`Unknown chunking strategy: ${strategy}. Expected one of: auto, ${STRATEGIES.join(', ')}`);
+    }
+    if (!Number.isInteger(chunkSize) || chunkSize < 16) {
+      throw new ValidationError('chunkSize must be an integer of at least 16 tokens');
+    }
+    if (!Number.isInteger(chunkOverlap) || chunkOverlap < 0 || chunkOverlap >= chunkSize) {
+      throw new ValidationError('chunkOverlap must be a non-negative integer smaller than chunkSize');
+    }
+
+    if (strategy === 'auto' && options.filename) {
+      strategy = this.strategyForFile(options.filename);
+    }
+
+    return { strategy, chunkSize, chunkOverlap };
+  }
+
+  strategyForFile(filename) {
+    switch (path.extname(filename).toLowerCase()) {
+      // Extracted with Markdown headings and list items (see textExtraction)
+      case '.md':
+      case '.markdown':
+      case '.html':
+      case '.htm':
+      case '.xhtml':
+      case '.docx':
+      case '.pptx':
+      case '.odt':
+      case '.epub':
+      case '.rtf':
+        return 'markdown';
+      case '.csv':
+      case '.xlsx':
+      case '.xls':
+        return 'rows';
+      default:
+        return 'recursive';
+    }
+  }
+
+  /**
+   * Split text into chunks.
+   * Every chunk carries its character offsets into `text`; for all strategies
+   * except `rows` (which repeats the table header) `chunk.text` is exactly
+   * `text.slice(chunk.start, chunk.end)`.
+   * @param {string} text
+   * @param {Object} [options] - See resolveOptions
+   * @returns {Array<{index: number, text: string, start: number, end: number, tokens: number, heading?: string}>}
+   */
+  chunk(text, options = {}) {
+    const settings = this.resolveOptions(options);
+    const strategy = settings.strategy === 'auto' ? 'recursive' : settings.strategy;
+    const index = new TokenIndex(text);
+
+    let chunks;
+    switch (strategy) {
+      case 'fixed':
+        chunks = this.chunkFixed(index, settings);
+        break;
+      case 'sentence':
+        chunks = this.chunkSentences(index, settings);
+        break;
+      case 'recursive':
+        chunks = this.chunkRecursive(index, settings);
+        break;
+      case 'markdown':
+        chunks = this.chunkMarkdown(index, settings);
+        break;
+      case 'rows':
+        chunks = this.chunkRows(index, settings);
+        break;
+    }
+
+    return chunks
+      .map(chunk => (chunk.text !== undefined ? chunk : this.trimSpan(index, chunk)))
+      .filter(chunk => chunk.text.trim().length > 0)
+      .map((chunk, i) => ({
+        index: i,
+        ...chunk,
+        tokens: this.estimateTokens(chunk.text)
+      }));
+  }
+
+  /**
+   * Attach a location to chunks: the merged locations of the extraction
+   * segments each chunk overlaps (see textExtraction.extract) and, from the
+   * markdown strategy, its heading path as `section`.
+   * @param {Array<Object>} chunks - As returned by chunk()
+   * @param {Array<{start: number, end: number, location: Object}>} [segments] - Sorted, non-overlapping
+   * @returns {Array<Object>} The chunks, with `location` where anything is known
+   */
+  locate(chunks, segments = []) {
+    let first = 0;
+    return chunks.map(chunk => {
+      // Chunks start in text order, so segments ending before this one are done with
+      while (first < segments.length && segments[first].end <= chunk.start) first++;
+
+      const overlapping = [];
+      for (let i = first; i < segments.length && segments[i].start < chunk.end; i++) {
+        overlapping.push(segments[i].location);
+      }
+      const location = mergeLocations(overlapping);
+      if (chunk.heading) location.section = chunk.heading;
+      return Object.keys(location).length ? { ...chunk, location } : chunk;
+    });
+  }
+
+  chunkFixed(index, { chunkSize, chunkOverlap }) {
+    return this.splitFixed(index, 0, index.text.length, chunkSize, chunkOverlap);
+  }
+
+  chunkSentences(index, { chunkSize, chunkOverlap }) {
+    const units = this.fitUnits(index, this.splitSentences(index.text, 0, index.text.length), chunkSize);
+    return this.pack(index, units, chunkSize, chunkOverlap);
+  }
+
+  chunkRecursive(index, { chunkSize, chunkOverlap }) {
+    const units = this.splitRecursive(index, 0, index.text.length, chunkSize, RECURSIVE_SEPARATORS);
+    return this.pack(index, units, chunkSize, chunkOverlap);
+  }
+
+  // Chunks never cross a heading; each one records the heading path it sits under
+  chunkMarkdown(index, { chunkSize, chunkOverlap }) {
+    const { text } = index;
+    const sections = [];
+    const headingStack = [];
+    let sectionStart = 0;
+    let heading = '';
+
+    MARKDOWN_HEADING.lastIndex = 0;
+    let match;
+    while ((match = MARKDOWN_HEADING.exec(text)) !== null) {
+      if (match.index > sectionStart) {
+        sections.push({ start: sectionStart, end: match.index, heading });
+      }
+      const level = match[1].length;
+      headingStack.length = Math.min(headingStack.length, level - 1);
+      headingStack[level - 1] = match[2];
+      heading = headingStack.filter(Boolean).join(' > ');
+      sectionStart = match.index;
+    }
+    sections.push({ start: sectionStart, end: text.length, heading });
+
+    return sections.flatMap(section => {
+      const units = this.splitRecursive(index, section.start, section.end, chunkSize, RECURSIVE_SEPARATORS.slice(1));
+      return this.pack(index, units, chunkSize, chunkOverlap)
+        .map(chunk => (section.heading ? { ...chunk, heading: section.heading } : chunk));
+    });
+  }
+
+  // Tables are separated by blank lines; each chunk is a group of whole rows
+  // with the table's header line repeated in front
+  chunkRows(index, { chunkSize, chunkOverlap }) {
+    const { text } = index;
+    const chunks = [];
+
+    for (const table of this.splitBlocks(text)) {
+      const lines = this.splitCsvLines(text, table.start, table.end);
+      if (lines.length === 0) continue;
+
+      const header = lines[0];
+      const headerText = text.slice(header.start, header.end);
+      const rows = lines.slice(1);
+      if (rows.length === 0) {
+        chunks.push(header);
+        continue;
+      }
+
+      const budget = Math.max(chunkSize - Math.ceil(index.tokens(header.start, header.end)), 1);
+      const overlap = Math.min(chunkOverlap, budget - 1);
+      const units = this.fitUnits(index, rows, budget);
+      for (const group of this.pack(index, units, budget, overlap)) {
+        chunks.push({
+          text: `${headerText}\n${text.slice(group.start, group.end)}`,
+          start: group.start,
+          end: group.end
+        });
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Greedily merge consecutive units (sorted, non-overlapping spans that each
+   * fit in maxTokens) into chunks, starting each new chunk with as many
+   * trailing units of the previous one as fit in overlapTokens.
+   */
+  pack(index, units, maxTokens, overlapTokens) {
+    const chunks = [];
+    let i = 0;
+
+    while (i < units.length) {
+      let j = i;
+      while (j + 1 < units.length && index.tokens(units[i].start, units[j + 1].end) <= maxTokens) {
+        j++;
+      }
+      chunks.push({ start: units[i].start, end: units[j].end });
+      if (j + 1 >= units.length) break;
+
+      let next = j + 1;
+      while (next - 1 > i && index.tokens(units[next - 1].start, units[j].end) <= overlapTokens) {
+        next--;
+      }
+      i = next;
+    }
+
+    return chunks;
+  }
+
+  // Cut a span into windows of at most maxTokens, preferring to end on whitespace
+  splitFixed(index, start, end, maxTokens, overlapTokens) {
+    const { text } = index;
+    const spans = [];
+    let spanStart = start;
+
+    while (spanStart < end) {
+      let spanEnd = Math.max(index.advance(spanStart, maxTokens, end), spanStart + 1);
+      if (spanEnd < end) {
+        const minEnd = spanStart + Math.floor((spanEnd - spanStart) * 0.8);
+        for (let i = spanEnd; i > minEnd; i--) {
+          if (/\s/.test(text[i - 1])) {
+            spanEnd = i;
+            break;
+          }
+        }
+      }
+      spans.push({ start: spanStart, end: spanEnd });
+      if (spanEnd >= end) break;
+
+      let next = overlapTokens > 0 ? index.retreat(spanEnd, overlapTokens, spanStart + 1) : spanEnd;
+      // Start the overlap on a word boundary when there is one
+      while (next < spanEnd && next > spanStart + 1 && !/\s/.test(text[next - 1])) {
+        next++;
+      }
+      spanStart = next;
+    }
+
+    return spans;
+  }
+
+  splitRecursive(index, start, end, maxTokens, separators) {
+    if (index.tokens(start, end) <= maxTokens) {
+      return [{ start, end }];
+    }
+    if (separators.length === 0) {
+      return this.splitFixed(index, start, end, maxTokens, 0);
+    }
+
+    const [separator, ...rest] = separators;
+    const pieces = [];
+    let pieceStart = start;
+    let at = index.text.indexOf(separator, start);
+    while (at !== -1 && at + separator.length < end) {
+      pieces.push({ start: pieceStart, end: at + separator.length });
+      pieceStart = at + separator.length;
+      at = index.text.indexOf(separator, pieceStart);
+    }
+    pieces.push({ start: pieceStart, end });
+
+    if (pieces.length === 1) {
+      return this.splitRecursive(index, start, end, maxTokens, rest);
+    }
+    return pieces.flatMap(piece => this.splitRecursive(index, piece.start, piece.end, maxTokens, rest));
+  }
+
+  splitSentences(text, start, end) {
+    const units = [];
+    const slice = text.slice(start, end);
+    let unitStart = 0;
+
+    SENTENCE_BOUNDARY.lastIndex = 0;
+    let match;
+    while ((match = SENTENCE_BOUNDARY.exec(slice)) !== null) {
+      if (match[0].length === 0) {
+        SENTENCE_BOUNDARY.lastIndex++;
+        continue;
+      }
+      const unitEnd = match.index + match[0].trimEnd().length;
+      if (slice.slice(unitStart, unitEnd).trim()) {
+        units.push({ start: start + unitStart, end: start + unitEnd });
+      }
+      unitStart = match.index + match[0].length;
+    }
+    if (slice.slice(unitStart).trim()) {
+      units.push({ start: start + unitStart, end });
+    }
+
+    return units;
+  }
+
+  // Blocks of text separated by blank lines
+  splitBlocks(text) {
+    const blocks = [];
+    const separator = /\n[ \t]*\n\s*/g;
+    let blockStart = 0;
+    let match;
+    while ((match = separator.exec(text)) !== null) {
+      blocks.push({ start: blockStart, end: match.index });
+      blockStart = match.index + match[0].length;
+    }
+    blocks.push({ start: blockStart, end: text.length });
+    return blocks.filter(block => block.end > block.start);
+  }
+
+  // Line spans, treating newlines inside double-quoted CSV fields as content
+  splitCsvLines(text, start, end) {
+    const lines = [];
+    let lineStart = start;
+    let quoted = false;
+
+    for (let i = start; i < end; i++) {
+      if (text[i] === '"') {
+        quoted = !quoted;
+      } else if (text[i] === '\n' && !quoted) {
+        const lineEnd = i > lineStart && text[i - 1] === '\r' ? i - 1 : i;
+        if (lineEnd > lineStart) lines.push({ start: lineStart, end: lineEnd });
+        lineStart = i + 1;
+      }
+    }
+    if (end > lineStart) lines.push({ start: lineStart, end });
+
+    return lines;
+  }
+
+  // Break up any unit that is too large on its own
+  fitUnits(index, units, maxTokens) {
+    return units.flatMap(unit => this.splitRecursive(index, unit.start, unit.end, maxTokens, [' ']));
+  }
+
+  trimSpan(index, span) {
+    let { start, end } = span;
+    while (start < end && /\s/.test(index.text[start])) start++;
+    while (end > start && /\s/.test(index.text[end - 1])) end--;
+    return { ...span, start, end, text: index.text.slice(start, end) };
+  }
+}
+
+module.exports = new ChunkingService();
@@ -0,0 +1,135 @@
+const { run, get, all, transaction } = require('../utils/dbAsync');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const chunkingService = require('./chunkingService');
+const embeddingService = require('./embeddingService');
+
+const DEFAULT_COLLECTION = 'default';
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+const STATS_COLUMNS = `c.*,
+  (SELECT COUNT(*) FROM documents d WHERE d.collection_id = c.id) AS document_count,
+  (SELECT COUNT(*) FROM embeddings e JOIN documents d ON d.id = e.doc_id WHERE d.collection_id = c.id) AS chunk_count`;
+
+const toCollection = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  // Collections created before providers were configurable use the configured provider
+  embeddingProvider: row.embedding_provider || embeddingService.provider,
+  embeddingModel: row.embedding_model || embeddingService.getProvider(row.embedding_provider || undefined).model,
+  chunking: row.chunking ? JSON.parse(row.chunking) : null,
+  createdAt: row.created_at,
+  documentCount: row.document_count,
+  chunkCount: row.chunk_count
+});
+
+class CollectionService {
+  get defaultName() {
+    return DEFAULT_COLLECTION;
+  }
+
+  /**
+   * Create a collection.
+   * @param {Object} params
+   * @param {string} params.name - Letters, digits, _ and -, up to 64 characters
+   * @param {string} [params.description]
+   * @param {Object} [params.chunking] - Default chunking options for documents in this collection
+   * @param {string} [params.embeddingProvider] - service, openai, ollama or hash; EMBEDDING_PROVIDER when omitted
+   * @param {string} [params.embeddingModel] - The provider's default model when omitted
+   */
+  async createCollection({ name, description = null, chunking = null, embeddingProvider, embeddingModel }) {
+    if (!name || !NAME_PATTERN.test(name)) {
+      throw new ValidationError('name must be 1-64 letters, digits, "_" or "-", starting with a letter or digit');
+    }
+    if (chunking) {
+      // Validate now, but store only what was given so server defaults still apply to the rest
+      chunkingService.resolveOptions(chunking);
+    }
+    if (embeddingModel !== undefined && (typeof embeddingModel !== 'string' || !embeddingModel.trim())) {
+      throw new ValidationError('embeddingModel must be a non-empty string');
+    }
+    const provider = embeddingService.getProvider(embeddingProvider || undefined, embeddingModel);
+    if (await get('SELECT 1 FROM collections WHERE name = ?', [name])) {
+      throw new ConflictError(`Collection already exists: ${name}`);
+    }
+
+    await run(
+      'INSERT INTO collections (name, description, embedding_provider, embedding_model, chunking, created_at) VALUES (?, ?, ?, ?, ?, datetime("now"))',
+      [name, description, provider.name, provider.model, chunking ? JSON.stringify(chunking) : null]
+    );
+    return this.getCollection(name);
+  }
+
+  async listCollections() {
+    const rows = await all(`SELECT ${STATS_COLUMNS} FROM collections c ORDER BY c.name`);
+    return rows.map(toCollection);
+  }
+
+  async getCollection(name) {
+    const row = await get(`SELECT ${STATS_COLUMNS} FROM collections c WHERE c.name = ?`, [name]);
+    if (!row) {
+      throw new NotFoundError(`Collection not found: ${name}`);
+    }
+    return toCollection(row);
+  }
+
+  async getCollectionById(id) {
+    const row = await get(`SELECT ${STATS_COLUMNS} FROM collections c WHERE c.id = ?`, [id]);
+    return row ? toCollection(row) : null;
+  }
+
+  /**
+   * Look up collections by name.
+   * @param {string[]} names
+   * @returns {Promise<Array<Object>>} Collections in the order given
+   * @throws {NotFoundError} If any name is unknown
+   */
+  async resolveCollections(names) {
+    return Promise.all(names.map(name => this.getCollection(name)));
+  }
+
+  /**
+   * Turn `collection`/`collections` request values (a name, a comma-separated
+   * list or an array) into collection ids to scope a query to.
+   * @returns {Promise<number[]>} Empty when no collection was given, meaning all collections
+   * @throws {NotFoundError} If any name is unknown
+   */
+  async resolveScope(...values) {
+    const names = values
+      .flat()
+      .filter(value => typeof value === 'string')
+      .flatMap(value => value.split(','))
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    const collections = await this.resolveCollections(Array.from(new Set(names)));
+    return collections.map(collection => collection.id);
+  }
+
+  /**
+   * Delete a collection.
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Also delete its documents and chunks; without it
+   *   a non-empty collection is not deleted
+   */
+  async deleteCollection(name, options = {}) {
+    if (name === DEFAULT_COLLECTION) {
+      throw new ValidationError('The default collection cannot be deleted');
+    }
+    const collection = await this.getCollection(name);
+    if (collection.documentCount > 0 && !options.force) {
+      throw new ConflictError(`Collection ${name} still has ${collection.documentCount} documents; pass force=true to delete them too`);
+    }
+
+    await transaction(async () => {
+      await run('DELETE FROM embeddings WHERE doc_id IN (SELECT id FROM documents WHERE collection_id = ?)', [collection.id]);
+      await run('DELETE FROM documents WHERE collection_id = ?', [collection.id]);
+      await run('DELETE FROM collections WHERE id = ?', [collection.id]);
+    });
+
+    return { name, documentsDeleted: collection.documentCount, chunksDeleted: collection.chunkCount };
+  }
+}
+
+module.exports = new CollectionService();
@@ -1,95 +1,861 @@
-const db = require('../utils/database');
+const fs = require('fs');
+const path = require('path');
+const { run, get, all, transaction } = require('../utils/dbAsync');
+const { NotFoundError, ConflictError, ValidationError } = require('../utils/errors');
+const { toBuffer } = require('../utils/vector');
+const { hashFile } = require('../utils/hash');
+const { resolveInside, safeFilename } = require('../utils/files');
+const { validateMetadata, mergeMetadata, compileFilter } = require('../utils/metadata');
 const textExtractionService = require('./textExtraction');
 const embeddingService = require('./embeddingService');
+const chunkingService = require('./chunkingService');
+const collectionService = require('./collectionService');
+const vectorIndexService = require('./vectorIndexService');
+const vectorStoreService = require('./vectorStoreService');
+const ocrService = require('./ocrService');
+const rerankService = require('./rerankService');
+
+// How many chunk candidates to pull per requested document, so a few long
+// documents with many matching chunks don't starve the page of results
+const CANDIDATE_FACTOR = 10;
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+
+// What happens when a collection already holds a document with the same content:
+// fail, hand back the existing document, or store a new version next to it
+const DUPLICATE_POLICIES = ['reject', 'existing', 'version'];
+
+const HIT_COLUMNS = `e.id AS chunk_id, e.doc_id, e.chunk_index, e.start_offset, e.end_offset, e.location, e.content,
+       d.filename, d.content_preview, d.metadata, d.content_hash, d.upload_date, c.name AS collection_name`;
+
+const HIT_JOINS = `JOIN documents d ON d.id = e.doc_id
+       LEFT JOIN collections c ON c.id = d.collection_id`;
+
+const parseMetadata = (json) => (json ? JSON.parse(json) : {});
+
+const toHit = (row) => ({
+  chunkId: row.chunk_id,
+  docId: row.doc_id,
+  chunkIndex: row.chunk_index,
+  start: row.start_offset,
+  end: row.end_offset,
+  location: row.location ? JSON.parse(row.location) : null,
+  content: row.content,
+  filename: row.filename,
+  collection: row.collection_name,
+  metadata: parseMetadata(row.metadata),
+  contentHash: row.content_hash,
+  preview: row.content_preview,
+  uploadDate: row.upload_date
+});
+
+const toDocument = (row) => ({
+  id: row.id,
+  filename: row.filename,
+  collection: row.collection_name,
+  metadata: parseMetadata(row.metadata),
+  contentHash: row.content_hash,
+  version: row.version,
+  versionOf: row.version_of,
+  preview: row.content_preview,
+  ocrPages: row.ocr_pages ? JSON.parse(row.ocr_pages) : null,
+  uploadDate: row.upload_date,
+  updatedDate: row.updated_date
+});
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Generate preview (first 500 characters)
+const makePreview = (content) => content.substring(0, 500) + (content.length > 500 ? '...' : '');
 
 class DocumentService {
-  async saveDocument(filename, filePath) {
-    return new Promise(async (resolve, reject) => {
-      try {
-        // Extract text
-        const content = await textExtractionService.extractText(filePath);
-
-        // Generate preview (first 500 characters)
-        const contentPreview = content.substring(0, 500) + (content.length > 500 ? '...' : '');
-
-        // Insert into database
-        db.run(
-          'INSERT INTO documents (filename, content_preview, upload_date) VALUES (?, ?, datetime("now"))',
-          [filename, contentPreview],
-          async function(err) {
-            if (err) {
-              reject(err);
-            } else {
-              const docId = this.lastID;
-
-              try {
-                // Generate embeddings
-                const embedding = await embeddingService.generateEmbeddingsForDocument(content);
-
-                if (embedding) {
-                  // Save embedding as Float32Array BLOB for sqlite-vec
-                  const float32Array = new Float32Array(embedding);
-                  const embeddingBuffer = Buffer.from(float32Array.buffer);
-                  db.run(
-                    'INSERT INTO embeddings (doc_id, vector) VALUES (?, ?)',
-                    [docId, embeddingBuffer],
-                    (err) => {
-                      if (err) {
-                        console.error('Error saving embedding:', err);
-                      }
-                    }
-                  );
-                }
-
-                resolve({ id: docId, content });
-              } catch (embeddingError) {
-                console.error('Error generating embedding:', embeddingError);
-                resolve({ id: docId, content }); // Still resolve, embedding failed
-              }
-            }
-          }
-        );
-      } catch (error) {
-        reject(error);
+  constructor() {
+    this.duplicatePolicy = process.env.DUPLICATE_POLICY || 'existing';
+  }
+
+  get searchModes() {
+    return SEARCH_MODES;
+  }
+
+  get duplicatePolicies() {
+    return DUPLICATE_POLICIES;
+  }
+
+  /**
+   * Where a file from the uploads folder is read from.
+   * @param {string} filename
+   * @returns {string}
+   * @throws {ValidationError} For names that are not of a file directly in the uploads folder
+   */
+  uploadPath(filename) {
+    return resolveInside(UPLOADS_DIR, filename);
+  }
+
+  /**
+   * Extract, chunk, embed and store a document.
+   * @param {string} filename - Name of the file in the uploads folder
+   * @param {string} filePath - Path to read the file from
+   * @param {Object} [options]
+   * @param {Object} [options.chunking] - Chunking options, see chunkingService.resolveOptions
+   * @param {Object} [options.collection] - Target collection (from collectionService); its chunking
+   *   settings are the defaults for this document. The default collection when omitted.
+   * @param {Object} [options.metadata] - Arbitrary JSON metadata, e.g. author, tags or sourceUrl
+   * @param {string} [options.onDuplicate] - reject, existing or version when the collection already
+   *   holds a document with the same content; DUPLICATE_POLICY (default existing) when omitted
+   * @param {string} [options.ocr] - auto, force or off, see ocrService; OCR_MODE (default auto) when omitted
+   * @param {Function} [options.onProgress] - Called with (embeddedChunks, totalChunks)
+   * @returns {Promise<Object>} The new document, or with `duplicate: true` the existing one
+   * @throws If extraction or embedding fails (nothing is stored then), or a ConflictError for a
+   *   duplicate under the reject policy
+   */
+  async saveDocument(filename, filePath, options = {}) {
+    const collection = options.collection || await collectionService.getCollection(collectionService.defaultName);
+    const chunking = chunkingService.resolveOptions({ ...collection.chunking, ...options.chunking, filename });
+    const metadata = validateMetadata(options.metadata || {});
+    const policy = this.resolveDuplicatePolicy(options.onDuplicate);
+    const ocr = ocrService.resolveMode(options.ocr);
+
+    const contentHash = await hashFile(filePath);
+    const duplicate = await this.findDuplicate(contentHash, collection.id);
+    if (duplicate && policy !== 'version') {
+      return this.existingDocumentResult(duplicate, collection, policy);
+    }
+
+    // Extract text, with the pages or sheet rows it comes from
+    const { text: content, segments, ocrPages } = await textExtractionService.extract(filePath, { ocr });
+
+    // Generate one embedding per chunk
+    const chunks = await embeddingService.generateEmbeddingsForDocument(content, chunking, { collection, segments, onProgress: options.onProgress });
+    await this.prepareIndex(chunks);
+
+    // Insert the document and its chunks together
+    const saved = await transaction(async () => {
+      // Another job may have stored the same content in the meantime
+      const latest = await this.findDuplicate(contentHash, collection.id);
+      if (latest && policy !== 'version') {
+        return { duplicate: latest };
       }
+
+      const { lastID } = await run(
+        `INSERT INTO documents (filename, content_preview, chunking, metadata, content_hash, version, version_of, collection_id, ocr_pages, upload_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime("now"))`,
+        [
+          filename, makePreview(content), JSON.stringify(chunking), JSON.stringify(metadata), contentHash,
+          latest ? latest.version + 1 : 1,
+          latest ? latest.version_of || latest.id : null,
+          collection.id,
+          ocrPages.length ? JSON.stringify(ocrPages) : null
+        ]
+      );
+      await this.insertChunks(lastID, chunks);
+      return { id: lastID };
     });
+
+    if (saved.duplicate) {
+      return this.existingDocumentResult(saved.duplicate, collection, policy);
+    }
+    return {
+      id: saved.id,
+      content,
+      chunkCount: chunks.length,
+      chunking,
+      metadata,
+      ocrPages: ocrPages.length ? ocrPages : null,
+      collection: collection.name,
+      duplicate: false
+    };
+  }
+
+  /**
+   * Check a search request's page settings.
+   * @param {Object} [paging]
+   * @param {number} [paging.limit=10] - Documents per page
+   * @param {number} [paging.page=1]
+   * @param {number} [paging.passagesPerDocument=3]
+   * @returns {{limit: number, page: number, offset: number, passagesPerDocument: number}}
+   * @throws {ValidationError} Unless each is a positive integer
+   */
+  resolvePaging({ limit = 10, page = 1, passagesPerDocument = 3 } = {}) {
+    const values = { limit, page, passagesPerDocument };
+    for (const [name, value] of Object.entries(values)) {
+      const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+      if (!Number.isInteger(number) || number < 1) {
+        throw new ValidationError(`${name} must be a positive integer`);
+      }
+      values[name] = number;
+    }
+    return { ...values, offset: (values.page - 1) * values.limit };
+  }
+
+  /**
+   * Check the reciprocal-rank fusion settings of a hybrid search.
+   * @param {Object} [hybrid] - vectorWeight, keywordWeight and k
+   * @returns {Object} The settings given, {} when none
+   * @throws {ValidationError} Unless each one given is a non-negative number
+   */
+  resolveHybrid(hybrid) {
+    if (hybrid === undefined || hybrid === null) return {};
+    if (typeof hybrid !== 'object' || Array.isArray(hybrid)) {
+      throw new ValidationError('hybrid must be an object with vectorWeight, keywordWeight and k');
+    }
+    for (const name of ['vectorWeight', 'keywordWeight', 'k']) {
+      const value = hybrid[name];
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        throw new ValidationError(`hybrid.${name} must be a non-negative number`);
+      }
+    }
+    return hybrid;
+  }
+
+  resolveDuplicatePolicy(policy = this.duplicatePolicy) {
+    if (!DUPLICATE_POLICIES.includes(policy)) {
+      throw new ValidationError(`onDuplicate must be one of: ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+    return policy;
+  }
+
+  // Latest version of the document with this content in a collection
+  async findDuplicate(contentHash, collectionId) {
+    return get(
+      'SELECT * FROM documents WHERE content_hash = ? AND collection_id = ? ORDER BY version DESC, id DESC LIMIT 1',
+      [contentHash, collectionId]
+    );
+  }
+
+  /**
+   * Check a file from the uploads folder against a collection before queueing it.
+   * @param {string} filename
+   * @param {Object} collection
+   * @param {string} [policy] - See saveDocument's onDuplicate
+   * @returns {Promise<Object|null>} The existing document to hand back instead of processing,
+   *   or null when the file should be processed
+   * @throws {ConflictError} For a duplicate under the reject policy
+   */
+  async checkDuplicate(filename, collection, policy) {
+    policy = this.resolveDuplicatePolicy(policy);
+    const duplicate = await this.findDuplicate(await this.hashUpload(filename), collection.id);
+    if (!duplicate || policy === 'version') {
+      return null;
+    }
+    return this.existingDocumentResult(duplicate, collection, policy);
+  }
+
+  async existingDocumentResult(document, collection, policy) {
+    if (policy === 'reject') {
+      throw new ConflictError(`Document ${document.id} in collection ${collection.name} has the same content`);
+    }
+    const { count } = await get('SELECT COUNT(*) AS count FROM embeddings WHERE doc_id = ?', [document.id]);
+    return {
+      id: document.id,
+      chunkCount: count,
+      chunking: JSON.parse(document.chunking || 'null'),
+      metadata: parseMetadata(document.metadata),
+      ocrPages: document.ocr_pages ? JSON.parse(document.ocr_pages) : null,
+      collection: collection.name,
+      duplicate: true
+    };
+  }
+
+  // SHA-256 of a file in the uploads folder, recorded in the files table
+  async hashUpload(filename) {
+    const known = await get('SELECT content_hash FROM files WHERE filename = ?', [filename]);
+    if (known) {
+      return known.content_hash;
+    }
+    const filePath = this.uploadPath(filename);
+    const contentHash = await hashFile(filePath);
+    const { size } = await fs.promises.stat(filePath);
+    await run(
+      'INSERT OR REPLACE INTO files (filename, content_hash, size, created_at) VALUES (?, ?, ?, datetime("now"))',
+      [filename, contentHash, size]
+    );
+    return contentHash;
   }
 
-  async searchDocuments(query, limit = 10, offset = 0) {
-    return new Promise(async (resolve, reject) => {
+  /**
+   * Record a file just stored in the uploads folder. When the same content is
+   * already stored under another name, the new copy is deleted and the
+   * existing file is used instead.
+   * @param {string} filename
+   * @returns {Promise<{filename: string, contentHash: string, duplicate: boolean}>}
+   */
+  async registerUpload(filename) {
+    const filePath = this.uploadPath(filename);
+    const contentHash = await hashFile(filePath);
+
+    const stored = await all('SELECT filename FROM files WHERE content_hash = ? AND filename != ? ORDER BY created_at', [contentHash, filename]);
+    const existing = stored.find(row => fs.existsSync(this.uploadPath(row.filename)));
+    if (existing) {
+      await fs.promises.unlink(filePath);
+      return { filename: existing.filename, contentHash, duplicate: true };
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    await run(
+      'INSERT OR REPLACE INTO files (filename, content_hash, size, created_at) VALUES (?, ?, ?, datetime("now"))',
+      [filename, contentHash, size]
+    );
+    return { filename, contentHash, duplicate: false };
+  }
+
+  /**
+   * Copy a file from elsewhere into the uploads folder under a timestamped
+   * name and record it, see registerUpload.
+   * @param {string} filePath
+   * @returns {Promise<string>} The name it is stored under in the uploads folder
+   */
+  async copyToUploads(filePath) {
+    const name = safeFilename(path.basename(filePath));
+    const stamp = Date.now();
+    for (let n = 1; ; n++) {
+      const filename = n === 1 ? `${stamp}-${name}` : `${stamp}-${n}-${name}`;
       try {
-        // Generate embedding for query
-        const queryEmbedding = await embeddingService.generateEmbedding(query);
-        const queryFloat32Array = new Float32Array(queryEmbedding);
-        const queryBuffer = Buffer.from(queryFloat32Array.buffer);
-
-        // Query for similar documents using KNN
-        const sql = `
-          SELECT d.id, d.filename, d.content_preview, d.upload_date,
-                 vec_distance_cosine(e.vector, ?) as distance
-          FROM documents d
-          JOIN embeddings e ON d.id = e.doc_id
-          ORDER BY distance ASC
-          LIMIT ? OFFSET ?
-        `;
-
-        db.all(sql, [queryBuffer, limit, offset], (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            resolve(rows.map(row => ({
-              id: row.id,
-              filename: row.filename,
-              preview: row.content_preview,
-              uploadDate: row.upload_date,
-              similarity: 1 - row.distance // Convert distance to similarity
-            })));
-          }
-        });
+        await fs.promises.copyFile(filePath, this.uploadPath(filename), fs.constants.COPYFILE_EXCL);
       } catch (error) {
-        reject(error);
+        if (error.code === 'EEXIST') continue;
+        throw error;
+      }
+      return (await this.registerUpload(filename)).filename;
+    }
+  }
+
+  /**
+   * Hash files in the uploads folder and documents stored before content
+   * hashing existed, so new uploads and documents are matched against them.
+   * @returns {Promise<number>} Number of files hashed
+   */
+  async indexUploads() {
+    const known = new Set((await all('SELECT filename FROM files')).map(row => row.filename));
+    const entries = await fs.promises.readdir(UPLOADS_DIR, { withFileTypes: true });
+    const unknown = entries.filter(entry => entry.isFile() && !entry.name.startsWith('.') && !known.has(entry.name));
+
+    for (const entry of unknown) {
+      await this.hashUpload(entry.name);
+    }
+    await run(
+      'UPDATE documents SET content_hash = (SELECT content_hash FROM files WHERE files.filename = documents.filename) WHERE content_hash IS NULL'
+    );
+    return unknown.length;
+  }
+
+  /**
+   * List documents, newest first.
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   * @param {number[]} [options.collectionIds] - Only documents in these collections
+   * @param {Object} [options.filter] - Metadata filter, see compileFilter in utils/metadata
+   */
+  async listDocuments(options = {}) {
+    const { limit = 50, offset = 0, collectionIds, filter } = options;
+    const { conditions, params } = this.scopeConditions({ collectionIds, filter });
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const rows = await all(
+      `SELECT d.*, c.name AS collection_name
+       FROM documents d
+       LEFT JOIN collections c ON c.id = d.collection_id
+       ${where}
+       ORDER BY d.upload_date DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return rows.map(toDocument);
+  }
+
+  async getDocument(id) {
+    return get('SELECT * FROM documents WHERE id = ?', [id]);
+  }
+
+  /**
+   * Change a document's metadata without reprocessing it.
+   * @param {number} id
+   * @param {Object} metadata - A JSON merge patch (keys set to null are removed),
+   *   or the complete new metadata with options.replace
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Replace the metadata instead of merging into it
+   * @returns {Promise<Object>} The updated document, as listed by listDocuments
+   */
+  async updateMetadata(id, metadata, options = {}) {
+    validateMetadata(metadata);
+    const document = await this.getDocument(id);
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+
+    const updated = validateMetadata(options.replace ? metadata : mergeMetadata(parseMetadata(document.metadata), metadata));
+    await run('UPDATE documents SET metadata = ? WHERE id = ?', [JSON.stringify(updated), id]);
+
+    const row = await get(
+      `SELECT d.*, c.name AS collection_name
+       FROM documents d
+       LEFT JOIN collections c ON c.id = d.collection_id
+       WHERE d.id = ?`,
+      [id]
+    );
+    return toDocument(row);
+  }
+
+  /**
+   * Delete a document and all of its chunks.
+   * @param {number} id
+   * @param {Object} [options]
+   * @param {boolean} [options.deleteFile=false] - Also remove the source file from the uploads folder,
+   *   unless another document was processed from the same file
+   * @returns {Promise<{id: number, chunksDeleted: number, fileDeleted: boolean}>}
+   */
+  async deleteDocument(id, options = {}) {
+    const document = await this.getDocument(id);
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+
+    const chunksDeleted = await transaction(async () => {
+      const { changes } = await run('DELETE FROM embeddings WHERE doc_id = ?', [id]);
+      await run('DELETE FROM documents WHERE id = ?', [id]);
+      return changes;
+    });
+
+    const fileDeleted = options.deleteFile ? await this.removeUploadIfUnused(document.filename) : false;
+    return { id, chunksDeleted, fileDeleted };
+  }
+
+  /**
+   * Re-extract and re-embed a document from its source file, keeping its id.
+   * The stored chunking settings are reused unless overridden.
+   * @param {number} id
+   * @param {Object} [options]
+   * @param {Object} [options.chunking] - Chunking options overriding the stored ones
+   * @param {string} [options.ocr] - auto, force or off, see ocrService
+   */
+  async reprocessDocument(id, options = {}) {
+    const document = await this.getDocument(id);
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+
+    const filePath = this.uploadPath(document.filename);
+    if (!fs.existsSync(filePath)) {
+      throw new NotFoundError('Source file not found');
+    }
+
+    const chunking = chunkingService.resolveOptions({
+      ...JSON.parse(document.chunking || '{}'),
+      ...options.chunking,
+      filename: document.filename
+    });
+    return this.reindexDocument(document, document.filename, filePath, chunking, ocrService.resolveMode(options.ocr));
+  }
+
+  /**
+   * Replace a document's source file and index its new contents, keeping its id.
+   * The previous source file is removed once the new contents are stored.
+   * @param {number} id
+   * @param {string} filename - Name of the new file in the uploads folder
+   * @param {string} filePath - Path to read the new file from
+   * @param {Object} [options]
+   * @param {Object} [options.chunking] - Chunking options for the new contents
+   * @param {string} [options.ocr] - auto, force or off, see ocrService
+   */
+  async replaceDocument(id, filename, filePath, options = {}) {
+    const document = await this.getDocument(id);
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+
+    const collection = await collectionService.getCollectionById(document.collection_id);
+    const chunking = chunkingService.resolveOptions({ ...(collection && collection.chunking), ...options.chunking, filename });
+    const result = await this.reindexDocument(document, filename, filePath, chunking, ocrService.resolveMode(options.ocr));
+
+    if (filename !== document.filename) {
+      await this.removeUploadIfUnused(document.filename);
+    }
+    return result;
+  }
+
+  // Extraction and embedding happen before anything is written, so a failure
+  // leaves the stored document and its vectors untouched
+  async reindexDocument(document, filename, filePath, chunking, ocr) {
+    const contentHash = await hashFile(filePath);
+    const { text: content, segments, ocrPages } = await textExtractionService.extract(filePath, { ocr });
+    const collection = await collectionService.getCollectionById(document.collection_id);
+    const chunks = await embeddingService.generateEmbeddingsForDocument(content, chunking, { collection, segments });
+    await this.prepareIndex(chunks);
+
+    await transaction(async () => {
+      await run('DELETE FROM embeddings WHERE doc_id = ?', [document.id]);
+      await this.insertChunks(document.id, chunks);
+      await run(
+        'UPDATE documents SET filename = ?, content_preview = ?, chunking = ?, content_hash = ?, ocr_pages = ?, updated_date = datetime("now") WHERE id = ?',
+        [filename, makePreview(content), JSON.stringify(chunking), contentHash, ocrPages.length ? JSON.stringify(ocrPages) : null, document.id]
+      );
+    });
+
+    return { id: document.id, content, chunkCount: chunks.length, chunking, ocrPages: ocrPages.length ? ocrPages : null };
+  }
+
+  // Vector index tables are created outside the transaction storing the chunks
+  async prepareIndex(chunks) {
+    if (chunks.length) {
+      await vectorIndexService.ensureIndex(chunks[0].embedding.length);
+    }
+  }
+
+  async insertChunks(docId, chunks) {
+    for (const chunk of chunks) {
+      await run(
+        `INSERT INTO embeddings (doc_id, chunk_index, start_offset, end_offset, location, content, vector, model, dimensions)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          docId, chunk.index, chunk.start, chunk.end, chunk.location ? JSON.stringify(chunk.location) : null,
+          chunk.text, toBuffer(chunk.embedding), chunk.model, chunk.embedding.length
+        ]
+      );
+    }
+  }
+
+  // Delete a file from the uploads folder unless a document still points at it
+  async removeUploadIfUnused(filename) {
+    const stillUsed = await get('SELECT 1 FROM documents WHERE filename = ? LIMIT 1', [filename]);
+    const filePath = this.uploadPath(filename);
+    if (stillUsed || !fs.existsSync(filePath)) {
+      return false;
+    }
+    await fs.promises.unlink(filePath);
+    await run('DELETE FROM files WHERE filename = ?', [filename]);
+    return true;
+  }
+
+  /**
+   * Search over document chunks.
+   * Matching passages are grouped under their parent document; documents are
+   * ranked by their best passage. Passages below minSimilarity are dropped;
+   * reranking and diversification then reorder the top documents, see rerankService.
+   * @param {string} query - Natural language query
+   * @param {number} limit - Documents per page
+   * @param {number} offset - Documents to skip
+   * @param {Object} [options]
+   * @param {number} [options.passagesPerDocument=3] - Passages returned per document
+   * @param {string} [options.mode='vector'] - vector, keyword (FTS5 BM25) or hybrid
+   * @param {Object} [options.hybrid] - vectorWeight, keywordWeight and k for reciprocal-rank fusion
+   * @param {number[]} [options.collectionIds] - Only search these collections (all when empty)
+   * @param {Object} [options.filter] - Metadata filter, applied inside the candidate queries
+   * @param {Array<Object>} [options.queryEmbeddings] - The query embedded already, see embedQueries
+   * @param {number} [options.minSimilarity] - Drop passages less similar to the query (vector and hybrid modes)
+   * @param {boolean|Object} [options.diversify] - Reorder documents by MMR, true or {lambda}
+   * @param {boolean} [options.rerank] - Rescore passages with the reranker
+   */
+  async searchDocuments(query, limit = 10, offset = 0, options = {}) {
+    const { passagesPerDocument = 3, mode = 'vector', collectionIds = [], filter, queryEmbeddings } = options;
+    const hybrid = this.resolveHybrid(options.hybrid);
+    const stage = rerankService.resolveOptions(options, mode);
+    const candidateCount = (offset + limit) * CANDIDATE_FACTOR;
+    const scope = { collectionIds, filter };
+
+    let hits;
+    switch (mode) {
+      case 'vector':
+        hits = await this.vectorCandidates(queryEmbeddings || await this.embedQuery(query, collectionIds), candidateCount, scope);
+        break;
+      case 'keyword':
+        hits = await this.keywordCandidates(query, candidateCount, scope);
+        break;
+      case 'hybrid':
+        hits = await this.hybridCandidates(query, candidateCount, hybrid, scope, queryEmbeddings);
+        break;
+      default:
+        throw new Error(`Unknown search mode: ${mode}`);
+    }
+
+    if (stage.minSimilarity !== null) {
+      hits = hits.filter(hit => typeof hit.similarity === 'number' && hit.similarity >= stage.minSimilarity);
+    }
+    const documents = await rerankService.refine(query, this.groupPassages(hits, passagesPerDocument), stage, offset + limit);
+    return documents.slice(offset, offset + limit);
+  }
+
+  /**
+   * Run several searches with the same options. Vector and hybrid searches
+   * embed all queries together, in one batch per embedding model.
+   * @param {string[]} queries
+   * @param {number} limit - Documents per page, for each query
+   * @param {number} offset - Documents to skip, for each query
+   * @param {Object} [options] - See searchDocuments
+   * @returns {Promise<Array<Array<Object>>>} The results of each query
+   */
+  async searchMany(queries, limit = 10, offset = 0, options = {}) {
+    // Invalid options fail before anything is embedded
+    this.resolveHybrid(options.hybrid);
+    rerankService.resolveOptions(options, options.mode);
+    const embedded = options.mode === 'keyword' ? [] : await this.embedQueries(queries, options.collectionIds);
+    const results = [];
+    for (const [i, query] of queries.entries()) {
+      results.push(await this.searchDocuments(query, limit, offset, { ...options, queryEmbeddings: embedded[i] }));
+    }
+    return results;
+  }
+
+  /**
+   * SQL conditions on documents `d` restricting results to a scope.
+   * They go into the candidate queries' WHERE clause, so the LIMIT applies
+   * to matching chunks only rather than truncating before filtering.
+   * @param {Object} [scope]
+   * @param {number[]} [scope.collectionIds]
+   * @param {Object} [scope.filter] - Metadata filter
+   * @returns {{conditions: string[], params: Array}}
+   */
+  scopeConditions(scope = {}) {
+    const conditions = [];
+    const params = [];
+    if (scope.collectionIds && scope.collectionIds.length) {
+      conditions.push(`d.collection_id IN (${placeholders(scope.collectionIds)})`);
+      params.push(...scope.collectionIds);
+    }
+    if (scope.filter) {
+      const compiled = compileFilter(scope.filter);
+      conditions.push(compiled.sql);
+      params.push(...compiled.params);
+    }
+    return { conditions, params };
+  }
+
+  /**
+   * Embed a query once for each embedding provider and model used by the
+   * collections searched, since vectors are only comparable within one model.
+   * @param {string} query
+   * @param {number[]} collectionIds - Searched collections, all when empty
+   * @returns {Promise<Array<{collectionIds: ?number[], model: string, embedding: number[]}>>} collectionIds
+   *   is null when a single model covers the whole scope
+   */
+  async embedQuery(query, collectionIds = []) {
+    const [embedded] = await this.embedQueries([query], collectionIds);
+    return embedded;
+  }
+
+  /**
+   * Embed queries as embedQuery does, all of them in one batch per model.
+   * @param {string[]} queries
+   * @param {number[]} collectionIds - Searched collections, all when empty
+   * @returns {Promise<Array<Array<Object>>>} The embeddings of each query, see embedQuery
+   */
+  async embedQueries(queries, collectionIds = []) {
+    const rows = collectionIds.length
+      ? await all(`SELECT id, embedding_provider, embedding_model FROM collections WHERE id IN (${placeholders(collectionIds)})`, collectionIds)
+      : await all('SELECT id, embedding_provider, embedding_model FROM collections');
+
+    const groups = new Map();
+    for (const row of rows) {
+      const provider = embeddingService.forCollection({ embeddingProvider: row.embedding_provider, embeddingModel: row.embedding_model });
+      if (!groups.has(provider.id)) groups.set(provider.id, { provider, collectionIds: [] });
+      groups.get(provider.id).collectionIds.push(row.id);
+    }
+    if (groups.size === 0) {
+      groups.set('', { provider: embeddingService.getProvider(), collectionIds: null });
+    }
+
+    const embedded = queries.map(() => []);
+    for (const group of groups.values()) {
+      const embeddings = await embeddingService.embedWith(group.provider, queries);
+      embeddings.forEach((embedding, i) => {
+        embedded[i].push({ collectionIds: groups.size === 1 ? null : group.collectionIds, model: group.provider.id, embedding });
+      });
+    }
+    return embedded;
+  }
+
+  // Nearest chunks by cosine distance, best first, across the query's embeddings. Only vectors
+  // from the query's model are compared; others wait for a re-index (see reindexService)
+  async vectorCandidates(queryEmbeddings, count, scope = {}) {
+    const { conditions, params } = this.scopeConditions({ filter: scope.filter });
+    const hits = [];
+    for (const { collectionIds, model, embedding } of queryEmbeddings) {
+      const neighbours = await vectorStoreService.nearest({
+        embedding,
+        model,
+        count,
+        collectionIds: collectionIds || scope.collectionIds || [],
+        where: conditions.length ? { conditions, params } : null
+      });
+      const rows = await this.hitRows(neighbours.map(neighbour => neighbour.chunk_id));
+
+      hits.push(...neighbours.filter(neighbour => rows.has(neighbour.chunk_id)).map(neighbour => {
+        const similarity = 1 - neighbour.distance; // Convert distance to similarity
+        return { ...toHit(rows.get(neighbour.chunk_id)), similarity, score: similarity };
+      }));
+    }
+
+    return queryEmbeddings.length === 1 ? hits : hits.sort((a, b) => b.similarity - a.similarity).slice(0, count);
+  }
+
+  // Chunk and document columns of hits, as a Map by chunk id
+  async hitRows(chunkIds) {
+    if (chunkIds.length === 0) return new Map();
+    const rows = await all(
+      `SELECT ${HIT_COLUMNS}
+       FROM embeddings e
+       ${HIT_JOINS}
+       WHERE e.id IN (${placeholders(chunkIds)})`,
+      chunkIds
+    );
+    return new Map(rows.map(row => [row.chunk_id, row]));
+  }
+
+  // Chunks matching any query term, best BM25 first
+  async keywordCandidates(query, count, scope) {
+    const matchQuery = this.buildMatchQuery(query);
+    if (!matchQuery) return [];
+    const { conditions, params } = this.scopeConditions(scope);
+
+    const rows = await all(
+      `SELECT ${HIT_COLUMNS}, bm25(embeddings_fts) AS rank
+       FROM embeddings_fts
+       JOIN embeddings e ON e.id = embeddings_fts.rowid
+       ${HIT_JOINS}
+       WHERE ${['embeddings_fts MATCH ?', ...conditions].join(' AND ')}
+       ORDER BY rank ASC
+       LIMIT ?`,
+      [matchQuery, ...params, count]
+    );
+
+    // FTS5 reports BM25 negated so that ascending order is best first; flip it back
+    return rows.map(row => ({ ...toHit(row), bm25: -row.rank, score: -row.rank }));
+  }
+
+  async hybridCandidates(query, count, weights, scope, queryEmbeddings = null) {
+    queryEmbeddings = queryEmbeddings || await this.embedQuery(query, scope.collectionIds);
+    const vectorHits = await this.vectorCandidates(queryEmbeddings, count, scope);
+    const keywordHits = await this.keywordCandidates(query, count, scope);
+
+    const fused = this.reciprocalRankFusion(vectorHits, keywordHits, weights);
+
+    // A hit found by only one retriever still gets the other retriever's score
+    const missingSimilarity = fused.filter(hit => hit.similarity === undefined).map(hit => hit.chunkId);
+    const missingBm25 = fused.filter(hit => hit.bm25 === undefined).map(hit => hit.chunkId);
+    const similarities = await this.vectorScores(queryEmbeddings, missingSimilarity);
+    const bm25Scores = await this.keywordScores(query, missingBm25);
+    for (const hit of fused) {
+      if (hit.similarity === undefined) hit.similarity = similarities.get(hit.chunkId) ?? null;
+      if (hit.bm25 === undefined) hit.bm25 = bm25Scores.get(hit.chunkId) ?? null;
+    }
+
+    return fused;
+  }
+
+  // Cosine similarity of specific chunks, as a Map of chunk id to similarity
+  async vectorScores(queryEmbeddings, chunkIds) {
+    const scores = new Map();
+    if (chunkIds.length === 0) return scores;
+    for (const { collectionIds, model, embedding } of queryEmbeddings) {
+      const distances = await vectorStoreService.distances({ embedding, model, chunkIds, collectionIds: collectionIds || [] });
+      distances.forEach((distance, chunkId) => scores.set(chunkId, 1 - distance));
+    }
+    return scores;
+  }
+
+  // BM25 of specific chunks, as a Map of chunk id to score; chunks without a keyword match are absent
+  async keywordScores(query, chunkIds) {
+    const matchQuery = this.buildMatchQuery(query);
+    if (!matchQuery || chunkIds.length === 0) return new Map();
+    const rows = await all(
+      `SELECT rowid AS id, bm25(embeddings_fts) AS rank
+       FROM embeddings_fts
+       WHERE embeddings_fts MATCH ? AND rowid IN (${placeholders(chunkIds)})`,
+      [matchQuery, ...chunkIds]
+    );
+    return new Map(rows.map(row => [row.id, -row.rank]));
+  }
+
+  /**
+   * Turn free text into an FTS5 query: every whitespace-separated term is
+   * quoted (so operators and punctuation are taken literally) and terms are
+   * OR-ed, letting BM25 rank chunks that match more of them higher.
+   * @returns {string} Empty when the text has no searchable terms
+   */
+  buildMatchQuery(text) {
+    return text
+      .split(/\s+/)
+      .filter(term => /[\p{L}\p{N}]/u.test(term))
+      .map(term => `"${term.replace(/"/g, '""')}"`)
+      .join(' OR ');
+  }
+
+  /**
+   * Fuse two ranked hit lists with weighted reciprocal-rank fusion:
+   * score = sum of weight / (k + rank) over the lists a chunk appears in.
+   * @returns {Array<Object>} Hits ordered by fused score, carrying whichever of
+   *   similarity and bm25 the input lists provided
+   */
+  reciprocalRankFusion(vectorHits, keywordHits, { vectorWeight = 1, keywordWeight = 1, k = 60 } = {}) {
+    const fused = new Map();
+
+    const add = (hits, weight) => hits.forEach((hit, i) => {
+      let entry = fused.get(hit.chunkId);
+      if (!entry) {
+        entry = { ...hit, similarity: undefined, bm25: undefined, score: 0 };
+        fused.set(hit.chunkId, entry);
       }
+      if (hit.similarity !== undefined) entry.similarity = hit.similarity;
+      if (hit.bm25 !== undefined) entry.bm25 = hit.bm25;
+      entry.score += weight / (k + i + 1);
     });
+
+    add(vectorHits, vectorWeight);
+    add(keywordHits, keywordWeight);
+
+    return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Group hits (ordered best first) under their documents.
+   * Document order follows the first, i.e. best, passage seen for each one.
+   * Documents with the same content (e.g. in several collections, or versions
+   * of an unchanged file) appear once, as the best ranked of them.
+   */
+  groupPassages(hits, passagesPerDocument = 3) {
+    const byDocument = new Map();
+    const documentByHash = new Map();
+
+    for (const hit of hits) {
+      if (hit.contentHash) {
+        const first = documentByHash.get(hit.contentHash);
+        if (first === undefined) documentByHash.set(hit.contentHash, hit.docId);
+        else if (first !== hit.docId) continue;
+      }
+
+      let document = byDocument.get(hit.docId);
+      if (!document) {
+        document = {
+          id: hit.docId,
+          filename: hit.filename,
+          collection: hit.collection,
+          metadata: hit.metadata,
+          preview: hit.preview,
+          uploadDate: hit.uploadDate,
+          similarity: hit.similarity,
+          score: hit.score,
+          passages: []
+        };
+        byDocument.set(hit.docId, document);
+      }
+      if (document.passages.length < passagesPerDocument) {
+        document.passages.push({
+          chunkId: hit.chunkId,
+          chunkIndex: hit.chunkIndex,
+          start: hit.start,
+          end: hit.end,
+          location: hit.location,
+          content: hit.content,
+          similarity: hit.similarity,
+          bm25: hit.bm25,
+          score: hit.score
+        });
+      }
+    }
+
+    return Array.from(byDocument.values());
   }
 }
 
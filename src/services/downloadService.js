@@ -0,0 +1,207 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { ValidationError, PayloadTooLargeError, BadGatewayError } = require('../utils/errors');
+const { envInt } = require('../utils/env');
+const { safeFilename, saveStream } = require('../utils/files');
+const textExtractionService = require('./textExtraction');
+const documentService = require('./documentService');
+
+// Loopback, private, link-local (cloud metadata endpoints), shared, multicast and
+// reserved ranges; IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[['::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+  .forEach(([address, prefix]) => PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+// Content types that say nothing about the format; the content decides
+const GENERIC_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+const parseHosts = (value) => (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// "example.com" matches that host, "*.example.com" its subdomains
+const matchesHost = (host, pattern) => (pattern.startsWith('*.') ? host.endsWith(pattern.slice(1)) : host === pattern);
+
+const isPrivateAddress = (address) => PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Fetches documents from URLs into the uploads folder for /api/download.
+ * Only http(s) URLs on allowed hosts are fetched, and never from private
+ * networks unless configured: the check is repeated for every redirect and
+ * on the addresses a host name resolves to when connecting, so neither a
+ * redirect nor DNS can point a request at an internal service. Size and time
+ * limits are enforced while the body streams in.
+ */
+class DownloadService {
+  constructor() {
+    // When set, only these hosts are fetched from
+    this.allowedHosts = parseHosts(process.env.DOWNLOAD_ALLOWED_HOSTS);
+    this.deniedHosts = parseHosts(process.env.DOWNLOAD_DENIED_HOSTS);
+    this.allowPrivateNetworks = process.env.DOWNLOAD_ALLOW_PRIVATE_NETWORKS === 'true';
+    this.maxBytes = envInt('DOWNLOAD_MAX_BYTES', 10 * 1024 * 1024);
+    // For the whole download, redirects and body included
+    this.timeout = envInt('DOWNLOAD_TIMEOUT_MS', 30000);
+    this.maxRedirects = envInt('DOWNLOAD_MAX_REDIRECTS', 5);
+  }
+
+  /**
+   * Parse a URL and check it against the host policy.
+   * @param {string} fileUrl
+   * @returns {URL}
+   * @throws {ValidationError} For URLs that are malformed, not http(s), or on a host that is
+   *   denied, not allowed, or a private network address
+   */
+  checkUrl(fileUrl) {
+    let url;
+    try {
+      url = new URL(fileUrl);
+    } catch (parseError) {
+      throw new ValidationError('fileUrl must be a valid URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new ValidationError('fileUrl must be an http or https URL');
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (this.deniedHosts.some(pattern => matchesHost(host, pattern))
+      || (this.allowedHosts.length && !this.allowedHosts.some(pattern => matchesHost(host, pattern)))) {
+      throw new ValidationError(`Downloads from ${host} are not allowed`);
+    }
+    // Addresses in URLs are connected to without a lookup
+    if (net.isIP(host)) {
+      this.checkAddress(host);
+    }
+    return url;
+  }
+
+  checkAddress(address) {
+    if (!this.allowPrivateNetworks && isPrivateAddress(address)) {
+      throw new ValidationError(`Downloads from private network addresses are not allowed: ${address}`);
+    }
+  }
+
+  // DNS lookup for the HTTP client that refuses hosts resolving to a private address
+  async lookup(hostname, options) {
+    const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+    addresses.forEach(({ address }) => this.checkAddress(address));
+    return addresses;
+  }
+
+  /**
+   * The format a response's content type announces.
+   * @param {string} [contentType]
+   * @returns {?Object} The format, null when the type is missing or generic
+   * @throws {ValidationError} For types of unsupported formats
+   */
+  checkContentType(contentType) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (!type || GENERIC_TYPES.includes(type)) {
+      return null;
+    }
+    const format = textExtractionService.formatForMimeType(type);
+    if (!format) {
+      throw new ValidationError(`Unsupported content type: ${type}. Supported formats: ${textExtractionService.supportedExtensions().join(', ')}`);
+    }
+    return format;
+  }
+
+  /**
+   * Download a file into the uploads folder. Its content is not checked yet
+   * beyond the content type, see textExtractionService.detectFormat.
+   * @param {string} fileUrl
+   * @returns {Promise<{filename: string, filePath: string, url: string}>} url being the
+   *   final URL after redirects
+   * @throws {ValidationError} For a URL or redirect the policy refuses, or an unsupported content type
+   * @throws {PayloadTooLargeError} For files over maxBytes
+   * @throws {BadGatewayError} When the server fails, answers with an error or times out
+   */
+  async download(fileUrl) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      let url = this.checkUrl(fileUrl);
+      let response = await this.request(url, controller.signal);
+      for (let redirects = 0; response.status >= 300 && response.status < 400 && response.headers.location; redirects++) {
+        response.data.destroy();
+        if (redirects === this.maxRedirects) {
+          throw new BadGatewayError(`Download failed: more than ${this.maxRedirects} redirects`);
+        }
+        url = this.checkUrl(new URL(response.headers.location, url).href);
+        response = await this.request(url, controller.signal);
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        response.data.destroy();
+        throw new BadGatewayError(`Download failed: ${url.host} answered with status ${response.status}`);
+      }
+      if (parseInt(response.headers['content-length'], 10) > this.maxBytes) {
+        response.data.destroy();
+        throw new PayloadTooLargeError(`File is larger than ${this.maxBytes} bytes`);
+      }
+      let format;
+      try {
+        format = this.checkContentType(response.headers['content-type']);
+      } catch (error) {
+        response.data.destroy();
+        throw error;
+      }
+
+      const filename = this.filenameFor(url, format);
+      const filePath = documentService.uploadPath(filename);
+      // Written under a hidden name, so a partial file is never picked up
+      await saveStream(response.data, filePath, this.maxBytes);
+      return { filename, filePath, url: url.href };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new BadGatewayError(`Download failed: no complete response within ${this.timeout} ms`);
+      }
+      // Policy errors raised while connecting come back wrapped by the HTTP client
+      if (error.cause && error.cause.status) {
+        throw error.cause;
+      }
+      if (error.isAxiosError) {
+        throw new BadGatewayError(`Download failed: ${error.message}`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  request(url, signal) {
+    return axios.get(url.href, {
+      responseType: 'stream',
+      // Redirects are followed by download() so each target is checked
+      maxRedirects: 0,
+      validateStatus: () => true,
+      // A proxy would connect on our behalf, past the address checks
+      proxy: false,
+      // Async, so the HTTP client awaits it rather than passing a callback
+      lookup: async (hostname, options) => this.lookup(hostname, options),
+      signal
+    });
+  }
+
+  // Timestamped name from the last path segment, with the extension of the
+  // announced format when the name has no extension of a supported one
+  filenameFor(url, format) {
+    const segment = url.pathname.split('/').pop();
+    let name;
+    try {
+      name = decodeURIComponent(segment);
+    } catch (decodeError) {
+      name = segment;
+    }
+    name = safeFilename(name, 'downloaded_file');
+    if (format && !textExtractionService.formatForExtension(name)) {
+      name += format.extensions[0];
+    }
+    return `${Date.now()}-${name}`;
+  }
+
+}
+
+module.exports = new DownloadService();
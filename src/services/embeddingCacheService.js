@@ -0,0 +1,140 @@
+const { run, get, all } = require('../utils/dbAsync');
+const { envInt } = require('../utils/env');
+const { hashText } = require('../utils/hash');
+const { toBuffer, fromBuffer } = require('../utils/vector');
+
+// Keep IN lists and multi-row inserts well under SQLite's bound parameter limit
+const LOOKUP_BATCH = 500;
+const STORE_BATCH = 100;
+
+// Whitespace and Unicode composition differences don't change the cache key
+const normalize = (text) => text.normalize('NFC').replace(/\s+/g, ' ').trim();
+
+/**
+ * Persistent cache of embeddings keyed by the hash of the normalized text and
+ * the provider/model that produced them (see EmbeddingProvider.id). Entries
+ * beyond maxEntries are evicted least recently used first.
+ */
+class EmbeddingCacheService {
+  constructor() {
+    // 0 disables the cache
+    this.maxEntries = envInt('EMBEDDING_CACHE_MAX_ENTRIES', 100000);
+    this.resetCounters();
+  }
+
+  get enabled() {
+    return this.maxEntries > 0;
+  }
+
+  resetCounters() {
+    this.counters = { hits: 0, misses: 0, evictions: 0, since: new Date().toISOString() };
+  }
+
+  key(text) {
+    return hashText(normalize(text));
+  }
+
+  /**
+   * Look up cached embeddings.
+   * @param {string} model - Provider id
+   * @param {string[]} texts
+   * @returns {Promise<Array<?number[]>>} The embedding of each text, null where not cached
+   */
+  async lookup(model, texts) {
+    if (!this.enabled) return texts.map(() => null);
+
+    const keys = texts.map(text => this.key(text));
+    const found = new Map();
+    const unique = Array.from(new Set(keys));
+    for (let i = 0; i < unique.length; i += LOOKUP_BATCH) {
+      const batch = unique.slice(i, i + LOOKUP_BATCH);
+      const rows = await all(
+        `SELECT text_hash, vector FROM embedding_cache WHERE model = ? AND text_hash IN (${batch.map(() => '?').join(', ')})`,
+        [model, ...batch]
+      );
+      rows.forEach(row => found.set(row.text_hash, fromBuffer(row.vector)));
+      if (rows.length) {
+        await run(
+          `UPDATE embedding_cache SET last_used = ? WHERE model = ? AND text_hash IN (${rows.map(() => '?').join(', ')})`,
+          [Date.now(), model, ...rows.map(row => row.text_hash)]
+        );
+      }
+    }
+
+    const embeddings = keys.map(key => found.get(key) || null);
+    const hits = embeddings.filter(Boolean).length;
+    this.counters.hits += hits;
+    this.counters.misses += embeddings.length - hits;
+    return embeddings;
+  }
+
+  /**
+   * Cache embeddings, then evict the least recently used entries over the limit.
+   * @param {string} model - Provider id
+   * @param {string[]} texts
+   * @param {number[][]} embeddings - In the order of texts
+   */
+  async store(model, texts, embeddings) {
+    if (!this.enabled || texts.length === 0) return;
+
+    // Multi-row inserts: one commit per batch rather than per embedding
+    const now = Date.now();
+    for (let i = 0; i < texts.length; i += STORE_BATCH) {
+      const rows = texts.slice(i, i + STORE_BATCH).map((text, j) => [model, this.key(text), toBuffer(embeddings[i + j]), now]);
+      await run(
+        `INSERT OR REPLACE INTO embedding_cache (model, text_hash, vector, last_used, created_at)
+         VALUES ${rows.map(() => '(?, ?, ?, ?, datetime("now"))').join(', ')}`,
+        rows.flat()
+      );
+    }
+    await this.evict();
+  }
+
+  async evict() {
+    const { count } = await get('SELECT COUNT(*) AS count FROM embedding_cache');
+    const excess = count - this.maxEntries;
+    if (excess <= 0) return;
+    await run(
+      'DELETE FROM embedding_cache WHERE rowid IN (SELECT rowid FROM embedding_cache ORDER BY last_used ASC LIMIT ?)',
+      [excess]
+    );
+    this.counters.evictions += excess;
+  }
+
+  /**
+   * Cache size per model and hit/miss counts since the server started or the counters were reset.
+   */
+  async getStats() {
+    const models = await all(
+      'SELECT model, COUNT(*) AS entries, SUM(LENGTH(vector)) AS bytes FROM embedding_cache GROUP BY model ORDER BY model'
+    );
+    const { hits, misses, evictions, since } = this.counters;
+    return {
+      enabled: this.enabled,
+      maxEntries: this.maxEntries,
+      entries: models.reduce((sum, row) => sum + row.entries, 0),
+      bytes: models.reduce((sum, row) => sum + row.bytes, 0),
+      models: models.map(row => ({ model: row.model, entries: row.entries, bytes: row.bytes })),
+      hits,
+      misses,
+      hitRate: hits + misses ? hits / (hits + misses) : null,
+      evictions,
+      since
+    };
+  }
+
+  /**
+   * Delete cached embeddings. Clearing everything also resets the counters.
+   * @param {string} [model] - Only this provider id's entries; everything when omitted
+   * @returns {Promise<number>} Entries deleted
+   */
+  async clear(model) {
+    const { changes } = model
+      ? await run('DELETE FROM embedding_cache WHERE model = ?', [model])
+      : await run('DELETE FROM embedding_cache');
+    if (!model) this.resetCounters();
+    return changes;
+  }
+}
+
+module.exports = new EmbeddingCacheService();
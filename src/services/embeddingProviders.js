@@ -0,0 +1,230 @@
+const axios = require('axios');
+const { OpenAI } = require('openai');
+const { ValidationError } = require('../utils/errors');
+const chunkingService = require('./chunkingService');
+
+// Split around CJK characters so each one is a token of the hashing embedder
+const CJK_CHARS = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// 32-bit FNV-1a
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Base class of the embedding adapters. Subclasses implement `embedBatch`,
+ * which makes one request for a list of texts; `embed` cuts inputs to the
+ * provider's input limit, sends them in batches and checks the vectors.
+ */
+class EmbeddingProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.model
+   * @param {number} [config.dimensions] - Vector length; requested from providers that support it and
+   *   checked on every response. Learned from the first response when not set.
+   * @param {number} [config.maxInputTokens] - Longer inputs are truncated
+   * @param {number} [config.batchSize=1] - Inputs per request
+   */
+  constructor(config) {
+    this.model = config.model;
+    this.dimensions = config.dimensions || null;
+    this.maxInputTokens = config.maxInputTokens || Infinity;
+    this.batchSize = config.batchSize || 1;
+    // Identifies the vectors this adapter produces, e.g. for caching them
+    this.id = `${this.name}:${this.model}${config.dimensions ? `:${config.dimensions}` : ''}`;
+  }
+
+  /**
+   * Embed texts, in order.
+   * @param {string[]} texts
+   * @param {Function} [onProgress] - Awaited with (embeddedCount, totalCount) after each batch
+   * @returns {Promise<number[][]>}
+   */
+  async embed(texts, onProgress = async () => {}) {
+    const inputs = texts.map(text => this.fitInput(text));
+    const vectors = [];
+
+    for (let i = 0; i < inputs.length; i += this.batchSize) {
+      const batch = inputs.slice(i, i + this.batchSize);
+      let embeddings;
+      try {
+        embeddings = await this.embedBatch(batch);
+      } catch (error) {
+        console.error(`Error calling ${this.name} embedding provider:`, error);
+        throw new Error('Failed to generate embedding');
+      }
+      this.checkEmbeddings(batch, embeddings);
+      vectors.push(...embeddings);
+      await onProgress(vectors.length, inputs.length);
+    }
+
+    return vectors;
+  }
+
+  fitInput(text) {
+    if (this.maxInputTokens === Infinity || chunkingService.estimateTokens(text) <= this.maxInputTokens) {
+      return text;
+    }
+    return chunkingService.truncate(text, this.maxInputTokens);
+  }
+
+  checkEmbeddings(batch, embeddings) {
+    if (!Array.isArray(embeddings) || embeddings.length !== batch.length) {
+      throw new Error(`Embedding provider ${this.name} returned ${embeddings ? embeddings.length : 0} vectors for ${batch.length} inputs`);
+    }
+    if (!this.dimensions) {
+      this.dimensions = embeddings[0].length;
+    }
+    const mismatch = embeddings.find(vector => vector.length !== this.dimensions);
+    if (mismatch) {
+      throw new Error(`Embedding provider ${this.name} returned ${mismatch.length} dimensions, expected ${this.dimensions}`);
+    }
+  }
+}
+
+/**
+ * The standalone embedding service: POST {text} -> {embedding}, one text per
+ * request. With a batchSize above 1 it is sent POST {texts} -> {embeddings}.
+ */
+class ServiceProvider extends EmbeddingProvider {
+  constructor(config) {
+    super(config);
+    this.url = config.url;
+  }
+
+  get name() {
+    return 'service';
+  }
+
+  async embedBatch(texts) {
+    if (this.batchSize === 1) {
+      const response = await axios.post(this.url, { text: texts[0] });
+      return [response.data.embedding];
+    }
+    const response = await axios.post(this.url, { texts });
+    return response.data.embeddings;
+  }
+}
+
+/**
+ * Any OpenAI-compatible /v1/embeddings endpoint: OpenAI, vLLM, llama.cpp server, LocalAI.
+ */
+class OpenAIProvider extends EmbeddingProvider {
+  constructor(config) {
+    super(config);
+    this.client = new OpenAI({ baseURL: config.baseURL, apiKey: config.apiKey || 'not-needed' });
+    // Only ask for a vector length when one is configured; not every server supports it
+    this.requestDimensions = Boolean(config.dimensions);
+  }
+
+  get name() {
+    return 'openai';
+  }
+
+  async embedBatch(texts) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts,
+      // The SDK asks for base64 by default, which compatible servers often don't implement
+      encoding_format: 'float',
+      ...(this.requestDimensions && { dimensions: this.dimensions })
+    });
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+/**
+ * Ollama's /api/embed, which takes a list of inputs per request.
+ */
+class OllamaProvider extends EmbeddingProvider {
+  constructor(config) {
+    super(config);
+    this.baseURL = config.baseURL.replace(/\/+$/, '');
+    this.requestDimensions = Boolean(config.dimensions);
+  }
+
+  get name() {
+    return 'ollama';
+  }
+
+  async embedBatch(texts) {
+    const response = await axios.post(`${this.baseURL}/api/embed`, {
+      model: this.model,
+      input: texts,
+      ...(this.requestDimensions && { dimensions: this.dimensions })
+    });
+    return response.data.embeddings;
+  }
+}
+
+/**
+ * Deterministic local embedder: words (and single CJK characters) are hashed
+ * into signed buckets and the counts L2-normalised. It needs no model or
+ * network, so it suits offline tests and development, but only texts sharing
+ * words come out similar.
+ */
+class HashProvider extends EmbeddingProvider {
+  get name() {
+    return 'hash';
+  }
+
+  async embedBatch(texts) {
+    return texts.map(text => this.hashVector(text));
+  }
+
+  hashVector(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = text.toLowerCase().replace(CJK_CHARS, ' $& ').match(WORD) || [];
+    for (const word of words) {
+      const hash = fnv1a(word);
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map(value => value / norm) : vector;
+  }
+}
+
+// Adapters by provider name, with the settings used when not configured
+const PROVIDERS = {
+  service: { Provider: ServiceProvider, defaults: { model: 'moka-ai/m3e-base', maxInputTokens: 512, batchSize: 1 } },
+  openai: { Provider: OpenAIProvider, defaults: { model: 'text-embedding-3-small', maxInputTokens: 8191, batchSize: 64 } },
+  ollama: { Provider: OllamaProvider, defaults: { model: 'nomic-embed-text', maxInputTokens: 2048, batchSize: 32 } },
+  hash: { Provider: HashProvider, defaults: { model: 'feature-hash', dimensions: 256, batchSize: 256 } }
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Create an embedding adapter.
+ * @param {string} name - service, openai, ollama or hash
+ * @param {Object} [config] - Connection settings (url, baseURL, apiKey) and overrides of the
+ *   provider's model, dimensions, maxInputTokens and batchSize; undefined values are ignored
+ * @returns {EmbeddingProvider}
+ * @throws {ValidationError} For an unknown provider
+ */
+function createProvider(name, config = {}) {
+  const entry = PROVIDERS[name];
+  if (!entry) {
+    throw new ValidationError(`embeddingProvider must be one of: ${PROVIDER_NAMES.join(', ')}`);
+  }
+  const given = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && value !== null));
+  return new entry.Provider({ ...entry.defaults, ...given });
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createProvider,
+  EmbeddingProvider,
+  ServiceProvider,
+  OpenAIProvider,
+  OllamaProvider,
+  HashProvider
+};
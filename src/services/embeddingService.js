@@ -1,46 +1,126 @@
-const axios = require('axios');
+const chunkingService = require('./chunkingService');
+const { envInt } = require('../utils/env');
+const { PROVIDER_NAMES, createProvider } = require('./embeddingProviders');
+const embeddingCacheService = require('./embeddingCacheService');
 
 class EmbeddingService {
   constructor() {
-    this.embeddingUrl = process.env.EMBEDDING_SERVICE_URL || 'http://localhost:13303/embed';
+    // Provider used by collections that don't choose one: service, openai, ollama or hash
+    this.provider = process.env.EMBEDDING_PROVIDER || 'service';
+
+    // Connection settings for each provider
+    this.connections = {
+      service: { url: process.env.EMBEDDING_SERVICE_URL || 'http://localhost:13303/embed' },
+      openai: { baseURL: process.env.EMBEDDING_BASE_URL || 'https://api.openai.com/v1', apiKey: process.env.EMBEDDING_API_KEY },
+      ollama: { baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434' },
+      hash: {}
+    };
+
+    // Overrides for the configured provider; other providers keep their defaults
+    this.overrides = {
+      model: process.env.EMBEDDING_MODEL,
+      dimensions: envInt('EMBEDDING_DIMENSIONS', undefined),
+      maxInputTokens: envInt('EMBEDDING_MAX_INPUT_TOKENS', undefined),
+      batchSize: envInt('EMBEDDING_BATCH_SIZE', undefined)
+    };
+
+    this.adapters = new Map();
+  }
+
+  get providers() {
+    return PROVIDER_NAMES;
+  }
+
+  // Model of the configured provider, recorded on collections that don't choose one
+  get model() {
+    return this.getProvider().model;
   }
 
-  async generateEmbedding(text) {
-    try {
-      const response = await axios.post(this.embeddingUrl, { text });
-      return response.data.embedding;
-    } catch (error) {
-      console.error('Error calling embedding service:', error);
-      throw new Error('Failed to generate embedding');
+  /**
+   * Get the adapter for a provider and model, created on first use.
+   * @param {string} [name] - Provider name; the configured provider when omitted
+   * @param {string} [model] - The provider's default model when omitted
+   * @returns {EmbeddingProvider}
+   * @throws {ValidationError} For an unknown provider
+   */
+  getProvider(name = this.provider, model = null) {
+    const key = `${name}:${model || ''}`;
+    if (!this.adapters.has(key)) {
+      this.adapters.set(key, createProvider(name, {
+        ...this.connections[name],
+        ...(name === this.provider && this.overrides),
+        ...(model && { model })
+      }));
     }
+    return this.adapters.get(key);
   }
 
-  chunkText(text, chunkSize = 2000) {
-    // Simple chunking by character count (approx tokens)
-    const chunks = [];
-    for (let i = 0; i < text.length; i += chunkSize) {
-      chunks.push(text.slice(i, i + chunkSize));
+  // Adapter a collection's documents are embedded with
+  forCollection(collection) {
+    if (!collection || !collection.embeddingProvider) {
+      return this.getProvider(undefined, collection && collection.embeddingModel);
     }
-    return chunks;
+    return this.getProvider(collection.embeddingProvider, collection.embeddingModel);
   }
 
-  async generateEmbeddingsForDocument(content) {
-    const chunks = this.chunkText(content);
-    const embeddings = [];
+  /**
+   * Embed texts with a provider, taking what it can from the embedding cache
+   * and caching the rest. A failing cache only costs the provider calls.
+   * @param {EmbeddingProvider} provider
+   * @param {string[]} texts
+   * @param {Function} [onProgress] - Awaited with (embeddedCount, totalCount), cached texts counting as embedded
+   * @returns {Promise<number[][]>}
+   */
+  async embedWith(provider, texts, onProgress = async () => {}) {
+    const embeddings = await embeddingCacheService.lookup(provider.id, texts).catch(error => {
+      console.error('Error reading embedding cache:', error);
+      return texts.map(() => null);
+    });
+    const missing = texts.filter((text, i) => !embeddings[i]);
+    const cachedCount = texts.length - missing.length;
+    if (cachedCount) await onProgress(cachedCount, texts.length);
+    if (missing.length === 0) return embeddings;
 
-    for (const chunk of chunks) {
-      const embedding = await this.generateEmbedding(chunk);
-      embeddings.push(embedding);
-    }
+    const fresh = await provider.embed(missing, (done) => onProgress(cachedCount + done, texts.length));
+    let next = 0;
+    const filled = embeddings.map(embedding => embedding || fresh[next++]);
+
+    await embeddingCacheService.store(provider.id, missing, fresh).catch(error => {
+      console.error('Error writing embedding cache:', error);
+    });
+    return filled;
+  }
+
+  /**
+   * Embed one text, e.g. a search query.
+   * @param {string} text
+   * @param {Object} [collection] - Use this collection's provider instead of the configured one
+   */
+  async generateEmbedding(text, collection) {
+    const [embedding] = await this.embedWith(this.forCollection(collection), [text]);
+    return embedding;
+  }
 
-    // Average the embeddings
-    if (embeddings.length === 0) return null;
+  /**
+   * Embed every chunk of a document, in batches of the provider's batch size.
+   * @param {string} content - Full extracted document text
+   * @param {Object} [chunkingOptions] - Passed to chunkingService.chunk
+   * @param {Object} [options]
+   * @param {Object} [options.collection] - Collection the document belongs to; picks the provider
+   * @param {Array<Object>} [options.segments] - Locations of spans of the content, see textExtraction.extract
+   * @param {Function} [options.onProgress] - Awaited with (embeddedCount, totalCount) before the first and after each batch
+   * @returns {Promise<Array<{index: number, text: string, start: number, end: number, location?: Object, embedding: number[], model: string}>>}
+   *   model being the id of the provider and model that produced the embedding
+   */
+  async generateEmbeddingsForDocument(content, chunkingOptions = {}, options = {}) {
+    const { collection, segments, onProgress = async () => {} } = options;
+    const chunks = chunkingService.locate(chunkingService.chunk(content, chunkingOptions), segments);
+    await onProgress(0, chunks.length);
 
-    const avgEmbedding = embeddings[0].map((_, i) =>
-      embeddings.reduce((sum, emb) => sum + emb[i], 0) / embeddings.length
-    );
+    const provider = this.forCollection(collection);
+    const embeddings = await this.embedWith(provider, chunks.map(chunk => chunk.text), onProgress);
 
-    return avgEmbedding;
+    return chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i], model: provider.id }));
   }
 }
 
@@ -0,0 +1,329 @@
+const fs = require('fs');
+const readline = require('readline');
+const { run, get, all, transaction } = require('../utils/dbAsync');
+const { ValidationError, ConflictError } = require('../utils/errors');
+const { hashFile, hashText } = require('../utils/hash');
+const documentService = require('./documentService');
+const collectionService = require('./collectionService');
+const reindexService = require('./reindexService');
+const vectorIndexService = require('./vectorIndexService');
+
+const FORMAT = 'local-rag-index';
+const FORMAT_VERSION = 1;
+
+// Documents read from the database at a time while exporting
+const PAGE_SIZE = 100;
+
+const parseJson = (json) => (json ? JSON.parse(json) : null);
+
+// Write a line, waiting when the stream asks to
+const writeLine = async (out, record) => {
+  if (!out.write(`${JSON.stringify(record)}\n`)) {
+    await new Promise((resolve, reject) => {
+      out.once('drain', resolve);
+      out.once('error', reject);
+    });
+  }
+};
+
+/**
+ * Moves an index between machines as JSON lines: a header, the collections,
+ * then one line per document with its metadata, its chunks and their vectors
+ * (base64 Float32, tagged with the model they were embedded with), optionally
+ * its source file, and an end line with the counts, so that a truncated
+ * export is noticed on import. Importing assigns new ids.
+ */
+class ExportService {
+  get format() {
+    return FORMAT;
+  }
+
+  /**
+   * Write documents, in id order, to a stream.
+   * @param {stream.Writable} out
+   * @param {Object} [options]
+   * @param {number[]} [options.collectionIds] - Only these collections (all when empty)
+   * @param {Object} [options.filter] - Only documents matching this metadata filter
+   * @param {Object} [options.scope] - The conditions of documentService.scopeConditions for collectionIds and
+   *   filter, when compiled already, e.g. to reject an invalid filter before the response starts
+   * @param {boolean} [options.includeFiles=false] - Add the source files, so documents can be reprocessed after import
+   * @returns {Promise<{collections: number, documents: number, chunks: number}>}
+   */
+  async exportIndex(out, options = {}) {
+    const { collectionIds = [], filter, includeFiles = false } = options;
+    const { conditions, params } = options.scope || documentService.scopeConditions({ collectionIds, filter });
+    const collections = (await collectionService.listCollections())
+      .filter(collection => !collectionIds.length || collectionIds.includes(collection.id));
+
+    await writeLine(out, { type: 'header', format: FORMAT, version: FORMAT_VERSION, exportedAt: new Date().toISOString() });
+    for (const collection of collections) {
+      await writeLine(out, {
+        type: 'collection',
+        name: collection.name,
+        description: collection.description,
+        chunking: collection.chunking,
+        embeddingProvider: collection.embeddingProvider,
+        embeddingModel: collection.embeddingModel
+      });
+    }
+
+    const counts = { collections: collections.length, documents: 0, chunks: 0 };
+    // Paged by id rather than offset, so documents added meanwhile don't shift pages
+    for (let lastId = 0; ;) {
+      const rows = await all(
+        `SELECT d.*, c.name AS collection_name FROM documents d
+         LEFT JOIN collections c ON c.id = d.collection_id
+         WHERE ${['d.id > ?', ...conditions].join(' AND ')}
+         ORDER BY d.id LIMIT ?`,
+        [lastId, ...params, PAGE_SIZE]
+      );
+      for (const row of rows) {
+        const record = await this.documentRecord(row, includeFiles);
+        await writeLine(out, record);
+        counts.documents++;
+        counts.chunks += record.chunks.length;
+      }
+      if (rows.length < PAGE_SIZE) break;
+      lastId = rows[rows.length - 1].id;
+    }
+
+    await writeLine(out, { type: 'end', documents: counts.documents, chunks: counts.chunks });
+    return counts;
+  }
+
+  async documentRecord(row, includeFiles) {
+    const chunks = await all(
+      'SELECT chunk_index, start_offset, end_offset, location, content, vector, model, dimensions FROM embeddings WHERE doc_id = ? ORDER BY chunk_index',
+      [row.id]
+    );
+    const record = {
+      type: 'document',
+      id: row.id,
+      collection: row.collection_name,
+      filename: row.filename,
+      metadata: parseJson(row.metadata) || {},
+      contentHash: row.content_hash,
+      version: row.version,
+      versionOf: row.version_of,
+      preview: row.content_preview,
+      chunking: parseJson(row.chunking),
+      ocrPages: parseJson(row.ocr_pages),
+      uploadDate: row.upload_date,
+      updatedDate: row.updated_date,
+      chunks: chunks.map(chunk => ({
+        index: chunk.chunk_index,
+        start: chunk.start_offset,
+        end: chunk.end_offset,
+        location: parseJson(chunk.location),
+        content: chunk.content,
+        model: chunk.model,
+        dimensions: chunk.dimensions,
+        vector: chunk.vector ? Buffer.from(chunk.vector).toString('base64') : null
+      }))
+    };
+    if (includeFiles) {
+      const filePath = documentService.uploadPath(row.filename);
+      record.file = fs.existsSync(filePath) ? (await fs.promises.readFile(filePath)).toString('base64') : null;
+    }
+    return record;
+  }
+
+  /**
+   * Import an export. Missing collections are created with the exported
+   * settings. A document whose content is already in its collection is
+   * handled by onDuplicate, as for uploads; other failures are reported per
+   * document and the import goes on.
+   * @param {stream.Readable} input - The JSON lines
+   * @param {Object} [options]
+   * @param {string} [options.onDuplicate='existing'] - reject, existing or version, see documentService.saveDocument
+   * @returns {Promise<Object>} Counts of collections created and documents imported, existing and failed,
+   *   `ids` mapping exported to new document ids, `errors` and `warnings`
+   * @throws {ValidationError} If the input is not an export, before anything is imported
+   */
+  async importIndex(input, options = {}) {
+    const policy = documentService.resolveDuplicatePolicy(options.onDuplicate || 'existing');
+    const result = {
+      collections: { created: [], existing: [] },
+      documents: { imported: 0, existing: 0, failed: 0 },
+      chunks: 0,
+      ids: {},
+      errors: [],
+      warnings: []
+    };
+    const collections = new Map();
+    const imported = new Set();
+    let header = null;
+    let end = null;
+    let lineNumber = 0;
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (parseError) {
+        if (!header) throw new ValidationError(`Not an index export: line ${lineNumber} is not JSON`);
+        result.errors.push({ line: lineNumber, error: 'Invalid JSON' });
+        continue;
+      }
+
+      if (!header) {
+        if (record.type !== 'header' || record.format !== FORMAT) {
+          throw new ValidationError('Not an index export: it must start with a local-rag-index header');
+        }
+        if (record.version > FORMAT_VERSION) {
+          throw new ValidationError(`Export format version ${record.version} is newer than this server reads (${FORMAT_VERSION})`);
+        }
+        header = record;
+      } else if (record.type === 'collection') {
+        await this.importCollection(record, collections, result);
+      } else if (record.type === 'document') {
+        try {
+          await this.importDocument(record, { collections, imported, policy, result });
+        } catch (error) {
+          if (!error.status) console.error(`Import of document ${record.id} failed:`, error);
+          result.documents.failed++;
+          result.errors.push({ id: record.id, filename: record.filename, error: error.message });
+        }
+      } else if (record.type === 'end') {
+        end = record;
+      } else {
+        result.errors.push({ line: lineNumber, error: `Unknown record type: ${record.type}` });
+      }
+    }
+
+    if (!header) {
+      throw new ValidationError('Not an index export: it is empty');
+    }
+    if (!end) {
+      result.warnings.push('The export has no end line; it may have been cut off');
+    }
+
+    // Vectors of another model than their collection's here are left out of vector search
+    const touched = Array.from(collections.values()).filter(Boolean);
+    if (touched.length) {
+      await reindexService.countModels(touched.map(collection => collection.id));
+      for (const status of touched.map(collection => reindexService.collectionStatus(collection))) {
+        if (status.staleChunks > 0) {
+          result.warnings.push(
+            `Collection ${status.collection}: ${status.staleChunks} of ${status.chunkCount} chunks were embedded with another model ` +
+            `than ${status.model}; re-index the collection to search them`
+          );
+        }
+      }
+    }
+    result.collections.created = result.collections.created.map(collection => collection.name);
+    result.collections.existing = result.collections.existing.map(collection => collection.name);
+    return result;
+  }
+
+  async importCollection(record, collections, result) {
+    const existing = await get('SELECT 1 FROM collections WHERE name = ?', [record.name]);
+    try {
+      if (existing) {
+        const collection = await collectionService.getCollection(record.name);
+        collections.set(record.name, collection);
+        result.collections.existing.push(collection);
+      } else {
+        const collection = await collectionService.createCollection({
+          name: record.name,
+          description: record.description,
+          chunking: record.chunking,
+          embeddingProvider: record.embeddingProvider,
+          embeddingModel: record.embeddingModel
+        });
+        collections.set(record.name, collection);
+        result.collections.created.push(collection);
+      }
+    } catch (error) {
+      // Its documents fail with the reason
+      collections.set(record.name, null);
+      result.errors.push({ collection: record.name, error: error.message });
+    }
+  }
+
+  async importDocument(record, { collections, imported, policy, result }) {
+    const collection = collections.get(record.collection);
+    if (!collection) {
+      throw new ValidationError(`Collection ${record.collection} could not be imported`);
+    }
+    const chunks = (record.chunks || []).map(chunk => {
+      const vector = chunk.vector ? Buffer.from(chunk.vector, 'base64') : null;
+      if (vector && vector.length !== chunk.dimensions * 4) {
+        throw new ValidationError(`Chunk ${chunk.index} has a vector of ${vector.length / 4} values, not ${chunk.dimensions}`);
+      }
+      return { ...chunk, vector };
+    });
+
+    // Versions of a document imported just before are part of its history, not duplicates
+    const duplicate = await documentService.findDuplicate(record.contentHash, collection.id);
+    const previous = record.versionOf ? result.ids[record.versionOf] : undefined;
+    let version = previous ? record.version : 1;
+    let versionOf = previous || null;
+    if (duplicate && !imported.has(duplicate.id)) {
+      if (policy === 'reject') {
+        throw new ConflictError(`Document ${duplicate.id} in collection ${collection.name} has the same content`);
+      }
+      if (policy === 'existing') {
+        result.ids[record.id] = duplicate.id;
+        result.documents.existing++;
+        return;
+      }
+      version = duplicate.version + 1;
+      versionOf = duplicate.version_of || duplicate.id;
+    }
+
+    const filename = record.file ? await this.storeFile(record.filename, Buffer.from(record.file, 'base64')) : record.filename;
+    for (const dimensions of new Set(chunks.filter(chunk => chunk.vector).map(chunk => chunk.dimensions))) {
+      await vectorIndexService.ensureIndex(dimensions);
+    }
+
+    const id = await transaction(async () => {
+      const { lastID } = await run(
+        `INSERT INTO documents (filename, content_preview, chunking, metadata, content_hash, version, version_of, collection_id, ocr_pages, upload_date, updated_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, datetime("now")), ?)`,
+        [
+          filename, record.preview, JSON.stringify(record.chunking), JSON.stringify(record.metadata || {}), record.contentHash,
+          version, versionOf, collection.id, record.ocrPages ? JSON.stringify(record.ocrPages) : null,
+          record.uploadDate || null, record.updatedDate || null
+        ]
+      );
+      for (const chunk of chunks) {
+        await run(
+          `INSERT INTO embeddings (doc_id, chunk_index, start_offset, end_offset, location, content, vector, model, dimensions)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            lastID, chunk.index, chunk.start, chunk.end, chunk.location ? JSON.stringify(chunk.location) : null,
+            chunk.content, chunk.vector, chunk.model, chunk.dimensions
+          ]
+        );
+      }
+      return lastID;
+    });
+
+    imported.add(id);
+    result.ids[record.id] = id;
+    result.documents.imported++;
+    result.chunks += chunks.length;
+  }
+
+  // Store an exported source file in the uploads folder; the same content stored already is used instead
+  async storeFile(filename, data) {
+    for (let n = 1; ; n++) {
+      const name = n === 1 ? filename : `${n}-${filename}`;
+      const filePath = documentService.uploadPath(name);
+      try {
+        await fs.promises.writeFile(filePath, data, { flag: 'wx' });
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        if (await hashFile(filePath) === hashText(data)) return name;
+        continue;
+      }
+      return (await documentService.registerUpload(name)).filename;
+    }
+  }
+}
+
+module.exports = new ExportService();
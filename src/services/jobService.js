@@ -0,0 +1,296 @@
+const fs = require('fs');
+const os = require('os');
+const { run, get, all, transaction } = require('../utils/dbAsync');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { envInt } = require('../utils/env');
+const log = require('../utils/log');
+const documentService = require('./documentService');
+const collectionService = require('./collectionService');
+const reindexService = require('./reindexService');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+const parseJson = (json) => (json ? JSON.parse(json) : null);
+
+const toJob = (row) => ({
+  id: row.id,
+  type: row.type,
+  status: row.status,
+  payload: parseJson(row.payload),
+  progress: { done: row.progress_done, total: row.progress_total },
+  attempts: row.attempts,
+  maxAttempts: row.max_attempts,
+  error: row.error,
+  result: parseJson(row.result),
+  createdAt: row.created_at,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at,
+  nextAttemptAt: row.status === 'queued' ? row.run_after : null
+});
+
+// The process running a job, recorded as its owner
+const OWNER = `${os.hostname()}:${process.pid}`;
+
+// Whether the process that owns a running job may still be running it. Only
+// processes on this host can be checked; this process's own jobs, e.g. from
+// before a restart that reused its process id, count as interrupted.
+const ownerIsAlive = (owner) => {
+  if (!owner || owner === OWNER) return false;
+  const separator = owner.lastIndexOf(':');
+  if (owner.slice(0, separator) !== os.hostname()) return false;
+  try {
+    process.kill(Number(owner.slice(separator + 1)), 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists, but belongs to another user
+    return error.code === 'EPERM';
+  }
+};
+
+// Errors carrying an HTTP status (missing file or collection, invalid options)
+// fail the same way on every attempt, so they are not retried
+const isRetryable = (error) => !error.status;
+
+/**
+ * Persistent job queue for document ingestion and re-indexing.
+ * Jobs are stored in the jobs table and picked up by an in-process worker
+ * that runs up to `concurrency` of them at a time. A failed attempt is retried
+ * with exponential backoff until maxAttempts; jobs that were running when the
+ * server stopped are queued again on start.
+ */
+class JobService {
+  constructor() {
+    this.concurrency = envInt('JOB_CONCURRENCY', 2);
+    this.maxAttempts = envInt('JOB_MAX_ATTEMPTS', 3);
+    this.retryDelaySeconds = envInt('JOB_RETRY_DELAY_SECONDS', 10);
+    this.pollIntervalMs = envInt('JOB_POLL_INTERVAL_MS', 1000);
+
+    this.handlers = {
+      process: (payload, job) => this.processDocument(payload, job),
+      // { collections: [{ id, name, provider, model }] }, from reindexService.planReindex
+      reindex: (payload, job) => reindexService.reindex(payload, {
+        jobId: job.id,
+        onProgress: (done, total) => this.reportProgress(job.id, done, total)
+      })
+    };
+    // Checks run in one transaction with queueing a job of the type, throwing to refuse it
+    this.guards = {
+      reindex: (payload) => reindexService.checkIdle(payload)
+    };
+
+    this.active = 0;
+    this.timer = null;
+    this.claiming = false;
+  }
+
+  get statuses() {
+    return JOB_STATUSES;
+  }
+
+  // Store a job after the type's guard, if any, in one transaction
+  async insertJob(type, payload, sql, params) {
+    if (!this.handlers[type]) {
+      throw new ValidationError(`Unknown job type: ${type}`);
+    }
+    const guard = this.guards[type];
+    if (!guard) return run(sql, params);
+    return transaction(async () => {
+      await guard(payload);
+      return run(sql, params);
+    });
+  }
+
+  /**
+   * Queue a job.
+   * @param {string} type - One of the registered handlers, e.g. 'process'
+   * @param {Object} payload - Handler input, stored as JSON
+   * @returns {Promise<Object>} The queued job
+   * @throws {ConflictError} When the type's guard refuses it, e.g. a second re-index of a collection
+   */
+  async enqueue(type, payload) {
+    const { lastID } = await this.insertJob(
+      type,
+      payload,
+      `INSERT INTO jobs (type, status, payload, max_attempts, run_after, created_at) VALUES (?, 'queued', ?, ?, datetime("now"), datetime("now"))`,
+      [type, JSON.stringify(payload), this.maxAttempts]
+    );
+    this.poll();
+    return this.getJob(lastID);
+  }
+
+  /**
+   * Run a job in this process and wait for it, instead of leaving it to the
+   * worker, e.g. from the command line. It is recorded like other jobs, but
+   * not retried.
+   * @param {string} type - One of the registered handlers
+   * @param {Object} payload
+   * @returns {Promise<Object>} The job, completed or failed
+   */
+  async runNow(type, payload) {
+    const { lastID } = await this.insertJob(
+      type,
+      payload,
+      `INSERT INTO jobs (type, status, payload, attempts, max_attempts, owner, run_after, created_at, started_at)
+       VALUES (?, 'running', ?, 1, 1, ?, datetime("now"), datetime("now"), datetime("now"))`,
+      [type, JSON.stringify(payload), OWNER]
+    );
+    await this.runJob(await get('SELECT * FROM jobs WHERE id = ?', [lastID]));
+    return this.getJob(lastID);
+  }
+
+  async getJob(id) {
+    const row = await get('SELECT * FROM jobs WHERE id = ?', [id]);
+    if (!row) {
+      throw new NotFoundError('Job not found');
+    }
+    return toJob(row);
+  }
+
+  /**
+   * List jobs, newest first.
+   * @param {Object} [options]
+   * @param {string} [options.status] - Only jobs in this state
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   */
+  async listJobs(options = {}) {
+    const { status, limit = 50, offset = 0 } = options;
+    const where = status ? 'WHERE status = ?' : '';
+    const rows = await all(
+      `SELECT * FROM jobs ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...(status ? [status] : []), limit, offset]
+    );
+    return rows.map(toJob);
+  }
+
+  /**
+   * Start the worker. Jobs left running by a process that is gone are queued
+   * again; those another process is still running, e.g. the command line, are left to it.
+   */
+  async start() {
+    if (this.timer) return;
+    const running = await all(`SELECT id, owner FROM jobs WHERE status = 'running'`);
+    const interrupted = running.filter(job => !ownerIsAlive(job.owner)).map(job => job.id);
+    if (interrupted.length) {
+      const { changes } = await run(
+        `UPDATE jobs SET status = 'queued', owner = NULL, run_after = datetime("now")
+         WHERE status = 'running' AND id IN (${interrupted.map(() => '?').join(', ')})`,
+        interrupted
+      );
+      log.info(`Requeued ${changes} interrupted job(s).`);
+    }
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Claim due jobs until the worker is at capacity
+  async poll() {
+    if (!this.timer || this.claiming) return;
+    this.claiming = true;
+    try {
+      while (this.active < this.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+        this.active++;
+        this.runJob(job).finally(() => {
+          this.active--;
+          this.poll();
+        });
+      }
+    } catch (error) {
+      console.error('Error claiming jobs:', error);
+    } finally {
+      this.claiming = false;
+    }
+  }
+
+  async claimNextJob() {
+    for (;;) {
+      const row = await get(
+        `SELECT * FROM jobs WHERE status = 'queued' AND run_after <= datetime("now") ORDER BY id LIMIT 1`
+      );
+      if (!row) return null;
+      // Only while still queued: another process may have claimed it since
+      const { changes } = await run(
+        `UPDATE jobs SET status = 'running', attempts = attempts + 1, error = NULL, owner = ?, started_at = datetime("now")
+         WHERE id = ? AND status = 'queued'`,
+        [OWNER, row.id]
+      );
+      if (changes) {
+        return { ...row, status: 'running', owner: OWNER, attempts: row.attempts + 1 };
+      }
+    }
+  }
+
+  async runJob(row) {
+    const job = toJob(row);
+    try {
+      const result = await this.handlers[job.type](job.payload, job);
+      await run(
+        `UPDATE jobs SET status = 'completed', result = ?, finished_at = datetime("now") WHERE id = ?`,
+        [JSON.stringify(result), job.id]
+      );
+    } catch (error) {
+      console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, error);
+      await this.failJob(job, error).catch(updateError => {
+        console.error(`Error recording failure of job ${job.id}:`, updateError);
+      });
+    }
+  }
+
+  async failJob(job, error) {
+    if (isRetryable(error) && job.attempts < job.maxAttempts) {
+      const delay = this.retryDelaySeconds * 2 ** (job.attempts - 1);
+      await run(
+        `UPDATE jobs SET status = 'queued', error = ?, run_after = datetime("now", ?) WHERE id = ?`,
+        [error.message, `+${delay} seconds`, job.id]
+      );
+      return;
+    }
+    await run(
+      `UPDATE jobs SET status = 'failed', error = ?, finished_at = datetime("now") WHERE id = ?`,
+      [error.message, job.id]
+    );
+  }
+
+  async reportProgress(jobId, done, total) {
+    await run('UPDATE jobs SET progress_done = ?, progress_total = ? WHERE id = ?', [done, total, jobId]);
+  }
+
+  // Handler for 'process' jobs: { filename, collectionId, chunking, metadata, onDuplicate, ocr }, filename being in the uploads folder
+  async processDocument(payload, job) {
+    const filePath = documentService.uploadPath(payload.filename);
+    if (!fs.existsSync(filePath)) {
+      throw new NotFoundError('File not found');
+    }
+    const collection = await collectionService.getCollectionById(payload.collectionId);
+    if (!collection) {
+      throw new NotFoundError('Collection not found');
+    }
+
+    const result = await documentService.saveDocument(payload.filename, filePath, {
+      collection,
+      chunking: payload.chunking,
+      metadata: payload.metadata,
+      onDuplicate: payload.onDuplicate,
+      ocr: payload.ocr,
+      onProgress: (done, total) => this.reportProgress(job.id, done, total)
+    });
+
+    return {
+      documentId: result.id,
+      collection: result.collection,
+      chunkCount: result.chunkCount,
+      chunking: result.chunking,
+      ocrPages: result.ocrPages,
+      duplicate: result.duplicate
+    };
+  }
+}
+
+module.exports = new JobService();
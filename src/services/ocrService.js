@@ -0,0 +1,105 @@
+const path = require('path');
+const { createWorker, OEM } = require('tesseract.js');
+const { ValidationError } = require('../utils/errors');
+const { envInt } = require('../utils/env');
+
+// auto: OCR images and PDF pages without a text layer; force: also PDF pages
+// that have one; off: never, so images and scanned pages yield no text
+const MODES = ['auto', 'force', 'off'];
+
+// English language data ships with the app; nothing is downloaded at runtime
+const BUNDLED_LANG_PATH = path.join(path.dirname(require.resolve('@tesseract.js-data/eng')), '4.0.0_best_int');
+
+/**
+ * Optical character recognition with Tesseract (tesseract.js), run offline.
+ * One worker is started on first use and stopped again after a while without
+ * work, so the memory it holds is only taken while documents need OCR.
+ */
+class OcrService {
+  constructor() {
+    this.mode = process.env.OCR_MODE || 'auto';
+    // Tesseract language codes joined with "+", e.g. eng+deu; languages other than
+    // eng need their <code>.traineddata.gz in OCR_LANG_PATH
+    this.languages = process.env.OCR_LANGUAGES || 'eng';
+    this.langPath = process.env.OCR_LANG_PATH || BUNDLED_LANG_PATH;
+    // PDF pages with fewer non-whitespace characters than this count as having no text layer
+    this.minPageChars = envInt('OCR_MIN_PAGE_CHARS', 20);
+    this.idleTimeout = envInt('OCR_IDLE_TIMEOUT_MS', 60000);
+
+    this.worker = null;
+    this.pending = 0;
+    this.idleTimer = null;
+  }
+
+  get modes() {
+    return MODES;
+  }
+
+  /**
+   * @param {string} [mode] - auto, force or off; OCR_MODE (default auto) when omitted
+   * @returns {string}
+   * @throws {ValidationError} For an unknown mode
+   */
+  resolveMode(mode) {
+    const resolved = mode || this.mode;
+    if (!MODES.includes(resolved)) {
+      throw new ValidationError(`ocr must be one of: ${MODES.join(', ')}`);
+    }
+    return resolved;
+  }
+
+  // A PDF page whose text layer is missing or too short to be the page's text
+  needsOcr(pageText) {
+    return pageText.replace(/\s+/g, '').length < this.minPageChars;
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = createWorker(this.languages, OEM.LSTM_ONLY, {
+        langPath: this.langPath,
+        gzip: true,
+        // Language data is read from langPath each time instead of being copied into the working directory
+        cacheMethod: 'none'
+      });
+      // A worker that failed to start is not reused
+      this.worker.catch(() => {
+        this.worker = null;
+      });
+    }
+    return this.worker;
+  }
+
+  /**
+   * Recognize the text in an image.
+   * @param {Buffer} image - PNG, JPEG, TIFF (first page), BMP or PNM file content
+   * @returns {Promise<{text: string, confidence: number}>} confidence being Tesseract's mean
+   *   word confidence, 0-100
+   */
+  async recognize(image) {
+    clearTimeout(this.idleTimer);
+    this.pending++;
+    try {
+      const worker = await this.getWorker();
+      const { data } = await worker.recognize(image);
+      return { text: data.text.trim(), confidence: data.confidence };
+    } finally {
+      this.pending--;
+      if (this.pending === 0 && this.idleTimeout > 0) {
+        this.idleTimer = setTimeout(() => this.close().catch(() => {}), this.idleTimeout);
+        this.idleTimer.unref();
+      }
+    }
+  }
+
+  // Stop the worker; the next recognize() starts a new one
+  async close() {
+    clearTimeout(this.idleTimer);
+    const worker = this.worker;
+    this.worker = null;
+    if (worker) {
+      await (await worker).terminate();
+    }
+  }
+}
+
+module.exports = new OcrService();
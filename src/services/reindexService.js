@@ -0,0 +1,291 @@
+const { run, get, all, transaction } = require('../utils/dbAsync');
+const { ValidationError, ConflictError } = require('../utils/errors');
+const { toBuffer } = require('../utils/vector');
+const embeddingService = require('./embeddingService');
+const collectionService = require('./collectionService');
+const vectorIndexService = require('./vectorIndexService');
+
+// Chunks embedded and staged per round trip
+const REINDEX_BATCH = 256;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const MODEL_COUNTS = `SELECT d.collection_id, e.model, e.dimensions, COUNT(*) AS chunks
+  FROM embeddings e
+  JOIN documents d ON d.id = e.doc_id`;
+
+/**
+ * Keeps stored vectors in step with the embedding model of their collection.
+ * Every chunk records the provider id (see EmbeddingProvider.id) and vector
+ * length it was embedded with; search only compares vectors of the query's
+ * model, so chunks left over from another model are skipped until a re-index
+ * embeds them again. A re-index runs as a job: new vectors are staged in
+ * reindex_vectors, which lets an interrupted job resume, and swapped in
+ * together with the collection's model in one transaction at the end.
+ */
+class ReindexService {
+  constructor() {
+    // Chunk counts by model and dimensions per collection id, from the last check
+    this.counts = new Map();
+  }
+
+  /**
+   * Record the model of vectors stored before models were tracked, assuming
+   * their collection's current model, and drop vectors staged by re-index
+   * jobs that will not run again.
+   */
+  async backfillModels() {
+    const collections = await collectionService.listCollections();
+    let backfilled = 0;
+    for (const collection of collections) {
+      // Vectors are stored as float32, four bytes per dimension
+      const { changes } = await run(
+        `UPDATE embeddings SET model = ?, dimensions = LENGTH(vector) / 4
+         WHERE model IS NULL AND doc_id IN (SELECT id FROM documents WHERE collection_id = ?)`,
+        [embeddingService.forCollection(collection).id, collection.id]
+      );
+      backfilled += changes;
+    }
+    await run(`DELETE FROM reindex_vectors WHERE job_id NOT IN (SELECT id FROM jobs WHERE status IN ('queued', 'running'))`);
+    return backfilled;
+  }
+
+  /**
+   * Count chunks per collection by model and log collections holding
+   * vectors of another model than the collection's.
+   * @returns {Promise<Array<Object>>} Collections with stale chunks, as in getStatus
+   */
+  async checkModels() {
+    const status = await this.getStatus();
+    const stale = status.filter(collection => collection.staleChunks > 0);
+    for (const collection of stale) {
+      console.warn(
+        `Collection ${collection.collection}: ${collection.staleChunks} of ${collection.chunkCount} chunks were embedded ` +
+        `with another model than ${collection.model} and are left out of vector search; POST /api/reindex to re-embed them`
+      );
+    }
+    return stale;
+  }
+
+  /**
+   * Embedding model of each collection and the models its chunks were embedded with.
+   * @returns {Promise<Array<{collection: string, embeddingProvider: string, embeddingModel: string, model: string,
+   *   dimensions: ?number, chunkCount: number, staleChunks: number, models: Array<{model: string, dimensions: number, chunks: number}>}>>}
+   */
+  async getStatus() {
+    const [collections] = await Promise.all([collectionService.listCollections(), this.countModels()]);
+    return collections.map(collection => this.collectionStatus(collection));
+  }
+
+  // Refresh the chunk counts, of some collections or all of them
+  async countModels(collectionIds = []) {
+    const rows = collectionIds.length
+      ? await all(`${MODEL_COUNTS} WHERE d.collection_id IN (${placeholders(collectionIds)}) GROUP BY d.collection_id, e.model, e.dimensions`, collectionIds)
+      : await all(`${MODEL_COUNTS} GROUP BY d.collection_id, e.model, e.dimensions`);
+
+    if (!collectionIds.length) this.counts.clear();
+    collectionIds.forEach(id => this.counts.set(id, []));
+    for (const row of rows) {
+      if (!this.counts.has(row.collection_id)) this.counts.set(row.collection_id, []);
+      this.counts.get(row.collection_id).push({ model: row.model, dimensions: row.dimensions, chunks: row.chunks });
+    }
+  }
+
+  collectionStatus(collection) {
+    const provider = embeddingService.forCollection(collection);
+    const models = this.counts.get(collection.id) || [];
+    // Without a configured vector length, the one most chunks of the model have
+    const current = models.filter(row => row.model === provider.id).sort((a, b) => b.chunks - a.chunks);
+    const dimensions = provider.dimensions || (current.length ? current[0].dimensions : null);
+    const isCurrent = (row) => row.model === provider.id && row.dimensions === dimensions;
+
+    return {
+      collection: collection.name,
+      embeddingProvider: collection.embeddingProvider,
+      embeddingModel: collection.embeddingModel,
+      model: provider.id,
+      dimensions,
+      chunkCount: models.reduce((sum, row) => sum + row.chunks, 0),
+      staleChunks: models.filter(row => !isCurrent(row)).reduce((sum, row) => sum + row.chunks, 0),
+      models
+    };
+  }
+
+  /**
+   * Warnings for a search over collections with stale chunks, from the
+   * counts of the last check. Only chunks of another model can be stale, and
+   * those only go away by re-indexing or deleting, so collections that look
+   * stale are counted again before warning.
+   * @param {number[]} collectionIds - Searched collections, all when empty
+   * @returns {Promise<string[]>}
+   */
+  async warningsFor(collectionIds = []) {
+    // Without the document and chunk counts of collectionService.listCollections
+    const rows = collectionIds.length
+      ? await all(`SELECT id, name, embedding_provider, embedding_model FROM collections WHERE id IN (${placeholders(collectionIds)})`, collectionIds)
+      : await all('SELECT id, name, embedding_provider, embedding_model FROM collections');
+    const collections = rows.map(row => ({ id: row.id, name: row.name, embeddingProvider: row.embedding_provider, embeddingModel: row.embedding_model }));
+    const suspect = collections.filter(collection => this.collectionStatus(collection).staleChunks > 0);
+    if (!suspect.length) return [];
+
+    await this.countModels(suspect.map(collection => collection.id));
+    return suspect
+      .map(collection => this.collectionStatus(collection))
+      .filter(status => status.staleChunks > 0)
+      .map(status =>
+        `Collection ${status.collection}: ${status.staleChunks} of ${status.chunkCount} chunks were embedded with another model than ${status.model} and were not searched; re-index the collection to include them`
+      );
+  }
+
+  /**
+   * Work out what a re-index request covers, as the payload of a 'reindex' job.
+   * @param {Object} [params]
+   * @param {string} [params.collection] - Only this collection; all collections when omitted
+   * @param {string} [params.embeddingProvider] - Switch to this provider; the collection's when omitted
+   * @param {string} [params.embeddingModel] - Switch to this model; the collection's when neither is given,
+   *   the provider's default when only embeddingProvider is
+   * @returns {Promise<{collections: Array<{id: number, name: string, provider: string, model: string}>}>}
+   * @throws {ValidationError} For an unknown provider or an empty model
+   * @throws {NotFoundError} For an unknown collection
+   */
+  async planReindex({ collection, embeddingProvider, embeddingModel } = {}) {
+    if (embeddingModel !== undefined && (typeof embeddingModel !== 'string' || !embeddingModel.trim())) {
+      throw new ValidationError('embeddingModel must be a non-empty string');
+    }
+    if (embeddingProvider !== undefined) {
+      embeddingService.getProvider(embeddingProvider, embeddingModel);
+    }
+
+    const collections = collection
+      ? [await collectionService.getCollection(collection)]
+      : await collectionService.listCollections();
+
+    const targets = collections.map(c => {
+      const provider = embeddingProvider || c.embeddingProvider;
+      const model = embeddingModel || (embeddingProvider ? embeddingService.getProvider(provider).model : c.embeddingModel);
+      return { id: c.id, name: c.name, provider, model };
+    });
+
+    return { collections: targets };
+  }
+
+  /**
+   * Check that none of a planned re-index's collections is being re-indexed
+   * already. jobService runs this in one transaction with queueing the job,
+   * so two requests cannot both pass it.
+   * @param {Object} payload - From planReindex
+   * @throws {ConflictError} If a re-index of one of the collections is already queued or running
+   */
+  async checkIdle({ collections: targets }) {
+    const active = await all(`SELECT id, payload FROM jobs WHERE type = 'reindex' AND status IN ('queued', 'running')`);
+    for (const job of active) {
+      const busy = JSON.parse(job.payload).collections.find(c => targets.some(target => target.id === c.id));
+      if (busy) {
+        throw new ConflictError(`Collection ${busy.name} is already being re-indexed (job ${job.id})`);
+      }
+    }
+  }
+
+  /**
+   * Embed every chunk of the planned collections with their new model, then
+   * switch vectors and collections over at once. Searches keep using the old
+   * vectors until then. Chunks already staged by an earlier attempt of the
+   * job are not embedded again.
+   * @param {Object} payload - From planReindex
+   * @param {Object} options
+   * @param {number} options.jobId - Staged vectors are kept under this id
+   * @param {Function} [options.onProgress] - Awaited with (stagedCount, totalCount)
+   */
+  async reindex(payload, { jobId, onProgress = async () => {} }) {
+    const targets = payload.collections.map(target => ({
+      ...target,
+      adapter: embeddingService.getProvider(target.provider, target.model)
+    }));
+    const pending = (target) => this.pendingChunks(jobId, target.id);
+
+    const total = async () => (await Promise.all(targets.map(target => this.chunkCount(target.id))))
+      .reduce((sum, count) => sum + count, 0);
+    const staged = async () => (await get('SELECT COUNT(*) AS count FROM reindex_vectors WHERE job_id = ?', [jobId])).count;
+
+    let skipped = 0;
+    for (;;) {
+      for (const target of targets) {
+        let rows;
+        while ((rows = await pending(target)).length) {
+          await this.stage(jobId, target.adapter, rows);
+          await onProgress(await staged(), await total());
+        }
+      }
+
+      for (const target of targets) {
+        if (target.adapter.dimensions) await vectorIndexService.ensureIndex(target.adapter.dimensions);
+      }
+
+      // Chunks saved since their collection was embedded are picked up by another round
+      const switched = await transaction(async () => {
+        for (const target of targets) {
+          if ((await pending(target)).length) return false;
+        }
+        skipped = 0;
+        for (const target of targets) {
+          const { changes } = await run(
+            `UPDATE embeddings SET vector = r.vector, model = ?, dimensions = LENGTH(r.vector) / 4
+             FROM reindex_vectors r
+             WHERE r.job_id = ? AND r.embedding_id = embeddings.id
+               AND embeddings.doc_id IN (SELECT id FROM documents WHERE collection_id = ?)`,
+            [target.adapter.id, jobId, target.id]
+          );
+          skipped += (await this.chunkCount(target.id)) - changes;
+          await run(
+            'UPDATE collections SET embedding_provider = ?, embedding_model = ? WHERE id = ?',
+            [target.adapter.name, target.adapter.model, target.id]
+          );
+        }
+        await run('DELETE FROM reindex_vectors WHERE job_id = ?', [jobId]);
+        return true;
+      });
+      if (switched) break;
+    }
+
+    const chunkCount = await total();
+    await onProgress(chunkCount - skipped, chunkCount);
+    await this.countModels(targets.map(target => target.id));
+
+    return {
+      collections: targets.map(target => ({ name: target.name, embeddingProvider: target.adapter.name, embeddingModel: target.adapter.model, model: target.adapter.id })),
+      chunkCount,
+      skipped
+    };
+  }
+
+  async chunkCount(collectionId) {
+    const { count } = await get(
+      'SELECT COUNT(*) AS count FROM embeddings WHERE doc_id IN (SELECT id FROM documents WHERE collection_id = ?)',
+      [collectionId]
+    );
+    return count;
+  }
+
+  // Next chunks of a collection this job has not staged; chunks stored without their text can't be re-embedded
+  async pendingChunks(jobId, collectionId) {
+    return all(
+      `SELECT e.id, e.content FROM embeddings e
+       JOIN documents d ON d.id = e.doc_id
+       WHERE d.collection_id = ? AND e.content IS NOT NULL
+         AND NOT EXISTS (SELECT 1 FROM reindex_vectors r WHERE r.job_id = ? AND r.embedding_id = e.id)
+       ORDER BY e.id
+       LIMIT ?`,
+      [collectionId, jobId, REINDEX_BATCH]
+    );
+  }
+
+  async stage(jobId, adapter, rows) {
+    const embeddings = await embeddingService.embedWith(adapter, rows.map(row => row.content));
+    await run(
+      `INSERT OR REPLACE INTO reindex_vectors (job_id, embedding_id, vector) VALUES ${rows.map(() => '(?, ?, ?)').join(', ')}`,
+      rows.flatMap((row, i) => [jobId, row.id, toBuffer(embeddings[i])])
+    );
+  }
+}
+
+module.exports = new ReindexService();
@@ -0,0 +1,116 @@
+const axios = require('axios');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Base class of the reranker adapters. Subclasses implement `scoreBatch`,
+ * which makes one request scoring a list of texts against the query; `score`
+ * sends them in batches and checks the scores.
+ */
+class Reranker {
+  /**
+   * @param {Object} config
+   * @param {string} config.url - The rerank endpoint
+   * @param {string} [config.model] - Sent to servers hosting several models
+   * @param {string} [config.apiKey] - Sent as a bearer token when set
+   * @param {number} [config.batchSize=32] - Texts per request
+   * @param {number} [config.timeout=30000] - Milliseconds to wait for a response
+   */
+  constructor(config) {
+    this.url = config.url;
+    this.model = config.model || null;
+    this.batchSize = config.batchSize || 32;
+    this.http = axios.create({
+      timeout: config.timeout || 30000,
+      headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}
+    });
+  }
+
+  /**
+   * Score texts by relevance to a query, higher is more relevant.
+   * @param {string} query
+   * @param {string[]} texts
+   * @returns {Promise<number[]>} The score of each text, in order
+   */
+  async score(query, texts) {
+    const scores = [];
+    for (let i = 0; i < texts.length; i += this.batchSize) {
+      const batch = texts.slice(i, i + this.batchSize);
+      const results = await this.scoreBatch(query, batch);
+      const batchScores = new Array(batch.length).fill(undefined);
+      for (const { index, score } of results) {
+        batchScores[index] = score;
+      }
+      if (batchScores.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+        throw new Error(`Reranker ${this.name} did not return a score for each of ${batch.length} texts`);
+      }
+      scores.push(...batchScores);
+    }
+    return scores;
+  }
+}
+
+/**
+ * A standalone cross-encoder service, e.g. Hugging Face text-embeddings-inference:
+ * POST {query, texts} -> [{index, score}].
+ */
+class ServiceReranker extends Reranker {
+  get name() {
+    return 'service';
+  }
+
+  async scoreBatch(query, texts) {
+    const response = await this.http.post(this.url, { query, texts, truncate: true });
+    return response.data;
+  }
+}
+
+/**
+ * Any Cohere-compatible /v1/rerank endpoint: vLLM, Infinity, llama.cpp server, Jina.
+ * POST {model, query, documents} -> {results: [{index, relevance_score}]}.
+ */
+class CohereReranker extends Reranker {
+  get name() {
+    return 'cohere';
+  }
+
+  async scoreBatch(query, texts) {
+    const response = await this.http.post(this.url, {
+      ...(this.model && { model: this.model }),
+      query,
+      documents: texts,
+      top_n: texts.length
+    });
+    return response.data.results.map(result => ({ index: result.index, score: result.relevance_score }));
+  }
+}
+
+const RERANKERS = {
+  service: ServiceReranker,
+  cohere: CohereReranker
+};
+
+const RERANKER_NAMES = Object.keys(RERANKERS);
+
+/**
+ * Create a reranker adapter.
+ * @param {string} name - service or cohere
+ * @param {Object} config - See Reranker; undefined values are ignored
+ * @returns {Reranker}
+ * @throws {ValidationError} For an unknown reranker
+ */
+function createReranker(name, config = {}) {
+  const Adapter = RERANKERS[name];
+  if (!Adapter) {
+    throw new ValidationError(`RERANK_PROVIDER must be one of: ${RERANKER_NAMES.join(', ')}`);
+  }
+  const given = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined && value !== null));
+  return new Adapter(given);
+}
+
+module.exports = {
+  RERANKER_NAMES,
+  createReranker,
+  Reranker,
+  ServiceReranker,
+  CohereReranker
+};
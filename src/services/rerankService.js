@@ -0,0 +1,197 @@
+const { all } = require('../utils/dbAsync');
+const { envInt } = require('../utils/env');
+const { fromBuffer, cosineDistance } = require('../utils/vector');
+const { ValidationError, ConflictError, BadGatewayError } = require('../utils/errors');
+const { createReranker } = require('./rerankProviders');
+
+const DEFAULT_LAMBDA = 0.5;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Scale scores to 0..1, so relevance and similarity weigh the same in MMR
+const normalize = (scores) => {
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  return scores.map(score => (max > min ? (score - min) / (max - min) : 1));
+};
+
+/**
+ * The optional stage after retrieval: a cross-encoder reranker scores the
+ * passages of the top documents against the query, and maximal marginal
+ * relevance (MMR) reorders them so near-identical documents don't fill a
+ * page. Both only reorder the first `candidates` documents (or more, for
+ * later pages); the rest keep their retrieval order after them.
+ */
+class RerankService {
+  constructor() {
+    // Reranker adapter: service or cohere; reranking is off without a URL
+    this.provider = process.env.RERANK_PROVIDER || 'service';
+    this.config = {
+      url: process.env.RERANK_URL,
+      model: process.env.RERANK_MODEL,
+      apiKey: process.env.RERANK_API_KEY,
+      batchSize: envInt('RERANK_BATCH_SIZE', undefined),
+      timeout: envInt('RERANK_TIMEOUT_MS', undefined)
+    };
+    this.candidates = envInt('RERANK_CANDIDATES', 50);
+    this.reranker = null;
+  }
+
+  get enabled() {
+    return Boolean(this.config.url);
+  }
+
+  // Adapter the passages are scored with, created on first use
+  getReranker() {
+    if (!this.enabled) {
+      throw new ConflictError('Reranking is disabled: RERANK_URL is not set');
+    }
+    if (!this.reranker) {
+      this.reranker = createReranker(this.provider, this.config);
+    }
+    return this.reranker;
+  }
+
+  /**
+   * Check a search's post-retrieval options.
+   * @param {Object} [options]
+   * @param {number} [options.minSimilarity] - Drop passages less similar to the query
+   * @param {boolean|Object} [options.diversify] - MMR; true or {lambda}, 1 ranking by relevance only, 0 by novelty only
+   * @param {boolean} [options.rerank] - Rescore passages with the reranker
+   * @param {string} [mode='vector'] - Search mode
+   * @returns {{minSimilarity: ?number, lambda: ?number, rerank: boolean}}
+   * @throws {ValidationError} For invalid options
+   * @throws {ConflictError} If reranking is asked for but disabled
+   */
+  resolveOptions({ minSimilarity, diversify, rerank } = {}, mode = 'vector') {
+    const resolved = { minSimilarity: null, lambda: null, rerank: false };
+
+    if (minSimilarity !== undefined && minSimilarity !== null) {
+      if (typeof minSimilarity !== 'number' || minSimilarity < -1 || minSimilarity > 1) {
+        throw new ValidationError('minSimilarity must be a number from -1 to 1');
+      }
+      if (mode === 'keyword') {
+        throw new ValidationError('minSimilarity needs vector or hybrid mode');
+      }
+      resolved.minSimilarity = minSimilarity;
+    }
+
+    if (diversify === true || (diversify && typeof diversify === 'object')) {
+      const { lambda = DEFAULT_LAMBDA } = diversify === true ? {} : diversify;
+      if (typeof lambda !== 'number' || lambda < 0 || lambda > 1) {
+        throw new ValidationError('diversify.lambda must be a number from 0 to 1');
+      }
+      resolved.lambda = lambda;
+    } else if (diversify !== undefined && diversify !== null && diversify !== false) {
+      throw new ValidationError('diversify must be true, false or an object with lambda');
+    }
+
+    if (rerank !== undefined && rerank !== null && typeof rerank !== 'boolean') {
+      throw new ValidationError('rerank must be true or false');
+    }
+    if (rerank) {
+      this.getReranker();
+      resolved.rerank = true;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Rerank and/or diversify documents as grouped by documentService.groupPassages.
+   * @param {string} query
+   * @param {Array<Object>} documents - Best first
+   * @param {Object} options - See resolveOptions
+   * @param {number} count - Documents the caller needs at least, offset + limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async refine(query, documents, { rerank, lambda }, count) {
+    if (!rerank && lambda === null) return documents;
+    const window = Math.max(count, this.candidates);
+    let head = documents.slice(0, window);
+    if (rerank) head = await this.rerank(query, head);
+    if (lambda !== null) head = await this.diversify(head, lambda);
+    return [...head, ...documents.slice(window)];
+  }
+
+  /**
+   * Score every passage with the reranker. Passages are reordered by their
+   * rerankScore, documents by that of their best passage; the retrieval
+   * scores stay as they were.
+   * @throws {BadGatewayError} If the reranker fails
+   */
+  async rerank(query, documents) {
+    const passages = documents.flatMap(document => document.passages);
+    if (passages.length === 0) return documents;
+
+    const reranker = this.getReranker();
+    let scores;
+    try {
+      scores = await reranker.score(query, passages.map(passage => passage.content));
+    } catch (error) {
+      console.error(`Error calling ${reranker.name} reranker:`, error);
+      throw new BadGatewayError(`Reranking failed: ${error.message}`);
+    }
+    passages.forEach((passage, i) => {
+      passage.rerankScore = scores[i];
+    });
+
+    for (const document of documents) {
+      document.passages.sort((a, b) => b.rerankScore - a.rerankScore);
+      document.rerankScore = document.passages[0].rerankScore;
+    }
+    return [...documents].sort((a, b) => b.rerankScore - a.rerankScore);
+  }
+
+  /**
+   * Reorder documents by maximal marginal relevance: each next document is the
+   * one maximising lambda * relevance - (1 - lambda) * its highest similarity
+   * to the documents before it. Relevance is the rerankScore, or the retrieval
+   * score, scaled to 0..1; similarity is that of the best passages' vectors.
+   * Passages embedded with different models count as unrelated.
+   */
+  async diversify(documents, lambda) {
+    if (documents.length < 2) return documents;
+    const vectors = await this.chunkVectors(documents.map(document => document.passages[0].chunkId));
+    const relevance = normalize(documents.map(document => document.rerankScore ?? document.score ?? 0));
+    const similarity = (a, b) => {
+      const first = vectors.get(documents[a].passages[0].chunkId);
+      const second = vectors.get(documents[b].passages[0].chunkId);
+      if (!first || !second || first.model !== second.model) return 0;
+      return 1 - cosineDistance(first.vector, second.vector);
+    };
+
+    // Highest similarity of each remaining document to the ones picked; dissimilar counts as 0
+    const redundancy = new Array(documents.length).fill(0);
+    const remaining = documents.map((document, i) => i);
+    const order = [];
+    while (remaining.length > 0) {
+      let best = 0;
+      let bestScore = -Infinity;
+      remaining.forEach((candidate, position) => {
+        const score = lambda * relevance[candidate] - (1 - lambda) * redundancy[candidate];
+        if (score > bestScore) {
+          best = position;
+          bestScore = score;
+        }
+      });
+      const [picked] = remaining.splice(best, 1);
+      order.push(picked);
+      for (const candidate of remaining) {
+        redundancy[candidate] = Math.max(redundancy[candidate], similarity(candidate, picked));
+      }
+    }
+    return order.map(i => documents[i]);
+  }
+
+  // Vectors of chunks with their model, as a Map by chunk id
+  async chunkVectors(chunkIds) {
+    const rows = await all(
+      `SELECT id, vector, model FROM embeddings WHERE vector IS NOT NULL AND id IN (${placeholders(chunkIds)})`,
+      chunkIds
+    );
+    return new Map(rows.map(row => [row.id, { model: row.model, vector: fromBuffer(row.vector) }]));
+  }
+}
+
+module.exports = new RerankService();
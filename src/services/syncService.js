@@ -0,0 +1,419 @@
+const fs = require('fs');
+const path = require('path');
+const { run, get, all } = require('../utils/dbAsync');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { envInt } = require('../utils/env');
+const { hashFile } = require('../utils/hash');
+const { pathMatcher } = require('../utils/glob');
+const documentService = require('./documentService');
+const collectionService = require('./collectionService');
+const textExtractionService = require('./textExtraction');
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+// Office lock files, editor backups and temporary files are never indexed
+const ALWAYS_EXCLUDED = ['~$*', '*~', '*.tmp', '*.part'];
+
+const toList = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list) || !list.every(pattern => typeof pattern === 'string' && pattern)) {
+    throw new ValidationError('include and exclude must be glob patterns or lists of them');
+  }
+  return list;
+};
+
+/**
+ * Parse source folder settings: a JSON array whose items are a folder path
+ * or {path, name, collection, include, exclude, metadata}.
+ * @param {string} [value] - e.g. SYNC_SOURCES
+ * @returns {Array<Object>}
+ * @throws {ValidationError}
+ */
+const parseSources = (value) => {
+  if (!value) return [];
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch (parseError) {
+    throw new ValidationError('SYNC_SOURCES must be a JSON array');
+  }
+  if (!Array.isArray(list)) {
+    throw new ValidationError('SYNC_SOURCES must be a JSON array');
+  }
+
+  const sources = list.map(item => {
+    const config = typeof item === 'string' ? { path: item } : item || {};
+    if (typeof config.path !== 'string' || !config.path) {
+      throw new ValidationError('Every sync source needs a path');
+    }
+    const root = path.resolve(config.path);
+    const name = config.name || path.basename(root);
+    if (!NAME_PATTERN.test(name)) {
+      throw new ValidationError(`Sync source name must be 1-64 letters, digits, "_" or "-": ${name}`);
+    }
+    const include = toList(config.include, ['**']);
+    const exclude = toList(config.exclude, []);
+    let matches;
+    try {
+      matches = pathMatcher(include, [...exclude, ...ALWAYS_EXCLUDED]);
+    } catch (patternError) {
+      throw new ValidationError(`Invalid glob pattern in sync source ${name}: ${patternError.message}`);
+    }
+    return { name, root, collection: config.collection || null, include, exclude, metadata: config.metadata || {}, matches };
+  });
+
+  const names = sources.map(source => source.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new ValidationError(`Sync source names must be unique; give the sources named ${duplicate} a name`);
+  }
+  return sources;
+};
+
+/**
+ * Keeps the documents of source folders, e.g. on a shared drive, in step
+ * with their files. Each folder is scanned on start, when it changes (as
+ * far as the file system reports changes; network drives often don't) and
+ * every SYNC_INTERVAL_MS: new files are indexed, changed files re-indexed in
+ * place and the documents of deleted files removed. Files are copied into
+ * the uploads folder to be indexed, like uploads, and their documents carry
+ * `syncSource` and `sourcePath` metadata. Scans run one at a time.
+ */
+class SyncService {
+  constructor() {
+    // Rescan every source this often, for changes no file system event reported; 0 for never
+    this.intervalMs = envInt('SYNC_INTERVAL_MS', 5 * 60 * 1000);
+    // Wait for events to stop for this long before scanning
+    this.debounceMs = envInt('SYNC_DEBOUNCE_MS', 2000);
+    // Files changed more recently than this may still be being written and wait for the next scan
+    this.settleMs = envInt('SYNC_SETTLE_MS', 2000);
+    this.watchEnabled = process.env.SYNC_WATCH !== 'false';
+
+    this.sources = new Map();
+    this.configError = null;
+    try {
+      this.configure(parseSources(process.env.SYNC_SOURCES));
+    } catch (error) {
+      this.configError = error.message;
+    }
+
+    this.queue = Promise.resolve();
+    this.timer = null;
+  }
+
+  // Replace the sources, e.g. from parseSources
+  configure(sources) {
+    this.sources = new Map(sources.map(source => [source.name, {
+      ...source,
+      watcher: null,
+      debounce: null,
+      queued: null,
+      state: { scanning: false, lastScan: null, error: null }
+    }]));
+  }
+
+  getSource(name) {
+    const source = this.sources.get(name);
+    if (!source) {
+      throw new NotFoundError(`Sync source not found: ${name}`);
+    }
+    return source;
+  }
+
+  /**
+   * Watch the source folders and scan each of them.
+   */
+  start() {
+    if (this.configError) {
+      console.error(`Folder sync disabled: ${this.configError}`);
+      return;
+    }
+    if (this.sources.size === 0 || this.timer) return;
+
+    for (const source of this.sources.values()) {
+      if (this.watchEnabled) this.watch(source);
+    }
+    if (this.intervalMs > 0) {
+      this.timer = setInterval(() => this.syncAll(), this.intervalMs);
+    }
+    this.syncAll();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const source of this.sources.values()) {
+      clearTimeout(source.debounce);
+      if (source.watcher) source.watcher.close();
+      source.watcher = null;
+    }
+  }
+
+  // Scan a folder whenever something in it changes; without events it still gets the periodic scans
+  watch(source) {
+    try {
+      source.watcher = fs.watch(source.root, { recursive: true }, () => this.schedule(source, this.debounceMs));
+      source.watcher.on('error', error => {
+        console.error(`Stopped watching ${source.root}: ${error.message}`);
+        source.watcher.close();
+        source.watcher = null;
+      });
+    } catch (error) {
+      console.error(`Cannot watch ${source.root}, relying on periodic scans: ${error.message}`);
+    }
+  }
+
+  schedule(source, delay) {
+    clearTimeout(source.debounce);
+    source.debounce = setTimeout(() => {
+      this.syncSource(source.name).catch(error => console.error(`Sync of ${source.name} failed:`, error));
+    }, delay);
+  }
+
+  /**
+   * Scan every source folder.
+   * @param {Object} [options] - See syncSource
+   * @returns {Promise<Array<Object>>} The scan summary of each source
+   */
+  async syncAll(options = {}) {
+    return Promise.all(Array.from(this.sources.keys()).map(name => this.syncSource(name, options).catch(error => {
+      console.error(`Sync of ${name} failed:`, error);
+      return null;
+    })));
+  }
+
+  /**
+   * Scan a source folder once the scans before it are done. A scan requested
+   * while the source already waits for one is merged into it.
+   * @param {string} name
+   * @param {Object} [options]
+   * @param {boolean} [options.retryFailed=false] - Also retry files that failed and haven't changed since
+   * @returns {Promise<Object>} The scan summary, see scan
+   * @throws {NotFoundError} For unknown sources
+   */
+  async syncSource(name, options = {}) {
+    const source = this.getSource(name);
+    if (source.queued) {
+      source.queued.retryFailed = source.queued.retryFailed || Boolean(options.retryFailed);
+      return source.queued.promise;
+    }
+    const request = { retryFailed: Boolean(options.retryFailed) };
+    request.promise = this.queue.then(() => {
+      source.queued = null;
+      return this.scan(source, request);
+    });
+    source.queued = request;
+    this.queue = request.promise.catch(() => {});
+    return request.promise;
+  }
+
+  /**
+   * Compare a source folder with what was indexed from it and index the differences.
+   * A folder that cannot be read is left alone, so that an unmounted drive doesn't
+   * delete every document indexed from it.
+   * @returns {Promise<Object>} Counts of files added, updated, removed, unchanged, failed and
+   *   pending (still being written), with the scan's start and end
+   */
+  async scan(source, { retryFailed = false } = {}) {
+    const summary = {
+      startedAt: new Date().toISOString(), finishedAt: null, added: 0, updated: 0, removed: 0, unchanged: 0, failed: 0, pending: 0
+    };
+    source.state.scanning = true;
+    try {
+      const collection = await collectionService.getCollection(source.collection || collectionService.defaultName);
+      const files = await this.listFiles(source);
+      const known = new Map((await all('SELECT * FROM sync_files WHERE source = ?', [source.name])).map(row => [row.path, row]));
+      const settledBefore = Date.now() - this.settleMs;
+
+      for (const [relativePath, stats] of files) {
+        const row = known.get(relativePath);
+        if (stats.mtimeMs > settledBefore) {
+          summary.pending++;
+        } else if (row && row.size === stats.size && row.mtime_ms === Math.floor(stats.mtimeMs)
+          && (row.status === 'synced' ? row.document_id !== null : !retryFailed)) {
+          summary.unchanged++;
+        } else {
+          summary[await this.syncFile(source, collection, relativePath, stats, row)]++;
+        }
+      }
+
+      for (const row of known.values()) {
+        if (!files.has(row.path)) {
+          await this.removeFile(row);
+          summary.removed++;
+        }
+      }
+
+      if (summary.pending) {
+        this.schedule(source, this.settleMs);
+      }
+      source.state.error = null;
+    } catch (error) {
+      source.state.error = error.message;
+      throw error;
+    } finally {
+      summary.finishedAt = new Date().toISOString();
+      source.state.lastScan = summary;
+      source.state.scanning = false;
+    }
+    return summary;
+  }
+
+  /**
+   * Files of a source folder that are of a supported format and match its
+   * patterns. Dot files and folders and symbolic links are skipped.
+   * @returns {Promise<Map<string, fs.Stats>>} By path relative to the folder, "/"-separated
+   * @throws When the folder or one of its subfolders cannot be read
+   */
+  async listFiles(source) {
+    const files = new Map();
+    const walk = async (relativeDir) => {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(path.join(source.root, relativeDir), { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT' && !relativeDir) {
+          throw new Error(`Source folder not found: ${source.root}`);
+        }
+        throw error;
+      }
+      for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          await walk(relativePath);
+        } else if (entry.isFile() && textExtractionService.formatForExtension(entry.name) && source.matches(relativePath)) {
+          files.set(relativePath, await fs.promises.stat(path.join(source.root, relativePath)));
+        }
+      }
+    };
+    await walk('');
+    return files;
+  }
+
+  /**
+   * Index a new or changed file. A changed file whose document came from it is
+   * re-indexed in place, keeping the document id; a file whose content was
+   * already a document in the collection just points at that document.
+   * @returns {Promise<string>} added, updated, unchanged (only touched) or failed
+   */
+  async syncFile(source, collection, relativePath, stats, row) {
+    const filePath = path.join(source.root, relativePath);
+    const record = (fields) => run(
+      `INSERT INTO sync_files (source, path, size, mtime_ms, content_hash, document_id, owns_document, status, error, synced_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime("now"))
+       ON CONFLICT (source, path) DO UPDATE SET size = excluded.size, mtime_ms = excluded.mtime_ms,
+         content_hash = excluded.content_hash, document_id = excluded.document_id, owns_document = excluded.owns_document,
+         status = excluded.status, error = excluded.error, synced_at = excluded.synced_at`,
+      [
+        source.name, relativePath, stats.size, Math.floor(stats.mtimeMs), fields.contentHash,
+        fields.documentId, fields.owns ? 1 : 0, fields.error ? 'failed' : 'synced', fields.error || null
+      ]
+    );
+    const previous = { contentHash: row ? row.content_hash : null, documentId: row ? row.document_id : null, owns: Boolean(row && row.owns_document) };
+
+    let filename = null;
+    try {
+      const contentHash = await hashFile(filePath);
+      if (previous.documentId !== null && previous.contentHash === contentHash && row.status === 'synced') {
+        await record({ ...previous, contentHash });
+        return 'unchanged';
+      }
+
+      filename = await documentService.copyToUploads(filePath);
+      const uploadPath = documentService.uploadPath(filename);
+      if (previous.documentId !== null && previous.owns) {
+        await documentService.replaceDocument(previous.documentId, filename, uploadPath);
+        await record({ contentHash, documentId: previous.documentId, owns: true });
+        return 'updated';
+      }
+
+      const saved = await documentService.saveDocument(filename, uploadPath, {
+        collection,
+        metadata: { ...source.metadata, syncSource: source.name, sourcePath: relativePath },
+        onDuplicate: 'existing'
+      });
+      if (saved.duplicate) {
+        await documentService.removeUploadIfUnused(filename);
+      }
+      await record({ contentHash, documentId: saved.id, owns: !saved.duplicate });
+      return row ? 'updated' : 'added';
+    } catch (error) {
+      console.error(`Sync of ${source.name}/${relativePath} failed: ${error.message}`);
+      if (filename) {
+        await documentService.removeUploadIfUnused(filename).catch(() => {});
+      }
+      await record({ ...previous, error: error.message });
+      return 'failed';
+    }
+  }
+
+  // Forget a deleted file, and delete its document unless another file points at it
+  async removeFile(row) {
+    if (row.document_id !== null && row.owns_document) {
+      const other = await get('SELECT id FROM sync_files WHERE document_id = ? AND id != ? LIMIT 1', [row.document_id, row.id]);
+      if (other) {
+        await run('UPDATE sync_files SET owns_document = 1 WHERE id = ?', [other.id]);
+      } else {
+        await documentService.deleteDocument(row.document_id, { deleteFile: true }).catch(error => {
+          if (!(error instanceof NotFoundError)) throw error;
+        });
+      }
+    }
+    await run('DELETE FROM sync_files WHERE id = ?', [row.id]);
+  }
+
+  /**
+   * Sync settings and the state of every source.
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    const counts = await all('SELECT source, status, COUNT(*) AS count FROM sync_files GROUP BY source, status');
+    return {
+      enabled: this.sources.size > 0,
+      error: this.configError,
+      watch: this.watchEnabled,
+      intervalMs: this.intervalMs,
+      sources: Array.from(this.sources.values()).map(source => this.describe(source, counts))
+    };
+  }
+
+  /**
+   * State of one source, with the files that failed to sync.
+   * @param {string} name
+   * @throws {NotFoundError} For unknown sources
+   */
+  async getSourceStatus(name) {
+    const source = this.getSource(name);
+    const counts = await all('SELECT source, status, COUNT(*) AS count FROM sync_files WHERE source = ? GROUP BY source, status', [name]);
+    const failures = await all(
+      "SELECT path, error, synced_at FROM sync_files WHERE source = ? AND status = 'failed' ORDER BY path LIMIT 100",
+      [name]
+    );
+    return {
+      ...this.describe(source, counts),
+      failures: failures.map(row => ({ path: row.path, error: row.error, failedAt: row.synced_at }))
+    };
+  }
+
+  describe(source, counts) {
+    const count = (status) => (counts.find(row => row.source === source.name && row.status === status) || { count: 0 }).count;
+    return {
+      name: source.name,
+      path: source.root,
+      collection: source.collection || collectionService.defaultName,
+      include: source.include,
+      exclude: source.exclude,
+      watching: Boolean(source.watcher),
+      scanning: source.state.scanning,
+      queued: Boolean(source.queued),
+      lastScan: source.state.lastScan,
+      error: source.state.error,
+      files: { synced: count('synced'), failed: count('failed') }
+    };
+  }
+}
+
+module.exports = new SyncService();
+module.exports.parseSources = parseSources;
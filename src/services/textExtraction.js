@@ -3,30 +3,337 @@ const path = require('path');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 const xlsx = require('xlsx');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { TextWriter, htmlToText, markdownToText } = require('../utils/markup');
+const { rtfToText } = require('../utils/rtf');
+const { forEachPageImages, toPgm } = require('../utils/pdfImages');
+const ocrService = require('./ocrService');
+const { ValidationError } = require('../utils/errors');
 
+// Bytes read from the start of a file to recognise its format
+const SAMPLE_BYTES = 8192;
+
+const ZIP_SIGNATURE = Buffer.from('PK\x03\x04', 'latin1');
+// OLE compound files hold .xls, but also .doc and .ppt
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+const IMAGE_SIGNATURES = [
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), // PNG
+  Buffer.from([0xff, 0xd8, 0xff]), // JPEG
+  Buffer.from('II*\0', 'latin1'), // TIFF, little endian
+  Buffer.from('MM\0*', 'latin1') // TIFF, big endian
+];
+
+const HTML_START = /^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:!doctype\s+html|html|head|body)\b/i;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+// No NUL bytes, and either valid UTF-8 or (for legacy 8-bit encodings) hardly any control characters
+const looksLikeText = (head) => {
+  if (head.includes(0)) return false;
+  try {
+    // The sample may end inside a multi-byte character
+    utf8.decode(head.subarray(0, head.length - 3 > 0 ? head.length - 3 : head.length));
+    return true;
+  } catch (error) {
+    const controls = head.filter(byte => (byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d].includes(byte)) || byte === 0x7f).length;
+    return controls / head.length < 0.01;
+  }
+};
+
+const zipMimeType = async (zip) => (zip && zip.file('mimetype') ? (await zip.file('mimetype').async('string')).trim() : null);
+
+const parseXml = (xml) => new DOMParser({ onError: () => {} }).parseFromString(xml, 'application/xml');
+
+const localName = (node) => node.localName || node.nodeName.replace(/^.*:/, '');
+
+const childElements = (node) => Array.from(node.childNodes || []).filter(child => child.nodeType === 1);
+
+// Element descendants with the given local name, in document order
+const descendants = (node, name) => Array.from(node.getElementsByTagName('*')).filter(element => localName(element) === name);
+
+const readZip = async (filePath) => JSZip.loadAsync(fs.readFileSync(filePath));
+
+// Join the parts of a document, marking the span of the text each one's location covers
+const joinParts = (parts, separator) => {
+  let text = '';
+  const segments = [];
+  parts.forEach((part, i) => {
+    if (i > 0) text += separator;
+    if (part.text) segments.push({ start: text.length, end: text.length + part.text.length, location: part.location });
+    text += part.text;
+  });
+  return { text, segments };
+};
+
+// Line spans of CSV text; line breaks inside quoted fields don't end a line
+const csvLines = (csv) => {
+  const lines = [];
+  let start = 0;
+  let quoted = false;
+  for (let i = 0; i <= csv.length; i++) {
+    if (i === csv.length || (csv[i] === '\n' && !quoted)) {
+      lines.push({ start, end: i });
+      start = i + 1;
+    } else if (csv[i] === '"') {
+      quoted = !quoted;
+    }
+  }
+  return lines;
+};
+
+// Text of a PDF page, a line per run of text items at the same height (as pdf-parse's default)
+const renderPdfPage = async (page) => {
+  const content = await page.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+  for (const item of content.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  return text;
+};
+
+// Mean confidence of OCR results, weighted by how much text each one found
+const weightedConfidence = (results) => {
+  const length = results.reduce((sum, result) => sum + result.text.length, 0);
+  const total = results.reduce((sum, result) => sum + result.confidence * result.text.length, 0);
+  return Math.round((total / length) * 10) / 10;
+};
+
+// Path of a zip entry referenced relative to another entry
+const resolveEntry = (from, href) => path.posix.normalize(path.posix.join(path.posix.dirname(from), decodeURIComponent(href.split('#')[0])));
+
+/**
+ * Extracts the text of uploaded documents. Formats are registered with the
+ * file extensions and MIME types they are uploaded as and a sniff() that
+ * recognises their content; the upload filter accepts what is registered, and
+ * extraction goes by the content rather than the extension, so a PDF saved as
+ * .txt or a downloaded page without an extension is still read correctly.
+ *
+ * Formats with structure (HTML, Markdown, Word, slides, e-books, ODT, RTF)
+ * are converted to text with Markdown headings and list items, which the
+ * markdown chunking strategy splits on. PDFs and spreadsheets also mark which
+ * page or sheet row each span of the text comes from, so that chunks can be
+ * cited by location. Images, and PDF pages that are scans without a text
+ * layer, are read by OCR (see ocrService).
+ */
 class TextExtractionService {
+  constructor() {
+    this.formats = new Map();
+
+    // Recognised by their content first
+    this.registerFormat('pdf', {
+      extensions: ['.pdf'],
+      mimeTypes: ['application/pdf'],
+      sniff: ({ head }) => head.toString('latin1', 0, 5) === '%PDF-',
+      extract: (filePath, options) => this.extractFromPdf(filePath, options)
+    });
+    this.registerFormat('rtf', {
+      extensions: ['.rtf'],
+      mimeTypes: ['application/rtf', 'text/rtf'],
+      sniff: ({ head }) => head.toString('latin1', 0, 5) === '{\\rtf',
+      extract: filePath => this.extractFromRtf(filePath)
+    });
+    this.registerFormat('docx', {
+      extensions: ['.docx'],
+      mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+      sniff: ({ zip }) => Boolean(zip && zip.file('word/document.xml')),
+      extract: filePath => this.extractFromDocx(filePath)
+    });
+    this.registerFormat('pptx', {
+      extensions: ['.pptx'],
+      mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+      sniff: ({ zip }) => Boolean(zip && zip.file('ppt/presentation.xml')),
+      extract: filePath => this.extractFromPptx(filePath)
+    });
+    this.registerFormat('xlsx', {
+      extensions: ['.xlsx', '.xls'],
+      mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/vnd.ms-excel'],
+      sniff: ({ head, zip, extension }) => Boolean(zip && zip.file('xl/workbook.xml'))
+        || (head.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE) && extension === '.xls'),
+      extract: filePath => this.extractFromXlsx(filePath)
+    });
+    this.registerFormat('odt', {
+      extensions: ['.odt'],
+      mimeTypes: ['application/vnd.oasis.opendocument.text'],
+      sniff: async ({ zip }) => (await zipMimeType(zip)) === 'application/vnd.oasis.opendocument.text',
+      extract: filePath => this.extractFromOdt(filePath)
+    });
+    this.registerFormat('epub', {
+      extensions: ['.epub'],
+      mimeTypes: ['application/epub+zip'],
+      sniff: async ({ zip }) => (await zipMimeType(zip)) === 'application/epub+zip',
+      extract: filePath => this.extractFromEpub(filePath)
+    });
+    this.registerFormat('image', {
+      extensions: ['.png', '.jpg', '.jpeg', '.tif', '.tiff'],
+      mimeTypes: ['image/png', 'image/jpeg', 'image/tiff'],
+      sniff: ({ head }) => IMAGE_SIGNATURES.some(signature => head.subarray(0, signature.length).equals(signature)),
+      extract: (filePath, options) => this.extractFromImage(filePath, options)
+    });
+
+    // Plain text: by extension, then by content, then as .txt
+    this.registerFormat('txt', {
+      text: true,
+      extensions: ['.txt'],
+      mimeTypes: ['text/plain'],
+      extract: filePath => this.extractFromTxt(filePath)
+    });
+    this.registerFormat('markdown', {
+      text: true,
+      extensions: ['.md', '.markdown'],
+      mimeTypes: ['text/markdown', 'text/x-markdown'],
+      extract: filePath => this.extractFromMarkdown(filePath)
+    });
+    this.registerFormat('csv', {
+      text: true,
+      extensions: ['.csv'],
+      mimeTypes: ['text/csv'],
+      extract: filePath => this.extractFromCsv(filePath)
+    });
+    this.registerFormat('html', {
+      text: true,
+      extensions: ['.html', '.htm', '.xhtml'],
+      mimeTypes: ['text/html', 'application/xhtml+xml'],
+      sniff: ({ text }) => HTML_START.test(text),
+      extract: filePath => this.extractFromHtml(filePath)
+    });
+    this.registerFormat('json', {
+      text: true,
+      extensions: ['.json'],
+      mimeTypes: ['application/json'],
+      sniff: ({ text }) => /^\s*[{[]/.test(text),
+      extract: filePath => this.extractFromJson(filePath)
+    });
+  }
+
+  /**
+   * Add a format, or replace the one registered under this name.
+   * @param {string} name
+   * @param {Object} format
+   * @param {string[]} format.extensions - Lower case, with the dot
+   * @param {string[]} format.mimeTypes
+   * @param {Function} format.extract - (filePath, options) => Promise<string>, or a promise of
+   *   {text, segments, ocrPages} for formats that know where their text comes from (see extract)
+   * @param {Function} [format.sniff] - ({head, text, zip, extension}) => boolean or a promise of one:
+   *   `head` is the first bytes, `text` the same decoded when they are not binary, `zip` the
+   *   opened archive for zip files
+   * @param {boolean} [format.text=false] - The format is plain text; sniffed after the binary formats
+   */
+  registerFormat(name, format) {
+    this.formats.set(name, { name, text: false, ...format });
+  }
+
+  // Extensions of every registered format, e.g. for error messages
+  supportedExtensions() {
+    return Array.from(this.formats.values()).flatMap(format => format.extensions);
+  }
+
+  formatForExtension(filename) {
+    const extension = path.extname(filename).toLowerCase();
+    return Array.from(this.formats.values()).find(format => format.extensions.includes(extension)) || null;
+  }
+
+  // Parameters such as charset are ignored
+  formatForMimeType(mimeType) {
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return Array.from(this.formats.values()).find(format => format.mimeTypes.includes(type)) || null;
+  }
+
+  /**
+   * Whether an upload may be a supported document, going by its name and the
+   * MIME type the client sent. Its content is checked with detectFormat once stored.
+   * @param {string} filename
+   * @param {string} [mimeType]
+   * @returns {boolean}
+   */
+  accepts(filename, mimeType) {
+    return Boolean(this.formatForExtension(filename) || this.formatForMimeType(mimeType));
+  }
+
+  /**
+   * Recognise a file's format from its content: signatures and archive
+   * entries of the binary formats first, then text files by extension or by
+   * what they start with, and any other text as txt.
+   * @param {string} filePath
+   * @returns {Promise<?string>} Format name, null for content no format can read
+   */
+  async detectFormat(filePath) {
+    const head = Buffer.alloc(SAMPLE_BYTES);
+    const fd = fs.openSync(filePath, 'r');
+    let bytesRead;
+    try {
+      bytesRead = fs.readSync(fd, head, 0, SAMPLE_BYTES, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const sample = {
+      head: head.subarray(0, bytesRead),
+      extension: path.extname(filePath).toLowerCase(),
+      zip: null,
+      text: null
+    };
+    if (sample.head.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) {
+      sample.zip = await readZip(filePath).catch(() => null);
+    }
+
+    const formats = Array.from(this.formats.values());
+    for (const format of formats.filter(candidate => !candidate.text && candidate.sniff)) {
+      if (await format.sniff(sample)) return format.name;
+    }
+
+    // Other archives and binary files are not text
+    if (sample.zip || !looksLikeText(sample.head)) return null;
+    sample.text = sample.head.toString('utf8');
+
+    const textFormats = formats.filter(format => format.text);
+    const byExtension = textFormats.find(format => format.extensions.includes(sample.extension));
+    if (byExtension) return byExtension.name;
+    for (const format of textFormats.filter(candidate => candidate.sniff)) {
+      if (await format.sniff(sample)) return format.name;
+    }
+    return 'txt';
+  }
+
   async extractText(filePath) {
+    return (await this.extract(filePath)).text;
+  }
+
+  /**
+   * Extract a file's text together with the locations its spans come from.
+   * @param {string} filePath
+   * @param {Object} [options]
+   * @param {string} [options.ocr] - auto, force or off, see ocrService
+   * @returns {Promise<{text: string, segments: Array<{start: number, end: number, location: Object}>, ocrPages: Array<{page: number, confidence: number}>}>}
+   *   Segments are sorted, non-overlapping spans of `text` with a location of {page} for
+   *   PDFs or {sheet, row, firstColumn, lastColumn} for spreadsheets; empty for other formats.
+   *   ocrPages lists the pages read by OCR with Tesseract's confidence (0-100).
+   * @throws When the file has no text, e.g. a scan with OCR off, rather than returning an empty document;
+   *   with status 400 for files that cannot be read this way, which a retry would not change
+   */
+  async extract(filePath, options = {}) {
     const ext = path.extname(filePath).toLowerCase();
 
     try {
-      switch (ext) {
-        case '.txt':
-          return await this.extractFromTxt(filePath);
-        case '.pdf':
-          return await this.extractFromPdf(filePath);
-        case '.docx':
-          return await this.extractFromDocx(filePath);
-        case '.xlsx':
-        case '.xls':
-          return await this.extractFromXlsx(filePath);
-        case '.csv':
-          return await this.extractFromCsv(filePath);
-        default:
-          throw new Error(`Unsupported file type: ${ext}`);
+      const name = await this.detectFormat(filePath);
+      if (!name) {
+        throw new ValidationError(`Unsupported file type: ${ext || 'no extension'}`);
+      }
+      const extracted = await this.formats.get(name).extract(filePath, options);
+      const result = { segments: [], ocrPages: [], ...(typeof extracted === 'string' ? { text: extracted } : extracted) };
+      if (!result.text.trim()) {
+        throw new ValidationError('No text found in file');
       }
+      return result;
     } catch (error) {
       console.error(`Error extracting text from ${filePath}:`, error);
-      throw new Error(`Failed to extract text: ${error.message}`);
+      const failed = new Error(`Failed to extract text: ${error.message}`);
+      // A status marks a failure that a retry would not change, e.g. an unsupported file
+      if (error.status) failed.status = error.status;
+      throw failed;
     }
   }
 
@@ -34,30 +341,304 @@ class TextExtractionService {
     return fs.readFileSync(filePath, 'utf8');
   }
 
-  async extractFromPdf(filePath) {
-    const dataBuffer = fs.readFileSync(filePath);
-    const data = await pdfParse(dataBuffer);
-    return data.text;
+  async extractFromPdf(filePath, options = {}) {
+    const mode = ocrService.resolveMode(options.ocr);
+    // pdf.js reads the whole underlying ArrayBuffer, so small files must not share Node's buffer pool
+    const data = new Uint8Array(fs.readFileSync(filePath));
+    const pages = [];
+    const parsed = await pdfParse(data, {
+      pagerender: async (page) => {
+        pages[page.pageIndex] = await renderPdfPage(page);
+        return pages[page.pageIndex];
+      }
+    });
+    // Pages that failed to render are left empty, as pdf-parse does
+    const texts = Array.from({ length: parsed.numrender }, (value, i) => pages[i] || '');
+
+    const ocrPages = [];
+    const candidates = mode === 'off' ? [] : texts
+      .map((text, i) => i + 1)
+      .filter(pageNumber => mode === 'force' || ocrService.needsOcr(texts[pageNumber - 1]));
+    if (candidates.length) {
+      await forEachPageImages(data, candidates, async (pageNumber, images) => {
+        const results = [];
+        for (const image of images) {
+          results.push(await ocrService.recognize(toPgm(image)));
+        }
+        const recognized = results.filter(result => result.text);
+        const text = recognized.map(result => result.text).join('\n\n');
+        // In auto mode a short text layer is kept unless OCR finds more
+        if (!text || (mode === 'auto' && text.length <= texts[pageNumber - 1].trim().length)) return;
+
+        texts[pageNumber - 1] = text;
+        ocrPages.push({ page: pageNumber, confidence: weightedConfidence(recognized) });
+      });
+    }
+
+    const parts = texts.map((text, i) => ({ text, location: { page: i + 1 } }));
+    return { ...joinParts(parts, '\n\n'), ocrPages };
+  }
+
+  async extractFromImage(filePath, options = {}) {
+    if (ocrService.resolveMode(options.ocr) === 'off') {
+      throw new ValidationError('Images are read by OCR, which is off for this request');
+    }
+    const { text, confidence } = await ocrService.recognize(fs.readFileSync(filePath));
+    return { text, segments: [], ocrPages: [{ page: 1, confidence: Math.round(confidence * 10) / 10 }] };
   }
 
+  // Headings, lists and tables are kept (as Markdown) by going through mammoth's HTML
   async extractFromDocx(filePath) {
-    const result = await mammoth.extractRawText({ path: filePath });
-    return result.value;
+    const result = await mammoth.convertToHtml({ path: filePath }, {
+      convertImage: mammoth.images.imgElement(() => ({ src: '' }))
+    });
+    return htmlToText(result.value);
   }
 
   async extractFromXlsx(filePath) {
     const workbook = xlsx.readFile(filePath);
     let text = '';
+    const segments = [];
     workbook.SheetNames.forEach(sheetName => {
       const worksheet = workbook.Sheets[sheetName];
-      text += xlsx.utils.sheet_to_csv(worksheet) + '\n';
+      const csv = xlsx.utils.sheet_to_csv(worksheet);
+      if (worksheet['!ref']) {
+        // One line per row of the sheet's range, blank rows included
+        const range = xlsx.utils.decode_range(worksheet['!ref']);
+        const firstColumn = xlsx.utils.encode_col(range.s.c);
+        const lastColumn = xlsx.utils.encode_col(range.e.c);
+        csvLines(csv).forEach((line, i) => segments.push({
+          start: text.length + line.start,
+          end: text.length + line.end,
+          location: { sheet: sheetName, row: range.s.r + i + 1, firstColumn, lastColumn }
+        }));
+      }
+      // Blank line between sheets so row-aware chunking sees separate tables
+      text += csv + '\n\n';
     });
-    return text;
+    return { text, segments };
   }
 
   async extractFromCsv(filePath) {
     return fs.readFileSync(filePath, 'utf8');
   }
+
+  async extractFromMarkdown(filePath) {
+    return markdownToText(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  async extractFromHtml(filePath) {
+    return htmlToText(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // RTF is 7-bit; other characters are escapes decoded with the document's code page
+  async extractFromRtf(filePath) {
+    return rtfToText(fs.readFileSync(filePath, 'latin1'));
+  }
+
+  /**
+   * One "key.path: value" line per value; the items of a top-level array are
+   * separated by blank lines, and arrays of plain values are joined by commas.
+   */
+  async extractFromJson(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+    const isPlain = value => value === null || typeof value !== 'object';
+
+    const flatten = (value, key, lines) => {
+      if (isPlain(value) || (Array.isArray(value) && value.every(isPlain))) {
+        const text = Array.isArray(value) ? value.join(', ') : String(value);
+        lines.push(key ? `${key}: ${text}` : text);
+        return lines;
+      }
+      for (const [name, child] of Object.entries(value)) {
+        const childKey = Array.isArray(value) ? `${key}[${name}]` : key ? `${key}.${name}` : name;
+        flatten(child, childKey, lines);
+      }
+      return lines;
+    };
+
+    const records = Array.isArray(data) && !data.every(isPlain) ? data : [data];
+    return records.map(record => flatten(record, '', []).join('\n')).join('\n\n');
+  }
+
+  /**
+   * Slides in presentation order, each under a "# Slide N: title" heading;
+   * body placeholders and bulleted paragraphs become list items, indented by level.
+   */
+  async extractFromPptx(filePath) {
+    const zip = await readZip(filePath);
+    const presentationPath = 'ppt/presentation.xml';
+    const relationships = await this.readRelationships(zip, presentationPath);
+    const presentation = parseXml(await zip.file(presentationPath).async('string'));
+    const slidePaths = descendants(presentation, 'sldId')
+      .map(slide => relationships.get(slide.getAttribute('r:id')))
+      .filter(Boolean);
+
+    const writer = new TextWriter();
+    for (const [i, slidePath] of slidePaths.entries()) {
+      const entry = zip.file(slidePath);
+      if (!entry) continue;
+      const slide = parseXml(await entry.async('string'));
+      const shapes = descendants(slide, 'sp');
+
+      const isTitle = shape => descendants(shape, 'ph').some(ph => ['title', 'ctrTitle'].includes(ph.getAttribute('type')));
+      const title = shapes.filter(isTitle).map(shape => this.pptxParagraphs(shape).map(p => p.text).join(' ')).join(' ').trim();
+      writer.block('# ');
+      writer.inline(`Slide ${i + 1}${title ? `: ${title}` : ''}`);
+      writer.block();
+
+      for (const shape of shapes.filter(candidate => !isTitle(candidate))) {
+        const placeholder = descendants(shape, 'ph')[0];
+        const bodyPlaceholder = placeholder && ['body', 'obj', ''].includes(placeholder.getAttribute('type') || '');
+        for (const paragraph of this.pptxParagraphs(shape)) {
+          const bulleted = paragraph.bullet === null ? bodyPlaceholder : paragraph.bullet;
+          if (bulleted) writer.line(`${'  '.repeat(paragraph.level)}- `);
+          else writer.block();
+          writer.inline(paragraph.text);
+        }
+        writer.block();
+      }
+
+      // Tables: one line per row
+      for (const table of descendants(slide, 'tbl')) {
+        for (const row of descendants(table, 'tr')) {
+          writer.line();
+          writer.inline(descendants(row, 'tc').map(cell => this.pptxParagraphs(cell).map(p => p.text).join(' ')).join(' | '));
+        }
+        writer.block();
+      }
+    }
+    return writer.toString();
+  }
+
+  // Paragraphs of a shape or table cell; bullet is null when the paragraph doesn't say
+  pptxParagraphs(node) {
+    return descendants(node, 'p')
+      .filter(paragraph => paragraph.namespaceURI === 'http://schemas.openxmlformats.org/drawingml/2006/main')
+      .map(paragraph => {
+        const properties = childElements(paragraph).find(child => localName(child) === 'pPr');
+        const markers = properties ? childElements(properties).map(localName) : [];
+        const text = childElements(paragraph)
+          .map(run => (localName(run) === 'br' ? '\n' : descendants(run, 't').map(t => t.textContent).join('')))
+          .join('');
+        return {
+          text,
+          level: Number(properties && properties.getAttribute('lvl')) || 0,
+          bullet: markers.includes('buNone') ? false : markers.some(marker => marker === 'buChar' || marker === 'buAutoNum') ? true : null
+        };
+      })
+      .filter(paragraph => paragraph.text.trim());
+  }
+
+  // Relationship ids of a package part to the paths of their targets
+  async readRelationships(zip, partPath) {
+    const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+    const entry = zip.file(relsPath);
+    if (!entry) return new Map();
+    const rels = parseXml(await entry.async('string'));
+    return new Map(descendants(rels, 'Relationship')
+      .map(rel => [rel.getAttribute('Id'), resolveEntry(partPath, rel.getAttribute('Target'))]));
+  }
+
+  async extractFromOdt(filePath) {
+    const zip = await readZip(filePath);
+    const content = parseXml(await zip.file('content.xml').async('string'));
+    const body = descendants(content, 'text')
+      .find(element => element.namespaceURI === 'urn:oasis:names:tc:opendocument:xmlns:office:1.0');
+
+    const writer = new TextWriter();
+    if (body) this.writeOdtNode(body, writer, 0);
+    return writer.toString();
+  }
+
+  writeOdtNode(node, writer, listDepth) {
+    for (const child of Array.from(node.childNodes || [])) {
+      if (child.nodeType === 3) {
+        writer.inline(child.nodeValue);
+        continue;
+      }
+      if (child.nodeType !== 1) continue;
+
+      switch (localName(child)) {
+        case 'h':
+          writer.block(`${'#'.repeat(Math.min(6, Number(child.getAttribute('text:outline-level')) || 1))} `);
+          this.writeOdtNode(child, writer, listDepth);
+          writer.block();
+          break;
+        case 'p':
+          if (!listDepth) writer.block();
+          this.writeOdtNode(child, writer, listDepth);
+          if (!listDepth) writer.block();
+          break;
+        case 'list':
+          if (!listDepth) writer.block();
+          this.writeOdtNode(child, writer, listDepth + 1);
+          if (!listDepth) writer.block();
+          break;
+        case 'list-item':
+        case 'list-header':
+          writer.line(`${'  '.repeat(listDepth - 1)}- `);
+          this.writeOdtNode(child, writer, listDepth);
+          break;
+        case 's':
+          writer.inline(' '.repeat(Number(child.getAttribute('text:c')) || 1), true);
+          break;
+        case 'tab':
+          writer.inline(' ');
+          break;
+        case 'line-break':
+          writer.line();
+          break;
+        case 'table':
+          writer.block();
+          this.writeOdtNode(child, writer, listDepth);
+          writer.block();
+          break;
+        case 'table-row':
+          writer.line();
+          childElements(child)
+            .filter(cell => localName(cell) === 'table-cell')
+            .forEach((cell, i) => {
+              if (i > 0) writer.inline(' | ');
+              this.writeOdtNode(cell, writer, 1);
+            });
+          break;
+        // Comments, footnotes, tracked changes and declarations are not body text
+        case 'annotation':
+        case 'note':
+        case 'tracked-changes':
+        case 'sequence-decls':
+        case 'variable-decls':
+        case 'user-field-decls':
+          break;
+        default:
+          this.writeOdtNode(child, writer, listDepth);
+      }
+    }
+  }
+
+  // Content documents in reading order (the spine of the package document)
+  async extractFromEpub(filePath) {
+    const zip = await readZip(filePath);
+    const container = parseXml(await zip.file('META-INF/container.xml').async('string'));
+    const rootfile = descendants(container, 'rootfile')[0];
+    const packagePath = rootfile && rootfile.getAttribute('full-path');
+    if (!packagePath || !zip.file(packagePath)) {
+      throw new Error('EPUB package document not found');
+    }
+
+    const opf = parseXml(await zip.file(packagePath).async('string'));
+    const manifest = new Map(descendants(opf, 'item').map(item => [item.getAttribute('id'), item]));
+    const chapters = [];
+    for (const itemref of descendants(opf, 'itemref')) {
+      const item = manifest.get(itemref.getAttribute('idref'));
+      if (!item || itemref.getAttribute('linear') === 'no') continue;
+      if (!/html/.test(item.getAttribute('media-type'))) continue;
+      const entry = zip.file(resolveEntry(packagePath, item.getAttribute('href')));
+      if (entry) chapters.push(htmlToText(await entry.async('string')));
+    }
+    return chapters.filter(Boolean).join('\n\n');
+  }
 }
 
 module.exports = new TextExtractionService();
@@ -0,0 +1,206 @@
+const { run, get, all } = require('../utils/dbAsync');
+const log = require('../utils/log');
+
+// sqlite-vec's limit on the k of a KNN query
+const MAX_K = 4096;
+
+const TABLE_PATTERN = /^vec_chunks_(\d+)$/;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Nearest neighbour index of the chunk vectors in sqlite-vec vec0
+ * virtual tables, one per vector length (vec_chunks_768, ...). embeddings.vector
+ * stays the stored copy; triggers on embeddings keep the index in step with it,
+ * the way embeddings_fts follows the chunk text. Rows are partitioned by
+ * collection and carry the model id, so scoped searches and the model check of
+ * reindexService happen inside the KNN query.
+ *
+ * Without the sqlite-vec extension the index is not used (see
+ * vectorStoreService) and its triggers are dropped, since they could not write
+ * to the vec0 tables; the next build with the extension refills the tables.
+ */
+class VectorIndexService {
+  constructor() {
+    // sqlite-vec is loaded; indexes can be created
+    this.loaded = false;
+    // Existing rows are indexed; searches can use the index
+    this.ready = false;
+    // Vector lengths with an index table
+    this.indexed = new Set();
+  }
+
+  get maxK() {
+    return MAX_K;
+  }
+
+  tableName(dimensions) {
+    return `vec_chunks_${dimensions}`;
+  }
+
+  // The index can answer a query for vectors of this length returning count rows
+  canSearch(dimensions, count) {
+    return this.ready && this.indexed.has(dimensions) && count <= MAX_K;
+  }
+
+  /**
+   * Index the vectors stored so far: create a table for every vector length
+   * in use, add rows missing from it and drop rows of deleted chunks. Run at
+   * startup; this also indexes databases from before the index existed.
+   * @returns {Promise<?number>} Rows added, or null without sqlite-vec
+   */
+  async build() {
+    try {
+      await get('SELECT vec_version() AS version');
+    } catch (error) {
+      console.warn('sqlite-vec is not loaded; the vector index is not built');
+      return null;
+    }
+    this.loaded = true;
+
+    const triggers = new Set((await this.triggers()).map(trigger => trigger.name));
+    for (const dimensions of await this.tableLengths()) {
+      const table = this.tableName(dimensions);
+      if (!triggers.has(`${table}_insert`)) {
+        // Detached while sqlite-vec was missing: what changed since is unknown, so start over
+        await run(`DELETE FROM ${table}`);
+        await this.createTriggers(dimensions);
+      }
+      this.indexed.add(dimensions);
+    }
+
+    const lengths = await all('SELECT DISTINCT dimensions FROM embeddings WHERE dimensions IS NOT NULL');
+    let added = 0;
+    for (const { dimensions } of lengths) {
+      await this.ensureIndex(dimensions);
+      added += await this.sync(dimensions);
+    }
+
+    this.ready = true;
+    return added;
+  }
+
+  /**
+   * Create the index table and triggers for vectors of a length, if missing.
+   * Call before storing such vectors, outside of a transaction: a rolled back
+   * CREATE would leave the table missing while it is remembered as created.
+   * @param {number} dimensions
+   */
+  async ensureIndex(dimensions) {
+    if (!this.loaded || this.indexed.has(dimensions)) return;
+    if (!Number.isInteger(dimensions) || dimensions <= 0) {
+      throw new Error(`Invalid vector length: ${dimensions}`);
+    }
+
+    await run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${this.tableName(dimensions)} USING vec0(
+        chunk_id INTEGER PRIMARY KEY,
+        embedding float[${dimensions}] distance_metric=cosine,
+        collection_id INTEGER PARTITION KEY,
+        model TEXT
+      )
+    `);
+    await this.createTriggers(dimensions);
+    this.indexed.add(dimensions);
+  }
+
+  async createTriggers(dimensions) {
+    const table = this.tableName(dimensions);
+    // Chunks of documents in no collection, or of an unknown model, are not indexed
+    const indexRow = `INSERT INTO ${table} (chunk_id, embedding, collection_id, model)
+        SELECT new.id, new.vector, d.collection_id, new.model FROM documents d
+        WHERE d.id = new.doc_id AND d.collection_id IS NOT NULL AND new.model IS NOT NULL AND new.dimensions = ${dimensions};`;
+
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_insert AFTER INSERT ON embeddings WHEN new.dimensions = ${dimensions} BEGIN
+        ${indexRow}
+      END
+    `);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_update AFTER UPDATE OF vector, model, dimensions ON embeddings
+      WHEN old.dimensions = ${dimensions} OR new.dimensions = ${dimensions} BEGIN
+        DELETE FROM ${table} WHERE chunk_id = old.id;
+        ${indexRow}
+      END
+    `);
+    await run(`
+      CREATE TRIGGER IF NOT EXISTS ${table}_delete AFTER DELETE ON embeddings WHEN old.dimensions = ${dimensions} BEGIN
+        DELETE FROM ${table} WHERE chunk_id = old.id;
+      END
+    `);
+  }
+
+  /**
+   * Drop the index triggers, for running without sqlite-vec: they would make
+   * every write to embeddings fail. The tables stay for the next build.
+   */
+  async detach() {
+    for (const { name } of await this.triggers()) {
+      await run(`DROP TRIGGER IF EXISTS ${name}`);
+    }
+    this.loaded = false;
+    this.ready = false;
+    this.indexed.clear();
+  }
+
+  async triggers() {
+    return all("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name LIKE 'vec_chunks_%'");
+  }
+
+  // Vector lengths with an index table in the database
+  async tableLengths() {
+    const tables = await all("SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'vec_chunks_%'");
+    return tables
+      .map(table => TABLE_PATTERN.exec(table.name))
+      .filter(Boolean)
+      .map(match => Number(match[1]));
+  }
+
+  getStatus() {
+    return { ready: this.ready, dimensions: Array.from(this.indexed).sort((a, b) => a - b) };
+  }
+
+  // Bring one index table in line with the stored vectors; returns the rows added
+  async sync(dimensions) {
+    const table = this.tableName(dimensions);
+    await run(`DELETE FROM ${table} WHERE chunk_id NOT IN (SELECT id FROM embeddings WHERE dimensions = ? AND model IS NOT NULL)`, [dimensions]);
+    const { changes } = await run(
+      `INSERT INTO ${table} (chunk_id, embedding, collection_id, model)
+       SELECT e.id, e.vector, d.collection_id, e.model
+       FROM embeddings e
+       JOIN documents d ON d.id = e.doc_id
+       WHERE e.dimensions = ? AND e.model IS NOT NULL AND d.collection_id IS NOT NULL
+         AND e.id NOT IN (SELECT chunk_id FROM ${table})`,
+      [dimensions]
+    );
+    if (changes) {
+      log.info(`Indexed ${changes} vector(s) in ${table}.`);
+    }
+    return changes;
+  }
+
+  /**
+   * Nearest chunks to a query vector, closest first.
+   * @param {Buffer} vector - Query vector as stored (see utils/vector)
+   * @param {Object} options
+   * @param {number} options.dimensions - Length of the query vector
+   * @param {string} options.model - Only chunks embedded with this provider id
+   * @param {number[]} [options.collectionIds] - Only these collections; all when empty
+   * @param {number} options.count - At most maxK
+   * @returns {Promise<Array<{chunk_id: number, distance: number}>>} Cosine distances
+   */
+  async search(vector, { dimensions, model, collectionIds = [], count }) {
+    const inScope = collectionIds.length ? `AND collection_id IN (${placeholders(collectionIds)})` : '';
+    // With several partitions the KNN yields up to k rows from each. sqlite-vec refuses a LIMIT
+    // next to k, so the best k overall are picked here.
+    const rows = await all(
+      `SELECT chunk_id, distance FROM ${this.tableName(dimensions)}
+       WHERE embedding MATCH ? AND k = ? AND model = ? ${inScope}
+       ORDER BY distance ASC`,
+      [vector, count, model, ...collectionIds]
+    );
+    return rows.slice(0, count);
+  }
+}
+
+module.exports = new VectorIndexService();
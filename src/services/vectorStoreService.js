@@ -0,0 +1,80 @@
+const sqliteVec = require('../utils/sqliteVec');
+const vectorIndexService = require('./vectorIndexService');
+const { SqliteVecStore, JavaScriptStore } = require('./vectorStores');
+
+/**
+ * Picks the vector search backend: sqlite-vec when the extension loaded into
+ * the database connection (see utils/sqliteVec), the JavaScript fallback
+ * otherwise. Until init has run, searches use the fallback, which works either way.
+ */
+class VectorStoreService {
+  constructor() {
+    this.store = new JavaScriptStore();
+    // Path and version of the loaded sqlite-vec build
+    this.extension = null;
+  }
+
+  get backend() {
+    return this.store.name;
+  }
+
+  /**
+   * Choose the backend once the extension has loaded or failed to. Without
+   * it, the vector index triggers are dropped so that chunks can still be written.
+   */
+  async init() {
+    this.extension = await sqliteVec.loaded();
+    if (this.extension) {
+      this.store = new SqliteVecStore();
+    } else {
+      await vectorIndexService.detach();
+      this.store = new JavaScriptStore();
+    }
+    return this.getStatus();
+  }
+
+  /**
+   * Index the stored vectors with sqlite-vec, see vectorIndexService.build.
+   * @returns {Promise<?number>} Vectors added to the index, null with the JavaScript backend
+   */
+  async buildIndex() {
+    return this.extension ? vectorIndexService.build() : null;
+  }
+
+  getStatus() {
+    return {
+      backend: this.backend,
+      extension: this.extension,
+      index: this.extension ? vectorIndexService.getStatus() : null
+    };
+  }
+
+  /**
+   * Closest chunks to a query embedding, closest first.
+   * @param {Object} query
+   * @param {number[]} query.embedding
+   * @param {string} query.model - Provider id the embedding was made with
+   * @param {number} query.count
+   * @param {number[]} [query.collectionIds] - All collections when empty
+   * @param {{conditions: string[], params: Array}} [query.where] - Further SQL conditions on documents `d`
+   * @returns {Promise<Array<{chunk_id: number, distance: number}>>} Cosine distances
+   */
+  nearest(query) {
+    return this.store.nearest(query);
+  }
+
+  /**
+   * Cosine distance of a query embedding to specific chunks.
+   * @param {Object} query
+   * @param {number[]} query.embedding
+   * @param {string} query.model
+   * @param {number[]} query.chunkIds
+   * @param {number[]} [query.collectionIds]
+   * @returns {Promise<Map<number, number>>} Chunks of another model are absent
+   */
+  distances(query) {
+    return this.store.distances(query);
+  }
+}
+
+module.exports = new VectorStoreService();
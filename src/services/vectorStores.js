@@ -0,0 +1,139 @@
+const { all, each } = require('../utils/dbAsync');
+const { toBuffer, fromBuffer, norm, cosineDistance } = require('../utils/vector');
+const vectorIndexService = require('./vectorIndexService');
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Base class of the vector search backends. Both answer in cosine distance
+ * (1 - cosine similarity) over embeddings.vector, so scores don't depend on
+ * the backend. Only chunks of the query's model and vector length are compared.
+ */
+class VectorStore {
+  /**
+   * SQL conditions on embeddings `e` and documents `d` selecting the chunks to compare.
+   * @param {Object} query
+   * @param {string} query.model - Provider id of the query embedding
+   * @param {number} query.dimensions
+   * @param {number[]} [query.collectionIds] - All collections when empty
+   * @param {number[]} [query.chunkIds] - Only these chunks
+   * @param {{conditions: string[], params: Array}} [query.where] - Further conditions on `d`, e.g. a metadata filter
+   */
+  conditions({ model, dimensions, collectionIds = [], chunkIds, where }) {
+    const conditions = ['e.model = ?', 'e.dimensions = ?'];
+    const params = [model, dimensions];
+    if (collectionIds.length) {
+      conditions.push(`d.collection_id IN (${placeholders(collectionIds)})`);
+      params.push(...collectionIds);
+    }
+    if (chunkIds) {
+      conditions.push(`e.id IN (${placeholders(chunkIds)})`);
+      params.push(...chunkIds);
+    }
+    if (where) {
+      conditions.push(...where.conditions);
+      params.push(...where.params);
+    }
+    return { sql: conditions.join(' AND '), params };
+  }
+}
+
+/**
+ * sqlite-vec: KNN queries on the vec0 index (see vectorIndexService) where it
+ * applies, otherwise vec_distance_cosine over the matching rows in SQL.
+ */
+class SqliteVecStore extends VectorStore {
+  get name() {
+    return 'sqlite-vec';
+  }
+
+  /**
+   * Closest chunks first.
+   * @param {Object} query - As for conditions, plus the query `embedding` and the `count` wanted
+   * @returns {Promise<Array<{chunk_id: number, distance: number}>>}
+   */
+  async nearest({ embedding, count, ...scope }) {
+    const dimensions = embedding.length;
+    // The index can't evaluate metadata filters; those scan the matching documents' chunks
+    if (!scope.where && vectorIndexService.canSearch(dimensions, count)) {
+      return vectorIndexService.search(toBuffer(embedding), { ...scope, dimensions, count });
+    }
+
+    const { sql, params } = this.conditions({ ...scope, dimensions });
+    return all(
+      `SELECT e.id AS chunk_id, vec_distance_cosine(e.vector, ?) AS distance
+       FROM embeddings e
+       JOIN documents d ON d.id = e.doc_id
+       WHERE ${sql}
+       ORDER BY distance ASC
+       LIMIT ?`,
+      [toBuffer(embedding), ...params, count]
+    );
+  }
+
+  /**
+   * Distance to specific chunks.
+   * @returns {Promise<Map<number, number>>} Chunk id to distance; chunks of another model are absent
+   */
+  async distances({ embedding, ...scope }) {
+    const { sql, params } = this.conditions({ ...scope, dimensions: embedding.length });
+    const rows = await all(
+      `SELECT e.id AS chunk_id, vec_distance_cosine(e.vector, ?) AS distance
+       FROM embeddings e
+       JOIN documents d ON d.id = e.doc_id
+       WHERE ${sql}`,
+      [toBuffer(embedding), ...params]
+    );
+    return new Map(rows.map(row => [row.chunk_id, row.distance]));
+  }
+}
+
+/**
+ * In-process fallback when sqlite-vec is not available: the matching vectors
+ * are streamed out of SQLite and compared in JavaScript, keeping only the best
+ * `count` in memory. Every search reads every candidate vector, so it suits
+ * development and small collections.
+ */
+class JavaScriptStore extends VectorStore {
+  get name() {
+    return 'javascript';
+  }
+
+  async nearest({ embedding, count, ...scope }) {
+    const queryNorm = norm(embedding);
+    const best = [];
+    await this.scan(scope, embedding.length, (chunkId, vector) => {
+      const distance = cosineDistance(embedding, vector, queryNorm);
+      if (best.length === count && distance >= best[best.length - 1].distance) return;
+      // Insert in order; count is small next to the number of chunks scanned
+      let i = best.length;
+      while (i > 0 && best[i - 1].distance > distance) i--;
+      best.splice(i, 0, { chunk_id: chunkId, distance });
+      if (best.length > count) best.pop();
+    });
+    return best;
+  }
+
+  async distances({ embedding, ...scope }) {
+    const queryNorm = norm(embedding);
+    const distances = new Map();
+    await this.scan(scope, embedding.length, (chunkId, vector) => {
+      distances.set(chunkId, cosineDistance(embedding, vector, queryNorm));
+    });
+    return distances;
+  }
+
+  async scan(scope, dimensions, onVector) {
+    const { sql, params } = this.conditions({ ...scope, dimensions });
+    await each(
+      `SELECT e.id, e.vector
+       FROM embeddings e
+       JOIN documents d ON d.id = e.doc_id
+       WHERE ${sql}`,
+      params,
+      row => onVector(row.id, fromBuffer(row.vector))
+    );
+  }
+}
+
+module.exports = { VectorStore, SqliteVecStore, JavaScriptStore };
@@ -1,5 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const sqliteVec = require('./sqliteVec');
+const log = require('./log');
 
 // Database path
 const dbPath = process.env.DB_PATH || path.join(__dirname, '../../db/rag.db');
@@ -9,45 +11,17 @@ const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
     console.error('Error opening database:', err.message);
   } else {
-    console.log('Connected to SQLite database.');
+    log.info('Connected to SQLite database.');
   }
 });
 
-// Create tables
-db.serialize(() => {
-  // Documents table
-  db.run(`
-    CREATE TABLE IF NOT EXISTS documents (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      filename TEXT NOT NULL,
-      content_preview TEXT,
-      upload_date DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
+// SQLite leaves foreign keys unenforced unless enabled per connection
+db.run('PRAGMA foreign_keys = ON');
 
-  // Embeddings table (vectors stored as BLOB)
-  db.run(`
-    CREATE TABLE IF NOT EXISTS embeddings (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      doc_id INTEGER,
-      vector BLOB,
-      FOREIGN KEY (doc_id) REFERENCES documents (id)
-    )
-  `);
+// Tables are created and changed by the migrations in src/migrations, applied
+// by utils/migrations.migrate before the server accepts requests
 
-  console.log('Database tables initialized.');
-});
-
-// Load sqlite-vec extension
-const loadVecExtension = () => {
-  try {
-    db.loadExtension(path.join(__dirname, '../../db/vec0.dylib'));
-    console.log('sqlite-vec extension loaded successfully.');
-  } catch (err) {
-    console.error('Failed to load sqlite-vec extension:', err.message);
-  }
-};
-
-loadVecExtension();
+// Load sqlite-vec ahead of other statements; vector search falls back to JavaScript without it
+sqliteVec.load(db);
 
 module.exports = db;
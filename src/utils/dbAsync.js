@@ -0,0 +1,115 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const db = require('./database');
+
+// Promise wrappers around the shared sqlite3 connection.
+//
+// Every query shares one connection, so a statement sent while a transaction
+// is open would become part of it, and be undone by its ROLLBACK. While one is
+// open, statements from outside it wait; a transaction starts once the
+// statements already sent have finished.
+
+// The open transaction, if any, and the one the current code runs in
+let openTransaction = null;
+const transactionContext = new AsyncLocalStorage();
+
+// Statements sent from outside a transaction and not finished yet
+let pendingStatements = 0;
+let onIdle = [];
+
+/**
+ * Run fn, which uses the connection, outside of any transaction: after the
+ * open one ends, and before the next one begins. Inside a transaction, fn
+ * runs right away as part of it.
+ * @param {Function} fn - Returns a promise settled when fn is done with the connection
+ * @returns {Promise<*>} Whatever fn resolves with
+ */
+const outsideTransaction = async (fn) => {
+  while (openTransaction && transactionContext.getStore() !== openTransaction) {
+    await openTransaction.done;
+  }
+  if (openTransaction) return fn();
+
+  pendingStatements++;
+  try {
+    return await fn();
+  } finally {
+    if (--pendingStatements === 0) {
+      onIdle.forEach(resolve => resolve());
+      onIdle = [];
+    }
+  }
+};
+
+const statementsFinished = () => (pendingStatements === 0 ? Promise.resolve() : new Promise(resolve => onIdle.push(resolve)));
+
+const run = (sql, params = []) => outsideTransaction(() => new Promise((resolve, reject) => {
+  db.run(sql, params, function(err) {
+    if (err) reject(err);
+    else resolve({ lastID: this.lastID, changes: this.changes });
+  });
+}));
+
+const get = (sql, params = []) => outsideTransaction(() => new Promise((resolve, reject) => {
+  db.get(sql, params, (err, row) => {
+    if (err) reject(err);
+    else resolve(row);
+  });
+}));
+
+const all = (sql, params = []) => outsideTransaction(() => new Promise((resolve, reject) => {
+  db.all(sql, params, (err, rows) => {
+    if (err) reject(err);
+    else resolve(rows);
+  });
+}));
+
+// Rows are handed to onRow one at a time rather than collected; resolves with the row count
+const each = (sql, params, onRow) => outsideTransaction(() => new Promise((resolve, reject) => {
+  db.each(sql, params, (err, row) => {
+    if (!err) onRow(row);
+  }, (err, count) => {
+    if (err) reject(err);
+    else resolve(count);
+  });
+}));
+
+// Transactions are queued, since two open on one connection would interleave. Do not nest calls.
+let transactionQueue = Promise.resolve();
+
+/**
+ * Run fn between BEGIN IMMEDIATE and COMMIT, rolling back if it throws.
+ * Only statements fn issues (and code it awaits) are part of the transaction;
+ * others wait until it ends.
+ * @param {Function} fn - Async function issuing the statements
+ * @returns {Promise<*>} Whatever fn resolves with
+ */
+const transaction = (fn) => {
+  const result = transactionQueue.then(async () => {
+    const current = {};
+    current.done = new Promise(resolve => { current.end = resolve; });
+    openTransaction = current;
+    try {
+      await statementsFinished();
+      return await transactionContext.run(current, async () => {
+        await run('BEGIN IMMEDIATE');
+        try {
+          const value = await fn();
+          await run('COMMIT');
+          return value;
+        } catch (error) {
+          await run('ROLLBACK').catch(rollbackError => {
+            console.error('Error rolling back transaction:', rollbackError);
+          });
+          throw error;
+        }
+      });
+    } finally {
+      openTransaction = null;
+      current.end();
+    }
+  });
+  transactionQueue = result.catch(() => {});
+  return result;
+};
+
+module.exports = { run, get, all, each, transaction, outsideTransaction };
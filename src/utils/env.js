@@ -0,0 +1,7 @@
+// Integer environment variable, or fallback when unset or not a number
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+module.exports = { envInt };
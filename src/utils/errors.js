@@ -0,0 +1,54 @@
+// Errors that carry the HTTP status a route should answer with
+
+class ValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+  }
+}
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.status = 404;
+  }
+}
+
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+    this.status = 409;
+  }
+}
+
+class PayloadTooLargeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PayloadTooLargeError';
+    this.status = 413;
+  }
+}
+
+// retryAfter: seconds until the request may be made again
+class TooManyRequestsError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'TooManyRequestsError';
+    this.status = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// A server this one fetched from failed or did not answer in time
+class BadGatewayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BadGatewayError';
+    this.status = 502;
+  }
+}
+
+module.exports = { ValidationError, NotFoundError, ConflictError, PayloadTooLargeError, TooManyRequestsError, BadGatewayError };
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { ValidationError, PayloadTooLargeError } = require('./errors');
+
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * A client-supplied file name made safe to store: no directories, control
+ * characters or characters that need quoting, no leading dots.
+ * @param {string} name - e.g. the original name of an upload or the last segment of a URL
+ * @param {string} [fallback='file'] - Used when nothing of the name is left
+ * @returns {string}
+ */
+function safeFilename(name, fallback = 'file') {
+  const base = String(name || '').split(/[\\/]/).pop();
+  let safe = base
+    .replace(/[^\p{L}\p{N}._-]+/gu, '_')
+    .replace(/_+/g, '_')
+    .replace(/^[._]+/, '');
+  if (safe.length > MAX_NAME_LENGTH) {
+    // Keep the extension, the format may be recognised by it
+    const extension = path.extname(safe).slice(0, 16);
+    safe = safe.slice(0, MAX_NAME_LENGTH - extension.length) + extension;
+  }
+  return safe || fallback;
+}
+
+/**
+ * The path of a file directly inside a folder, for names that come from requests.
+ * @param {string} dir
+ * @param {string} filename
+ * @returns {string} Absolute path
+ * @throws {ValidationError} For names with directories, "..", NUL bytes or anything else
+ *   that would resolve outside the folder
+ */
+function resolveInside(dir, filename) {
+  if (typeof filename !== 'string' || !filename || filename === '.' || filename === '..'
+    || /[\\/\0]/.test(filename)) {
+    throw new ValidationError('Invalid filename');
+  }
+  const root = path.resolve(dir);
+  const resolved = path.resolve(root, filename);
+  if (path.dirname(resolved) !== root) {
+    throw new ValidationError('Invalid filename');
+  }
+  return resolved;
+}
+
+/**
+ * Write a stream to a file, stopping once it exceeds a size. The data goes to a
+ * hidden partial file first, so the file only appears once it is complete.
+ * @param {stream.Readable} stream
+ * @param {string} filePath
+ * @param {number} maxBytes
+ * @returns {Promise<number>} Bytes written
+ * @throws {PayloadTooLargeError} For streams over maxBytes; nothing is kept then
+ */
+async function saveStream(stream, filePath, maxBytes) {
+  const partialPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.part`);
+  let bytes = 0;
+  const limit = new Transform({
+    transform: (chunk, encoding, callback) => {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        return callback(new PayloadTooLargeError(`File is larger than ${maxBytes} bytes`));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(stream, limit, fs.createWriteStream(partialPath));
+    await fs.promises.rename(partialPath, filePath);
+    return bytes;
+  } catch (error) {
+    await fs.promises.rm(partialPath, { force: true });
+    throw error;
+  }
+}
+
+module.exports = { safeFilename, resolveInside, saveStream };
@@ -0,0 +1,59 @@
+// Characters with a meaning in regular expressions, escaped when literal
+const SPECIAL = /[.+^$(){}|[\]\\]/;
+
+/**
+ * Compile a glob pattern to a regular expression over "/"-separated relative
+ * paths. `*` matches within a path segment, `?` one character of it, `**`
+ * any number of segments and `{a,b}` either alternative. A pattern without
+ * "/" matches the file name in any folder, as in .gitignore.
+ * @param {string} pattern - e.g. "*.pdf", "~$*", "reports/**" or "drafts/*.{doc,docx}"
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const glob = pattern.includes('/') ? pattern.replace(/^\//, '') : `**/${pattern}`;
+  let source = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" may match no folder at all; a trailing "**" matches everything below
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braces++;
+      source += '(?:';
+    } else if (char === '}' && braces) {
+      braces--;
+      source += ')';
+    } else if (char === ',' && braces) {
+      source += '|';
+    } else {
+      source += SPECIAL.test(char) ? `\\${char}` : char;
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Match a relative path against include and exclude patterns.
+ * @param {string[]} include - The path must match one of them
+ * @param {string[]} [exclude] - and none of these
+ * @returns {Function} (relativePath) => boolean
+ */
+function pathMatcher(include, exclude = []) {
+  const included = include.map(globToRegExp);
+  const excluded = exclude.map(globToRegExp);
+  return (relativePath) => included.some(regExp => regExp.test(relativePath))
+    && !excluded.some(regExp => regExp.test(relativePath));
+}
+
+module.exports = { globToRegExp, pathMatcher };
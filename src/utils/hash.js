@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * SHA-256 of a file's contents.
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest
+ */
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+/**
+ * SHA-256 of a string.
+ * @param {string} text
+ * @returns {string} Hex digest
+ */
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+module.exports = { hashFile, hashText };
@@ -0,0 +1,57 @@
+// Where a chunk sits in its source file, for citations. Extraction marks
+// spans of the text with the page or spreadsheet row they come from (see
+// textExtraction.extract); a chunk's location merges the marks it overlaps
+// and adds the heading path it sits under.
+
+/**
+ * Merge the locations of consecutive text segments.
+ * @param {Array<Object>} locations - In text order, each {page} or {sheet, row, firstColumn, lastColumn}
+ * @returns {Object} page (and pageEnd when several pages are covered) and/or sheet and
+ *   range, e.g. {sheet: 'Sheet2', range: 'A40:D60'}; rows of later sheets are left out of
+ *   a range that starts in an earlier one
+ */
+function mergeLocations(locations) {
+  const merged = {};
+
+  const pages = locations.filter(location => location.page !== undefined).map(location => location.page);
+  if (pages.length) {
+    merged.page = pages.reduce((a, b) => Math.min(a, b));
+    const pageEnd = pages.reduce((a, b) => Math.max(a, b));
+    if (pageEnd !== merged.page) merged.pageEnd = pageEnd;
+  }
+
+  const rows = locations.filter(location => location.sheet !== undefined);
+  if (rows.length) {
+    const { sheet, firstColumn, lastColumn } = rows[0];
+    const sheetRows = rows.filter(location => location.sheet === sheet).map(location => location.row);
+    merged.sheet = sheet;
+    merged.range = `${firstColumn}${sheetRows.reduce((a, b) => Math.min(a, b))}:${lastColumn}${sheetRows.reduce((a, b) => Math.max(a, b))}`;
+  }
+
+  return merged;
+}
+
+// Sheet names other than plain words are quoted in cell references, as in Excel
+const sheetReference = (sheet) => (/^[A-Za-z_][\w.]*$/.test(sheet) ? sheet : `'${sheet.replace(/'/g, "''")}'`);
+
+/**
+ * A location for people, e.g. "pages 14-15", "Sheet2!A40:D60" or "Policy > Scope".
+ * @param {Object} [location]
+ * @returns {string} Empty when nothing is known
+ */
+function describeLocation(location) {
+  if (!location) return '';
+  const parts = [];
+  if (location.page !== undefined) {
+    parts.push(location.pageEnd ? `pages ${location.page}-${location.pageEnd}` : `page ${location.page}`);
+  }
+  if (location.sheet !== undefined) {
+    parts.push(`${sheetReference(location.sheet)}!${location.range}`);
+  }
+  if (location.section) {
+    parts.push(location.section);
+  }
+  return parts.join(', ');
+}
+
+module.exports = { mergeLocations, describeLocation };
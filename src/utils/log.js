@@ -0,0 +1,7 @@
+// Status messages of the services, e.g. a database connected or a migration applied.
+// They go to stderr, leaving stdout to the output of scripts such as bin/rag.js.
+const info = (message) => {
+  process.stderr.write(`${message}\n`);
+};
+
+module.exports = { info };
@@ -0,0 +1,247 @@
+// Markup to plain text for extraction. Structure is kept in Markdown form:
+// headings become "# Heading" lines and list items "- item", so that the
+// markdown chunking strategy can split on them and record heading paths.
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™', euro: '€', deg: '°', times: '×'
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const hex = entity[1] === 'x' || entity[1] === 'X';
+    const codePoint = parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10);
+    return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+  }
+  return ENTITIES[entity] ?? ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Lines left with nothing but a list or heading marker, e.g. from an empty <li>
+const BARE_MARKER = /^\s*(?:[-*]|\d+\.|#{1,6})$/;
+
+/**
+ * Accumulates extracted text. Inline text has its whitespace collapsed as in
+ * HTML; line() and block() end the current line or paragraph and may start
+ * the next one with a prefix such as "## " or "  - ".
+ */
+class TextWriter {
+  constructor() {
+    this.text = '';
+    // Line breaks at the end of the text so far; the start counts as a paragraph break
+    this.breaks = 2;
+    // Nothing but a prefix has been written on the current line
+    this.lineStart = true;
+  }
+
+  inline(value, preformatted = false) {
+    if (!preformatted) {
+      value = value.replace(/\s+/g, ' ');
+      if (this.lineStart || this.text.endsWith(' ')) value = value.replace(/^ /, '');
+    }
+    if (!value) return;
+    this.text += value;
+    this.breaks = Math.min(2, /\n*$/.exec(value)[0].length);
+    this.lineStart = this.breaks > 0;
+  }
+
+  line(prefix = '') {
+    this.breakWith(1, prefix);
+  }
+
+  block(prefix = '') {
+    this.breakWith(2, prefix);
+  }
+
+  breakWith(count, prefix) {
+    // Directly after a prefix (e.g. a <p> inside an <li>) there is nothing to end
+    if (this.lineStart && this.breaks === 0 && !prefix) return;
+    this.text += '\n'.repeat(Math.max(0, count - this.breaks)) + prefix;
+    this.breaks = prefix ? 0 : Math.max(this.breaks, count);
+    this.lineStart = true;
+  }
+
+  toString() {
+    return this.text
+      .split('\n')
+      .map(line => line.replace(/\s+$/, ''))
+      .filter(line => !BARE_MARKER.test(line))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+// Elements whose content is not text of the document
+const SKIPPED = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'math', 'iframe', 'object', 'canvas', 'select', 'button']);
+// Their content is not markup, so it is skipped up to the closing tag
+const RAW_TEXT = new Set(['script', 'style', 'textarea', 'title']);
+const BLOCKS = new Set([
+  'html', 'body', 'p', 'div', 'section', 'article', 'header', 'footer', 'main', 'nav', 'aside', 'blockquote',
+  'figure', 'figcaption', 'form', 'fieldset', 'address', 'details', 'summary', 'dl', 'table', 'caption', 'center'
+]);
+
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([a-zA-Z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|<[!?][^>]*>/g;
+
+/**
+ * Text of an HTML or XHTML document, without scripts, styles and the head.
+ * Headings, list items, line breaks and table rows are kept; tags are not
+ * required to be balanced.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  const writer = new TextWriter();
+  const lists = [];
+  let skipping = null;
+  let preformatted = 0;
+  let cellsInRow = 0;
+
+  // Paragraphs inside list items don't end the list
+  const block = () => (lists.length ? writer.line() : writer.block());
+  const addText = (text) => {
+    if (!skipping && text) writer.inline(decodeEntities(text), preformatted > 0);
+  };
+
+  let position = 0;
+  let match;
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(html))) {
+    addText(html.slice(position, match.index));
+    position = TOKEN.lastIndex;
+
+    const [, cdata, closing, rawName, attributes] = match;
+    if (cdata !== undefined) {
+      addText(cdata);
+      continue;
+    }
+    if (!rawName) continue;
+
+    const name = rawName.toLowerCase().replace(/^.*:/, '');
+    const selfClosing = attributes.endsWith('/');
+
+    if (skipping) {
+      if (name === skipping.name) skipping.depth += closing ? -1 : selfClosing ? 0 : 1;
+      if (skipping.depth === 0) skipping = null;
+      continue;
+    }
+    if (!closing && RAW_TEXT.has(name) && !selfClosing) {
+      const end = html.slice(position).search(new RegExp(`</${rawName}\\s*>`, 'i'));
+      if (name === 'textarea' && end > 0) addText(html.substr(position, end));
+      position = end < 0 ? html.length : position + end + `</${rawName}>`.length;
+      TOKEN.lastIndex = position;
+      continue;
+    }
+    if (!closing && SKIPPED.has(name) && !selfClosing) {
+      skipping = { name, depth: 1 };
+      continue;
+    }
+
+    const heading = /^h([1-6])$/.exec(name);
+    if (heading) {
+      if (closing) writer.block();
+      else writer.block(`${'#'.repeat(Number(heading[1]))} `);
+    } else if (name === 'ul' || name === 'ol') {
+      if (closing) {
+        lists.pop();
+        if (!lists.length) writer.block();
+      } else if (!selfClosing) {
+        if (!lists.length) writer.block();
+        lists.push({ ordered: name === 'ol', next: 1 });
+      }
+    } else if (name === 'li' && !closing) {
+      const list = lists[lists.length - 1] || { ordered: false };
+      const marker = list.ordered ? `${list.next++}. ` : '- ';
+      writer.line('  '.repeat(Math.max(0, lists.length - 1)) + marker);
+    } else if (name === 'br') {
+      writer.line();
+    } else if (name === 'hr') {
+      writer.block();
+    } else if (name === 'pre') {
+      preformatted = Math.max(0, preformatted + (closing ? -1 : 1));
+      writer.block();
+    } else if (name === 'tr' && !closing) {
+      writer.line();
+      cellsInRow = 0;
+    } else if ((name === 'td' || name === 'th') && !closing) {
+      if (cellsInRow++ > 0) writer.inline(' | ');
+    } else if (name === 'dt' || name === 'dd') {
+      if (!closing) writer.line();
+    } else if (BLOCKS.has(name)) {
+      block();
+    }
+  }
+  addText(html.slice(position));
+
+  return writer.toString();
+}
+
+const FENCE = /^\s{0,3}(`{3,}|~{3,})/;
+const SETEXT_UNDERLINE = /^\s{0,3}(=+|-+)\s*$/;
+const THEMATIC_BREAK = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-{3,}:?\s*(?:\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+const LINK_DEFINITION = /^\s{0,3}\[[^\]]+\]:\s+\S+/;
+const LIST_ITEM = /^\s*(?:[-*+]|\d+[.)])\s/;
+
+// Inline Markdown: keep the text of links, images, code and emphasis
+const stripInline = (line) => line
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+  .replace(/<((?:https?|mailto):[^>\s]+)>/g, '$1')
+  .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+  .replace(/(`+)(.+?)\1/g, '$2')
+  .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+  .replace(/(^|[^\w*])\*(?=\S)(.+?)(?<=\S)\*(?![\w*])/g, '$1$2')
+  .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1$2')
+  .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '$1')
+  .replace(/\\([\\`*_{}[\]()#+\-.!|>])/g, '$1');
+
+/**
+ * Text of a Markdown document: front matter, link definitions, table
+ * delimiter rows and inline markup are removed, setext headings become ATX
+ * headings and quotes lose their markers. Headings, list items, table cells
+ * and the content of code blocks are kept.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToText(markdown) {
+  const lines = markdown
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/^---\n[\s\S]*?\n(?:---|\.\.\.)\n/, '')
+    .split('\n');
+
+  const output = [];
+  let fence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = FENCE.exec(line);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+      else output.push(line);
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    const next = lines[i + 1];
+    if (line.trim() && !LIST_ITEM.test(line) && next !== undefined && SETEXT_UNDERLINE.exec(next)) {
+      output.push(`${next.trim()[0] === '=' ? '#' : '##'} ${stripInline(line.trim())}`);
+      i++;
+      continue;
+    }
+    if (THEMATIC_BREAK.test(line)) {
+      output.push('');
+      continue;
+    }
+    if (TABLE_DELIMITER.test(line) || LINK_DEFINITION.test(line)) continue;
+    output.push(stripInline(line.replace(/^\s{0,3}(?:>\s?)+/, '')));
+  }
+
+  return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+module.exports = { TextWriter, decodeEntities, htmlToText, markdownToText };
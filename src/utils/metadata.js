@@ -0,0 +1,180 @@
+const { ValidationError } = require('./errors');
+
+// Document metadata is a JSON object stored in documents.metadata. Filters are
+// compiled to SQL over that column so they run inside the search query itself.
+
+const MAX_METADATA_BYTES = 16 * 1024;
+
+// Filterable fields: identifiers, dot-separated for nested objects
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+const COMPARISONS = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Check that metadata is a JSON object of a reasonable size.
+ * @param {*} metadata
+ * @returns {Object}
+ * @throws {ValidationError}
+ */
+function validateMetadata(metadata) {
+  if (!isPlainObject(metadata)) {
+    throw new ValidationError('metadata must be a JSON object');
+  }
+  if (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+    throw new ValidationError(`metadata must be at most ${MAX_METADATA_BYTES} bytes of JSON`);
+  }
+  return metadata;
+}
+
+/**
+ * Apply a JSON merge patch (RFC 7386): keys set to null are removed, nested
+ * objects are merged and everything else is replaced.
+ */
+function mergeMetadata(target, patch) {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = mergeMetadata(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Compile a metadata filter into an SQL condition on `column`.
+ *
+ * A filter maps fields to a value (equality) or to operators:
+ * `$eq`, `$ne`, `$in`, `$nin`, `$gt`, `$gte`, `$lt`, `$lte`, `$contains`
+ * (an array field holds the value) and `$exists`. Fields are ANDed; `$and`
+ * and `$or` take arrays of filters. Range operators only match values of the
+ * same type as the bound, so ISO dates compare as strings and numbers as numbers.
+ *
+ * @example
+ * compileFilter({ department: 'HR', tags: { $contains: 'policy' }, effectiveDate: { $gte: '2024-01-01' } })
+ * @param {Object} filter
+ * @param {string} [column='d.metadata']
+ * @returns {{sql: string, params: Array}}
+ * @throws {ValidationError} If the filter is malformed
+ */
+function compileFilter(filter, column = 'd.metadata') {
+  if (!isPlainObject(filter)) {
+    throw new ValidationError('filter must be a JSON object');
+  }
+
+  const parts = [];
+  const params = [];
+  const add = ({ sql, params: partParams }) => {
+    parts.push(sql);
+    params.push(...partParams);
+  };
+
+  for (const [key, value] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new ValidationError(`${key} must be a non-empty array of filters`);
+      }
+      const compiled = value.map(item => compileFilter(item, column));
+      add({
+        sql: `(${compiled.map(c => c.sql).join(key === '$and' ? ' AND ' : ' OR ')})`,
+        params: compiled.flatMap(c => c.params)
+      });
+    } else if (key.startsWith('$')) {
+      throw new ValidationError(`Unknown filter operator: ${key}`);
+    } else {
+      add(compileField(key, value, column));
+    }
+  }
+
+  if (parts.length === 0) {
+    return { sql: '1', params: [] };
+  }
+  return { sql: parts.length === 1 ? parts[0] : `(${parts.join(' AND ')})`, params };
+}
+
+function compileField(field, condition, column) {
+  if (!FIELD_PATTERN.test(field)) {
+    throw new ValidationError(`Invalid filter field: ${field}`);
+  }
+  const jsonPath = `$.${field}`;
+  const value = `json_extract(${column}, ?)`;
+
+  if (!isPlainObject(condition)) {
+    return compileOperator(field, '$eq', condition, value, jsonPath, column);
+  }
+
+  const operators = Object.entries(condition);
+  if (operators.length === 0) {
+    throw new ValidationError(`Filter on ${field} has no operators`);
+  }
+  const compiled = operators.map(([operator, operand]) => compileOperator(field, operator, operand, value, jsonPath, column));
+  return {
+    sql: compiled.length === 1 ? compiled[0].sql : `(${compiled.map(c => c.sql).join(' AND ')})`,
+    params: compiled.flatMap(c => c.params)
+  };
+}
+
+function compileOperator(field, operator, operand, value, jsonPath, column) {
+  switch (operator) {
+    case '$eq':
+    case '$ne':
+      requireScalar(field, operator, operand);
+      return { sql: `${value} ${operator === '$eq' ? 'IS' : 'IS NOT'} ?`, params: [jsonPath, operand] };
+
+    case '$in':
+    case '$nin': {
+      if (!Array.isArray(operand) || operand.length === 0 || !operand.every(isScalar)) {
+        throw new ValidationError(`${operator} on ${field} needs a non-empty array of values`);
+      }
+      const list = operand.map(() => '?').join(', ');
+      return operator === '$in'
+        ? { sql: `${value} IN (${list})`, params: [jsonPath, ...operand] }
+        : { sql: `(${value} IS NULL OR ${value} NOT IN (${list}))`, params: [jsonPath, jsonPath, ...operand] };
+    }
+
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte': {
+      if (typeof operand !== 'number' && typeof operand !== 'string') {
+        throw new ValidationError(`${operator} on ${field} needs a number or a string`);
+      }
+      const types = typeof operand === 'number' ? "('integer', 'real')" : "('text')";
+      return {
+        sql: `(typeof(${value}) IN ${types} AND ${value} ${COMPARISONS[operator]} ?)`,
+        params: [jsonPath, jsonPath, operand]
+      };
+    }
+
+    case '$contains':
+      requireScalar(field, operator, operand);
+      return {
+        sql: `EXISTS (SELECT 1 FROM json_each(${column}, ?) WHERE json_each.value IS ?)`,
+        params: [jsonPath, operand]
+      };
+
+    case '$exists':
+      if (typeof operand !== 'boolean') {
+        throw new ValidationError(`$exists on ${field} needs true or false`);
+      }
+      return { sql: `json_type(${column}, ?) IS ${operand ? 'NOT NULL' : 'NULL'}`, params: [jsonPath] };
+
+    default:
+      throw new ValidationError(`Unknown filter operator: ${operator}`);
+  }
+}
+
+function requireScalar(field, operator, operand) {
+  if (!isScalar(operand)) {
+    throw new ValidationError(`${operator} on ${field} needs a string, number, boolean or null; use $in for lists`);
+  }
+}
+
+module.exports = { validateMetadata, mergeMetadata, compileFilter };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const { run, get, all, transaction } = require('./dbAsync');
+const log = require('./log');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+// 001-initial-schema.js: version 1, name initial-schema
+const FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+const label = (migration) => `${String(migration.version).padStart(3, '0')}-${migration.name}`;
+
+// Full-text index over chunk text, kept in sync with the embeddings table by triggers.
+// unicode61 splits on punctuation, so "AB-1234" is matched as the phrase "ab 1234";
+// set FTS_TOKENIZER=trigram for substring matching (e.g. CJK text without spaces).
+const ftsTokenizer = process.env.FTS_TOKENIZER || 'unicode61 remove_diacritics 2';
+const ftsTableSql = `CREATE VIRTUAL TABLE embeddings_fts USING fts5(content, content='embeddings', content_rowid='id', tokenize='${ftsTokenizer}')`;
+
+/**
+ * The migrations in src/migrations, oldest first. Each file is named
+ * <version>-<name>.js and exports an async up(); versions only ever grow, and
+ * a released migration is never edited: schema changes go in a new file.
+ * @returns {Array<{version: number, name: string, up: Function}>}
+ */
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, up: require(path.join(MIGRATIONS_DIR, file)).up }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function appliedVersions() {
+  await run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  return all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+/**
+ * Every known migration and whether it has been applied; versions recorded
+ * in the database but missing here (written by a newer release) are listed too.
+ * @returns {Promise<Array<{version: number, name: string, appliedAt: ?string, unknown?: boolean}>>}
+ */
+async function getStatus() {
+  const applied = new Map((await appliedVersions()).map(row => [row.version, row]));
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return [
+    ...migrations.map(({ version, name }) => ({
+      version,
+      name,
+      appliedAt: applied.has(version) ? applied.get(version).applied_at : null
+    })),
+    ...Array.from(applied.values())
+      .filter(row => !known.has(row.version))
+      .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at, unknown: true }))
+  ].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction together
+ * with its schema_migrations row, so a failing migration leaves the database
+ * at the previous version. Foreign keys are switched off meanwhile, since
+ * rebuilding a table drops and recreates rows other tables point at, and are
+ * checked before each commit instead. Then the full-text index is brought in
+ * line with FTS_TOKENIZER.
+ * @returns {Promise<Array<{version: number, name: string}>>} The migrations applied
+ */
+async function migrate() {
+  const status = await getStatus();
+  const unknown = status.filter(migration => migration.unknown);
+  if (unknown.length) {
+    console.warn(`Database has migrations this version does not know (${unknown.map(m => m.version).join(', ')}); it was migrated by a newer release`);
+  }
+  const applied = new Set(status.filter(migration => migration.appliedAt).map(migration => migration.version));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  const done = [];
+  if (pending.length) {
+    await run('PRAGMA foreign_keys = OFF');
+    try {
+      for (const migration of pending) {
+        const ran = await transaction(async () => {
+          // Another process may have applied it since the status was read
+          if (await get('SELECT version FROM schema_migrations WHERE version = ?', [migration.version])) {
+            return false;
+          }
+          await migration.up();
+          const violations = await all('PRAGMA foreign_key_check');
+          if (violations.length) {
+            const { table, parent } = violations[0];
+            throw new Error(`Migration ${label(migration)} leaves ${violations.length} row(s) with a missing parent (first: ${table} -> ${parent})`);
+          }
+          await run(
+            'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, datetime("now"))',
+            [migration.version, migration.name]
+          );
+          return true;
+        });
+        if (ran) {
+          log.info(`Applied migration ${label(migration)}.`);
+          done.push({ version: migration.version, name: migration.name });
+        }
+      }
+    } finally {
+      await run('PRAGMA foreign_keys = ON');
+    }
+  }
+
+  await syncFullTextIndex();
+  return done;
+}
+
+/**
+ * The full-text index depends on configuration rather than the schema
+ * version: it is rebuilt when missing or made with another tokenizer, and its
+ * triggers are recreated if a migration rebuilt the embeddings table.
+ */
+async function syncFullTextIndex() {
+  const row = await get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'embeddings_fts'");
+  if (!row || row.sql !== ftsTableSql) {
+    await run('DROP TABLE IF EXISTS embeddings_fts');
+    await run(ftsTableSql);
+    await run("INSERT INTO embeddings_fts (embeddings_fts) VALUES ('rebuild')");
+    log.info('Full-text index built.');
+  }
+
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS embeddings_fts_insert AFTER INSERT ON embeddings BEGIN
+      INSERT INTO embeddings_fts (rowid, content) VALUES (new.id, new.content);
+    END
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS embeddings_fts_delete AFTER DELETE ON embeddings BEGIN
+      INSERT INTO embeddings_fts (embeddings_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    END
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS embeddings_fts_update AFTER UPDATE OF content ON embeddings BEGIN
+      INSERT INTO embeddings_fts (embeddings_fts, rowid, content) VALUES ('delete', old.id, old.content);
+      INSERT INTO embeddings_fts (rowid, content) VALUES (new.id, new.content);
+    END
+  `);
+}
+
+module.exports = { loadMigrations, getStatus, migrate };
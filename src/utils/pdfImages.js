@@ -0,0 +1,74 @@
+// Images drawn on PDF pages, for OCR of scanned pages. Uses the pdf.js build
+// that pdf-parse bundles, with images decoded in JavaScript: pdf.js would
+// otherwise hand JPEGs to the browser's image decoder, which Node lacks.
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+// pdf.js ImageKind values
+const GRAYSCALE_1BPP = 1;
+const RGBA_32BPP = 3;
+
+// Smaller images are rules, bullets and logos rather than scanned text
+const MIN_IMAGE_SIZE = 32;
+
+/**
+ * Decoded images of the given pages, passed to onPage a page at a time so
+ * that only one page's pixels are held at once.
+ * @param {Uint8Array} data - The PDF file
+ * @param {number[]} pageNumbers - 1-based
+ * @param {Function} onPage - Awaited with (pageNumber, images), images being pdf.js
+ *   {width, height, kind, data} objects in drawing order
+ */
+async function forEachPageImages(data, pageNumbers, onPage) {
+  PDFJS.disableWorker = true;
+  const doc = await PDFJS.getDocument({ data, nativeImageDecoderSupport: 'none' });
+  try {
+    for (const pageNumber of pageNumbers) {
+      const page = await doc.getPage(pageNumber);
+      const { fnArray, argsArray } = await page.getOperatorList();
+
+      const images = [];
+      fnArray.forEach((fn, i) => {
+        if (fn === PDFJS.OPS.paintImageXObject) {
+          images.push(page.objs.get(argsArray[i][0]));
+        } else if (fn === PDFJS.OPS.paintInlineImageXObject) {
+          images.push(argsArray[i][0]);
+        } else if (fn === PDFJS.OPS.paintImageMaskXObject) {
+          // Stencil masks, common for black and white scans, are packed like 1-bit greyscale
+          images.push({ ...argsArray[i][0], kind: GRAYSCALE_1BPP });
+        }
+      });
+
+      await onPage(pageNumber, images.filter(image => image && image.width >= MIN_IMAGE_SIZE && image.height >= MIN_IMAGE_SIZE));
+      page.cleanup();
+    }
+  } finally {
+    doc.destroy();
+  }
+}
+
+/**
+ * A decoded pdf.js image as an 8-bit greyscale PGM file, which Tesseract reads.
+ * @param {{width: number, height: number, kind: number, data: Uint8Array}} image
+ * @returns {Buffer}
+ */
+function toPgm({ width, height, kind, data }) {
+  const pixels = Buffer.alloc(width * height);
+  if (kind === GRAYSCALE_1BPP) {
+    // Rows are padded to whole bytes; a set bit is white
+    const rowBytes = (width + 7) >> 3;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        pixels[y * width + x] = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7)) ? 255 : 0;
+      }
+    }
+  } else {
+    const channels = kind === RGBA_32BPP ? 4 : 3;
+    for (let i = 0; i < pixels.length; i++) {
+      const at = i * channels;
+      pixels[i] = (data[at] * 299 + data[at + 1] * 587 + data[at + 2] * 114) / 1000;
+    }
+  }
+  return Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`, 'latin1'), pixels]);
+}
+
+module.exports = { forEachPageImages, toPgm };
@@ -0,0 +1,160 @@
+const { TextWriter } = require('./markup');
+
+// Groups whose content is not document text (font and color tables, metadata,
+// pictures, headers and footers, field instructions, ...)
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'info', 'pict', 'object', 'themedata', 'colorschememapping', 'latentstyles',
+  'datastore', 'xmlnstbl', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'filetbl', 'revtbl',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'fldinst',
+  'bkmkstart', 'bkmkend', 'shppict', 'nonshppict', 'footnote', 'annotation', 'atnauthor', 'atnid'
+]);
+
+const SYMBOLS = {
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  emspace: ' ', enspace: ' ', qmspace: ' ', tab: '\t', line: '\n'
+};
+
+// Code pages of \ansicpg that TextDecoder knows by another name
+const ENCODINGS = { 932: 'shift_jis', 936: 'gbk', 949: 'euc-kr', 950: 'big5', 10000: 'macintosh' };
+
+const decoderFor = (codePage) => {
+  try {
+    return new TextDecoder(ENCODINGS[codePage] || `windows-${codePage}`);
+  } catch (error) {
+    return new TextDecoder('windows-1252');
+  }
+};
+
+const TOKEN = /\\([a-zA-Z]+)(-?\d+)? ?|\\'([0-9a-fA-F]{2})|\\([^a-zA-Z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/g;
+
+/**
+ * Text of an RTF document. Paragraphs are separated by blank lines; headings
+ * (paragraphs with an outline level or a "heading N" style) become "# "
+ * lines and list paragraphs "- " lines. Table cells are joined with " | ".
+ * @param {string} rtf - The file read as latin1, so every byte is one character
+ * @returns {string}
+ */
+function rtfToText(rtf) {
+  const writer = new TextWriter();
+  // Style number to heading level, from the stylesheet
+  const headingStyles = new Map();
+  let decoder = decoderFor(1252);
+  let bytes = [];
+
+  let state = { skip: false, uc: 1, stylesheet: false, entry: null };
+  const stack = [];
+  let paragraph = { text: '', style: 0, level: null, list: false };
+  let inList = false;
+  // Fallback characters still to skip after a \u character
+  let skipChars = 0;
+
+  const append = (text) => {
+    if (state.entry) {
+      state.entry.name += text;
+    } else if (!state.skip) {
+      paragraph.text += text;
+    }
+  };
+  const flushBytes = () => {
+    if (bytes.length) append(decoder.decode(Buffer.from(bytes)));
+    bytes = [];
+  };
+  const endParagraph = () => {
+    const level = paragraph.level || headingStyles.get(paragraph.style);
+    if (level) writer.block(`${'#'.repeat(level)} `);
+    else if (paragraph.list && inList) writer.line('- ');
+    else if (paragraph.list) writer.block('- ');
+    else writer.block();
+    inList = paragraph.list && !level;
+    paragraph.text.split('\n').forEach((line, i) => {
+      if (i > 0) writer.line();
+      writer.inline(line);
+    });
+    paragraph = { ...paragraph, text: '', list: false };
+  };
+
+  let match;
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(rtf))) {
+    const [, word, param, hex, symbol, brace, text] = match;
+
+    if (hex !== undefined) {
+      if (skipChars > 0) skipChars--;
+      else bytes.push(parseInt(hex, 16));
+      continue;
+    }
+    flushBytes();
+
+    if (text !== undefined) {
+      const skipped = Math.min(skipChars, text.length);
+      skipChars -= skipped;
+      append(text.slice(skipped));
+      continue;
+    }
+    if (brace === '{') {
+      stack.push(state);
+      state = { ...state, entry: state.entry || (state.stylesheet ? { number: 0, name: '', level: null } : null) };
+      continue;
+    }
+    if (brace === '}') {
+      const closed = state;
+      state = stack.pop() || { skip: false, uc: 1, stylesheet: false, entry: null };
+      if (closed.entry && closed.entry !== state.entry) {
+        const heading = /^heading (\d)/i.exec(closed.entry.name.trim());
+        const level = closed.entry.level || (heading && Number(heading[1]));
+        if (level) headingStyles.set(closed.entry.number, level);
+      }
+      continue;
+    }
+    if (symbol !== undefined) {
+      if (symbol === '*') state.skip = true;
+      else if (symbol === '~') append(' ');
+      else if (symbol === '_') append('-');
+      else if (symbol === '\n' || symbol === '\r') endParagraph();
+      else if (symbol !== '-') append(symbol);
+      continue;
+    }
+    if (!word) continue;
+
+    const value = param === undefined ? null : Number(param);
+    if (SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+    } else if (word === 'stylesheet') {
+      state.stylesheet = true;
+    } else if (word === 'pntext' || word === 'listtext') {
+      // The bullet or number as drawn; the paragraph is written as a list item instead
+      state.skip = true;
+      paragraph.list = true;
+    } else if (word === 'par' || word === 'sect' || word === 'row') {
+      if (!state.skip && !state.entry) endParagraph();
+    } else if (word === 'pard') {
+      paragraph = { ...paragraph, style: 0, level: null };
+    } else if (word === 's' && value !== null) {
+      if (state.entry) state.entry.number = value;
+      else paragraph.style = value;
+    } else if (word === 'outlinelevel' && value !== null && value < 9) {
+      if (state.entry) state.entry.level = value + 1;
+      else paragraph.level = value + 1;
+    } else if (word === 'cell') {
+      append(' | ');
+    } else if (word === 'u' && value !== null) {
+      append(String.fromCharCode(value < 0 ? value + 65536 : value));
+      skipChars = state.uc;
+    } else if (word === 'uc' && value !== null) {
+      state.uc = value;
+    } else if (word === 'ansicpg' && value !== null) {
+      decoder = decoderFor(value);
+    } else if (word === 'bin' && value > 0) {
+      TOKEN.lastIndex += value;
+    } else if (SYMBOLS[word] !== undefined) {
+      append(SYMBOLS[word]);
+    }
+  }
+  flushBytes();
+  endParagraph();
+
+  // Cells end with " | " before the row ends
+  return writer.toString().replace(/ \| *$/gm, '');
+}
+
+module.exports = { rtfToText };
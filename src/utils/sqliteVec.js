@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('./log');
+
+// Loadable extension suffix per platform
+const SUFFIXES = { darwin: 'dylib', win32: 'dll' };
+
+let loading = Promise.resolve(null);
+
+/**
+ * Where to look for the sqlite-vec extension, in order: SQLITE_VEC_PATH when
+ * set (and nothing else then), the build for this platform from the sqlite-vec
+ * npm package, and db/vec0.<so|dylib|dll> in the repository.
+ * @returns {string[]}
+ */
+function candidatePaths() {
+  if (process.env.SQLITE_VEC_PATH) {
+    return [path.resolve(process.env.SQLITE_VEC_PATH)];
+  }
+  const candidates = [];
+  try {
+    candidates.push(require('sqlite-vec').getLoadablePath());
+  } catch (error) {
+    // Optional dependency without a build for this platform
+  }
+  candidates.push(path.join(__dirname, `../../db/vec0.${SUFFIXES[process.platform] || 'so'}`));
+  return candidates;
+}
+
+// First candidate that exists, or null
+function resolvePath() {
+  return candidatePaths().find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Load sqlite-vec into a connection. The load is queued ahead of later
+ * statements on the connection, so they see its functions and modules.
+ * @param {sqlite3.Database} db
+ * @returns {Promise<?{path: string, version: string}>} null when no build was found or it failed to load
+ */
+function load(db) {
+  const extensionPath = resolvePath();
+  if (!extensionPath) {
+    console.warn(`sqlite-vec extension not found (looked for ${candidatePaths().join(', ')})`);
+    loading = Promise.resolve(null);
+    return loading;
+  }
+
+  loading = new Promise(resolve => {
+    db.loadExtension(extensionPath, (err) => {
+      if (err) {
+        console.error(`Failed to load sqlite-vec extension from ${extensionPath}:`, err.message);
+        resolve(null);
+        return;
+      }
+      db.get('SELECT vec_version() AS version', (versionErr, row) => {
+        if (versionErr) {
+          console.error('sqlite-vec loaded but not usable:', versionErr.message);
+          resolve(null);
+          return;
+        }
+        log.info(`sqlite-vec ${row.version} loaded from ${extensionPath}.`);
+        resolve({ path: extensionPath, version: row.version });
+      });
+    });
+  });
+  return loading;
+}
+
+// Outcome of the last load, null when none was attempted
+function loaded() {
+  return loading;
+}
+
+module.exports = { candidatePaths, resolvePath, load, loaded };
@@ -0,0 +1,22 @@
+// Vectors are stored as little-endian Float32 BLOBs, the layout sqlite-vec expects
+
+const toBuffer = (vector) => Buffer.from(new Float32Array(vector).buffer);
+
+// Copy first: BLOBs handed back by sqlite3 are not guaranteed to be 4-byte aligned
+const fromBuffer = (buffer) => Array.from(new Float32Array(new Uint8Array(buffer).buffer));
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+const norm = (vector) => Math.sqrt(dot(vector, vector));
+
+// 1 - cosine similarity, as sqlite-vec's vec_distance_cosine; the norm of a can be passed in when known
+const cosineDistance = (a, b, normA = norm(a)) => {
+  const denominator = normA * norm(b);
+  return denominator ? 1 - dot(a, b) / denominator : 1;
+};
+
+module.exports = { toBuffer, fromBuffer, dot, norm, cosineDistance };
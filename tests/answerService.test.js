@@ -0,0 +1,130 @@
+const http = require('http');
+const documentService = require('../src/services/documentService');
+const answerService = require('../src/services/answerService');
+
+jest.mock('../src/utils/database', () => ({}));
+jest.mock('../src/services/documentService', () => ({
+  searchDocuments: jest.fn(),
+  resolveHybrid: jest.fn(hybrid => hybrid || {})
+}));
+
+const searchResults = [
+  {
+    id: 1,
+    filename: 'remote_work_policy.txt',
+    passages: [
+      { chunkId: 11, chunkIndex: 0, start: 0, end: 100, content: 'Home office stipend of $500 annually.', similarity: 0.9, score: 0.9 },
+      { chunkId: 12, chunkIndex: 1, start: 100, end: 200, content: 'Minimum 6 months of employment required.', similarity: 0.6, score: 0.6 }
+    ]
+  },
+  {
+    id: 2,
+    filename: 'coffee_roasting_art.txt',
+    passages: [
+      { chunkId: 21, chunkIndex: 0, start: 0, end: 100, content: 'Light roasts keep more acidity.', similarity: 0.7, score: 0.7 }
+    ]
+  }
+];
+
+// Minimal OpenAI-compatible chat completions endpoint
+const ANSWER_PARTS = ['Employees get ', 'a $500 stipend ', '[1].'];
+let lastRequest;
+const stub = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    lastRequest = JSON.parse(body);
+    if (lastRequest.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const part of ANSWER_PARTS) {
+        const chunk = { id: 'c1', object: 'chat.completion.chunk', model: 'stub-model', choices: [{ index: 0, delta: { content: part } }] };
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+      }
+      res.end('data: [DONE]\n\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      id: 'c1',
+      object: 'chat.completion',
+      model: 'stub-model',
+      choices: [{ index: 0, message: { role: 'assistant', content: ANSWER_PARTS.join('') }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+    }));
+  });
+});
+
+describe('AnswerService', () => {
+  beforeAll(done => {
+    stub.listen(0, '127.0.0.1', () => {
+      answerService.baseURL = `http://127.0.0.1:${stub.address().port}/v1`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    stub.close(done);
+  });
+
+  beforeEach(() => {
+    documentService.searchDocuments.mockResolvedValue(searchResults);
+  });
+
+  test('retrieve numbers the best passages across documents', async () => {
+    const citations = await answerService.retrieve('stipend', { topK: 2 });
+
+    expect(citations.map(c => [c.number, c.chunkId, c.documentId])).toEqual([[1, 11, 1], [2, 21, 2]]);
+  });
+
+  test('answer grounds the prompt on numbered sources and reports citations', async () => {
+    const result = await answerService.answer('How big is the stipend?', { topK: 3 });
+
+    expect(result.answer).toBe('Employees get a $500 stipend [1].');
+    expect(result.cited).toEqual([1]);
+    expect(result.citations).toHaveLength(3);
+    expect(result.model).toBe('stub-model');
+    expect(result.usage.total_tokens).toBe(15);
+    expect(lastRequest.messages[1].content).toContain('[1] (remote_work_policy.txt)\nHome office stipend of $500 annually.');
+    expect(lastRequest.messages[1].content).toContain('Question: How big is the stipend?');
+  });
+
+  test('streamAnswer yields citations, deltas and done', async () => {
+    const events = [];
+    for await (const event of answerService.streamAnswer('How big is the stipend?')) {
+      events.push(event);
+    }
+
+    expect(events[0].event).toBe('citations');
+    expect(events.filter(e => e.event === 'delta').map(e => e.data.content)).toEqual(ANSWER_PARTS);
+    expect(events[events.length - 1]).toEqual({
+      event: 'done',
+      data: { answer: ANSWER_PARTS.join(''), cited: [1], model: 'stub-model' }
+    });
+  });
+
+  test('does not call the model when nothing is retrieved', async () => {
+    documentService.searchDocuments.mockResolvedValue([]);
+    lastRequest = undefined;
+
+    const result = await answerService.answer('Unrelated question');
+
+    expect(result.citations).toEqual([]);
+    expect(lastRequest).toBeUndefined();
+  });
+
+  test('resolveOptions checks topK and the generation options', () => {
+    expect(answerService.resolveOptions({})).toEqual({ topK: 5, hybrid: {}, temperature: undefined, maxTokens: undefined });
+    expect(answerService.resolveOptions({ topK: '8', temperature: 0, maxTokens: 200 })).toEqual({ topK: 8, hybrid: {}, temperature: 0, maxTokens: 200 });
+
+    for (const topK of [0, -3, 2.5, 'abc', 51, 1e6, null]) {
+      expect(() => answerService.resolveOptions({ topK })).toThrow(expect.objectContaining({ status: 400, message: 'topK must be an integer from 1 to 50' }));
+    }
+    expect(() => answerService.resolveOptions({ temperature: 3 })).toThrow('temperature must be a number from 0 to 2');
+    expect(() => answerService.resolveOptions({ temperature: '0.5' })).toThrow('temperature must be a number from 0 to 2');
+    expect(() => answerService.resolveOptions({ maxTokens: 0 })).toThrow('maxTokens must be a positive integer');
+  });
+
+  test('citedNumbers ignores references to sources that do not exist', () => {
+    expect(answerService.citedNumbers('See [2] and [1][2], not [7].', [{}, {}])).toEqual([1, 2]);
+  });
+});
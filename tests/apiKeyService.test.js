@@ -0,0 +1,173 @@
+const db = require('../src/utils/database');
+const { get } = require('../src/utils/dbAsync');
+const apiKeyService = require('../src/services/apiKeyService');
+const { authenticate, requireScope } = require('../src/middleware/auth');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+
+// Just enough of Express' req and res for the middleware
+const request = (headers = {}) => ({ get: name => headers[name.toLowerCase()] });
+const response = () => {
+  const res = { statusCode: 200, headers: {} };
+  res.status = jest.fn(code => Object.assign(res, { statusCode: code }));
+  res.json = jest.fn(body => Object.assign(res, { body }));
+  res.set = jest.fn((name, value) => Object.assign(res.headers, typeof name === 'string' ? { [name]: value } : name));
+  return res;
+};
+
+const settings = { ...apiKeyService };
+
+describe('ApiKeyService', () => {
+  beforeAll(async () => {
+    await require('../src/migrations/005-api-keys').up();
+  });
+
+  afterEach(() => {
+    Object.assign(apiKeyService, settings, { windows: new Map() });
+  });
+
+  afterAll(done => {
+    db.close(done);
+  });
+
+  test('creates keys that are only stored hashed', async () => {
+    const created = await apiKeyService.createKey({ name: 'dify', scopes: ['search'], rateLimit: 60 });
+
+    expect(created.key).toMatch(/^rag_[\w-]{32}$/);
+    expect(created).toMatchObject({ name: 'dify', prefix: created.key.slice(0, 10), scopes: ['search'], rateLimit: 60, dailyQuota: null, revokedAt: null });
+    const row = await get('SELECT * FROM api_keys WHERE id = ?', [created.id]);
+    expect(JSON.stringify(row)).not.toContain(created.key);
+    expect((await apiKeyService.listKeys()).find(key => key.id === created.id)).not.toHaveProperty('key');
+  });
+
+  test('validates name, scopes and limits', async () => {
+    await expect(apiKeyService.createKey({ scopes: ['search'] })).rejects.toThrow('name is required');
+    await expect(apiKeyService.createKey({ name: 'a', scopes: [] })).rejects.toThrow('scopes must be a list of: search, ingest, admin');
+    await expect(apiKeyService.createKey({ name: 'a', scopes: ['root'] })).rejects.toThrow('scopes must be a list of');
+    await expect(apiKeyService.createKey({ name: 'a', scopes: ['search'], dailyQuota: -1 })).rejects.toThrow('dailyQuota must be a non-negative integer');
+  });
+
+  test('authenticates active keys only', async () => {
+    const { key, id } = await apiKeyService.createKey({ name: 'ingest', scopes: ['ingest'] });
+
+    expect(await apiKeyService.authenticate(key)).toMatchObject({ id, scopes: ['ingest'] });
+    expect((await apiKeyService.getKey(id)).lastUsedAt).not.toBeNull();
+    expect(await apiKeyService.authenticate(`${key}x`)).toBeNull();
+
+    expect((await apiKeyService.revokeKey(id)).revokedAt).not.toBeNull();
+    expect(await apiKeyService.authenticate(key)).toBeNull();
+    await expect(apiKeyService.revokeKey(9999)).rejects.toThrow('API key not found');
+  });
+
+  test('accepts ADMIN_API_KEY with every scope', async () => {
+    apiKeyService.adminKey = 'configured-admin-key';
+
+    const admin = await apiKeyService.authenticate('configured-admin-key');
+
+    expect(admin).toMatchObject({ id: null, scopes: ['admin'] });
+    expect(apiKeyService.hasScope(admin, 'ingest')).toBe(true);
+    expect(await apiKeyService.consume(admin)).toBeNull();
+  });
+
+  test('limits requests per minute', async () => {
+    const apiKey = await apiKeyService.createKey({ name: 'limited', scopes: ['search'], rateLimit: 2 });
+    const start = Date.parse('2024-01-15T10:30:00Z');
+
+    expect(await apiKeyService.consume(apiKey, start)).toEqual({ limit: 2, remaining: 1, reset: 60 });
+    expect(await apiKeyService.consume(apiKey, start + 15000)).toEqual({ limit: 2, remaining: 0, reset: 45 });
+    await expect(apiKeyService.consume(apiKey, start + 30000)).rejects.toMatchObject({
+      status: 429, retryAfter: 30, message: 'Rate limit of 2 requests per minute exceeded'
+    });
+    // A new window starts after a minute
+    expect(await apiKeyService.consume(apiKey, start + 60000)).toMatchObject({ remaining: 1 });
+  });
+
+  test('counts requests against the daily quota', async () => {
+    const apiKey = await apiKeyService.createKey({ name: 'quota', scopes: ['search'], rateLimit: 0, dailyQuota: 2 });
+
+    expect(await apiKeyService.consume(apiKey)).toBeNull();
+    await apiKeyService.consume(apiKey);
+    await expect(apiKeyService.consume(apiKey)).rejects.toMatchObject({ status: 429, message: 'Daily quota of 2 requests exceeded' });
+    expect((await apiKeyService.getKey(apiKey.id)).requestsToday).toBe(2);
+  });
+
+  test('does not count requests refused by the daily quota against the rate limit', async () => {
+    const apiKey = await apiKeyService.createKey({ name: 'both', scopes: ['search'], rateLimit: 3, dailyQuota: 1 });
+    const start = Date.now();
+
+    expect(await apiKeyService.consume(apiKey, start)).toMatchObject({ remaining: 2 });
+    for (let i = 0; i < 3; i++) {
+      await expect(apiKeyService.consume(apiKey, start)).rejects.toMatchObject({ message: 'Daily quota of 1 requests exceeded' });
+    }
+    expect(apiKeyService.windows.get(apiKey.id).count).toBe(1);
+  });
+
+  describe('auth middleware', () => {
+    beforeEach(() => {
+      apiKeyService.enabled = true;
+    });
+
+    test('refuses requests without a valid key', async () => {
+      for (const [headers, error] of [[{}, 'API key required'], [{ 'x-api-key': 'rag_unknown' }, 'Invalid API key']]) {
+        const res = response();
+        const next = jest.fn();
+
+        await authenticate(request(headers), res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(401);
+        expect(res.body).toEqual({ error });
+      }
+    });
+
+    test('takes the key from either header and checks its scopes', async () => {
+      const { key } = await apiKeyService.createKey({ name: 'reader', scopes: ['search'], rateLimit: 10 });
+
+      for (const headers of [{ 'x-api-key': key }, { authorization: `Bearer ${key}` }]) {
+        const req = request(headers);
+        const res = response();
+        const next = jest.fn();
+
+        await authenticate(req, res, next);
+
+        expect(next).toHaveBeenCalledWith();
+        expect(req.apiKey.name).toBe('reader');
+        expect(res.headers).toMatchObject({ 'X-RateLimit-Limit': 10 });
+
+        const allowed = jest.fn();
+        requireScope('search', 'ingest')(req, response(), allowed);
+        expect(allowed).toHaveBeenCalled();
+
+        const denied = response();
+        requireScope('admin')(req, denied, jest.fn());
+        expect(denied.statusCode).toBe(403);
+        expect(denied.body).toEqual({ error: 'API key lacks the admin scope' });
+      }
+    });
+
+    test('answers 429 with Retry-After once the limit is reached', async () => {
+      const { key } = await apiKeyService.createKey({ name: 'burst', scopes: ['search'], rateLimit: 1 });
+      await authenticate(request({ 'x-api-key': key }), response(), jest.fn());
+
+      const res = response();
+      await authenticate(request({ 'x-api-key': key }), res, jest.fn());
+
+      expect(res.statusCode).toBe(429);
+      expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+    });
+
+    test('lets everything through unless API_AUTH is on', async () => {
+      apiKeyService.enabled = false;
+      const req = request();
+      const next = jest.fn();
+
+      await authenticate(req, response(), next);
+      requireScope('admin')(req, response(), next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const archiveService = require('../src/services/archiveService');
+
+const settings = { ...archiveService };
+
+// Write a zip archive of { path: content } and return its path
+const zipFile = async (dir, files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  const filePath = path.join(dir, 'upload.zip');
+  fs.writeFileSync(filePath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+  return filePath;
+};
+
+describe('ArchiveService', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archives-'));
+  });
+
+  afterEach(() => {
+    Object.assign(archiveService, settings);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const extracted = () => fs.readdirSync(dir).filter(name => name !== 'upload.zip').sort();
+
+  test('recognises archives by name, MIME type and content', async () => {
+    expect(archiveService.accepts('docs.ZIP', 'application/octet-stream')).toBe(true);
+    expect(archiveService.accepts('export', 'application/zip')).toBe(true);
+    // Office documents are zip files, but not archives to expand
+    expect(archiveService.accepts('report.docx', 'application/zip')).toBe(false);
+
+    const filePath = await zipFile(dir, { 'a.txt': 'A' });
+    const textPath = path.join(dir, 'a.txt');
+    fs.writeFileSync(textPath, 'PK but not really');
+    expect(await archiveService.isArchive(filePath)).toBe(true);
+    expect(await archiveService.isArchive(textPath)).toBe(false);
+  });
+
+  test('extracts supported files, flattening folders', async () => {
+    const filePath = await zipFile(dir, {
+      'handbook.md': '# Handbook',
+      'hr/policy.txt': 'HR policy',
+      'legal/policy.txt': 'Legal policy',
+      'tools/setup.exe': 'MZ',
+      '__MACOSX/hr/._policy.txt': 'resource fork',
+      'hr/.DS_Store': 'finder'
+    });
+
+    const entries = await archiveService.expand(filePath, dir);
+
+    expect(entries.map(entry => entry.name)).toEqual(['handbook.md', 'hr/policy.txt', 'legal/policy.txt', 'tools/setup.exe']);
+    const [handbook, hrPolicy, legalPolicy, setup] = entries;
+    expect(handbook.filename).toMatch(/^\d+-handbook\.md$/);
+    // Same name from another folder gets a counter instead of overwriting
+    expect(legalPolicy.filename).toBe(hrPolicy.filename.replace('-policy', '-2-policy'));
+    expect(fs.readFileSync(legalPolicy.filePath, 'utf8')).toBe('Legal policy');
+    expect(setup.error).toMatchObject({ status: 400, message: expect.stringContaining('Unsupported file type') });
+    expect(extracted()).toEqual([handbook.filename, legalPolicy.filename, hrPolicy.filename].sort());
+  });
+
+  test('reports files over the per-file limit and keeps the others', async () => {
+    archiveService.maxFileBytes = 100;
+    const filePath = await zipFile(dir, { 'big.txt': 'x'.repeat(1000), 'small.txt': 'small' });
+
+    const [big, small] = await archiveService.expand(filePath, dir);
+
+    expect(big.error).toMatchObject({ status: 413, message: 'File is larger than 100 bytes' });
+    expect(small.filename).toMatch(/-small\.txt$/);
+    expect(extracted()).toEqual([small.filename]);
+  });
+
+  test('refuses archives that expand too far, keeping nothing', async () => {
+    archiveService.maxBytes = 1500;
+    // Compresses to a few bytes
+    const filePath = await zipFile(dir, { 'a.txt': 'x'.repeat(1000), 'b.txt': 'x'.repeat(1000) });
+
+    await expect(archiveService.expand(filePath, dir)).rejects.toMatchObject({
+      status: 413, message: 'Archive expands to more than 1500 bytes'
+    });
+    expect(extracted()).toEqual([]);
+  });
+
+  test('refuses archives with too many files or that are not zip files', async () => {
+    archiveService.maxFiles = 2;
+    const filePath = await zipFile(dir, { 'a.txt': 'a', 'b.txt': 'b', 'c.txt': 'c' });
+
+    await expect(archiveService.expand(filePath, dir)).rejects.toMatchObject({
+      status: 413, message: 'Archive has 3 files; at most 2 are allowed'
+    });
+
+    fs.writeFileSync(filePath, 'PK\u0003\u0004 truncated');
+    await expect(archiveService.expand(filePath, dir)).rejects.toMatchObject({ status: 400, message: 'Invalid zip archive' });
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const db = require('../src/utils/database');
+const { run } = require('../src/utils/dbAsync');
+const backupService = require('../src/services/backupService');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+
+describe('BackupService', () => {
+  let dir;
+
+  beforeAll(async () => {
+    await run('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)');
+    for (let i = 0; i < 50; i++) {
+      await run('INSERT INTO notes (body) VALUES (?)', [`note ${i}`]);
+    }
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+    backupService.dir = dir;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterAll(done => {
+    db.close(done);
+  });
+
+  test('copies the database into a timestamped file and lists it', async () => {
+    const backup = await backupService.createBackup();
+
+    expect(backup.filename).toMatch(/^rag-[\dT-]+Z\.db$/);
+    expect(backup.path).toBe(path.join(dir, backup.filename));
+    expect(backup.bytes).toBeGreaterThan(0);
+    // Only the finished copy is left
+    expect(fs.readdirSync(dir)).toEqual([backup.filename]);
+
+    const copy = new sqlite3.Database(backup.path, sqlite3.OPEN_READONLY);
+    const row = await new Promise((resolve, reject) => {
+      copy.get('SELECT COUNT(*) AS count, MAX(body) AS last FROM notes', (error, result) => (error ? reject(error) : resolve(result)));
+    });
+    await new Promise(resolve => copy.close(resolve));
+    expect(row).toEqual({ count: 50, last: 'note 9' });
+
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a backup');
+    expect(await backupService.listBackups()).toEqual([expect.objectContaining({ filename: backup.filename, bytes: backup.bytes })]);
+  });
+
+  test('refuses to overwrite a file', async () => {
+    const target = path.join(dir, 'mine.db');
+    fs.writeFileSync(target, 'keep me');
+
+    await expect(backupService.createBackup(target)).rejects.toMatchObject({ status: 400 });
+    expect(fs.readFileSync(target, 'utf8')).toBe('keep me');
+  });
+
+  test('lists nothing when the backup folder does not exist yet', async () => {
+    backupService.dir = path.join(dir, 'missing');
+    expect(await backupService.listBackups()).toEqual([]);
+  });
+});
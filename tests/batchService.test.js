@@ -0,0 +1,31 @@
+const batchService = require('../src/services/batchService');
+const { NotFoundError } = require('../src/utils/errors');
+
+describe('BatchService', () => {
+  test('checks the items of a batch request', () => {
+    expect(batchService.checkItems(['a', 'b'], 'files', 2)).toEqual(['a', 'b']);
+    expect(() => batchService.checkItems(undefined, 'files', 2)).toThrow('files must be a non-empty array');
+    expect(() => batchService.checkItems([], 'queries', 2)).toThrow('queries must be a non-empty array');
+    expect(() => batchService.checkItems(['a', 'b', 'c'], 'files', 2)).toThrow('files may have at most 2 items, got 3');
+  });
+
+  test('turns each item into a result, failures included', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const results = [
+      await batchService.settle('a.pdf', async () => ({ statusCode: 202, body: { jobId: 1 } }), 'Failed'),
+      await batchService.settle('b.pdf', async () => { throw new NotFoundError('File not found'); }, 'Failed'),
+      await batchService.settle('c.pdf', async () => { throw new Error('disk full'); }, 'Failed to process document')
+    ];
+
+    expect(results).toEqual([
+      { name: 'a.pdf', statusCode: 202, jobId: 1 },
+      { name: 'b.pdf', statusCode: 404, error: 'File not found' },
+      // Unexpected errors are logged, not passed on
+      { name: 'c.pdf', statusCode: 500, error: 'Failed to process document' }
+    ]);
+    expect(error).toHaveBeenCalledTimes(1);
+    expect(batchService.summarize(results)).toEqual({ total: 3, succeeded: 1, failed: 2 });
+    error.mockRestore();
+  });
+});
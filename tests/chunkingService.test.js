@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const chunkingService = require('../src/services/chunkingService');
+const { describeLocation } = require('../src/utils/locations');
+
+const materialsDir = path.join(__dirname, '../test-materials');
+const materials = fs.readdirSync(materialsDir)
+  .filter(name => name.endsWith('.txt'))
+  .map(name => [name, fs.readFileSync(path.join(materialsDir, name), 'utf8')]);
+
+describe('ChunkingService', () => {
+  describe.each(['fixed', 'sentence', 'recursive', 'markdown'])('%s strategy', (strategy) => {
+    test.each(materials)('chunks %s within size with exact offsets', (name, text) => {
+      const chunks = chunkingService.chunk(text, { strategy, chunkSize: 64, chunkOverlap: 8 });
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach((chunk, i) => {
+        expect(chunk.index).toBe(i);
+        expect(chunk.text).toBe(text.slice(chunk.start, chunk.end));
+        expect(chunk.tokens).toBeLessThanOrEqual(64);
+      });
+      // Every non-whitespace character ends up in some chunk
+      const covered = new Array(text.length).fill(false);
+      chunks.forEach(chunk => covered.fill(true, chunk.start, chunk.end));
+      expect(text.split('').every((ch, i) => covered[i] || /\s/.test(ch))).toBe(true);
+    });
+  });
+
+  test('fixed strategy overlaps consecutive chunks', () => {
+    const [, text] = materials[0];
+    const chunks = chunkingService.chunk(text, { strategy: 'fixed', chunkSize: 64, chunkOverlap: 16 });
+
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].start).toBeLessThan(chunks[i - 1].end);
+    }
+  });
+
+  test('fixed strategy does not cut words in half', () => {
+    const text = 'alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu '.repeat(20);
+    const chunks = chunkingService.chunk(text, { strategy: 'fixed', chunkSize: 16, chunkOverlap: 0 });
+
+    chunks.forEach(chunk => {
+      expect(chunk.end === text.length || /\s/.test(text[chunk.end])).toBe(true);
+    });
+  });
+
+  test('sentence strategy ends chunks on sentence or line boundaries', () => {
+    const text = fs.readFileSync(path.join(materialsDir, 'quantum_computing_intro.txt'), 'utf8');
+    const chunks = chunkingService.chunk(text, { strategy: 'sentence', chunkSize: 64, chunkOverlap: 0 });
+
+    chunks.forEach(chunk => {
+      expect(chunk.text).toMatch(/([.!?:]|\w)$/);
+      const next = text.slice(chunk.end, chunk.end + 1);
+      expect(next === '' || /\s/.test(next)).toBe(true);
+    });
+  });
+
+  test('markdown strategy keeps chunks under their heading path', () => {
+    const text = [
+      '# Handbook',
+      'Welcome to the company.',
+      '## Leave',
+      'Employees get 20 days of annual leave.',
+      '### Sick leave',
+      'Sick leave requires a note after three days.',
+      '## Equipment',
+      'Laptops are provided.'
+    ].join('\n');
+
+    const chunks = chunkingService.chunk(text, { strategy: 'markdown', chunkSize: 64, chunkOverlap: 0 });
+
+    expect(chunks.map(c => c.heading)).toEqual([
+      'Handbook',
+      'Handbook > Leave',
+      'Handbook > Leave > Sick leave',
+      'Handbook > Equipment'
+    ]);
+    expect(chunks[2].text).toBe('### Sick leave\nSick leave requires a note after three days.');
+  });
+
+  test('rows strategy groups whole rows and repeats the header', () => {
+    const header = 'id,name,description';
+    const rows = Array.from({ length: 40 }, (_, i) => `${i},item ${i},"a ""quoted"" value\nspanning lines"`);
+    const text = [header, ...rows].join('\n');
+
+    const chunks = chunkingService.chunk(text, { strategy: 'rows', chunkSize: 64, chunkOverlap: 0 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.text.startsWith(`${header}\n`)).toBe(true);
+      expect(chunk.text.slice(header.length + 1)).toBe(text.slice(chunk.start, chunk.end));
+      expect(chunk.text.endsWith('spanning lines"')).toBe(true);
+    });
+    expect(chunks.map(c => c.text.split('\n').length - 1).reduce((a, b) => a + b, 0)).toBe(80);
+  });
+
+  test('rows strategy treats blank-line separated blocks as separate tables', () => {
+    const text = 'a,b\n1,2\n3,4\n\nx,y\n5,6';
+
+    const chunks = chunkingService.chunk(text, { strategy: 'rows', chunkSize: 64, chunkOverlap: 0 });
+
+    expect(chunks.map(c => c.text)).toEqual(['a,b\n1,2\n3,4', 'x,y\n5,6']);
+  });
+
+  test('locates chunks by the pages and sheet rows they overlap', () => {
+    const chunks = [
+      { index: 0, start: 0, end: 30 },
+      { index: 1, start: 25, end: 60, heading: 'Budget' },
+      { index: 2, start: 70, end: 90 }
+    ];
+    const segments = [
+      { start: 0, end: 20, location: { page: 1 } },
+      { start: 22, end: 40, location: { page: 2 } },
+      { start: 42, end: 50, location: { sheet: 'Q1 Costs', row: 40, firstColumn: 'A', lastColumn: 'D' } },
+      { start: 51, end: 65, location: { sheet: 'Q1 Costs', row: 41, firstColumn: 'A', lastColumn: 'D' } },
+      { start: 66, end: 80, location: { sheet: 'Q2', row: 2, firstColumn: 'B', lastColumn: 'C' } }
+    ];
+
+    const located = chunkingService.locate(chunks, segments);
+
+    expect(located.map(chunk => chunk.location)).toEqual([
+      { page: 1, pageEnd: 2 },
+      { page: 2, sheet: 'Q1 Costs', range: 'A40:D41', section: 'Budget' },
+      { sheet: 'Q2', range: 'B2:C2' }
+    ]);
+    expect(describeLocation(located[1].location)).toBe("page 2, 'Q1 Costs'!A40:D41, Budget");
+    expect(chunkingService.locate([{ index: 0, start: 0, end: 5 }])).toEqual([{ index: 0, start: 0, end: 5 }]);
+  });
+
+  test('estimates CJK text at about one token per character', () => {
+    expect(chunkingService.estimateTokens('机器学习')).toBe(4);
+    expect(chunkingService.estimateTokens('machine learning')).toBe(4);
+  });
+
+  describe('resolveOptions', () => {
+    test('picks a strategy from the file extension for auto', () => {
+      expect(chunkingService.resolveOptions({ filename: 'notes.md' }).strategy).toBe('markdown');
+      expect(chunkingService.resolveOptions({ filename: 'sheet.xlsx' }).strategy).toBe('rows');
+      expect(chunkingService.resolveOptions({ filename: 'report.pdf' }).strategy).toBe('recursive');
+      expect(chunkingService.resolveOptions({ strategy: 'fixed', filename: 'notes.md' }).strategy).toBe('fixed');
+    });
+
+    test('rejects invalid options', () => {
+      expect(() => chunkingService.resolveOptions({ strategy: 'words' })).toThrow('Unknown chunking strategy');
+      expect(() => chunkingService.resolveOptions({ chunkSize: 4 })).toThrow('chunkSize');
+      expect(() => chunkingService.resolveOptions({ chunkSize: 100, chunkOverlap: 100 })).toThrow('chunkOverlap');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const UPLOADS = path.join(ROOT, 'uploads');
+
+// The CLI as a separate process, on a database of its own with the offline embedder
+describe('rag CLI', () => {
+  let dir;
+  let env;
+
+  const node = (script, args) => spawnSync(process.execPath, [path.join(ROOT, script), ...args], { cwd: ROOT, env, encoding: 'utf8', timeout: 60000 });
+  const rag = (...args) => node('bin/rag.js', args);
+  const json = (result) => JSON.parse(result.stdout);
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-cli-'));
+    env = { ...process.env, DB_PATH: path.join(dir, 'rag.db'), EMBEDDING_PROVIDER: 'hash', BACKUP_DIR: path.join(dir, 'backups') };
+    expect(node('scripts/migrate.js', ['up']).status).toBe(0);
+
+    fs.mkdirSync(path.join(dir, 'docs'));
+    fs.writeFileSync(path.join(dir, 'docs', 'cli-test-leave.txt'), 'Annual leave is twenty five days. Carry over needs approval.');
+    fs.writeFileSync(path.join(dir, 'docs', 'cli-test-remote.md'), '# Remote work\n\nRemote work is allowed two days per week.');
+    fs.writeFileSync(path.join(dir, 'cli-test-notes.xyz'), 'Not a supported format');
+  });
+
+  afterAll(() => {
+    // Stored copies of the files ingested above, should a test have failed before deleting them
+    fs.readdirSync(UPLOADS)
+      .filter(name => name.includes('-cli-test-'))
+      .forEach(name => fs.rmSync(path.join(UPLOADS, name), { force: true }));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('ingests a folder and prints the results as JSON, logging to stderr', () => {
+    const result = rag('ingest', path.join(dir, 'docs'), '--json');
+
+    expect(result.status).toBe(0);
+    const { results, summary } = json(result);
+    expect(summary).toEqual({ total: 2, succeeded: 2, failed: 0 });
+    expect(results.map(file => path.basename(file.path))).toEqual(['cli-test-leave.txt', 'cli-test-remote.md']);
+    expect(results.every(file => file.documentId && file.collection === 'default' && !file.duplicate)).toBe(true);
+    expect(result.stderr).toContain('Connected to SQLite database.');
+  });
+
+  test('searches and lists the documents', () => {
+    const search = rag('search', 'annual', 'leave', '--mode', 'keyword', '--limit', '1', '--json');
+
+    expect(search.status).toBe(0);
+    const { results, page, limit, mode } = json(search);
+    expect({ page, limit, mode }).toEqual({ page: 1, limit: 1, mode: 'keyword' });
+    expect(results).toHaveLength(1);
+    expect(results[0].filename).toMatch(/-cli-test-leave\.txt$/);
+
+    const list = rag('list', '--json');
+    expect(list.status).toBe(0);
+    expect(json(list).documents.map(document => document.filename).sort()).toEqual([
+      expect.stringMatching(/-cli-test-leave\.txt$/),
+      expect.stringMatching(/-cli-test-remote\.md$/)
+    ]);
+  });
+
+  test('exits with 1 when a file or document fails', () => {
+    const ingest = rag('ingest', path.join(dir, 'cli-test-notes.xyz'), '--json');
+    expect(ingest.status).toBe(1);
+    expect(json(ingest).summary).toEqual({ total: 1, succeeded: 0, failed: 1 });
+
+    const remove = rag('delete', '9999', '--json');
+    expect(remove.status).toBe(1);
+    expect(json(remove)).toEqual({ results: [{ id: 9999, error: 'Document not found' }] });
+  });
+
+  test.each([
+    [['search'], 'search needs a query'],
+    [['search', 'leave', '--limit', '0'], '--limit must be a positive integer'],
+    [['search', 'leave', '--mode', 'fuzzy'], '--mode must be one of: vector, keyword, hybrid'],
+    [['delete', 'first'], 'Not a document id: first'],
+    [['list', '--filter', '{'], '--filter must be valid JSON'],
+    [['compact'], 'Unknown command: compact']
+  ])('exits with 2 for invalid arguments: %j', (args, message) => {
+    const result = rag(...args, '--json');
+
+    expect(result.status).toBe(2);
+    expect(result.stdout).toBe('');
+    expect(result.stderr).toContain(message);
+  });
+
+  test('deletes documents with their files', () => {
+    const { documents } = json(rag('list', '--json'));
+    const ids = documents.map(document => document.id);
+
+    const result = rag('delete', ...ids.map(String), '--delete-file', '--json');
+
+    expect(result.status).toBe(0);
+    expect(json(result).results).toEqual(ids.map(id => ({ id, chunksDeleted: 1, fileDeleted: true })));
+    expect(documents.filter(document => fs.existsSync(path.join(UPLOADS, document.filename)))).toEqual([]);
+    expect(json(rag('list', '--json')).documents).toEqual([]);
+  });
+});
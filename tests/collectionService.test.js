@@ -0,0 +1,75 @@
+const dbAsync = require('../src/utils/dbAsync');
+const collectionService = require('../src/services/collectionService');
+
+jest.mock('../src/utils/database', () => ({}));
+jest.mock('../src/utils/dbAsync', () => ({
+  run: jest.fn(),
+  get: jest.fn(),
+  all: jest.fn(),
+  transaction: jest.fn(fn => fn())
+}));
+
+const COLLECTIONS = {
+  default: { id: 1, name: 'default', document_count: 3, chunk_count: 9 },
+  hr: { id: 2, name: 'hr', chunking: '{"strategy":"sentence"}', document_count: 2, chunk_count: 5 },
+  legal: { id: 3, name: 'legal', document_count: 0, chunk_count: 0 }
+};
+
+describe('CollectionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dbAsync.get.mockImplementation(async (sql, [value]) => {
+      if (sql.startsWith('SELECT 1')) return COLLECTIONS[value] ? { 1: 1 } : undefined;
+      return COLLECTIONS[value];
+    });
+  });
+
+  describe('resolveScope', () => {
+    test('accepts names, comma-separated lists and arrays', async () => {
+      const ids = await collectionService.resolveScope('hr, legal', ['legal', 'default']);
+
+      expect(ids).toEqual([2, 3, 1]);
+    });
+
+    test('returns no ids when no collection is given', async () => {
+      expect(await collectionService.resolveScope(undefined, [])).toEqual([]);
+    });
+
+    test('rejects unknown collections', async () => {
+      await expect(collectionService.resolveScope('hr,sales')).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('createCollection', () => {
+    test('rejects invalid names and existing collections', async () => {
+      await expect(collectionService.createCollection({ name: 'my docs' })).rejects.toMatchObject({ status: 400 });
+      await expect(collectionService.createCollection({ name: 'hr' })).rejects.toMatchObject({ status: 409 });
+      expect(dbAsync.run).not.toHaveBeenCalled();
+    });
+
+    test('rejects invalid chunking defaults', async () => {
+      await expect(collectionService.createCollection({ name: 'sales', chunking: { strategy: 'pages' } }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('deleteCollection', () => {
+    test('refuses the default collection and non-empty collections without force', async () => {
+      await expect(collectionService.deleteCollection('default', { force: true })).rejects.toMatchObject({ status: 400 });
+      await expect(collectionService.deleteCollection('hr')).rejects.toMatchObject({ status: 409 });
+      expect(dbAsync.run).not.toHaveBeenCalled();
+    });
+
+    test('deletes documents and chunks with force', async () => {
+      const result = await collectionService.deleteCollection('hr', { force: true });
+
+      expect(result).toEqual({ name: 'hr', documentsDeleted: 2, chunksDeleted: 5 });
+      expect(dbAsync.transaction).toHaveBeenCalledTimes(1);
+      expect(dbAsync.run.mock.calls.map(([sql]) => sql.split(' ').slice(0, 3).join(' '))).toEqual([
+        'DELETE FROM embeddings',
+        'DELETE FROM documents',
+        'DELETE FROM collections'
+      ]);
+    });
+  });
+});
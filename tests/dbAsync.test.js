@@ -0,0 +1,78 @@
+const db = require('../src/utils/database');
+const { run, get, all, transaction } = require('../src/utils/dbAsync');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('dbAsync transactions', () => {
+  beforeAll(async () => {
+    await run('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT)');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    await run('DELETE FROM notes');
+  });
+
+  afterAll(done => {
+    console.error.mockRestore();
+    db.close(done);
+  });
+
+  test('a rollback keeps writes made outside the transaction meanwhile', async () => {
+    let opened;
+    const open = new Promise(resolve => { opened = resolve; });
+    const failing = transaction(async () => {
+      await run("INSERT INTO notes (body) VALUES ('inside')");
+      opened();
+      await tick();
+      throw new Error('Embedding failed');
+    });
+
+    // Another job writes while the transaction is open
+    await open;
+    const outside = Promise.all([
+      run("INSERT INTO notes (body) VALUES ('outside')"),
+      run('CREATE TABLE IF NOT EXISTS created_outside (id INTEGER PRIMARY KEY)')
+    ]);
+
+    await expect(failing).rejects.toThrow('Embedding failed');
+    await outside;
+
+    expect(await all('SELECT body FROM notes')).toEqual([{ body: 'outside' }]);
+    expect(await get("SELECT name FROM sqlite_master WHERE name = 'created_outside'")).toEqual({ name: 'created_outside' });
+  });
+
+  test('outside statements wait for the commit and see its rows', async () => {
+    const order = [];
+    const committed = transaction(async () => {
+      await run("INSERT INTO notes (body) VALUES ('first')");
+      await tick();
+      order.push('transaction');
+    });
+    await tick();
+    const read = get('SELECT COUNT(*) AS count FROM notes').then(row => {
+      order.push('read');
+      return row;
+    });
+
+    await committed;
+    expect(await read).toEqual({ count: 1 });
+    expect(order).toEqual(['transaction', 'read']);
+  });
+
+  test('a transaction waits for statements sent before it', async () => {
+    const write = run("INSERT INTO notes (body) VALUES ('before')");
+    await expect(transaction(async () => {
+      await run("INSERT INTO notes (body) VALUES ('inside')");
+      throw new Error('Rolled back');
+    })).rejects.toThrow('Rolled back');
+    await write;
+
+    expect(await all('SELECT body FROM notes')).toEqual([{ body: 'before' }]);
+  });
+});
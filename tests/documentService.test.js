@@ -0,0 +1,209 @@
+const documentService = require('../src/services/documentService');
+const embeddingService = require('../src/services/embeddingService');
+const rerankService = require('../src/services/rerankService');
+const { all } = require('../src/utils/dbAsync');
+
+jest.mock('../src/utils/database', () => ({}));
+jest.mock('../src/utils/dbAsync', () => ({ all: jest.fn() }));
+
+const hit = (chunkId, docId, scores) => ({
+  chunkId,
+  docId,
+  chunkIndex: chunkId,
+  start: chunkId * 100,
+  end: chunkId * 100 + 100,
+  content: `chunk ${chunkId}`,
+  filename: `doc-${docId}.txt`,
+  preview: 'preview',
+  uploadDate: '2024-01-15 10:30:00',
+  ...scores
+});
+
+describe('DocumentService', () => {
+  describe('groupPassages', () => {
+    const vectorHit = (chunkId, docId, similarity) => hit(chunkId, docId, { similarity, score: similarity });
+
+    test('groups passages under documents ranked by best passage', () => {
+      const hits = [vectorHit(1, 10, 0.9), vectorHit(2, 20, 0.8), vectorHit(3, 10, 0.7)];
+
+      const results = documentService.groupPassages(hits);
+
+      expect(results.map(r => r.id)).toEqual([10, 20]);
+      expect(results[0].similarity).toBeCloseTo(0.9);
+      expect(results[0].passages.map(p => p.chunkId)).toEqual([1, 3]);
+      expect(results[0].passages[1]).toMatchObject({ start: 300, end: 400, content: 'chunk 3' });
+    });
+
+    test('caps the number of passages per document', () => {
+      const hits = [vectorHit(1, 10, 0.9), vectorHit(2, 10, 0.8), vectorHit(3, 10, 0.7)];
+
+      const results = documentService.groupPassages(hits, 2);
+
+      expect(results[0].passages).toHaveLength(2);
+    });
+
+    test('keeps only the best-ranked of documents with the same content', () => {
+      const hits = [
+        { ...vectorHit(1, 10, 0.9), contentHash: 'abc' },
+        { ...vectorHit(2, 30, 0.85), contentHash: 'abc' },
+        { ...vectorHit(3, 20, 0.8), contentHash: 'def' },
+        { ...vectorHit(4, 10, 0.7), contentHash: 'abc' }
+      ];
+
+      const results = documentService.groupPassages(hits);
+
+      expect(results.map(r => r.id)).toEqual([10, 20]);
+      expect(results[0].passages.map(p => p.chunkId)).toEqual([1, 4]);
+    });
+  });
+
+  describe('buildMatchQuery', () => {
+    test('quotes every term and ORs them', () => {
+      expect(documentService.buildMatchQuery('part AB-1234 "Smith"')).toBe('"part" OR "AB-1234" OR """Smith"""');
+    });
+
+    test('drops terms without letters or digits', () => {
+      expect(documentService.buildMatchQuery('  ? - * ')).toBe('');
+      expect(documentService.buildMatchQuery('NOT near?')).toBe('"NOT" OR "near?"');
+    });
+  });
+
+  describe('reciprocalRankFusion', () => {
+    const vectorHits = [hit(1, 10, { similarity: 0.9 }), hit(2, 10, { similarity: 0.8 })];
+    const keywordHits = [hit(2, 10, { bm25: 7.5 }), hit(3, 20, { bm25: 3.1 })];
+
+    test('ranks chunks found by both retrievers first and keeps both scores', () => {
+      const fused = documentService.reciprocalRankFusion(vectorHits, keywordHits);
+
+      expect(fused.map(h => h.chunkId)).toEqual([2, 1, 3]);
+      expect(fused[0]).toMatchObject({ similarity: 0.8, bm25: 7.5 });
+      expect(fused[0].score).toBeCloseTo(1 / 62 + 1 / 61);
+      expect(fused[1].bm25).toBeUndefined();
+      expect(fused[2].similarity).toBeUndefined();
+    });
+
+    test('applies per-retriever weights', () => {
+      const fused = documentService.reciprocalRankFusion(vectorHits, keywordHits, { vectorWeight: 0, keywordWeight: 1, k: 1 });
+
+      expect(fused.map(h => h.chunkId)).toEqual([2, 3, 1]);
+      expect(fused[0].score).toBeCloseTo(1 / 2);
+    });
+  });
+
+  describe('resolvePaging', () => {
+    test('defaults and turns the page into an offset', () => {
+      expect(documentService.resolvePaging({})).toEqual({ limit: 10, page: 1, offset: 0, passagesPerDocument: 3 });
+      expect(documentService.resolvePaging({ limit: 5, page: 3, passagesPerDocument: '2' })).toEqual({ limit: 5, page: 3, offset: 10, passagesPerDocument: 2 });
+    });
+
+    test.each([
+      [{ limit: -1 }, 'limit must be a positive integer'],
+      [{ limit: 0 }, 'limit must be a positive integer'],
+      [{ limit: 'abc' }, 'limit must be a positive integer'],
+      [{ limit: 2.5 }, 'limit must be a positive integer'],
+      [{ page: 0 }, 'page must be a positive integer'],
+      [{ page: '' }, 'page must be a positive integer'],
+      [{ passagesPerDocument: null }, 'passagesPerDocument must be a positive integer'],
+      [{ passagesPerDocument: [3] }, 'passagesPerDocument must be a positive integer']
+    ])('rejects %j', (paging, message) => {
+      expect(() => documentService.resolvePaging(paging)).toThrow(expect.objectContaining({ status: 400, message }));
+    });
+  });
+
+  describe('resolveHybrid', () => {
+    test('accepts missing and non-negative settings', () => {
+      expect(documentService.resolveHybrid(undefined)).toEqual({});
+      expect(documentService.resolveHybrid({ vectorWeight: 0, keywordWeight: 1.5, k: 60 })).toEqual({ vectorWeight: 0, keywordWeight: 1.5, k: 60 });
+    });
+
+    test.each([
+      ['fast', 'hybrid must be an object with vectorWeight, keywordWeight and k'],
+      [[1, 2], 'hybrid must be an object with vectorWeight, keywordWeight and k'],
+      [{ vectorWeight: -1 }, 'hybrid.vectorWeight must be a non-negative number'],
+      [{ keywordWeight: '2' }, 'hybrid.keywordWeight must be a non-negative number'],
+      [{ k: null }, 'hybrid.k must be a non-negative number']
+    ])('rejects %j', (hybrid, message) => {
+      expect(() => documentService.resolveHybrid(hybrid)).toThrow(expect.objectContaining({ status: 400, message }));
+    });
+  });
+
+  describe('searchDocuments', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('drops passages below minSimilarity before grouping', async () => {
+      jest.spyOn(documentService, 'embedQuery').mockResolvedValue([]);
+      jest.spyOn(documentService, 'hybridCandidates').mockResolvedValue([
+        hit(1, 10, { similarity: 0.8, score: 0.03 }),
+        hit(2, 20, { similarity: 0.3, score: 0.02 }),
+        // Only found by keyword, embedded with another model
+        hit(3, 30, { similarity: null, bm25: 4, score: 0.01 }),
+        hit(4, 10, { similarity: 0.2, score: 0.01 })
+      ]);
+
+      const results = await documentService.searchDocuments('leave', 10, 0, { mode: 'hybrid', minSimilarity: 0.5 });
+
+      expect(results.map(r => r.id)).toEqual([10]);
+      expect(results[0].passages.map(p => p.chunkId)).toEqual([1]);
+    });
+
+    test('hands the grouped documents to the rerank stage before paging', async () => {
+      jest.spyOn(documentService, 'keywordCandidates').mockResolvedValue([hit(1, 10, { bm25: 2, score: 2 }), hit(2, 20, { bm25: 1, score: 1 })]);
+      const refine = jest.spyOn(rerankService, 'refine').mockImplementation(async (query, documents) => [...documents].reverse());
+
+      const results = await documentService.searchDocuments('AB-1234', 1, 0, { mode: 'keyword', diversify: { lambda: 0.7 } });
+
+      expect(results.map(r => r.id)).toEqual([20]);
+      expect(refine).toHaveBeenCalledWith('AB-1234', expect.any(Array), { minSimilarity: null, lambda: 0.7, rerank: false }, 1);
+    });
+
+    test('rejects invalid stage options before searching', async () => {
+      const keywordCandidates = jest.spyOn(documentService, 'keywordCandidates');
+
+      await expect(documentService.searchMany(['AB-1234'], 5, 0, { mode: 'keyword', minSimilarity: 0.5 })).rejects.toMatchObject({ status: 400 });
+      expect(keywordCandidates).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchMany', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('embeds all queries in one batch per model', async () => {
+      all.mockResolvedValue([
+        { id: 1, embedding_provider: 'hash', embedding_model: 'hash-a' },
+        { id: 2, embedding_provider: 'hash', embedding_model: 'hash-a' },
+        { id: 3, embedding_provider: 'hash', embedding_model: 'hash-b' }
+      ]);
+      const embedWith = jest.spyOn(embeddingService, 'embedWith').mockImplementation(async (provider, texts) => texts.map(text => [text.length]));
+      const vectorCandidates = jest.spyOn(documentService, 'vectorCandidates').mockResolvedValue([]);
+
+      const results = await documentService.searchMany(['leave', 'remote work', 'pension'], 5, 0, { mode: 'vector' });
+
+      expect(results).toEqual([[], [], []]);
+      expect(embedWith).toHaveBeenCalledTimes(2);
+      expect(embedWith.mock.calls.map(([provider, texts]) => [provider.model, texts])).toEqual([
+        ['hash-a', ['leave', 'remote work', 'pension']],
+        ['hash-b', ['leave', 'remote work', 'pension']]
+      ]);
+      // Each search gets its own query's embeddings, one per model
+      expect(vectorCandidates.mock.calls[1][0]).toEqual([
+        { collectionIds: [1, 2], model: 'hash:hash-a:256', embedding: [11] },
+        { collectionIds: [3], model: 'hash:hash-b:256', embedding: [11] }
+      ]);
+    });
+
+    test('embeds nothing for keyword searches', async () => {
+      const embedWith = jest.spyOn(embeddingService, 'embedWith');
+      const keywordCandidates = jest.spyOn(documentService, 'keywordCandidates').mockResolvedValue([hit(1, 10, { bm25: 2, score: 2 })]);
+
+      const results = await documentService.searchMany(['AB-1234', 'CD-5678'], 5, 0, { mode: 'keyword' });
+
+      expect(embedWith).not.toHaveBeenCalled();
+      expect(keywordCandidates.mock.calls.map(([query]) => query)).toEqual(['AB-1234', 'CD-5678']);
+      expect(results.map(documents => documents.map(document => document.id))).toEqual([[10], [10]]);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../src/utils/database');
+const { run, get, all } = require('../src/utils/dbAsync');
+const migrations = require('../src/utils/migrations');
+const documentService = require('../src/services/documentService');
+const collectionService = require('../src/services/collectionService');
+const embeddingService = require('../src/services/embeddingService');
+const textExtractionService = require('../src/services/textExtraction');
+const vectorIndexService = require('../src/services/vectorIndexService');
+const { resolvePath } = require('../src/utils/sqliteVec');
+const log = require('../src/utils/log');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  const db = new sqlite3.Database(':memory:');
+  require('../src/utils/sqliteVec').load(db);
+  return db;
+});
+
+// Needs a sqlite-vec build for this platform, to check the vec0 index too
+const describeWithVec = resolvePath() ? describe : describe.skip;
+
+const LEAVE = 'Annual leave is twenty five days. Carry over needs approval. Sick leave needs a doctor note after three days.';
+const REMOTE = 'Remote work is allowed two days per week. Equipment is provided by the office manager on request.';
+
+describeWithVec('DocumentService storage', () => {
+  let uploads;
+  let hr;
+
+  // Chunks of a document as stored, in its vec0 index table and matched by full-text search
+  const stored = async (docId) => {
+    const chunks = await all('SELECT id, content, vector FROM embeddings WHERE doc_id = ? ORDER BY chunk_index', [docId]);
+    const ids = chunks.map(chunk => chunk.id);
+    const indexed = await all(`SELECT chunk_id FROM ${vectorIndexService.tableName(256)} WHERE chunk_id IN (${ids.map(() => '?').join(', ')}) ORDER BY chunk_id`, ids);
+    return { chunks, indexed: indexed.map(row => row.chunk_id) };
+  };
+
+  const matches = async (term) => (await all('SELECT rowid FROM embeddings_fts WHERE embeddings_fts MATCH ? ORDER BY rowid', [term])).map(row => row.rowid);
+
+  const fullTextIndexIsConsistent = () => run("INSERT INTO embeddings_fts (embeddings_fts) VALUES ('integrity-check')");
+
+  const saveFile = async (filename, text) => {
+    fs.writeFileSync(path.join(uploads, filename), text);
+    return documentService.saveDocument(filename, path.join(uploads, filename), { collection: hr });
+  };
+
+  beforeAll(async () => {
+    jest.spyOn(log, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await migrations.migrate();
+    await vectorIndexService.build();
+    hr = await collectionService.createCollection({ name: 'hr', embeddingProvider: 'hash', chunking: { strategy: 'recursive', chunkSize: 16, chunkOverlap: 0 } });
+  });
+
+  beforeEach(() => {
+    uploads = fs.mkdtempSync(path.join(os.tmpdir(), 'documents-'));
+    jest.spyOn(documentService, 'uploadPath').mockImplementation(filename => path.join(uploads, filename));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    jest.spyOn(log, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await run('DELETE FROM documents');
+    fs.rmSync(uploads, { recursive: true, force: true });
+  });
+
+  afterAll(done => {
+    jest.restoreAllMocks();
+    db.close(done);
+  });
+
+  test('stores several chunks, indexed for vector and keyword search', async () => {
+    const { id, chunkCount } = await saveFile('leave.txt', LEAVE);
+
+    const { chunks, indexed } = await stored(id);
+    expect(chunkCount).toBeGreaterThan(1);
+    expect(indexed).toEqual(chunks.map(chunk => chunk.id));
+    expect(await matches('doctor')).toHaveLength(1);
+  });
+
+  test('a reprocess whose embedding fails leaves the chunks and vectors as they were', async () => {
+    const { id } = await saveFile('leave.txt', LEAVE);
+    const before = await stored(id);
+    fs.writeFileSync(path.join(uploads, 'leave.txt'), REMOTE);
+    jest.spyOn(embeddingService, 'embedWith').mockRejectedValueOnce(new Error('Failed to generate embedding'));
+
+    await expect(documentService.reprocessDocument(id)).rejects.toThrow('Failed to generate embedding');
+
+    expect(await stored(id)).toEqual(before);
+    expect(await matches('doctor')).toEqual([before.chunks[before.chunks.length - 1].id]);
+    expect(await matches('remote')).toEqual([]);
+  });
+
+  test('a reprocess failing while the new chunks are written is rolled back', async () => {
+    const { id } = await saveFile('leave.txt', LEAVE);
+    const before = await stored(id);
+    const document = await get('SELECT content_hash, content_preview FROM documents WHERE id = ?', [id]);
+    fs.writeFileSync(path.join(uploads, 'leave.txt'), REMOTE);
+    const insertChunks = documentService.insertChunks.bind(documentService);
+    jest.spyOn(documentService, 'insertChunks').mockImplementationOnce(async (docId, chunks) => {
+      // The first new chunk is written, then the disk fails
+      await insertChunks(docId, chunks.slice(0, 1));
+      throw new Error('SQLITE_IOERR: disk I/O error');
+    });
+
+    await expect(documentService.reprocessDocument(id)).rejects.toThrow('disk I/O error');
+
+    expect(await stored(id)).toEqual(before);
+    expect(await get('SELECT content_hash, content_preview FROM documents WHERE id = ?', [id])).toEqual(document);
+    expect(await matches('remote')).toEqual([]);
+    await fullTextIndexIsConsistent();
+  });
+
+  test('a replace whose extraction fails keeps the document and its file', async () => {
+    const { id } = await saveFile('leave.txt', LEAVE);
+    const before = await stored(id);
+    fs.writeFileSync(path.join(uploads, 'remote.txt'), REMOTE);
+    jest.spyOn(textExtractionService, 'extract').mockRejectedValueOnce(new Error('Unsupported file format'));
+
+    await expect(documentService.replaceDocument(id, 'remote.txt', path.join(uploads, 'remote.txt'))).rejects.toThrow('Unsupported file format');
+
+    expect(await stored(id)).toEqual(before);
+    expect(await get('SELECT filename FROM documents WHERE id = ?', [id])).toEqual({ filename: 'leave.txt' });
+    expect(fs.existsSync(path.join(uploads, 'leave.txt'))).toBe(true);
+  });
+
+  test('a replace failing while the new chunks are written is rolled back', async () => {
+    const { id } = await saveFile('leave.txt', LEAVE);
+    const before = await stored(id);
+    fs.writeFileSync(path.join(uploads, 'remote.txt'), REMOTE);
+    const insertChunks = documentService.insertChunks.bind(documentService);
+    jest.spyOn(documentService, 'insertChunks').mockImplementationOnce(async (docId, chunks) => {
+      await insertChunks(docId, chunks.slice(0, 2));
+      throw new Error('SQLITE_FULL: database or disk is full');
+    });
+
+    await expect(documentService.replaceDocument(id, 'remote.txt', path.join(uploads, 'remote.txt'))).rejects.toThrow('disk is full');
+
+    expect(await stored(id)).toEqual(before);
+    expect(await get('SELECT filename FROM documents WHERE id = ?', [id])).toEqual({ filename: 'leave.txt' });
+    expect(fs.existsSync(path.join(uploads, 'leave.txt'))).toBe(true);
+    expect(await matches('remote')).toEqual([]);
+    await fullTextIndexIsConsistent();
+  });
+
+  test('a delete leaves no chunks, vectors or full-text rows behind', async () => {
+    const { id } = await saveFile('leave.txt', LEAVE);
+    const other = await saveFile('remote.txt', REMOTE);
+    const { chunks } = await stored(id);
+    const ids = chunks.map(chunk => chunk.id);
+
+    const result = await documentService.deleteDocument(id, { deleteFile: true });
+
+    expect(result).toEqual({ id, chunksDeleted: chunks.length, fileDeleted: true });
+    expect(await all(`SELECT id FROM embeddings WHERE id IN (${ids.map(() => '?').join(', ')})`, ids)).toEqual([]);
+    expect(await all(`SELECT chunk_id FROM ${vectorIndexService.tableName(256)} WHERE chunk_id IN (${ids.map(() => '?').join(', ')})`, ids)).toEqual([]);
+    expect(await matches('doctor')).toEqual([]);
+    await fullTextIndexIsConsistent();
+    // The other document is untouched
+    expect((await stored(other.id)).indexed).toHaveLength(other.chunkCount);
+    expect(await matches('remote')).toHaveLength(1);
+  });
+});
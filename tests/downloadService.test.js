@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const downloadService = require('../src/services/downloadService');
+
+const mockDir = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-'));
+
+jest.mock('../src/services/documentService', () => ({
+  uploadPath: jest.fn(filename => require('../src/utils/files').resolveInside(mockDir, filename))
+}));
+
+// Stub of the servers documents are downloaded from
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://stub');
+  switch (pathname) {
+    case '/policy.txt':
+    case '/..%2F..%2Fetc%2Fcron.d%2Fjob':
+      res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+      return res.end('Remote work policy');
+    case '/report':
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      return res.end('%PDF-1.4\n');
+    case '/video.pdf':
+      res.writeHead(200, { 'Content-Type': 'video/mp4' });
+      return res.end('not a document');
+    case '/large.txt':
+      res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Length': 2048 });
+      return res.end('x'.repeat(2048));
+    case '/stream.txt':
+      // No Content-Length, so the size is only known while reading
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.write('x'.repeat(1000));
+      return setTimeout(() => res.end('x'.repeat(1000)), 20);
+    case '/slow.txt':
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.write('never finished');
+    case '/moved':
+      res.writeHead(302, { Location: '/policy.txt' });
+      return res.end();
+    case '/moved-to-localhost':
+      res.writeHead(302, { Location: `http://localhost:${server.address().port}/policy.txt` });
+      return res.end();
+    case '/loop':
+      res.writeHead(301, { Location: '/loop' });
+      return res.end();
+    default:
+      res.writeHead(404);
+      return res.end();
+  }
+});
+
+let base;
+const settings = { ...downloadService };
+const uploads = () => fs.readdirSync(mockDir);
+
+describe('DownloadService', () => {
+  beforeAll(done => {
+    server.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.closeAllConnections();
+    server.close(done);
+    fs.rmSync(mockDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    Object.assign(downloadService, settings);
+    uploads().forEach(name => fs.rmSync(path.join(mockDir, name)));
+  });
+
+  describe('host policy', () => {
+    test('refuses private network addresses, by address or by host name', async () => {
+      for (const url of ['http://127.0.0.1/a.pdf', 'http://169.254.169.254/latest/meta-data', 'http://10.0.0.5/a.pdf', 'http://[::1]/a.pdf', 'http://[::ffff:127.0.0.1]/a.pdf', 'http://2130706433/a.pdf']) {
+        expect(() => downloadService.checkUrl(url)).toThrow('Downloads from private network addresses are not allowed');
+      }
+      // Resolved when connecting
+      await expect(downloadService.download(`http://localhost:${server.address().port}/policy.txt`))
+        .rejects.toMatchObject({ status: 400, message: expect.stringMatching(/^Downloads from private network addresses are not allowed/) });
+      expect(uploads()).toEqual([]);
+    });
+
+    test('only fetches http(s) URLs', () => {
+      expect(() => downloadService.checkUrl('file:///etc/passwd')).toThrow('fileUrl must be an http or https URL');
+      expect(() => downloadService.checkUrl('not a url')).toThrow('fileUrl must be a valid URL');
+      expect(downloadService.checkUrl('https://example.com/a.pdf').href).toBe('https://example.com/a.pdf');
+    });
+
+    test('applies the allowed and denied hosts', () => {
+      downloadService.allowedHosts = ['example.com', '*.example.org'];
+      downloadService.deniedHosts = ['private.example.org'];
+
+      expect(() => downloadService.checkUrl('https://example.com/a.pdf')).not.toThrow();
+      expect(() => downloadService.checkUrl('https://docs.example.org/a.pdf')).not.toThrow();
+      expect(() => downloadService.checkUrl('https://private.example.org/a.pdf')).toThrow('Downloads from private.example.org are not allowed');
+      expect(() => downloadService.checkUrl('https://evil-example.com/a.pdf')).toThrow('Downloads from evil-example.com are not allowed');
+      expect(() => downloadService.checkUrl('https://example.org/a.pdf')).toThrow('Downloads from example.org are not allowed');
+    });
+  });
+
+  describe('with private networks allowed', () => {
+    beforeEach(() => {
+      downloadService.allowPrivateNetworks = true;
+    });
+
+    test('saves the file under a timestamped name from the URL', async () => {
+      const { filename, filePath } = await downloadService.download(`${base}/policy.txt?version=2`);
+
+      expect(filename).toMatch(/^\d+-policy\.txt$/);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('Remote work policy');
+      expect(uploads()).toEqual([filename]);
+    });
+
+    test('keeps paths out of the stored name', async () => {
+      const { filename, filePath } = await downloadService.download(`${base}/..%2F..%2Fetc%2Fcron.d%2Fjob`);
+
+      expect(filename).toMatch(/^\d+-job\.txt$/);
+      expect(path.dirname(filePath)).toBe(mockDir);
+    });
+
+    test('adds the extension of the announced format', async () => {
+      const { filename } = await downloadService.download(`${base}/report`);
+
+      expect(filename).toMatch(/^\d+-report\.pdf$/);
+    });
+
+    test('rejects content types of unsupported formats', async () => {
+      await expect(downloadService.download(`${base}/video.pdf`)).rejects.toThrow('Unsupported content type: video/mp4');
+      expect(uploads()).toEqual([]);
+    });
+
+    test('follows redirects, checking every target', async () => {
+      expect((await downloadService.download(`${base}/moved`)).url).toBe(`${base}/policy.txt`);
+
+      downloadService.deniedHosts = ['localhost'];
+      await expect(downloadService.download(`${base}/moved-to-localhost`)).rejects.toThrow('Downloads from localhost are not allowed');
+
+      await expect(downloadService.download(`${base}/loop`)).rejects.toMatchObject({ status: 502, message: 'Download failed: more than 5 redirects' });
+    });
+
+    test('refuses files over the size limit, announced or streamed', async () => {
+      downloadService.maxBytes = 1500;
+
+      await expect(downloadService.download(`${base}/large.txt`)).rejects.toMatchObject({ status: 413, message: 'File is larger than 1500 bytes' });
+      await expect(downloadService.download(`${base}/stream.txt`)).rejects.toMatchObject({ status: 413 });
+      expect(uploads()).toEqual([]);
+    });
+
+    test('gives up on downloads that take too long', async () => {
+      downloadService.timeout = 200;
+
+      await expect(downloadService.download(`${base}/slow.txt`)).rejects.toMatchObject({ status: 502, message: 'Download failed: no complete response within 200 ms' });
+      expect(uploads()).toEqual([]);
+    });
+
+    test('reports error responses', async () => {
+      await expect(downloadService.download(`${base}/missing.pdf`)).rejects.toMatchObject({ status: 502, message: expect.stringContaining('status 404') });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const db = require('../src/utils/database');
+const { run } = require('../src/utils/dbAsync');
+const embeddingCacheService = require('../src/services/embeddingCacheService');
+const embeddingService = require('../src/services/embeddingService');
+const { createProvider } = require('../src/services/embeddingProviders');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+
+const MODEL = 'hash:feature-hash';
+
+describe('EmbeddingCacheService', () => {
+  beforeAll(async () => {
+    await run(`
+      CREATE TABLE embedding_cache (
+        model TEXT NOT NULL,
+        text_hash TEXT NOT NULL,
+        vector BLOB NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used INTEGER NOT NULL,
+        PRIMARY KEY (model, text_hash)
+      )
+    `);
+  });
+
+  beforeEach(async () => {
+    embeddingCacheService.maxEntries = 100;
+    await embeddingCacheService.clear();
+  });
+
+  afterAll(done => {
+    db.close(done);
+  });
+
+  test('returns stored embeddings by normalized text and model', async () => {
+    await embeddingCacheService.store(MODEL, ['Remote work policy'], [[0.5, 0.25]]);
+
+    const cached = await embeddingCacheService.lookup(MODEL, ['  Remote   work\npolicy ', 'Coffee', 'remote work policy']);
+
+    expect(cached).toEqual([[0.5, 0.25], null, null]);
+    expect(await embeddingCacheService.lookup('service:moka-ai/m3e-base', ['Remote work policy'])).toEqual([null]);
+  });
+
+  test('counts hits and misses and clears by model', async () => {
+    await embeddingCacheService.store(MODEL, ['a', 'b'], [[1], [2]]);
+    await embeddingCacheService.store('other', ['a'], [[3]]);
+    await embeddingCacheService.lookup(MODEL, ['a', 'b', 'c']);
+
+    expect(await embeddingCacheService.getStats()).toMatchObject({ entries: 3, hits: 2, misses: 1, hitRate: 2 / 3 });
+    expect(await embeddingCacheService.clear('other')).toBe(1);
+    expect(await embeddingCacheService.getStats()).toMatchObject({
+      entries: 2,
+      hits: 2,
+      models: [{ model: MODEL, entries: 2, bytes: 8 }]
+    });
+  });
+
+  test('evicts the least recently used entries over the limit', async () => {
+    embeddingCacheService.maxEntries = 2;
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValue(1000);
+    await embeddingCacheService.store(MODEL, ['a', 'b'], [[1], [2]]);
+    now.mockReturnValue(2000);
+    await embeddingCacheService.lookup(MODEL, ['a']);
+    now.mockReturnValue(3000);
+    await embeddingCacheService.store(MODEL, ['c'], [[3]]);
+    now.mockRestore();
+
+    expect(await embeddingCacheService.lookup(MODEL, ['a', 'b', 'c'])).toEqual([[1], null, [3]]);
+    expect((await embeddingCacheService.getStats()).evictions).toBe(1);
+  });
+
+  test('spares the provider for cached texts', async () => {
+    const provider = createProvider('hash', { dimensions: 8 });
+    const embedBatch = jest.spyOn(provider, 'embedBatch');
+
+    const first = await embeddingService.embedWith(provider, ['alpha', 'beta']);
+    const progress = [];
+    const second = await embeddingService.embedWith(provider, ['beta', 'gamma', 'alpha'], async (done, total) => progress.push([done, total]));
+
+    expect(second).toEqual([first[1], expect.any(Array), first[0]]);
+    expect(embedBatch.mock.calls.map(([texts]) => texts)).toEqual([['alpha', 'beta'], ['gamma']]);
+    expect(progress).toEqual([[2, 3], [3, 3]]);
+  });
+
+  test('stores nothing when disabled', async () => {
+    embeddingCacheService.maxEntries = 0;
+    await embeddingCacheService.store(MODEL, ['a'], [[1]]);
+
+    expect(await embeddingCacheService.lookup(MODEL, ['a'])).toEqual([null]);
+    expect((await embeddingCacheService.getStats()).entries).toBe(0);
+  });
+});
@@ -0,0 +1,139 @@
+const http = require('http');
+const { createProvider } = require('../src/services/embeddingProviders');
+
+// Stub of the embedding endpoints: every text is embedded as [length, 1, 0]
+let requests = [];
+const vectorFor = (text) => [text.length, 1, 0];
+const stub = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const request = JSON.parse(body);
+    requests.push({ url: req.url, body: request });
+    let response;
+    if (req.url === '/embed') {
+      response = request.texts ? { embeddings: request.texts.map(vectorFor) } : { embedding: vectorFor(request.text) };
+    } else if (req.url === '/api/embed') {
+      response = { model: request.model, embeddings: request.input.map(vectorFor) };
+    } else if (req.url === '/v1/embeddings') {
+      // Out of order on purpose; clients must sort by index
+      response = {
+        object: 'list',
+        model: request.model,
+        data: request.input.map((text, index) => ({ object: 'embedding', index, embedding: vectorFor(text) })).reverse()
+      };
+    } else {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+  });
+});
+
+describe('embedding providers', () => {
+  let baseURL;
+
+  beforeAll(done => {
+    stub.listen(0, '127.0.0.1', () => {
+      baseURL = `http://127.0.0.1:${stub.address().port}`;
+      done();
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(done => {
+    console.error.mockRestore();
+    stub.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const texts = ['alpha', 'beta', 'gamma', 'delta', 'epsilon'];
+  const expected = texts.map(vectorFor);
+
+  test('service sends one text per request by default', async () => {
+    const provider = createProvider('service', { url: `${baseURL}/embed` });
+
+    expect(await provider.embed(texts)).toEqual(expected);
+    expect(requests).toHaveLength(5);
+    expect(requests[0].body).toEqual({ text: 'alpha' });
+  });
+
+  test('service sends batches when a batch size is configured', async () => {
+    const provider = createProvider('service', { url: `${baseURL}/embed`, batchSize: 2 });
+    const progress = [];
+
+    expect(await provider.embed(texts, async (done, total) => progress.push([done, total]))).toEqual(expected);
+    expect(requests.map(r => r.body.texts.length)).toEqual([2, 2, 1]);
+    expect(progress).toEqual([[2, 5], [4, 5], [5, 5]]);
+  });
+
+  test('openai calls /embeddings with the model and keeps the input order', async () => {
+    const provider = createProvider('openai', { baseURL: `${baseURL}/v1`, model: 'bge-m3', batchSize: 4 });
+
+    expect(await provider.embed(texts)).toEqual(expected);
+    expect(requests).toHaveLength(2);
+    expect(requests[0].body).toMatchObject({ model: 'bge-m3', input: texts.slice(0, 4), encoding_format: 'float' });
+    expect(requests[0].body.dimensions).toBeUndefined();
+  });
+
+  test('ollama calls /api/embed with a list of inputs', async () => {
+    const provider = createProvider('ollama', { baseURL: `${baseURL}/` });
+
+    expect(await provider.embed(texts)).toEqual(expected);
+    expect(requests).toEqual([{ url: '/api/embed', body: { model: 'nomic-embed-text', input: texts } }]);
+  });
+
+  test('truncates inputs over the provider limit', async () => {
+    const provider = createProvider('service', { url: `${baseURL}/embed`, maxInputTokens: 16 });
+
+    await provider.embed(['word '.repeat(100)]);
+
+    expect(requests[0].body.text.length).toBeLessThanOrEqual(64);
+  });
+
+  test('rejects vectors of the wrong length', async () => {
+    const provider = createProvider('service', { url: `${baseURL}/embed`, dimensions: 768 });
+
+    await expect(provider.embed(['alpha'])).rejects.toThrow('returned 3 dimensions, expected 768');
+  });
+
+  test('reports an unreachable provider as an embedding failure', async () => {
+    const provider = createProvider('service', { url: `${baseURL}/missing` });
+
+    await expect(provider.embed(['alpha'])).rejects.toThrow('Failed to generate embedding');
+  });
+
+  test('rejects unknown providers', () => {
+    expect(() => createProvider('cohere')).toThrow('embeddingProvider must be one of: service, openai, ollama, hash');
+  });
+
+  describe('hash', () => {
+    const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+    test('is deterministic, normalised and of the configured length', async () => {
+      const provider = createProvider('hash', { dimensions: 64 });
+      const [first] = await provider.embed(['Remote work policy']);
+      const [second] = await createProvider('hash', { dimensions: 64 }).embed(['remote WORK policy!']);
+
+      expect(first).toHaveLength(64);
+      expect(first).toEqual(second);
+      expect(cosine(first, first)).toBeCloseTo(1);
+    });
+
+    test('ranks texts sharing more words as more similar', async () => {
+      const [query, close, far] = await createProvider('hash').embed([
+        'home office stipend',
+        'employees get a home office stipend',
+        '深煎りのコーヒー豆'
+      ]);
+
+      expect(cosine(query, close)).toBeGreaterThan(cosine(query, far));
+      expect(cosine(query, close)).toBeGreaterThan(0.5);
+    });
+  });
+});
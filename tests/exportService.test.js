@@ -0,0 +1,206 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const db = require('../src/utils/database');
+const { run, get, all } = require('../src/utils/dbAsync');
+const { toBuffer, fromBuffer } = require('../src/utils/vector');
+const migrations = require('../src/utils/migrations');
+const documentService = require('../src/services/documentService');
+const collectionService = require('../src/services/collectionService');
+const exportService = require('../src/services/exportService');
+const log = require('../src/utils/log');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+
+// Just enough of a writable stream
+const collector = () => ({ text: '', write(chunk) { this.text += chunk; return true; } });
+
+const exportText = async (options) => {
+  const out = collector();
+  const counts = await exportService.exportIndex(out, options);
+  return { text: out.text, counts };
+};
+
+const importText = (text, options) => exportService.importIndex(Readable.from([text]), options);
+
+// Chunk vectors of the hash provider's length, tagged with its model unless given another
+const vector = (first) => [first, 0.5, -1, ...new Array(253).fill(0)];
+
+const addDocument = async (collectionId, filename, contentHash, { versionOf = null, version = 1, metadata = {}, model = 'hash:feature-hash:256' } = {}) => {
+  const { lastID } = await run(
+    'INSERT INTO documents (filename, content_preview, chunking, metadata, content_hash, version, version_of, collection_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [filename, `Preview of ${filename}`, '{"strategy":"recursive"}', JSON.stringify(metadata), contentHash, version, versionOf, collectionId]
+  );
+  for (const index of [0, 1]) {
+    await run(
+      'INSERT INTO embeddings (doc_id, chunk_index, start_offset, end_offset, location, content, vector, model, dimensions) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [lastID, index, index * 10, index * 10 + 10, JSON.stringify({ page: index + 1 }), `${filename} chunk ${index}`, toBuffer(vector(index)), model, 256]
+    );
+  }
+  return lastID;
+};
+
+const clear = async () => {
+  await run('DELETE FROM documents');
+  await run("DELETE FROM collections WHERE name != 'default'");
+};
+
+describe('ExportService', () => {
+  let uploads;
+  let hr;
+
+  beforeAll(async () => {
+    jest.spyOn(log, 'info').mockImplementation(() => {});
+    await migrations.migrate();
+  });
+
+  beforeEach(async () => {
+    uploads = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+    jest.spyOn(documentService, 'uploadPath').mockImplementation(filename => path.join(uploads, filename));
+    hr = await collectionService.createCollection({ name: 'hr', description: 'HR policies', chunking: { chunkSize: 300 }, embeddingProvider: 'hash' });
+  });
+
+  afterEach(async () => {
+    documentService.uploadPath.mockRestore();
+    await clear();
+    fs.rmSync(uploads, { recursive: true, force: true });
+  });
+
+  afterAll(done => {
+    log.info.mockRestore();
+    db.close(done);
+  });
+
+  test('exports collections and documents with chunks and vectors', async () => {
+    const first = await addDocument(hr.id, 'leave.txt', 'hash-1', { metadata: { department: 'HR' } });
+    await addDocument(hr.id, 'leave-v2.txt', 'hash-2', { versionOf: first, version: 2 });
+
+    const { text, counts } = await exportText({ collectionIds: [hr.id] });
+    const lines = text.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(counts).toEqual({ collections: 1, documents: 2, chunks: 4 });
+    expect(lines.map(line => line.type)).toEqual(['header', 'collection', 'document', 'document', 'end']);
+    expect(lines[0]).toMatchObject({ format: 'local-rag-index', version: 1 });
+    expect(lines[1]).toEqual({
+      type: 'collection', name: 'hr', description: 'HR policies', chunking: { chunkSize: 300 }, embeddingProvider: 'hash', embeddingModel: hr.embeddingModel
+    });
+    expect(lines[2]).toMatchObject({ id: first, collection: 'hr', filename: 'leave.txt', metadata: { department: 'HR' }, contentHash: 'hash-1' });
+    expect(lines[2].chunks[1]).toMatchObject({ index: 1, start: 10, end: 20, location: { page: 2 }, model: 'hash:feature-hash:256', dimensions: 256 });
+    expect(fromBuffer(Buffer.from(lines[2].chunks[1].vector, 'base64'))).toEqual(vector(1));
+    expect(lines[3]).toMatchObject({ versionOf: first, version: 2 });
+    expect(lines[4]).toEqual({ type: 'end', documents: 2, chunks: 4 });
+    expect(lines[2]).not.toHaveProperty('file');
+  });
+
+  test('exports with scope conditions compiled beforehand', async () => {
+    await addDocument(hr.id, 'leave.txt', 'hash-1', { metadata: { department: 'HR' } });
+    await addDocument(hr.id, 'pension.txt', 'hash-2', { metadata: { department: 'Finance' } });
+    const scope = documentService.scopeConditions({ filter: { department: 'Finance' } });
+
+    const { text, counts } = await exportText({ scope });
+
+    expect(counts.documents).toBe(1);
+    expect(text).toContain('"filename":"pension.txt"');
+    expect(() => documentService.scopeConditions({ filter: { department: { $bad: 1 } } })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('imports into a fresh index under new ids, keeping versions together', async () => {
+    const first = await addDocument(hr.id, 'leave.txt', 'hash-1');
+    const second = await addDocument(hr.id, 'leave-v2.txt', 'hash-1', { versionOf: first, version: 2 });
+    fs.writeFileSync(path.join(uploads, 'leave.txt'), 'Leave policy');
+    const { text } = await exportText({ includeFiles: true });
+    await clear();
+    // Taken ids and a file of the same name with other content
+    await run("INSERT INTO documents (filename, content_hash, collection_id) VALUES ('other.txt', 'other', 1)");
+    fs.writeFileSync(path.join(uploads, 'leave.txt'), 'Something else');
+
+    const result = await importText(text);
+
+    expect(result).toMatchObject({
+      collections: { created: ['hr'], existing: ['default'] },
+      documents: { imported: 2, existing: 0, failed: 0 },
+      chunks: 4,
+      errors: [],
+      warnings: []
+    });
+    const newFirst = result.ids[first];
+    const newSecond = result.ids[second];
+    expect(newFirst).not.toBe(first);
+    const collection = await collectionService.getCollection('hr');
+    expect(collection).toMatchObject({ description: 'HR policies', chunking: { chunkSize: 300 }, embeddingProvider: 'hash', documentCount: 2, chunkCount: 4 });
+    expect(await get('SELECT version, version_of FROM documents WHERE id = ?', [newSecond])).toEqual({ version: 2, version_of: newFirst });
+
+    const imported = await get('SELECT filename FROM documents WHERE id = ?', [newFirst]);
+    expect(imported.filename).toBe('2-leave.txt');
+    expect(fs.readFileSync(path.join(uploads, '2-leave.txt'), 'utf8')).toBe('Leave policy');
+    const chunks = await all('SELECT content, vector, location FROM embeddings WHERE doc_id = ? ORDER BY chunk_index', [newFirst]);
+    expect(fromBuffer(chunks[1].vector)).toEqual(vector(1));
+    expect(chunks[1]).toMatchObject({ content: 'leave.txt chunk 1', location: '{"page":2}' });
+    // Chunk text is searchable again
+    expect(await all("SELECT rowid FROM embeddings_fts WHERE embeddings_fts MATCH 'chunk'")).toHaveLength(4);
+  });
+
+  test('handles documents already in the collection by onDuplicate', async () => {
+    const original = await addDocument(hr.id, 'leave.txt', 'hash-1');
+    const { text } = await exportText();
+
+    const existing = await importText(text);
+    expect(existing.documents).toEqual({ imported: 0, existing: 1, failed: 0 });
+    expect(existing.ids).toEqual({ [original]: original });
+
+    const rejected = await importText(text, { onDuplicate: 'reject' });
+    expect(rejected.documents).toEqual({ imported: 0, existing: 0, failed: 1 });
+    expect(rejected.errors).toEqual([{ id: original, filename: 'leave.txt', error: `Document ${original} in collection hr has the same content` }]);
+
+    const versioned = await importText(text, { onDuplicate: 'version' });
+    expect(await get('SELECT version, version_of FROM documents WHERE id = ?', [versioned.ids[original]])).toEqual({ version: 2, version_of: original });
+
+    await expect(importText(text, { onDuplicate: 'overwrite' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('refuses input that is not an export and warns about cut off ones', async () => {
+    await addDocument(hr.id, 'leave.txt', 'hash-1');
+    const { text } = await exportText();
+
+    await expect(importText('{"hello": "world"}\n')).rejects.toThrow('Not an index export');
+    await expect(importText('')).rejects.toThrow('Not an index export: it is empty');
+    await expect(importText(text.replace('"version":1', '"version":9'))).rejects.toThrow('Export format version 9 is newer');
+
+    await clear();
+    const lines = text.trim().split('\n');
+    const result = await importText(`${lines.slice(0, -1).join('\n')}\n`);
+    expect(result.documents.imported).toBe(1);
+    expect(result.warnings).toEqual(['The export has no end line; it may have been cut off']);
+  });
+
+  test('warns about chunks embedded with another model than their collection here', async () => {
+    await addDocument(hr.id, 'leave.txt', 'hash-1', { model: 'openai:text-embedding-3-small' });
+    const { text } = await exportText();
+    await clear();
+
+    const result = await importText(text);
+
+    expect(result.documents.imported).toBe(1);
+    expect(result.warnings).toEqual([
+      'Collection hr: 2 of 2 chunks were embedded with another model than hash:feature-hash:256; re-index the collection to search them'
+    ]);
+  });
+
+  test('reports documents whose collection could not be created', async () => {
+    await addDocument(hr.id, 'leave.txt', 'hash-1');
+    const { text } = await exportText();
+    await clear();
+
+    const result = await importText(text.replace('"embeddingProvider":"hash"', '"embeddingProvider":"quantum"'));
+
+    expect(result.documents.failed).toBe(1);
+    expect(result.errors).toEqual([
+      { collection: 'hr', error: 'embeddingProvider must be one of: service, openai, ollama, hash' },
+      { id: expect.any(Number), filename: 'leave.txt', error: 'Collection hr could not be imported' }
+    ]);
+  });
+});
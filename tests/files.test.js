@@ -0,0 +1,41 @@
+const path = require('path');
+const { safeFilename, resolveInside } = require('../src/utils/files');
+
+describe('files', () => {
+  describe('safeFilename', () => {
+    test('keeps letters, digits, dots, dashes and underscores', () => {
+      expect(safeFilename('Q1 report (final).pdf')).toBe('Q1_report_final_.pdf');
+      expect(safeFilename('Lebenslauf-Müller_2024.docx')).toBe('Lebenslauf-Müller_2024.docx');
+    });
+
+    test('drops directories, leading dots and control characters', () => {
+      expect(safeFilename('../../etc/passwd')).toBe('passwd');
+      expect(safeFilename('C:\\Users\\me\\notes.txt')).toBe('notes.txt');
+      expect(safeFilename('.env')).toBe('env');
+      expect(safeFilename('a\0b\n.txt')).toBe('a_b_.txt');
+      expect(safeFilename('..', 'download')).toBe('download');
+    });
+
+    test('shortens long names, keeping the extension', () => {
+      const name = safeFilename(`${'a'.repeat(300)}.xlsx`);
+
+      expect(name).toHaveLength(200);
+      expect(name.endsWith('a.xlsx')).toBe(true);
+    });
+  });
+
+  describe('resolveInside', () => {
+    const dir = path.join(__dirname, 'uploads');
+
+    test('resolves names of files in the folder', () => {
+      expect(resolveInside(dir, '1758765824314-policy.pdf')).toBe(path.join(dir, '1758765824314-policy.pdf'));
+      expect(resolveInside(dir, 'report..final.txt')).toBe(path.join(dir, 'report..final.txt'));
+    });
+
+    test('refuses anything that leaves the folder', () => {
+      for (const filename of ['../db/rag.db', '..', '.', 'a/../../b', '/etc/passwd', '..\\server.js', 'a\0.txt', '', undefined, { name: 'a' }]) {
+        expect(() => resolveInside(dir, filename)).toThrow('Invalid filename');
+      }
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const { globToRegExp, pathMatcher } = require('../src/utils/glob');
+
+describe('glob', () => {
+  describe('globToRegExp', () => {
+    test('matches names without a folder in any folder', () => {
+      const pdf = globToRegExp('*.pdf');
+
+      expect(pdf.test('a.pdf')).toBe(true);
+      expect(pdf.test('reports/2024/a.pdf')).toBe(true);
+      expect(pdf.test('a.pdf.txt')).toBe(false);
+      expect(globToRegExp('~$*').test('hr/~$leave.docx')).toBe(true);
+    });
+
+    test('anchors patterns with a folder at the top', () => {
+      expect(globToRegExp('reports/*.pdf').test('reports/a.pdf')).toBe(true);
+      expect(globToRegExp('reports/*.pdf').test('reports/2024/a.pdf')).toBe(false);
+      expect(globToRegExp('reports/*.pdf').test('old/reports/a.pdf')).toBe(false);
+      expect(globToRegExp('/a.txt').test('a.txt')).toBe(true);
+      expect(globToRegExp('/a.txt').test('b/a.txt')).toBe(false);
+    });
+
+    test('supports **, ? and alternatives', () => {
+      expect(globToRegExp('reports/**').test('reports/2024/q1/a.pdf')).toBe(true);
+      expect(globToRegExp('**/drafts/*.txt').test('drafts/a.txt')).toBe(true);
+      expect(globToRegExp('**/drafts/*.txt').test('hr/drafts/a.txt')).toBe(true);
+      expect(globToRegExp('q?.xlsx').test('q1.xlsx')).toBe(true);
+      expect(globToRegExp('q?.xlsx').test('q10.xlsx')).toBe(false);
+      expect(globToRegExp('*.{doc,docx}').test('a.docx')).toBe(true);
+      expect(globToRegExp('*.{doc,docx}').test('a.pdf')).toBe(false);
+      // Other regular expression characters are literal
+      expect(globToRegExp('a+b (1).txt').test('a+b (1).txt')).toBe(true);
+      expect(globToRegExp('a.txt').test('abtxt')).toBe(false);
+    });
+  });
+
+  test('pathMatcher includes and then excludes', () => {
+    const matches = pathMatcher(['*.pdf', '*.md'], ['drafts/**']);
+
+    expect(matches('a.pdf')).toBe(true);
+    expect(matches('docs/readme.md')).toBe(true);
+    expect(matches('a.txt')).toBe(false);
+    expect(matches('drafts/a.pdf')).toBe(false);
+  });
+});
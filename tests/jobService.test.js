@@ -0,0 +1,196 @@
+const os = require('os');
+const db = require('../src/utils/database');
+const { run, get } = require('../src/utils/dbAsync');
+const documentService = require('../src/services/documentService');
+const collectionService = require('../src/services/collectionService');
+const jobService = require('../src/services/jobService');
+const log = require('../src/utils/log');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+jest.mock('../src/services/documentService', () => ({
+  uploadPath: jest.fn(filename => require('path').join(__dirname, '../test-materials', filename)),
+  saveDocument: jest.fn()
+}));
+jest.mock('../src/services/collectionService', () => ({
+  getCollectionById: jest.fn()
+}));
+
+const FILENAME = 'remote_work_policy.txt';
+
+// Poll until the job reaches one of the given states
+const waitFor = async (id, statuses) => {
+  for (let i = 0; i < 100; i++) {
+    const job = await jobService.getJob(id);
+    if (statuses.includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${id} did not reach ${statuses.join('/')}`);
+};
+
+describe('JobService', () => {
+  beforeAll(async () => {
+    await run(`
+      CREATE TABLE jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        payload TEXT,
+        result TEXT,
+        error TEXT,
+        progress_done INTEGER DEFAULT 0,
+        progress_total INTEGER,
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER,
+        owner TEXT,
+        run_after DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        finished_at DATETIME
+      )
+    `);
+    jobService.retryDelaySeconds = 0;
+    jobService.pollIntervalMs = 20;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(log, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jobService.stop();
+    jest.clearAllMocks();
+  });
+
+  afterAll(done => {
+    console.error.mockRestore();
+    log.info.mockRestore();
+    db.close(done);
+  });
+
+  beforeEach(() => {
+    collectionService.getCollectionById.mockResolvedValue({ id: 1, name: 'default' });
+  });
+
+  test('processes a queued document and records progress and the result', async () => {
+    documentService.saveDocument.mockImplementation(async (filename, filePath, options) => {
+      await options.onProgress(0, 2);
+      await options.onProgress(2, 2);
+      return { id: 7, collection: 'default', chunkCount: 2, chunking: { strategy: 'recursive' } };
+    });
+    await jobService.start();
+
+    const queued = await jobService.enqueue('process', { filename: FILENAME, collectionId: 1, metadata: { dept: 'HR' } });
+    const job = await waitFor(queued.id, ['completed', 'failed']);
+
+    expect(job).toMatchObject({
+      status: 'completed',
+      attempts: 1,
+      progress: { done: 2, total: 2 },
+      result: { documentId: 7, chunkCount: 2 }
+    });
+    expect(documentService.saveDocument.mock.calls[0][2]).toMatchObject({ collection: { id: 1 }, metadata: { dept: 'HR' } });
+  });
+
+  test('retries failed attempts up to maxAttempts', async () => {
+    documentService.saveDocument
+      .mockRejectedValueOnce(new Error('Failed to generate embedding'))
+      .mockRejectedValueOnce(new Error('Failed to generate embedding'))
+      .mockResolvedValueOnce({ id: 8, collection: 'default', chunkCount: 1 });
+    await jobService.start();
+
+    const queued = await jobService.enqueue('process', { filename: FILENAME, collectionId: 1 });
+    const job = await waitFor(queued.id, ['completed', 'failed']);
+
+    expect(job.status).toBe('completed');
+    expect(job.attempts).toBe(3);
+    expect(job.error).toBeNull();
+  });
+
+  test('gives up after maxAttempts and keeps the last error', async () => {
+    documentService.saveDocument.mockRejectedValue(new Error('Failed to generate embedding'));
+    await jobService.start();
+
+    const queued = await jobService.enqueue('process', { filename: FILENAME, collectionId: 1 });
+    const job = await waitFor(queued.id, ['completed', 'failed']);
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 3, error: 'Failed to generate embedding' });
+  });
+
+  test('does not retry errors that would fail the same way again', async () => {
+    await jobService.start();
+
+    const queued = await jobService.enqueue('process', { filename: 'missing.txt', collectionId: 1 });
+    const job = await waitFor(queued.id, ['completed', 'failed']);
+
+    expect(job).toMatchObject({ status: 'failed', attempts: 1, error: 'File not found' });
+    expect(documentService.saveDocument).not.toHaveBeenCalled();
+  });
+
+  test('requeues jobs interrupted by a restart', async () => {
+    documentService.saveDocument.mockResolvedValue({ id: 9, collection: 'default', chunkCount: 1 });
+    const { lastID } = await run(
+      `INSERT INTO jobs (type, status, payload, attempts, max_attempts) VALUES ('process', 'running', ?, 1, 3)`,
+      [JSON.stringify({ filename: FILENAME, collectionId: 1 })]
+    );
+
+    await jobService.start();
+    const job = await waitFor(lastID, ['completed', 'failed']);
+
+    expect(job).toMatchObject({ status: 'completed', attempts: 2, result: { documentId: 9 } });
+  });
+
+  test('leaves running jobs of another live process alone', async () => {
+    // The process that started this one is alive, like a command line next to the server
+    const { lastID } = await run(
+      `INSERT INTO jobs (type, status, payload, attempts, max_attempts, owner) VALUES ('process', 'running', ?, 1, 1, ?)`,
+      [JSON.stringify({ filename: FILENAME, collectionId: 1 }), `${os.hostname()}:${process.ppid}`]
+    );
+
+    await jobService.start();
+    jobService.stop();
+
+    expect(await get('SELECT status, attempts FROM jobs WHERE id = ?', [lastID])).toEqual({ status: 'running', attempts: 1 });
+    await run('DELETE FROM jobs WHERE id = ?', [lastID]);
+  });
+
+  test('claims a queued job only once', async () => {
+    const { lastID } = await run(
+      `INSERT INTO jobs (type, status, payload, max_attempts, run_after) VALUES ('process', 'queued', ?, 3, datetime("now", "-1 second"))`,
+      [JSON.stringify({ filename: FILENAME, collectionId: 1 })]
+    );
+
+    // Both find the job queued before either marks it running
+    const claims = await Promise.all([jobService.claimNextJob(), jobService.claimNextJob()]);
+
+    expect(claims.filter(Boolean).map(job => job.id)).toEqual([lastID]);
+    expect(await get('SELECT status, attempts, owner FROM jobs WHERE id = ?', [lastID])).toEqual({ status: 'running', attempts: 1, owner: `${os.hostname()}:${process.pid}` });
+    await run('DELETE FROM jobs WHERE id = ?', [lastID]);
+  });
+
+  test('runs a job right away without retrying it', async () => {
+    documentService.saveDocument.mockResolvedValueOnce({ id: 10, collection: 'default', chunkCount: 1 });
+
+    const completed = await jobService.runNow('process', { filename: FILENAME, collectionId: 1 });
+    expect(completed).toMatchObject({ status: 'completed', attempts: 1, result: { documentId: 10 } });
+
+    documentService.saveDocument.mockRejectedValueOnce(new Error('Failed to generate embedding'));
+    const failed = await jobService.runNow('process', { filename: FILENAME, collectionId: 1 });
+    expect(failed).toMatchObject({ status: 'failed', attempts: 1, error: 'Failed to generate embedding' });
+  });
+
+  test('queues one of two concurrent re-indexes of a collection', async () => {
+    const payload = { collections: [{ id: 1, name: 'default', provider: 'hash', model: 'feature-hash-v2' }] };
+
+    const [first, second] = await Promise.allSettled([jobService.enqueue('reindex', payload), jobService.enqueue('reindex', payload)]);
+
+    expect(first).toMatchObject({ status: 'fulfilled', value: { type: 'reindex', status: 'queued' } });
+    expect(second).toMatchObject({ status: 'rejected', reason: { status: 409, message: `Collection default is already being re-indexed (job ${first.value.id})` } });
+    await run('DELETE FROM jobs WHERE id = ?', [first.value.id]);
+  });
+
+  test('rejects unknown job types', async () => {
+    await expect(jobService.enqueue('transcode', {})).rejects.toMatchObject({ status: 400 });
+    await expect(jobService.runNow('transcode', {})).rejects.toMatchObject({ status: 400 });
+  });
+});
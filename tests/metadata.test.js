@@ -0,0 +1,98 @@
+const sqlite3 = require('sqlite3');
+const { validateMetadata, mergeMetadata, compileFilter } = require('../src/utils/metadata');
+
+const DOCUMENTS = [
+  { id: 1, metadata: { department: 'HR', tags: ['policy', 'remote'], effectiveDate: '2024-03-01', version: 2, owner: { team: 'people' } } },
+  { id: 2, metadata: { department: 'Legal', tags: ['policy'], effectiveDate: '2023-05-01', version: 10 } },
+  { id: 3, metadata: { department: 'HR', tags: ['guide'], effectiveDate: '2025-01-01', version: '3' } },
+  { id: 4, metadata: null }
+];
+
+describe('metadata', () => {
+  let db;
+
+  beforeAll(done => {
+    db = new sqlite3.Database(':memory:');
+    db.serialize(() => {
+      db.run('CREATE TABLE documents (id INTEGER PRIMARY KEY, metadata TEXT)');
+      for (const doc of DOCUMENTS) {
+        db.run('INSERT INTO documents (id, metadata) VALUES (?, ?)', [doc.id, doc.metadata && JSON.stringify(doc.metadata)]);
+      }
+      db.run('SELECT 1', done);
+    });
+  });
+
+  afterAll(done => {
+    db.close(done);
+  });
+
+  // Ids of the documents matching a filter
+  const matching = (filter) => new Promise((resolve, reject) => {
+    const { sql, params } = compileFilter(filter);
+    db.all(`SELECT d.id FROM documents d WHERE ${sql} ORDER BY d.id`, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.id));
+    });
+  });
+
+  describe('compileFilter', () => {
+    test('matches equality and negation', async () => {
+      expect(await matching({ department: 'HR' })).toEqual([1, 3]);
+      expect(await matching({ department: { $ne: 'HR' } })).toEqual([2, 4]);
+      expect(await matching({ 'owner.team': 'people' })).toEqual([1]);
+    });
+
+    test('matches $in and $nin', async () => {
+      expect(await matching({ department: { $in: ['Legal', 'Sales'] } })).toEqual([2]);
+      expect(await matching({ department: { $nin: ['Legal'] } })).toEqual([1, 3, 4]);
+    });
+
+    test('matches ranges on dates and numbers of the same type only', async () => {
+      expect(await matching({ effectiveDate: { $gte: '2024-01-01', $lt: '2025-01-01' } })).toEqual([1]);
+      expect(await matching({ version: { $gt: 1 } })).toEqual([1, 2]);
+    });
+
+    test('matches values contained in array fields', async () => {
+      expect(await matching({ tags: { $contains: 'policy' } })).toEqual([1, 2]);
+    });
+
+    test('combines filters with $and, $or and $exists', async () => {
+      expect(await matching({ $or: [{ department: 'Legal' }, { tags: { $contains: 'guide' } }] })).toEqual([2, 3]);
+      expect(await matching({ $and: [{ department: 'HR' }, { version: { $exists: true } }], owner: { $exists: false } })).toEqual([3]);
+    });
+
+    test('keeps values out of the SQL', () => {
+      const { sql, params } = compileFilter({ department: "HR' OR 1=1 --" });
+
+      expect(sql).toBe('json_extract(d.metadata, ?) IS ?');
+      expect(params).toEqual(['$.department', "HR' OR 1=1 --"]);
+    });
+
+    test('rejects malformed filters', () => {
+      expect(() => compileFilter('HR')).toThrow('filter must be a JSON object');
+      expect(() => compileFilter({ 'department = 1 --': 'HR' })).toThrow('Invalid filter field');
+      expect(() => compileFilter({ department: { $regex: 'H.*' } })).toThrow('Unknown filter operator: $regex');
+      expect(() => compileFilter({ department: ['HR', 'Legal'] })).toThrow('use $in for lists');
+      expect(() => compileFilter({ $or: [] })).toThrow('$or must be a non-empty array');
+    });
+  });
+
+  describe('mergeMetadata', () => {
+    test('applies a JSON merge patch', () => {
+      const merged = mergeMetadata(
+        { author: 'Jane', tags: ['a'], owner: { team: 'people', lead: 'Sam' } },
+        { author: null, tags: ['b'], owner: { lead: 'Alex' } }
+      );
+
+      expect(merged).toEqual({ tags: ['b'], owner: { team: 'people', lead: 'Alex' } });
+    });
+  });
+
+  describe('validateMetadata', () => {
+    test('only accepts JSON objects', () => {
+      expect(() => validateMetadata(['HR'])).toThrow('metadata must be a JSON object');
+      expect(() => validateMetadata({ notes: 'x'.repeat(20000) })).toThrow('at most');
+      expect(validateMetadata({ author: 'Jane' })).toEqual({ author: 'Jane' });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const db = require('../src/utils/database');
+const { run, get, all } = require('../src/utils/dbAsync');
+const migrations = require('../src/utils/migrations');
+const log = require('../src/utils/log');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+
+describe('migrations', () => {
+  beforeAll(async () => {
+    jest.spyOn(log, 'info').mockImplementation(() => {});
+
+    // Schema of a database from before collections, content hashes and chunk offsets
+    await run(`
+      CREATE TABLE documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT NOT NULL,
+        content_preview TEXT,
+        upload_date DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE TABLE embeddings (id INTEGER PRIMARY KEY AUTOINCREMENT, doc_id INTEGER, vector BLOB)');
+    await run("INSERT INTO documents (filename) VALUES ('a.txt'), ('b.txt'), ('c.txt')");
+    await run('DELETE FROM documents WHERE id = 3');
+    await run('INSERT INTO embeddings (doc_id, vector) VALUES (1, x\'00\'), (2, x\'00\'), (9, x\'00\')');
+  });
+
+  afterAll(done => {
+    log.info.mockRestore();
+    db.close(done);
+  });
+
+  test('lists every migration as pending on an unmigrated database', async () => {
+    const status = await migrations.getStatus();
+
+    expect(status.map(migration => migration.version)).toEqual(migrations.loadMigrations().map(migration => migration.version));
+    expect(status.every(migration => migration.appliedAt === null)).toBe(true);
+  });
+
+  test('upgrades an existing database in place', async () => {
+    const applied = await migrations.migrate();
+
+    expect(applied.map(migration => migration.name)).toEqual(['initial-schema', 'foreign-key-cascades', 'chunk-locations', 'ocr-pages', 'api-keys', 'sync-files', 'job-owners']);
+    expect(await all('SELECT version FROM schema_migrations ORDER BY version')).toEqual([{ version: 1 }, { version: 2 }, { version: 3 }, { version: 4 }, { version: 5 }, { version: 6 }, { version: 7 }]);
+
+    const defaultCollection = await get("SELECT id FROM collections WHERE name = 'default'");
+    expect(await all('SELECT id, collection_id FROM documents ORDER BY id')).toEqual([
+      { id: 1, collection_id: defaultCollection.id },
+      { id: 2, collection_id: defaultCollection.id }
+    ]);
+    // The chunk of the deleted document is dropped
+    expect(await all('SELECT id, doc_id FROM embeddings ORDER BY id')).toEqual([{ id: 1, doc_id: 1 }, { id: 2, doc_id: 2 }]);
+    // Ids of deleted rows are not handed out again
+    const { lastID } = await run("INSERT INTO documents (filename, collection_id) VALUES ('d.txt', ?)", [defaultCollection.id]);
+    expect(lastID).toBe(4);
+  });
+
+  test('does nothing once the database is up to date', async () => {
+    expect(await migrations.migrate()).toEqual([]);
+    expect((await migrations.getStatus()).every(migration => migration.appliedAt)).toBe(true);
+  });
+
+  test('enforces foreign keys with cascading deletes', async () => {
+    await run('PRAGMA foreign_keys = ON');
+    await run("INSERT INTO embeddings (doc_id, content) VALUES (1, 'remote work policy')");
+
+    await expect(run("INSERT INTO embeddings (doc_id, content) VALUES (99, 'no document')")).rejects.toThrow(/FOREIGN KEY/);
+
+    await run('DELETE FROM documents WHERE id = 1');
+    expect(await all('SELECT doc_id FROM embeddings')).toEqual([{ doc_id: 2 }]);
+    expect(await all("SELECT rowid FROM embeddings_fts WHERE embeddings_fts MATCH 'policy'")).toEqual([]);
+  });
+});
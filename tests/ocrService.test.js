@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const ocrService = require('../src/services/ocrService');
+const textExtractionService = require('../src/services/textExtraction');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-'));
+
+// Capitals drawn 5x7, enough for the test words
+const FONT = {
+  A: ['01110', '10001', '10001', '11111', '10001', '10001', '10001'],
+  C: ['01111', '10000', '10000', '10000', '10000', '10000', '01111'],
+  D: ['11110', '10001', '10001', '10001', '10001', '10001', '11110'],
+  E: ['11111', '10000', '10000', '11110', '10000', '10000', '11111'],
+  L: ['10000', '10000', '10000', '10000', '10000', '10000', '11111'],
+  O: ['01110', '10001', '10001', '10001', '10001', '10001', '01110'],
+  S: ['01111', '10000', '10000', '01110', '00001', '00001', '11110'],
+  T: ['11111', '00100', '00100', '00100', '00100', '00100', '00100'],
+  U: ['10001', '10001', '10001', '10001', '10001', '10001', '01110'],
+  ' ': ['00000', '00000', '00000', '00000', '00000', '00000', '00000']
+};
+
+// Black text on white as 8-bit greyscale pixels, like a scanned line
+const render = (text, scale = 6, margin = 24) => {
+  const width = text.length * 6 * scale + margin * 2;
+  const height = 7 * scale + margin * 2;
+  const pixels = Buffer.alloc(width * height, 255);
+  [...text].forEach((char, i) => FONT[char].forEach((row, y) => [...row].forEach((bit, x) => {
+    if (bit === '0') return;
+    for (let dy = 0; dy < scale; dy++) {
+      const start = (margin + y * scale + dy) * width + margin + (i * 6 + x) * scale;
+      pixels.fill(0, start, start + scale);
+    }
+  })));
+  return { width, height, pixels };
+};
+
+const pgm = ({ width, height, pixels }) => Buffer.concat([Buffer.from(`P5\n${width} ${height}\n255\n`), pixels]);
+
+const png = ({ width, height, pixels }) => {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(zlib.crc32(Buffer.concat([Buffer.from(type), data])));
+    return Buffer.concat([length, Buffer.from(type), data, crc]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth; colour type 0, greyscale
+  const rows = [];
+  for (let y = 0; y < height; y++) rows.push(Buffer.from([0]), pixels.subarray(y * width, (y + 1) * width));
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+// A PDF whose pages are either a line of text or a scanned image without a text layer
+const pdf = (pages) => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((page, i) => `${4 + i * 3} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  pages.forEach((page, i) => {
+    const first = 4 + i * 3;
+    if (typeof page === 'string') {
+      const content = `BT /F1 12 Tf 72 720 Td (${page}) Tj ET`;
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${first + 1} 0 R >>`);
+      objects.push(Buffer.from(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`));
+      objects.push('null');
+    } else {
+      const content = `q ${page.width} 0 0 ${page.height} 72 600 cm /Scan Do Q`;
+      const data = zlib.deflateSync(page.pixels);
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << /Scan ${first + 2} 0 R >> >> /Contents ${first + 1} 0 R >>`);
+      objects.push(Buffer.from(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`));
+      objects.push(Buffer.concat([
+        Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode /Length ${data.length} >>\nstream\n`),
+        data,
+        Buffer.from('\nendstream')
+      ]));
+    }
+  });
+
+  const parts = [Buffer.from('%PDF-1.4\n')];
+  let length = parts[0].length;
+  const offsets = objects.map((object, i) => {
+    const part = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), Buffer.from(object), Buffer.from('\nendobj\n')]);
+    parts.push(part);
+    length += part.length;
+    return length - part.length;
+  });
+  const xref = [`xref\n0 ${objects.length + 1}`, '0000000000 65535 f ', ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `)];
+  parts.push(Buffer.from(`${xref.join('\n')}\ntrailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`));
+  return Buffer.concat(parts);
+};
+
+const writeFile = (name, content) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+describe('OcrService', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(async () => {
+    await ocrService.close();
+    console.error.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('recognizes text in an image with a confidence', async () => {
+    const result = await ocrService.recognize(pgm(render('CLOSED')));
+
+    expect(result.text).toBe('CLOSED');
+    expect(result.confidence).toBeGreaterThan(50);
+  });
+
+  test('reads scanned PDF pages without a text layer and keeps the others', async () => {
+    const filePath = writeFile('scan.pdf', pdf(['Cover letter for the attached statement', render('DATA TOTALS')]));
+
+    const { text, segments, ocrPages } = await textExtractionService.extract(filePath);
+
+    expect(text).toBe('Cover letter for the attached statement\n\nDATA TOTALS');
+    expect(segments.map(segment => segment.location)).toEqual([{ page: 1 }, { page: 2 }]);
+    expect(ocrPages).toEqual([{ page: 2, confidence: expect.any(Number) }]);
+  });
+
+  test('force reads every page with images; off stores no empty documents', async () => {
+    const filePath = writeFile('statement.pdf', pdf([render('TOTAL DUE')]));
+
+    expect((await textExtractionService.extract(filePath, { ocr: 'force' })).text).toBe('TOTAL DUE');
+    // Not retried as a job: it fails the same way every time
+    await expect(textExtractionService.extract(filePath, { ocr: 'off' })).rejects.toMatchObject({ status: 400, message: 'Failed to extract text: No text found in file' });
+  });
+
+  test('reads image uploads', async () => {
+    const filePath = writeFile('receipt.png', png(render('TOTAL DUE')));
+
+    expect(await textExtractionService.detectFormat(filePath)).toBe('image');
+    const { text, ocrPages } = await textExtractionService.extract(filePath);
+    expect(text).toBe('TOTAL DUE');
+    expect(ocrPages).toEqual([{ page: 1, confidence: expect.any(Number) }]);
+    await expect(textExtractionService.extract(filePath, { ocr: 'off' })).rejects.toMatchObject({ status: 400, message: expect.stringContaining('OCR') });
+  });
+
+  test('rejects unknown modes', () => {
+    expect(ocrService.resolveMode()).toBe('auto');
+    expect(() => ocrService.resolveMode('always')).toThrow('ocr must be one of: auto, force, off');
+  });
+});
@@ -0,0 +1,134 @@
+const db = require('../src/utils/database');
+const { run, get, all } = require('../src/utils/dbAsync');
+const { toBuffer } = require('../src/utils/vector');
+const reindexService = require('../src/services/reindexService');
+const embeddingCacheService = require('../src/services/embeddingCacheService');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+
+describe('ReindexService', () => {
+  beforeAll(async () => {
+    embeddingCacheService.maxEntries = 0;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await run(`
+      CREATE TABLE collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        description TEXT,
+        embedding_provider TEXT,
+        embedding_model TEXT,
+        chunking TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run('CREATE TABLE documents (id INTEGER PRIMARY KEY AUTOINCREMENT, filename TEXT, collection_id INTEGER)');
+    await run(`
+      CREATE TABLE embeddings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        doc_id INTEGER,
+        chunk_index INTEGER,
+        content TEXT,
+        vector BLOB,
+        model TEXT,
+        dimensions INTEGER
+      )
+    `);
+    await run(`
+      CREATE TABLE jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        payload TEXT
+      )
+    `);
+    await run(`
+      CREATE TABLE reindex_vectors (
+        job_id INTEGER NOT NULL,
+        embedding_id INTEGER NOT NULL,
+        vector BLOB NOT NULL,
+        PRIMARY KEY (job_id, embedding_id)
+      )
+    `);
+  });
+
+  beforeEach(async () => {
+    for (const table of ['collections', 'documents', 'embeddings', 'jobs', 'reindex_vectors']) {
+      await run(`DELETE FROM ${table}`);
+    }
+    // Chunks stored before models were tracked, with 3-dimensional vectors from another model
+    await run("INSERT INTO collections (id, name, embedding_provider, embedding_model) VALUES (1, 'default', 'hash', 'feature-hash')");
+    await run("INSERT INTO documents (id, filename, collection_id) VALUES (1, 'policy.txt', 1)");
+    for (const [index, content] of ['Remote work policy', 'Home office stipend', null].entries()) {
+      await run('INSERT INTO embeddings (doc_id, chunk_index, content, vector) VALUES (1, ?, ?, ?)', [index, content, toBuffer([1, 0, 0])]);
+    }
+  });
+
+  afterAll(done => {
+    console.warn.mockRestore();
+    db.close(done);
+  });
+
+  test('records the model of older chunks and reports vectors of another length as stale', async () => {
+    expect(await reindexService.backfillModels()).toBe(3);
+
+    const [status] = await reindexService.checkModels();
+
+    expect(status).toMatchObject({
+      collection: 'default',
+      model: 'hash:feature-hash:256',
+      dimensions: 256,
+      chunkCount: 3,
+      staleChunks: 3,
+      models: [{ model: 'hash:feature-hash:256', dimensions: 3, chunks: 3 }]
+    });
+    expect(await reindexService.warningsFor([1])).toEqual([expect.stringContaining('3 of 3 chunks')]);
+  });
+
+  test('re-embeds chunks with the new model and switches over at the end', async () => {
+    await reindexService.backfillModels();
+    const payload = await reindexService.planReindex({ embeddingProvider: 'hash', embeddingModel: 'feature-hash-v2' });
+    const progress = [];
+
+    const result = await reindexService.reindex(payload, { jobId: 7, onProgress: async (done, total) => progress.push([done, total]) });
+
+    expect(result).toEqual({
+      collections: [{ name: 'default', embeddingProvider: 'hash', embeddingModel: 'feature-hash-v2', model: 'hash:feature-hash-v2:256' }],
+      chunkCount: 3,
+      skipped: 1
+    });
+    expect(progress).toEqual([[2, 3], [2, 3]]);
+    expect(await get('SELECT embedding_provider, embedding_model FROM collections WHERE id = 1'))
+      .toEqual({ embedding_provider: 'hash', embedding_model: 'feature-hash-v2' });
+    // The chunk without text keeps its old vector
+    expect(await all('SELECT model, dimensions FROM embeddings ORDER BY id')).toEqual([
+      { model: 'hash:feature-hash-v2:256', dimensions: 256 },
+      { model: 'hash:feature-hash-v2:256', dimensions: 256 },
+      { model: 'hash:feature-hash:256', dimensions: 3 }
+    ]);
+    expect((await get('SELECT COUNT(*) AS count FROM reindex_vectors')).count).toBe(0);
+  });
+
+  test('resumes from the vectors an interrupted attempt staged', async () => {
+    await reindexService.backfillModels();
+    await run('INSERT INTO reindex_vectors (job_id, embedding_id, vector) SELECT 7, id, ? FROM embeddings WHERE chunk_index = 0', [toBuffer(new Array(256).fill(0))]);
+    const embedWith = jest.spyOn(require('../src/services/embeddingService'), 'embedWith');
+
+    await reindexService.reindex(await reindexService.planReindex({ collection: 'default' }), { jobId: 7 });
+
+    expect(embedWith.mock.calls.map(([, texts]) => texts)).toEqual([['Home office stipend']]);
+    expect(await reindexService.warningsFor()).toEqual([expect.stringContaining('1 of 3 chunks')]);
+    embedWith.mockRestore();
+  });
+
+  test('refuses a second re-index of the same collection', async () => {
+    const payload = await reindexService.planReindex({ collection: 'default' });
+    await run("INSERT INTO jobs (id, type, status, payload) VALUES (3, 'reindex', 'running', ?)", [JSON.stringify(payload)]);
+
+    await expect(reindexService.checkIdle(await reindexService.planReindex({}))).rejects.toMatchObject({ status: 409, message: 'Collection default is already being re-indexed (job 3)' });
+    await expect(reindexService.planReindex({ embeddingProvider: 'cohere' })).rejects.toMatchObject({ status: 400 });
+  });
+});
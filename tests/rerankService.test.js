@@ -0,0 +1,175 @@
+const http = require('http');
+const { all } = require('../src/utils/dbAsync');
+const { toBuffer } = require('../src/utils/vector');
+const { createReranker } = require('../src/services/rerankProviders');
+const rerankService = require('../src/services/rerankService');
+
+jest.mock('../src/utils/database', () => ({}));
+jest.mock('../src/utils/dbAsync', () => ({ all: jest.fn() }));
+
+// Stub of the rerank endpoints: a text's score is the number after "relevance" in it
+let requests = [];
+const scoreFor = (text) => parseFloat(text.split('relevance ')[1]) || 0;
+const stub = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const request = JSON.parse(body);
+    requests.push({ url: req.url, body: request });
+    let response;
+    if (req.url === '/rerank') {
+      // Best first, as text-embeddings-inference answers; clients must map by index
+      response = request.texts.map((text, index) => ({ index, score: scoreFor(text) })).sort((a, b) => b.score - a.score);
+    } else if (req.url === '/v1/rerank') {
+      response = { results: request.documents.map((text, index) => ({ index, relevance_score: scoreFor(text) })).reverse() };
+    } else {
+      res.writeHead(500);
+      res.end('{"error":"model not loaded"}');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+  });
+});
+
+const passage = (chunkId, relevance, score = 0.5) => ({ chunkId, content: `chunk ${chunkId} relevance ${relevance}`, similarity: score, score });
+
+const document = (id, score, passages) => ({ id, filename: `doc-${id}.txt`, similarity: score, score, passages });
+
+describe('rerank providers', () => {
+  let baseURL;
+
+  beforeAll(done => {
+    stub.listen(0, '127.0.0.1', () => {
+      baseURL = `http://127.0.0.1:${stub.address().port}`;
+      done();
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(done => {
+    console.error.mockRestore();
+    stub.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  test('service sends the query with batches of texts and maps scores back by index', async () => {
+    const reranker = createReranker('service', { url: `${baseURL}/rerank`, batchSize: 2 });
+
+    expect(await reranker.score('leave', ['relevance 0.1', 'relevance 0.9', 'relevance 0.5'])).toEqual([0.1, 0.9, 0.5]);
+    expect(requests.map(request => request.body)).toEqual([
+      { query: 'leave', texts: ['relevance 0.1', 'relevance 0.9'], truncate: true },
+      { query: 'leave', texts: ['relevance 0.5'], truncate: true }
+    ]);
+  });
+
+  test('cohere calls /v1/rerank with the model', async () => {
+    const reranker = createReranker('cohere', { url: `${baseURL}/v1/rerank`, model: 'bge-reranker-v2-m3' });
+
+    expect(await reranker.score('leave', ['relevance 0.3', 'relevance 0.7'])).toEqual([0.3, 0.7]);
+    expect(requests[0].body).toEqual({ model: 'bge-reranker-v2-m3', query: 'leave', documents: ['relevance 0.3', 'relevance 0.7'], top_n: 2 });
+  });
+
+  test('rejects unknown rerankers', () => {
+    expect(() => createReranker('magic', { url: baseURL })).toThrow('RERANK_PROVIDER must be one of: service, cohere');
+  });
+
+  describe('RerankService', () => {
+    const { config, candidates } = rerankService;
+
+    beforeEach(() => {
+      rerankService.config = { ...config, url: `${baseURL}/rerank` };
+      rerankService.reranker = null;
+    });
+
+    afterEach(() => {
+      rerankService.config = config;
+      rerankService.candidates = candidates;
+      rerankService.reranker = null;
+      all.mockReset();
+    });
+
+    test('checks the options', () => {
+      expect(rerankService.resolveOptions({})).toEqual({ minSimilarity: null, lambda: null, rerank: false });
+      expect(rerankService.resolveOptions({ minSimilarity: 0.4, diversify: true, rerank: true }, 'hybrid'))
+        .toEqual({ minSimilarity: 0.4, lambda: 0.5, rerank: true });
+      expect(rerankService.resolveOptions({ diversify: { lambda: 0.8 } }).lambda).toBe(0.8);
+
+      expect(() => rerankService.resolveOptions({ minSimilarity: 2 })).toThrow('minSimilarity must be a number from -1 to 1');
+      expect(() => rerankService.resolveOptions({ minSimilarity: 0.4 }, 'keyword')).toThrow('minSimilarity needs vector or hybrid mode');
+      expect(() => rerankService.resolveOptions({ diversify: { lambda: 1.5 } })).toThrow('diversify.lambda must be a number from 0 to 1');
+      expect(() => rerankService.resolveOptions({ diversify: 'yes' })).toThrow('diversify must be true, false or an object with lambda');
+      expect(() => rerankService.resolveOptions({ rerank: 'yes' })).toThrow('rerank must be true or false');
+
+      rerankService.config = { ...config, url: undefined };
+      expect(() => rerankService.resolveOptions({ rerank: true })).toThrow(expect.objectContaining({ status: 409 }));
+    });
+
+    test('reranks passages and documents, keeping the retrieval scores', async () => {
+      const documents = [
+        document(1, 0.9, [passage(11, 0.2, 0.9), passage(12, 0.3, 0.8)]),
+        document(2, 0.8, [passage(21, 0.95, 0.8)]),
+        document(3, 0.7, [passage(31, 0.1, 0.7)])
+      ];
+
+      const results = await rerankService.rerank('leave', documents);
+
+      expect(results.map(result => [result.id, result.rerankScore, result.score])).toEqual([[2, 0.95, 0.8], [1, 0.3, 0.9], [3, 0.1, 0.7]]);
+      // The reranker's best passage comes first
+      expect(results[1].passages.map(p => [p.chunkId, p.rerankScore, p.similarity])).toEqual([[12, 0.3, 0.8], [11, 0.2, 0.9]]);
+      expect(requests).toHaveLength(1);
+    });
+
+    test('reports a failing reranker as a bad gateway', async () => {
+      rerankService.config = { ...config, url: `${baseURL}/broken` };
+
+      await expect(rerankService.rerank('leave', [document(1, 0.9, [passage(11, 0.2)])]))
+        .rejects.toMatchObject({ status: 502, message: expect.stringContaining('Reranking failed') });
+    });
+
+    test('diversifies by maximal marginal relevance', async () => {
+      // Documents 1 and 2 are near-identical; 3 is about something else
+      all.mockResolvedValue([
+        { id: 11, vector: toBuffer([1, 0]), model: 'hash:feature-hash:2' },
+        { id: 21, vector: toBuffer([0.99, 0.1]), model: 'hash:feature-hash:2' },
+        { id: 31, vector: toBuffer([0, 1]), model: 'hash:feature-hash:2' }
+      ]);
+      const documents = () => [document(1, 0.9, [passage(11, 0)]), document(2, 0.85, [passage(21, 0)]), document(3, 0.6, [passage(31, 0)])];
+
+      expect((await rerankService.diversify(documents(), 0.5)).map(result => result.id)).toEqual([1, 3, 2]);
+      // Relevance only keeps the order
+      expect((await rerankService.diversify(documents(), 1)).map(result => result.id)).toEqual([1, 2, 3]);
+    });
+
+    test('counts documents embedded with different models as unrelated', async () => {
+      all.mockResolvedValue([
+        { id: 11, vector: toBuffer([1, 0]), model: 'hash:feature-hash:2' },
+        { id: 21, vector: toBuffer([1, 0]), model: 'ollama:nomic-embed-text' }
+      ]);
+
+      const results = await rerankService.diversify([document(1, 0.9, [passage(11, 0)]), document(2, 0.8, [passage(21, 0)])], 0.5);
+
+      expect(results.map(result => result.id)).toEqual([1, 2]);
+    });
+
+    test('refines only the top documents, leaving the rest in order', async () => {
+      rerankService.candidates = 2;
+      const documents = [
+        document(1, 0.9, [passage(11, 0.1)]),
+        document(2, 0.8, [passage(21, 0.9)]),
+        document(3, 0.7, [passage(31, 1)]),
+        document(4, 0.6, [passage(41, 0.5)])
+      ];
+
+      const results = await rerankService.refine('leave', documents, { rerank: true, lambda: null }, 3);
+
+      // offset + limit is more than the candidates
+      expect(results.map(result => result.id)).toEqual([3, 2, 1, 4]);
+      expect(results[3]).not.toHaveProperty('rerankScore');
+      expect(await rerankService.refine('leave', documents, { rerank: false, lambda: null }, 3)).toBe(documents);
+    });
+  });
+});
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../src/utils/database');
+const { all } = require('../src/utils/dbAsync');
+const documentService = require('../src/services/documentService');
+const syncService = require('../src/services/syncService');
+const { parseSources } = require('../src/services/syncService');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+
+// Documents are stored by content: the same content in the same collection is a duplicate
+jest.mock('../src/services/documentService', () => {
+  const mockPath = require('path');
+  const mockFs = require('fs');
+  const mockDocuments = new Map();
+  return {
+    uploads: null,
+    documents: mockDocuments,
+    uploadPath(filename) {
+      return mockPath.join(this.uploads, filename);
+    },
+    copyToUploads: jest.fn(async function copyToUploads(filePath) {
+      const filename = `${Date.now()}-${mockPath.basename(filePath)}`;
+      mockFs.copyFileSync(filePath, this.uploadPath(filename));
+      return filename;
+    }),
+    saveDocument: jest.fn(async (filename, filePath, options) => {
+      const content = mockFs.readFileSync(filePath, 'utf8');
+      if (content.includes('unreadable')) throw new Error('No text could be extracted');
+      const existing = Array.from(mockDocuments.entries()).find(([, document]) => document.content === content);
+      if (existing) return { id: existing[0], duplicate: true };
+      const id = mockDocuments.size ? Math.max(...mockDocuments.keys()) + 1 : 1;
+      mockDocuments.set(id, { filename, content, metadata: options.metadata, collection: options.collection.name });
+      return { id, duplicate: false };
+    }),
+    replaceDocument: jest.fn(async (id, filename, filePath) => {
+      Object.assign(mockDocuments.get(id), { filename, content: mockFs.readFileSync(filePath, 'utf8') });
+      return { id };
+    }),
+    deleteDocument: jest.fn(async id => {
+      mockDocuments.delete(id);
+      return { id };
+    }),
+    removeUploadIfUnused: jest.fn(async () => true)
+  };
+});
+
+jest.mock('../src/services/collectionService', () => ({
+  defaultName: 'default',
+  getCollection: jest.fn(async name => ({ id: 1, name }))
+}));
+
+const settings = { ...syncService };
+
+describe('SyncService', () => {
+  let dir;
+  let root;
+
+  const write = (relativePath, content, ageMs = 60000) => {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    // Old enough to count as completely written
+    const time = new Date(Date.now() - ageMs);
+    fs.utimesSync(filePath, time, time);
+  };
+
+  const configure = (config = {}) => {
+    syncService.configure(parseSources(JSON.stringify([{ path: root, name: 'share', ...config }])));
+    syncService.settleMs = 0;
+  };
+
+  const scan = (options) => syncService.syncSource('share', options);
+  const rows = () => all('SELECT path, status, document_id, owns_document FROM sync_files ORDER BY path');
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await require('../src/migrations/006-sync-files').up();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-'));
+    root = path.join(dir, 'share');
+    documentService.uploads = path.join(dir, 'uploads');
+    fs.mkdirSync(root);
+    fs.mkdirSync(documentService.uploads);
+    documentService.documents.clear();
+    jest.clearAllMocks();
+  });
+
+  afterEach(async () => {
+    syncService.stop();
+    Object.assign(syncService, settings);
+    await new Promise((resolve, reject) => db.run('DELETE FROM sync_files', error => (error ? reject(error) : resolve())));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterAll(done => {
+    db.close(done);
+  });
+
+  test('parses source folder settings', () => {
+    const [plain, named] = parseSources(JSON.stringify([
+      '/mnt/share/policies',
+      { path: '/mnt/share/hr', name: 'hr-docs', collection: 'hr', include: '*.pdf', exclude: ['drafts/**'], metadata: { department: 'HR' } }
+    ]));
+
+    expect(plain).toMatchObject({ name: 'policies', root: '/mnt/share/policies', collection: null, include: ['**'], exclude: [] });
+    expect(named).toMatchObject({ name: 'hr-docs', collection: 'hr', include: ['*.pdf'], exclude: ['drafts/**'], metadata: { department: 'HR' } });
+    expect(named.matches('contracts/a.pdf')).toBe(true);
+    expect(named.matches('drafts/a.pdf')).toBe(false);
+    expect(named.matches('~$a.pdf')).toBe(false);
+    expect(parseSources('')).toEqual([]);
+
+    expect(() => parseSources('/mnt/share')).toThrow('SYNC_SOURCES must be a JSON array');
+    expect(() => parseSources('[{"name": "a"}]')).toThrow('Every sync source needs a path');
+    expect(() => parseSources('[{"path": "/a", "name": "a b"}]')).toThrow('Sync source name must be');
+    expect(() => parseSources('["/a/docs", "/b/docs"]')).toThrow('Sync source names must be unique');
+    expect(() => parseSources('[{"path": "/a", "include": [1]}]')).toThrow('include and exclude must be glob patterns');
+  });
+
+  test('indexes new files, skipping unsupported, excluded and hidden ones', async () => {
+    configure({ collection: 'policies', exclude: ['drafts/**'], metadata: { department: 'HR' } });
+    write('handbook.md', '# Handbook');
+    write('hr/leave.txt', 'Leave policy');
+    write('drafts/new.txt', 'Draft');
+    write('tools/setup.exe', 'MZ');
+    write('.git/config.txt', 'hidden');
+    write('~$leave.txt', 'lock file');
+
+    const summary = await scan();
+
+    expect(summary).toMatchObject({ added: 2, updated: 0, removed: 0, unchanged: 0, failed: 0, pending: 0 });
+    expect(await rows()).toEqual([
+      { path: 'handbook.md', status: 'synced', document_id: expect.any(Number), owns_document: 1 },
+      { path: 'hr/leave.txt', status: 'synced', document_id: expect.any(Number), owns_document: 1 }
+    ]);
+    const leave = Array.from(documentService.documents.values()).find(document => document.content === 'Leave policy');
+    expect(leave).toMatchObject({
+      filename: expect.stringMatching(/^\d+-leave\.txt$/),
+      collection: 'policies',
+      metadata: { department: 'HR', syncSource: 'share', sourcePath: 'hr/leave.txt' }
+    });
+    expect(fs.readFileSync(path.join(documentService.uploads, leave.filename), 'utf8')).toBe('Leave policy');
+
+    expect(await scan()).toMatchObject({ added: 0, unchanged: 2 });
+    expect(documentService.saveDocument).toHaveBeenCalledTimes(2);
+  });
+
+  test('re-indexes changed files in place and removes deleted ones', async () => {
+    configure();
+    write('a.txt', 'Version 1');
+    write('b.txt', 'Bravo');
+    await scan();
+    const [a, b] = await rows();
+
+    write('a.txt', 'Version 2 is longer');
+    fs.unlinkSync(path.join(root, 'b.txt'));
+    write('c.txt', 'Charlie');
+
+    expect(await scan()).toMatchObject({ added: 1, updated: 1, removed: 1, unchanged: 0 });
+    // Touched but not changed
+    write('c.txt', 'Charlie', 1000);
+    expect(await scan()).toMatchObject({ added: 0, updated: 0, removed: 0, unchanged: 2 });
+    expect(documentService.replaceDocument).toHaveBeenCalledTimes(1);
+    expect(documentService.replaceDocument).toHaveBeenCalledWith(a.document_id, expect.stringMatching(/-a\.txt$/), expect.any(String));
+    expect(documentService.documents.get(a.document_id).content).toBe('Version 2 is longer');
+    expect(documentService.deleteDocument).toHaveBeenCalledWith(b.document_id, { deleteFile: true });
+    expect((await rows()).map(row => row.path)).toEqual(['a.txt', 'c.txt']);
+  });
+
+  test('leaves files being written for a later scan', async () => {
+    configure();
+    syncService.settleMs = 60000;
+    write('a.txt', 'Still copying', 0);
+
+    expect(await scan()).toMatchObject({ added: 0, pending: 1 });
+    expect(await rows()).toEqual([]);
+  });
+
+  test('keeps documents when the folder is missing', async () => {
+    configure();
+    write('a.txt', 'Alpha');
+    await scan();
+    fs.rmSync(root, { recursive: true });
+
+    await expect(scan()).rejects.toThrow(`Source folder not found: ${root}`);
+    expect(documentService.deleteDocument).not.toHaveBeenCalled();
+    expect(await rows()).toHaveLength(1);
+    expect((await syncService.getStatus()).sources[0]).toMatchObject({ error: `Source folder not found: ${root}`, files: { synced: 1, failed: 0 } });
+  });
+
+  test('records failures and retries them on request', async () => {
+    configure();
+    write('scan.txt', 'unreadable');
+
+    expect(await scan()).toMatchObject({ failed: 1 });
+    expect(documentService.removeUploadIfUnused).toHaveBeenCalledWith(expect.stringMatching(/-scan\.txt$/));
+    expect(await scan()).toMatchObject({ failed: 0, unchanged: 1 });
+    expect(await scan({ retryFailed: true })).toMatchObject({ failed: 1 });
+
+    expect(await syncService.getSourceStatus('share')).toMatchObject({
+      files: { synced: 0, failed: 1 },
+      failures: [{ path: 'scan.txt', error: 'No text could be extracted', failedAt: expect.any(String) }]
+    });
+    await expect(syncService.getSourceStatus('other')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('points copies at the same document, which outlives the file it came from', async () => {
+    configure();
+    write('a.txt', 'Same');
+    await scan();
+    write('copy/a.txt', 'Same');
+    await scan();
+
+    const [original, copy] = await rows();
+    expect(copy).toMatchObject({ document_id: original.document_id, owns_document: 0 });
+
+    fs.unlinkSync(path.join(root, 'a.txt'));
+    await scan();
+
+    expect(documentService.deleteDocument).not.toHaveBeenCalled();
+    expect(await rows()).toEqual([{ path: 'copy/a.txt', status: 'synced', document_id: original.document_id, owns_document: 1 }]);
+  });
+
+  test('merges scans requested while one is waiting', async () => {
+    configure();
+    write('a.txt', 'Alpha');
+
+    const [first, second] = await Promise.all([scan(), scan()]);
+
+    expect(second).toBe(first);
+    expect(documentService.saveDocument).toHaveBeenCalledTimes(1);
+  });
+});
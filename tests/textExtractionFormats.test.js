@@ -0,0 +1,266 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const xlsx = require('xlsx');
+const textExtractionService = require('../src/services/textExtraction');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-'));
+
+const writeFile = (name, content) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+};
+
+const writeZip = async (name, entries) => {
+  const zip = new JSZip();
+  for (const [entry, content] of Object.entries(entries)) zip.file(entry, content);
+  return writeFile(name, await zip.generateAsync({ type: 'nodebuffer' }));
+};
+
+const slide = (title, body) => `<?xml version="1.0"?>
+<p:sld xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main">
+  <p:cSld><p:spTree>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${title}</a:t></a:r></a:p></p:txBody></p:sp>
+    <p:sp><p:nvSpPr><p:nvPr><p:ph idx="1"/></p:nvPr></p:nvSpPr><p:txBody>${body}</p:txBody></p:sp>
+  </p:spTree></p:cSld>
+</p:sld>`;
+
+// A PDF with one line of Helvetica text per page
+const pdf = (pages) => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((page, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  pages.forEach((line, i) => {
+    const stream = `BT /F1 12 Tf 72 720 Td (${line}) Tj ET`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = body.length;
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = [`xref\n0 ${objects.length + 1}`, '0000000000 65535 f ', ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `)];
+  return `${body}${xref.join('\n')}\ntrailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${body.length}\n%%EOF\n`;
+};
+
+describe('TextExtractionService formats', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.error.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('HTML keeps headings, lists and table rows without scripts or the head', async () => {
+    const filePath = writeFile('page.html', `<!DOCTYPE html>
+      <html><head><title>Ignored</title><style>p { color: red }</style></head>
+      <body><script>if (a < b) alert('x')</script>
+        <h1>Remote &amp; Hybrid Work</h1>
+        <p>Employees   may work
+          <b>from home</b>.</p>
+        <ul><li>Laptop</li><li><p>Stipend</p><ol><li>Monthly</li></ol></li></ul>
+        <table><tr><th>Role</th><th>Days</th></tr><tr><td>Engineer</td><td>3</td></tr></table>
+      </body></html>`);
+
+    expect(await textExtractionService.extractText(filePath)).toBe([
+      '# Remote & Hybrid Work',
+      '',
+      'Employees may work from home.',
+      '',
+      '- Laptop',
+      '- Stipend',
+      '  1. Monthly',
+      '',
+      'Role | Days',
+      'Engineer | 3'
+    ].join('\n'));
+  });
+
+  test('Markdown loses inline markup but keeps headings and lists', async () => {
+    const filePath = writeFile('notes.md', [
+      '---',
+      'title: Notes',
+      '---',
+      'Policy',
+      '======',
+      '',
+      'See the **handbook** and [the wiki](https://wiki.example.com) for `details`.',
+      '',
+      '* first_item',
+      '* _second_',
+      '',
+      '| a | b |',
+      '|---|---|',
+      '| 1 | 2 |'
+    ].join('\n'));
+
+    expect(await textExtractionService.extractText(filePath)).toBe([
+      '# Policy',
+      '',
+      'See the handbook and the wiki for details.',
+      '',
+      '* first_item',
+      '* second',
+      '',
+      '| a | b |',
+      '| 1 | 2 |'
+    ].join('\n'));
+  });
+
+  test('JSON becomes one line per value', async () => {
+    const filePath = writeFile('people.json', JSON.stringify([
+      { name: 'Ada', address: { city: 'London' }, tags: ['math', 'engines'] },
+      { name: 'Grace', projects: [{ name: 'COBOL' }] }
+    ]));
+
+    expect(await textExtractionService.extractText(filePath)).toBe(
+      'name: Ada\naddress.city: London\ntags: math, engines\n\nname: Grace\nprojects[0].name: COBOL'
+    );
+  });
+
+  test('RTF keeps heading styles, list paragraphs and escaped characters', async () => {
+    const filePath = writeFile('memo.rtf', String.raw`{\rtf1\ansi\ansicpg1252{\fonttbl{\f0 Arial;}}
+{\stylesheet{\s0 Normal;}{\s1 heading 1;}}{\info{\title Hidden}}
+\pard\s1 Caf\'e9 Rules\par
+\pard Na\u239?ve coffee \ldblquote only\rdblquote .\par
+{\pntext\'b7\tab}Grind fresh\par
+{\pntext\'b7\tab}Clean daily\par
+}`);
+
+    expect(await textExtractionService.extractText(filePath)).toBe(
+      '# Café Rules\n\nNaïve coffee “only”.\n\n- Grind fresh\n- Clean daily'
+    );
+  });
+
+  test('PPTX slides in presentation order with titles and bullets', async () => {
+    const filePath = await writeZip('deck.pptx', {
+      'ppt/presentation.xml': `<p:presentation xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+        <p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>`,
+      'ppt/_rels/presentation.xml.rels': `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+        <Relationship Id="rId2" Target="slides/slide1.xml"/><Relationship Id="rId3" Target="slides/slide2.xml"/></Relationships>`,
+      'ppt/slides/slide1.xml': slide('Roadmap', '<a:p><a:r><a:t>Launch</a:t></a:r></a:p><a:p><a:pPr lvl="1"/><a:r><a:t>Beta in May</a:t></a:r></a:p>'),
+      'ppt/slides/slide2.xml': slide('Welcome', '<a:p><a:pPr><a:buNone/></a:pPr><a:r><a:t>Quarterly review</a:t></a:r></a:p>')
+    });
+
+    expect(await textExtractionService.extractText(filePath)).toBe(
+      '# Slide 1: Welcome\n\nQuarterly review\n\n# Slide 2: Roadmap\n\n- Launch\n  - Beta in May'
+    );
+  });
+
+  test('ODT headings, paragraphs and lists', async () => {
+    const filePath = await writeZip('report.odt', {
+      mimetype: 'application/vnd.oasis.opendocument.text',
+      'content.xml': `<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0">
+        <office:body><office:text>
+          <text:sequence-decls><text:sequence-decl text:name="Table"/></text:sequence-decls>
+          <text:h text:outline-level="2">Findings</text:h>
+          <text:p>Two<text:s text:c="2"/>spaces<text:note><text:note-body><text:p>Footnote</text:p></text:note-body></text:note></text:p>
+          <text:list><text:list-item><text:p>Item one</text:p></text:list-item><text:list-item><text:p>Item two</text:p></text:list-item></text:list>
+        </office:text></office:body></office:document-content>`
+    });
+
+    expect(await textExtractionService.extractText(filePath)).toBe('## Findings\n\nTwo  spaces\n\n- Item one\n- Item two');
+  });
+
+  test('EPUB chapters in spine order', async () => {
+    const filePath = await writeZip('book.epub', {
+      mimetype: 'application/epub+zip',
+      'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+      'OEBPS/content.opf': `<package><manifest>
+          <item id="c1" href="text/chapter%201.xhtml" media-type="application/xhtml+xml"/>
+          <item id="c2" href="text/chapter2.xhtml" media-type="application/xhtml+xml"/>
+          <item id="css" href="style.css" media-type="text/css"/>
+        </manifest><spine><itemref idref="c2"/><itemref idref="c1"/></spine></package>`,
+      'OEBPS/text/chapter 1.xhtml': '<html><body><h1>Chapter One</h1><p>It begins.</p></body></html>',
+      'OEBPS/text/chapter2.xhtml': '<html><body><h1>Prologue</h1><p>Before.</p></body></html>'
+    });
+
+    expect(await textExtractionService.extractText(filePath)).toBe('# Prologue\n\nBefore.\n\n# Chapter One\n\nIt begins.');
+  });
+
+  test('PDF text is marked with the page it is on', async () => {
+    const filePath = writeFile('handbook.pdf', pdf(['Welcome aboard', 'Leave policy', 'Expenses']));
+
+    const { text, segments } = await textExtractionService.extract(filePath);
+
+    expect(text).toBe('Welcome aboard\n\nLeave policy\n\nExpenses');
+    expect(segments.map(segment => [text.slice(segment.start, segment.end), segment.location])).toEqual([
+      ['Welcome aboard', { page: 1 }],
+      ['Leave policy', { page: 2 }],
+      ['Expenses', { page: 3 }]
+    ]);
+  });
+
+  test('spreadsheet rows are marked with their sheet and row', async () => {
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet([['Item', 'Cost'], ['Desk', 200], ['Note', 'two\nlines']]), 'Budget');
+    const offset = xlsx.utils.aoa_to_sheet([['Total', 500]], { origin: 'B3' });
+    offset['!ref'] = 'B3:C3';
+    xlsx.utils.book_append_sheet(workbook, offset, 'Summary');
+    const filePath = writeFile('budget.xlsx', xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+
+    const { text, segments } = await textExtractionService.extract(filePath);
+
+    expect(segments.map(segment => [text.slice(segment.start, segment.end), segment.location])).toEqual([
+      ['Item,Cost', { sheet: 'Budget', row: 1, firstColumn: 'A', lastColumn: 'B' }],
+      ['Desk,200', { sheet: 'Budget', row: 2, firstColumn: 'A', lastColumn: 'B' }],
+      ['Note,"two\nlines"', { sheet: 'Budget', row: 3, firstColumn: 'A', lastColumn: 'B' }],
+      ['Total,500', { sheet: 'Summary', row: 3, firstColumn: 'B', lastColumn: 'C' }]
+    ]);
+  });
+
+  test('DOCX keeps headings for section locations', async () => {
+    const paragraph = (text, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+    const filePath = await writeZip('policy.docx', {
+      '[Content_Types].xml': `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+        <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+        <Default Extension="xml" ContentType="application/xml"/>
+        <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>`,
+      '_rels/.rels': `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+        <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`,
+      'word/_rels/document.xml.rels': `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+        <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+      'word/styles.xml': `<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+        <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>
+        <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/></w:style></w:styles>`,
+      'word/document.xml': `<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>
+        ${paragraph('Travel', 'Heading1')}${paragraph('Book early.')}${paragraph('Per diem', 'Heading2')}${paragraph('Fifty euros a day.')}
+        </w:body></w:document>`
+    });
+
+    expect(await textExtractionService.extractText(filePath)).toBe('# Travel\n\nBook early.\n\n## Per diem\n\nFifty euros a day.');
+  });
+
+  test('dispatches on content rather than the extension', async () => {
+    const page = writeFile('download', '<!doctype html><p>Saved without an extension</p>');
+    const pdf = writeFile('report.txt', '%PDF-1.4\n');
+    const binary = writeFile('archive.txt', Buffer.from([0x00, 0x01, 0x02, 0x03]));
+    const noise = writeFile('noise.txt', Buffer.from([0x8f, 0x01, 0x9c, 0x02, 0xc3, 0x07, 0x1b, 0xe2, 0x13, 0x7f]));
+    const latin1 = writeFile('legacy.txt', Buffer.from('Caf\u00e9 na\u00efve\n', 'latin1'));
+    const zip = await writeZip('bundle.docx', { 'readme.txt': 'not a document' });
+
+    expect(await textExtractionService.detectFormat(page)).toBe('html');
+    expect(await textExtractionService.detectFormat(pdf)).toBe('pdf');
+    expect(await textExtractionService.detectFormat(binary)).toBeNull();
+    expect(await textExtractionService.detectFormat(noise)).toBeNull();
+    expect(await textExtractionService.detectFormat(latin1)).toBe('txt');
+    expect(await textExtractionService.detectFormat(zip)).toBeNull();
+    await expect(textExtractionService.extractText(binary)).rejects.toMatchObject({ status: 400, message: 'Failed to extract text: Unsupported file type: .txt' });
+  });
+
+  test('accepts uploads by registered extension or MIME type', () => {
+    expect(textExtractionService.accepts('slides.PPTX', 'application/octet-stream')).toBe(true);
+    expect(textExtractionService.accepts('page', 'text/html; charset=utf-8')).toBe(true);
+    expect(textExtractionService.accepts('setup.exe', 'application/octet-stream')).toBe(false);
+    expect(textExtractionService.supportedExtensions()).toEqual(expect.arrayContaining(['.epub', '.odt', '.rtf', '.json', '.md']));
+  });
+});
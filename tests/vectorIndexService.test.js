@@ -0,0 +1,75 @@
+const db = require('../src/utils/database');
+const { run, all } = require('../src/utils/dbAsync');
+const { toBuffer } = require('../src/utils/vector');
+const vectorIndexService = require('../src/services/vectorIndexService');
+const { resolvePath } = require('../src/utils/sqliteVec');
+const log = require('../src/utils/log');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+
+// Needs a sqlite-vec build for this platform
+const extensionPath = resolvePath();
+const describeWithVec = extensionPath ? describe : describe.skip;
+
+describeWithVec('VectorIndexService', () => {
+  const insertChunk = (docId, vector, model = 'hash:feature-hash:3') => run(
+    'INSERT INTO embeddings (doc_id, vector, model, dimensions) VALUES (?, ?, ?, ?)',
+    [docId, toBuffer(vector), model, vector.length]
+  );
+  const search = (vector, options = {}) => vectorIndexService.search(toBuffer(vector), {
+    dimensions: vector.length,
+    model: 'hash:feature-hash:3',
+    count: 10,
+    ...options
+  });
+
+  beforeAll(async () => {
+    await new Promise((resolve, reject) => {
+      db.loadExtension(extensionPath, err => (err ? reject(err) : resolve()));
+    });
+    await run('CREATE TABLE documents (id INTEGER PRIMARY KEY, collection_id INTEGER)');
+    await run('CREATE TABLE embeddings (id INTEGER PRIMARY KEY AUTOINCREMENT, doc_id INTEGER, vector BLOB, model TEXT, dimensions INTEGER)');
+    await run('INSERT INTO documents (id, collection_id) VALUES (1, 1), (2, 2)');
+
+    // Stored before the index existed
+    await insertChunk(1, [1, 0, 0]);
+    await insertChunk(2, [0, 1, 0]);
+    jest.spyOn(log, 'info').mockImplementation(() => {});
+  });
+
+  afterAll(done => {
+    log.info.mockRestore();
+    db.close(done);
+  });
+
+  test('indexes existing vectors and follows later changes', async () => {
+    expect(await vectorIndexService.build()).toBe(2);
+
+    await insertChunk(1, [0.9, 0.1, 0]);
+    await run('DELETE FROM embeddings WHERE id = 2');
+
+    expect((await search([1, 0, 0])).map(row => row.chunk_id)).toEqual([1, 3]);
+  });
+
+  test('searches within collections and the query model only', async () => {
+    await insertChunk(2, [1, 0.05, 0]);
+    await insertChunk(2, [1, 0, 0], 'hash:other:3');
+
+    expect((await search([1, 0, 0], { collectionIds: [2] })).map(row => row.chunk_id)).toEqual([4]);
+    expect((await search([1, 0, 0], { collectionIds: [1, 2], count: 2 })).map(row => row.chunk_id)).toEqual([1, 4]);
+
+    await run("UPDATE embeddings SET model = 'hash:other:3' WHERE id = 4");
+    expect((await search([1, 0, 0], { collectionIds: [2] }))).toEqual([]);
+  });
+
+  test('creates a table per vector length', async () => {
+    await vectorIndexService.ensureIndex(2);
+    await insertChunk(1, [0, 1]);
+
+    expect(vectorIndexService.canSearch(2, 10)).toBe(true);
+    expect(await all('SELECT chunk_id FROM vec_chunks_2')).toEqual([{ chunk_id: 6 }]);
+  });
+});
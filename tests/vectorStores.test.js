@@ -0,0 +1,81 @@
+const db = require('../src/utils/database');
+const { run } = require('../src/utils/dbAsync');
+const { toBuffer } = require('../src/utils/vector');
+const { SqliteVecStore, JavaScriptStore } = require('../src/services/vectorStores');
+const { resolvePath } = require('../src/utils/sqliteVec');
+
+jest.mock('../src/utils/database', () => {
+  const sqlite3 = require('sqlite3');
+  return new sqlite3.Database(':memory:');
+});
+
+const MODEL = 'hash:feature-hash:3';
+
+describe('vector stores', () => {
+  beforeAll(async () => {
+    await run('CREATE TABLE documents (id INTEGER PRIMARY KEY, collection_id INTEGER, metadata TEXT)');
+    await run('CREATE TABLE embeddings (id INTEGER PRIMARY KEY, doc_id INTEGER, vector BLOB, model TEXT, dimensions INTEGER)');
+    await run(`INSERT INTO documents (id, collection_id, metadata) VALUES (1, 1, '{"team":"hr"}'), (2, 2, '{"team":"it"}')`);
+    const chunks = [
+      [1, 1, [1, 0, 0], MODEL],
+      [2, 1, [0, 1, 0], MODEL],
+      [3, 2, [1, 1, 0], MODEL],
+      [4, 2, [1, 0, 0], 'hash:other:3'],
+      [5, 1, [1, 0], 'hash:feature-hash:2']
+    ];
+    for (const [id, docId, vector, model] of chunks) {
+      await run('INSERT INTO embeddings (id, doc_id, vector, model, dimensions) VALUES (?, ?, ?, ?, ?)', [id, docId, toBuffer(vector), model, vector.length]);
+    }
+  });
+
+  afterAll(done => {
+    db.close(done);
+  });
+
+  describe('JavaScriptStore', () => {
+    const store = new JavaScriptStore();
+
+    test('ranks chunks of the query model by cosine distance', async () => {
+      const nearest = await store.nearest({ embedding: [1, 0.1, 0], model: MODEL, count: 2 });
+
+      expect(nearest.map(row => row.chunk_id)).toEqual([1, 3]);
+      expect(nearest[0].distance).toBeCloseTo(1 - 1 / Math.sqrt(1.01));
+    });
+
+    test('applies collection and document conditions', async () => {
+      const inCollection = await store.nearest({ embedding: [1, 0, 0], model: MODEL, count: 5, collectionIds: [2] });
+      const filtered = await store.nearest({
+        embedding: [1, 0, 0],
+        model: MODEL,
+        count: 5,
+        where: { conditions: ["json_extract(d.metadata, '$.team') = ?"], params: ['hr'] }
+      });
+
+      expect(inCollection.map(row => row.chunk_id)).toEqual([3]);
+      expect(filtered.map(row => row.chunk_id)).toEqual([1, 2]);
+    });
+
+    test('scores specific chunks', async () => {
+      const distances = await store.distances({ embedding: [0, 1, 0], model: MODEL, chunkIds: [2, 3, 4] });
+
+      expect(Array.from(distances.keys())).toEqual([2, 3]);
+      expect(distances.get(2)).toBeCloseTo(0);
+    });
+  });
+
+  const extensionPath = resolvePath();
+  (extensionPath ? describe : describe.skip)('SqliteVecStore', () => {
+    beforeAll(() => new Promise((resolve, reject) => {
+      db.loadExtension(extensionPath, err => (err ? reject(err) : resolve()));
+    }));
+
+    test('agrees with the JavaScript fallback', async () => {
+      const query = { embedding: [0.3, 0.7, 0.1], model: MODEL, count: 3 };
+      const expected = await new JavaScriptStore().nearest(query);
+      const actual = await new SqliteVecStore().nearest(query);
+
+      expect(actual.map(row => row.chunk_id)).toEqual(expected.map(row => row.chunk_id));
+      actual.forEach((row, i) => expect(row.distance).toBeCloseTo(expected[i].distance, 5));
+    });
+  });
+});